@@ -0,0 +1,54 @@
+// Opaque pagination cursors for the timeline.
+//
+// A cursor names a position in the (entry_date, created_at, id) ordering and
+// the direction to continue in. Clients should treat it as an opaque string.
+
+const { ApiError } = require('../src/errors');
+
+const DIRECTIONS = ['older', 'newer'];
+
+/**
+ * Build a cursor continuing from an entry
+ * @param {object} entry - Timeline entry at the edge of a page
+ * @param {string} direction - 'older' or 'newer'
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(entry, direction) {
+    const payload = JSON.stringify([direction, entry.entry_date, entry.created_at, entry.id]);
+    return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+/**
+ * Parse a cursor from a request
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {{direction: string, position: {entry_date: string, created_at: string, id: number}}}
+ * @throws {ApiError} 400 if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        payload = null;
+    }
+
+    if (!Array.isArray(payload) || payload.length !== 4) {
+        throw ApiError.badRequest('Invalid cursor', 'invalid_cursor');
+    }
+
+    const [direction, entryDate, createdAt, id] = payload;
+    if (!DIRECTIONS.includes(direction) || typeof entryDate !== 'string'
+        || typeof createdAt !== 'string' || !Number.isSafeInteger(id)) {
+        throw ApiError.badRequest('Invalid cursor', 'invalid_cursor');
+    }
+
+    return {
+        direction,
+        position: { entry_date: entryDate, created_at: createdAt, id }
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
@@ -1,8 +1,378 @@
-// This file can be used for organizing API routes if needed
-// Currently, routes are handled directly in src/server.js
-// 
-// Future enhancement: Move route handlers here for better organization
+// Small dependency-free router for the API.
+//
+// Routes are declared with a method, a path pattern and options:
+//
+//   router.get('/api/timeline/:id(int)', handler, { auth: true });
+//
+// Path params may carry a type in parentheses (`int` or `string`, the default);
+// a param that doesn't fit its type doesn't match the route. Handlers and
+// middleware receive a context object:
+//
+//   { req, res, method, pathname, params, query, body, user }
+//
+// Route options map to built-in middleware, run in this order:
+//   auth:       true to require a logged-in user (401 otherwise), sets ctx.user
+//   body:       'json' (default for POST/PUT/PATCH), 'form' (urlencoded, as HTML forms post),
+//               'multipart' (left for the handler to stream), 'raw' (application/octet-stream,
+//               read into a Buffer) or 'none'
+//   bodyLimit:  max JSON, form or raw body size in bytes
+//   validate:   schemas for `params`, `query` and `body` (see api/validation.js)
+//   middleware: extra `async (ctx, next) => {}` functions
+
+const { ApiError } = require('../src/errors');
+const { validateRequest } = require('./validation');
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024; // 1MB
+
+const PARAM_TYPES = {
+    int: (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : undefined),
+    string: (value) => value
+};
+
+class Router {
+    /**
+     * @param {object} options - Router settings
+     * @param {function(http.IncomingMessage): Promise<object|null>} options.authenticate - Resolves the current user
+     */
+    constructor(options = {}) {
+        this.authenticate = options.authenticate || (async () => null);
+        this.routes = [];
+    }
+
+    get(pattern, handler, options) { return this.add('GET', pattern, handler, options); }
+    post(pattern, handler, options) { return this.add('POST', pattern, handler, options); }
+    put(pattern, handler, options) { return this.add('PUT', pattern, handler, options); }
+    patch(pattern, handler, options) { return this.add('PATCH', pattern, handler, options); }
+    delete(pattern, handler, options) { return this.add('DELETE', pattern, handler, options); }
+
+    /**
+     * Register a route
+     * @param {string} method - HTTP method
+     * @param {string} pattern - Path pattern, e.g. /api/timeline/:id(int)
+     * @param {function(object): Promise<void>} handler - Route handler
+     * @param {object} [options] - Route options (see top of file)
+     * @returns {Router} This router, for chaining
+     */
+    add(method, pattern, handler, options = {}) {
+        this.routes.push({
+            method: method.toUpperCase(),
+            pattern,
+            segments: compilePattern(pattern),
+            handler,
+            middleware: buildMiddleware(method.toUpperCase(), options, this)
+        });
+        return this;
+    }
+
+    /**
+     * Find the route for a request
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Request path
+     * @returns {{route: object|null, params: object, allowed: Array<string>}}
+     *   The matching route (null if none), its params, and every method the path supports
+     */
+    match(method, pathname) {
+        const pathSegments = splitPath(pathname);
+        const allowed = new Set();
+        let found = null;
+
+        for (const route of this.routes) {
+            const params = matchSegments(route.segments, pathSegments);
+            if (!params) continue;
+
+            allowed.add(route.method);
+            if (!found && route.method === method) {
+                found = { route, params };
+            }
+        }
+
+        if (allowed.has('GET')) allowed.add('HEAD');
+        if (allowed.size > 0) allowed.add('OPTIONS');
+
+        return {
+            route: found ? found.route : null,
+            params: found ? found.params : {},
+            allowed: [...allowed]
+        };
+    }
+
+    /**
+     * Dispatch a request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} pathname - Parsed request path
+     * @param {object} query - Parsed query string
+     * @returns {Promise<boolean>} False if no route exists for the path
+     */
+    async handle(req, res, pathname, query = {}) {
+        const method = req.method.toUpperCase();
+        let { route, params, allowed } = this.match(method, pathname);
+
+        if (allowed.length === 0) return false;
+
+        if (method === 'OPTIONS' && !route) {
+            res.writeHead(204, { 'Allow': allowed.join(', ') });
+            res.end();
+            return true;
+        }
+
+        // HEAD runs the GET handler with the body suppressed
+        if (method === 'HEAD' && !route) {
+            ({ route, params } = this.match('GET', pathname));
+            if (route) suppressBody(res);
+        }
+
+        if (!route) {
+            res.setHeader('Allow', allowed.join(', '));
+            throw new ApiError(405, 'Method not allowed');
+        }
+
+        const ctx = { req, res, method, pathname, params, query, body: null, user: null };
+        await runMiddleware([...route.middleware, route.handler], ctx);
+        return true;
+    }
+}
+
+// ROUTE MATCHING
+
+/**
+ * Split a pattern into literal and param segments
+ * @param {string} pattern - Path pattern
+ * @returns {Array<{literal: string}|{param: string, type: string}>}
+ */
+function compilePattern(pattern) {
+    return splitPath(pattern).map(segment => {
+        const paramMatch = /^:([A-Za-z_][A-Za-z0-9_]*)(?:\((\w+)\))?$/.exec(segment);
+        if (!paramMatch) return { literal: segment };
+
+        const type = paramMatch[2] || 'string';
+        if (!PARAM_TYPES[type]) {
+            throw new Error(`Unknown param type "${type}" in route ${pattern}`);
+        }
+        return { param: paramMatch[1], type };
+    });
+}
+
+function splitPath(pathname) {
+    return pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Match path segments against a compiled pattern
+ * @returns {object|null} Extracted params, or null if the path doesn't match
+ */
+function matchSegments(patternSegments, pathSegments) {
+    if (patternSegments.length !== pathSegments.length) return null;
+
+    const params = {};
+    for (let i = 0; i < patternSegments.length; i++) {
+        const segment = patternSegments[i];
+
+        if (segment.literal !== undefined) {
+            if (segment.literal !== pathSegments[i]) return null;
+            continue;
+        }
+
+        let raw;
+        try {
+            raw = decodeURIComponent(pathSegments[i]);
+        } catch (error) {
+            return null;
+        }
+
+        const value = PARAM_TYPES[segment.type](raw);
+        if (value === undefined) return null;
+        params[segment.param] = value;
+    }
+    return params;
+}
+
+// MIDDLEWARE
+
+/**
+ * Run middleware in order; each calls next() to continue the chain
+ * @param {Array<function>} stack - Middleware followed by the handler
+ * @param {object} ctx - Request context
+ */
+async function runMiddleware(stack, ctx) {
+    const dispatch = async (index) => {
+        if (index >= stack.length) return;
+        await stack[index](ctx, () => dispatch(index + 1));
+    };
+    await dispatch(0);
+}
+
+/**
+ * Translate route options into middleware
+ */
+function buildMiddleware(method, options, router) {
+    const middleware = [];
+    const bodyType = options.body || (['POST', 'PUT', 'PATCH'].includes(method) ? 'json' : 'none');
+
+    if (options.auth) {
+        middleware.push(requireAuth(router));
+    }
+    if (bodyType === 'json') {
+        middleware.push(jsonBody(options.bodyLimit || DEFAULT_BODY_LIMIT));
+    } else if (bodyType === 'form') {
+        middleware.push(formBody(options.bodyLimit || DEFAULT_BODY_LIMIT));
+    } else if (bodyType === 'multipart') {
+        middleware.push(multipartBody());
+    } else if (bodyType === 'raw') {
+        middleware.push(rawBody(options.bodyLimit || DEFAULT_BODY_LIMIT));
+    }
+    if (options.validate) {
+        middleware.push(validateRequest(options.validate));
+    }
+
+    return middleware.concat(options.middleware || []);
+}
+
+/**
+ * Require a logged-in user
+ */
+function requireAuth(router) {
+    return async (ctx, next) => {
+        ctx.user = await router.authenticate(ctx.req);
+        if (!ctx.user) {
+            throw ApiError.unauthorized();
+        }
+        await next();
+    };
+}
+
+/**
+ * Parse a JSON request body, rejecting bodies over the limit while they stream in
+ * @param {number} limit - Max body size in bytes
+ */
+function jsonBody(limit) {
+    return async (ctx, next) => {
+        ctx.body = await readJsonBody(ctx.req, limit);
+        await next();
+    };
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded body into an object of strings
+ * (the last value wins for repeated names)
+ * @param {number} limit - Max body size in bytes
+ */
+function formBody(limit) {
+    return async (ctx, next) => {
+        const text = await readBody(ctx.req, limit);
+        ctx.body = Object.fromEntries(new URLSearchParams(text));
+        await next();
+    };
+}
+
+/**
+ * Require a multipart body; the handler streams it itself
+ */
+function multipartBody() {
+    return async (ctx, next) => {
+        const contentType = ctx.req.headers['content-type'] || '';
+        if (!contentType.startsWith('multipart/form-data')) {
+            throw new ApiError(415, 'Expected multipart/form-data');
+        }
+        await next();
+    };
+}
+
+/**
+ * Read an application/octet-stream body into a Buffer
+ * @param {number} limit - Max body size in bytes
+ */
+function rawBody(limit) {
+    return async (ctx, next) => {
+        const contentType = ctx.req.headers['content-type'] || '';
+        if (!contentType.startsWith('application/octet-stream')) {
+            throw new ApiError(415, 'Expected application/octet-stream');
+        }
+        ctx.body = await readBodyBuffer(ctx.req, limit);
+        await next();
+    };
+}
+
+/**
+ * Read and parse a JSON body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Max body size in bytes
+ * @returns {Promise<object>} Parsed body ({} when empty)
+ */
+async function readJsonBody(req, limit) {
+    const text = await readBody(req, limit);
+    if (!text.trim()) {
+        return {};
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw ApiError.badRequest('Request body is not valid JSON', 'invalid_json');
+    }
+}
+
+/**
+ * Read a request body as UTF-8 text, rejecting bodies over the limit while they stream in
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Max body size in bytes
+ * @returns {Promise<string>}
+ */
+async function readBody(req, limit) {
+    return (await readBodyBuffer(req, limit)).toString('utf8');
+}
+
+/**
+ * Read a request body, rejecting bodies over the limit while they stream in
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Max body size in bytes
+ * @returns {Promise<Buffer>}
+ */
+function readBodyBuffer(req, limit) {
+    return new Promise((resolve, reject) => {
+        const declaredLength = parseInt(req.headers['content-length']);
+        if (declaredLength > limit) {
+            req.resume();
+            reject(ApiError.payloadTooLarge(`Request body exceeds ${limit} bytes`));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+
+        req.on('data', chunk => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > limit) {
+                failed = true;
+                reject(ApiError.payloadTooLarge(`Request body exceeds ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!failed) resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Swallow the response body while keeping status and headers (for HEAD).
+ * Node omits HEAD bodies on the wire too; this also skips producing them.
+ */
+function suppressBody(res) {
+    const end = res.end.bind(res);
+    res.write = () => true;
+    res.end = (chunk, encoding, callback) => end(typeof chunk === 'function' ? chunk : callback);
+}
 
 module.exports = {
-    // Placeholder for future route organization
+    Router,
+    requireAuth,
+    jsonBody,
+    formBody,
+    multipartBody,
+    rawBody,
+    readJsonBody
 };
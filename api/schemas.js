@@ -0,0 +1,258 @@
+// Request schemas for the API routes (rules are described in api/validation.js)
+
+const { MAX_TAG_LENGTH, MAX_TAGS_PER_ENTRY } = require('../src/tags');
+const { MEMBER_ROLES } = require('../src/timeline-roles');
+
+const ENTRY_TYPES = ['text', 'image', 'video', 'mixed'];
+const SORT_ORDERS = ['newest', 'oldest'];
+
+const tagList = {
+    type: 'array',
+    maxLength: MAX_TAGS_PER_ENTRY,
+    items: { type: 'string', maxLength: MAX_TAG_LENGTH }
+};
+
+const register = {
+    username: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    email: { type: 'string', required: true, maxLength: 254 },
+    password: { type: 'string', required: true, maxLength: 1024, trim: false }
+};
+
+const login = {
+    username: { type: 'string', required: true, minLength: 1 },
+    password: { type: 'string', required: true, trim: false }
+};
+
+const createEntry = {
+    timeline_id: { type: 'integer', min: 1 },
+    date: { type: 'date', required: true },
+    text: { type: 'string', nullable: true, trim: false },
+    type: { type: 'enum', values: ENTRY_TYPES, default: 'text' },
+    tags: { ...tagList, default: [] }
+};
+
+// Query string of GET /api/timeline (defaults to the default timeline and its sort order)
+const timelineQuery = {
+    timeline_id: { type: 'integer', min: 1 },
+    order: { type: 'enum', values: SORT_ORDERS },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+    cursor: { type: 'string', maxLength: 512 },
+    tags: { type: 'string', maxLength: 1000 }, // comma separated
+    tag_mode: { type: 'enum', values: ['any', 'all'], default: 'any' }
+};
+
+// Query string of GET /api/timeline/search
+const searchQuery = {
+    q: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    type: { type: 'enum', values: ENTRY_TYPES },
+    timeline_id: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 20 },
+    offset: { type: 'integer', min: 0, default: 0 }
+};
+
+// Omitted fields keep their current value
+const updateEntry = {
+    timeline_id: { type: 'integer', min: 1 },
+    date: { type: 'date' },
+    text: { type: 'string', nullable: true, trim: false },
+    tags: tagList
+};
+
+// A revision number, or 'current' for the entry as it is now
+const revisionRef = { type: 'string', pattern: /^(\d+|current)$/, patternMessage: 'must be a revision number or "current"' };
+
+// Query string of GET /api/timeline/:id/revisions/diff
+const revisionDiffQuery = {
+    from: { ...revisionRef, required: true },
+    to: { ...revisionRef, default: 'current' }
+};
+
+// Renaming to the name of another tag merges the two
+const renameTag = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: MAX_TAG_LENGTH }
+};
+
+const createTimeline = {
+    title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    description: { type: 'string', nullable: true, maxLength: 2000 },
+    cover_media_id: { type: 'integer', min: 1, nullable: true },
+    sort_order: { type: 'enum', values: SORT_ORDERS, default: 'newest' }
+};
+
+// Omitted fields keep their current value
+const updateTimeline = {
+    title: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', nullable: true, maxLength: 2000 },
+    cover_media_id: { type: 'integer', min: 1, nullable: true },
+    sort_order: { type: 'enum', values: SORT_ORDERS },
+    is_default: { type: 'enum', values: [true] }
+};
+
+// Query string of DELETE /api/timelines/:id
+const deleteTimelineQuery = {
+    move_to: { type: 'integer', min: 1 }
+};
+
+const moveEntries = {
+    entry_ids: { type: 'array', required: true, minLength: 1, maxLength: 500, items: { type: 'integer', min: 1 } }
+};
+
+// Query string of GET /api/export; html adds a static page that opens offline
+const exportQuery = {
+    html: { type: 'boolean', default: false }
+};
+
+const createExport = {
+    html: { type: 'boolean', default: false }
+};
+
+// Invite someone to a timeline by username, or by email if they have no account yet
+const createInvitation = {
+    username: { type: 'string', minLength: 1, maxLength: 50 },
+    email: { type: 'string', minLength: 3, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+$/, patternMessage: 'must be an email address' },
+    role: { type: 'enum', values: MEMBER_ROLES, default: 'viewer' }
+};
+
+const updateMember = {
+    role: { type: 'enum', values: MEMBER_ROLES, required: true }
+};
+
+const createComment = {
+    body: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+    parent_id: { type: 'integer', min: 1 }
+};
+
+// Authors change the text; moderators hide and show comments
+const updateComment = {
+    body: { type: 'string', minLength: 1, maxLength: 5000 },
+    hidden: { type: 'boolean' }
+};
+
+const commentSettings = {
+    enabled: { type: 'boolean', required: true }
+};
+
+const addReaction = {
+    emoji: { type: 'string', required: true, minLength: 1, maxLength: 64 }
+};
+
+// Query string of the event stream; clients that can't set the Last-Event-ID header
+// pass it as last_event_id
+const eventsQuery = {
+    timeline_id: { type: 'integer', min: 1 },
+    last_event_id: { type: 'string', maxLength: 64 }
+};
+
+// Text fields sent alongside the file of POST /api/import
+const importFields = {
+    format: { type: 'enum', values: ['csv', 'json', 'ics', 'timal'] },
+    mapping: { type: 'string', maxLength: 2000 }, // JSON object: entry field -> column or key
+    date_format: { type: 'enum', values: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'], default: 'YYYY-MM-DD' },
+    delimiter: { type: 'enum', values: [',', ';', 'tab'] },
+    tag_separator: { type: 'string', minLength: 1, maxLength: 5, trim: false, default: ',' },
+    timeline_id: { type: 'integer', min: 1 },
+    source: { type: 'string', minLength: 1, maxLength: 100 },
+    dry_run: { type: 'boolean', default: false },
+    skip_invalid: { type: 'boolean', default: false }
+};
+
+// One row of an import, after column mapping
+const importEntry = {
+    id: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    date: { type: 'date', required: true },
+    text: { type: 'string', nullable: true, trim: false },
+    type: { type: 'enum', values: ENTRY_TYPES, default: 'text' },
+    tags: { ...tagList, default: [] }
+};
+
+const createFeedToken = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 }
+};
+
+// Query string of the calendar and media file routes; without a token the session cookie is used
+const feedTokenQuery = {
+    token: { type: 'string', maxLength: 128 }
+};
+
+// Query string of the Atom and JSON Feed routes
+const feedQuery = {
+    token: { type: 'string', maxLength: 128 },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 }
+};
+
+// A share link shows a timeline, or only its entries matching the tags and dates given
+const createShareLink = {
+    timeline_id: { type: 'integer', required: true, min: 1 },
+    label: { type: 'string', minLength: 1, maxLength: 100 },
+    tags: { ...tagList, default: [] },
+    tag_mode: { type: 'enum', values: ['any', 'all'], default: 'any' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    password: { type: 'string', minLength: 4, maxLength: 1024, trim: false },
+    expires_in_days: { type: 'integer', min: 1, max: 3650 }
+};
+
+// Query string of GET /api/share-links
+const shareLinksQuery = {
+    timeline_id: { type: 'integer', min: 1 }
+};
+
+// Password form of a protected share page
+const unlockShare = {
+    password: { type: 'string', maxLength: 1024, trim: false, default: '' }
+};
+
+// Text fields sent alongside the file in a multipart upload
+const mediaUploadFields = {
+    timeline_id: { type: 'integer', min: 1 },
+    entry_id: { type: 'integer', min: 1 },
+    text: { type: 'string', trim: false },
+    include_location: { type: 'boolean', default: false }
+};
+
+// A resumable upload, started before any of the file is sent
+const createUpload = {
+    filename: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    size: { type: 'integer', required: true, min: 1 },
+    ...mediaUploadFields
+};
+
+module.exports = {
+    ENTRY_TYPES,
+    SORT_ORDERS,
+    register,
+    login,
+    timelineQuery,
+    searchQuery,
+    createEntry,
+    updateEntry,
+    revisionDiffQuery,
+    renameTag,
+    createTimeline,
+    updateTimeline,
+    deleteTimelineQuery,
+    moveEntries,
+    exportQuery,
+    createExport,
+    importFields,
+    importEntry,
+    createFeedToken,
+    feedTokenQuery,
+    feedQuery,
+    createShareLink,
+    shareLinksQuery,
+    unlockShare,
+    createInvitation,
+    updateMember,
+    createComment,
+    updateComment,
+    commentSettings,
+    addReaction,
+    eventsQuery,
+    mediaUploadFields,
+    createUpload
+};
@@ -0,0 +1,195 @@
+// Declarative request validation.
+//
+// A schema maps field names to rules:
+//
+//   const entrySchema = {
+//       date: { type: 'date', required: true },
+//       text: { type: 'string', maxLength: 10000, nullable: true },
+//       type: { type: 'enum', values: ['text', 'image', 'video', 'mixed'], default: 'text' }
+//   };
+//
+// Types: string, integer, number, boolean, date (YYYY-MM-DD), enum, array.
+// Rules: required, nullable, default, trim (strings, on by default),
+//        minLength/maxLength (strings and arrays), min/max (numbers),
+//        pattern (strings), values (enum), items (array element rule).
+//
+// validate() returns a new object holding only the fields in the schema, with
+// defaults applied, or throws a 422 ApiError listing every failing field.
+
+const { ApiError } = require('../src/errors');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const TYPES = {
+    string(value, rule) {
+        if (typeof value !== 'string') return { error: 'must be a string' };
+        const text = rule.trim === false ? value : value.trim();
+        if (rule.minLength !== undefined && text.length < rule.minLength) {
+            return { error: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` };
+        }
+        if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+            return { error: `must be at most ${rule.maxLength} characters` };
+        }
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return { error: rule.patternMessage || 'has an invalid format' };
+        }
+        return { value: text };
+    },
+
+    integer(value, rule, coerce) {
+        if (coerce && typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+            value = parseInt(value, 10);
+        }
+        if (!Number.isSafeInteger(value)) return { error: 'must be an integer' };
+        return checkRange(value, rule);
+    },
+
+    number(value, rule, coerce) {
+        if (coerce && typeof value === 'string' && value.trim() !== '') {
+            value = Number(value);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+        return checkRange(value, rule);
+    },
+
+    boolean(value, rule, coerce) {
+        if (coerce && typeof value === 'string') {
+            const normalized = value.trim().toLowerCase();
+            if (['true', '1', 'on', 'yes'].includes(normalized)) return { value: true };
+            if (['false', '0', 'off', 'no', ''].includes(normalized)) return { value: false };
+        }
+        if (typeof value !== 'boolean') return { error: 'must be true or false' };
+        return { value };
+    },
+
+    date(value) {
+        if (typeof value !== 'string' || !isCalendarDate(value.trim())) {
+            return { error: 'must be a date in YYYY-MM-DD format' };
+        }
+        return { value: value.trim() };
+    },
+
+    enum(value, rule) {
+        if (!rule.values.includes(value)) return { error: `must be one of: ${rule.values.join(', ')}` };
+        return { value };
+    },
+
+    array(value, rule, coerce) {
+        if (!Array.isArray(value)) return { error: 'must be an array' };
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            return { error: `must have at least ${rule.minLength} items` };
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return { error: `must have at most ${rule.maxLength} items` };
+        }
+        if (!rule.items) return { value };
+
+        const items = [];
+        for (let i = 0; i < value.length; i++) {
+            const result = checkValue(value[i], rule.items, coerce);
+            if (result.error) return { error: `item ${i + 1} ${result.error}` };
+            items.push(result.value);
+        }
+        return { value: items };
+    }
+};
+
+/**
+ * Validate input against a schema
+ * @param {object} schema - Field rules, keyed by field name
+ * @param {object} input - Data to validate
+ * @param {object} [options]
+ * @param {boolean} [options.coerce] - Accept strings for numbers and booleans (query strings, form fields)
+ * @returns {object} Validated values
+ */
+function validate(schema, input, options = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        throw ApiError.badRequest('Request body must be a JSON object');
+    }
+
+    const values = {};
+    const fields = {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const raw = input[name];
+
+        if (raw === undefined || (options.coerce && raw === '' && rule.type !== 'string')) {
+            if (rule.required) {
+                fields[name] = 'is required';
+            } else if (rule.default !== undefined) {
+                values[name] = rule.default;
+            }
+            continue;
+        }
+
+        if (raw === null) {
+            if (rule.nullable) {
+                values[name] = null;
+            } else {
+                fields[name] = rule.required ? 'is required' : 'must not be null';
+            }
+            continue;
+        }
+
+        const result = checkValue(raw, rule, options.coerce);
+        if (result.error) {
+            fields[name] = result.error;
+        } else {
+            values[name] = result.value;
+        }
+    }
+
+    if (Object.keys(fields).length > 0) {
+        throw ApiError.validation(fields);
+    }
+    return values;
+}
+
+/**
+ * Check a single value against its rule
+ * @returns {{value: *}|{error: string}}
+ */
+function checkValue(value, rule, coerce) {
+    const check = TYPES[rule.type];
+    if (!check) {
+        throw new Error(`Unknown validation type "${rule.type}"`);
+    }
+    return check(value, rule, coerce);
+}
+
+function checkRange(value, rule) {
+    if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value };
+}
+
+/**
+ * Whether a YYYY-MM-DD string names a real day
+ */
+function isCalendarDate(text) {
+    const match = DATE_PATTERN.exec(text);
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Router middleware validating ctx.body, ctx.query and ctx.params in place
+ * @param {{body?: object, query?: object, params?: object}} schemas - Schema per request part
+ */
+function validateRequest(schemas) {
+    return async (ctx, next) => {
+        if (schemas.params) ctx.params = validate(schemas.params, ctx.params, { coerce: true });
+        if (schemas.query) ctx.query = validate(schemas.query, ctx.query, { coerce: true });
+        if (schemas.body) ctx.body = validate(schemas.body, ctx.body);
+        await next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateRequest,
+    isCalendarDate
+};
@@ -1,33 +1,32 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('./migrator');
+
+// Share link rows carry whether their expiry has passed
+const SHARE_LINK_COLUMNS = "*, (expires_at IS NOT NULL AND expires_at <= datetime('now')) AS expired";
 
 class Database {
     constructor() {
         this.dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'timal.db');
         this.db = null;
+
+        // Transactions share the single connection, so while one is open, queries
+        // from outside it wait. The async context tells the two apart.
+        this.transactionContext = new AsyncLocalStorage();
+        this.activeTransaction = null;
+        this.transactionQueue = Promise.resolve();
     }
 
     /**
-     * Initialize database connection and create tables
+     * Open the database and bring its schema up to date
      */
     async initialize() {
         try {
-            // Ensure db directory exists
-            const dbDir = path.dirname(this.dbPath);
-            if (!fs.existsSync(dbDir)) {
-                fs.mkdirSync(dbDir, { recursive: true });
-            }
+            await this.connect();
+            await new Migrator(this).migrate();
 
-            // Create database connection
-            this.db = new sqlite3.Database(this.dbPath);
-            
-            // Enable foreign keys
-            await this.run('PRAGMA foreign_keys = ON');
-            
-            // Create tables
-            await this.createTables();
-            
             console.log(`✅ Database connected: ${this.dbPath}`);
         } catch (error) {
             console.error('Database initialization error:', error);
@@ -36,78 +35,72 @@ class Database {
     }
 
     /**
-     * Create database tables
-     */
-    async createTables() {
-        const tables = [
-            // Users table
-            `CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT UNIQUE NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                tier TEXT DEFAULT 'free' CHECK(tier IN ('free', 'personal', 'pro')),
-                storage_used_mb REAL DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
-
-            // Sessions table
-            `CREATE TABLE IF NOT EXISTS sessions (
-                session_id TEXT PRIMARY KEY,
-                user_id INTEGER NOT NULL,
-                expires_at DATETIME NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-            )`,
-
-            // Timeline entries table
-            `CREATE TABLE IF NOT EXISTS timeline_entries (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                entry_date DATE NOT NULL,
-                entry_text TEXT,
-                entry_type TEXT DEFAULT 'text' CHECK(entry_type IN ('text', 'image', 'video', 'mixed')),
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-            )`,
-
-            // Media attachments table
-            `CREATE TABLE IF NOT EXISTS media_attachments (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                entry_id INTEGER NOT NULL,
-                media_type TEXT NOT NULL CHECK(media_type IN ('image', 'video')),
-                filename TEXT NOT NULL,
-                original_filename TEXT NOT NULL,
-                file_size_mb REAL,
-                r2_key TEXT NOT NULL,
-                thumbnail_r2_key TEXT,
-                width INTEGER,
-                height INTEGER,
-                duration INTEGER,
-                upload_status TEXT DEFAULT 'complete' CHECK(upload_status IN ('pending', 'processing', 'complete', 'failed')),
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (entry_id) REFERENCES timeline_entries (id) ON DELETE CASCADE
-            )`
-        ];
-
-        for (const table of tables) {
-            await this.run(table);
+     * Open the database connection without migrating
+     */
+    async connect() {
+        // Ensure db directory exists
+        const dbDir = path.dirname(this.dbPath);
+        if (!fs.existsSync(dbDir)) {
+            fs.mkdirSync(dbDir, { recursive: true });
+        }
+
+        // Create database connection
+        this.db = new sqlite3.Database(this.dbPath);
+
+        // Enable foreign keys
+        await this.run('PRAGMA foreign_keys = ON');
+    }
+
+    /**
+     * Run a function inside a transaction. Queries made by the function (including through
+     * other Database methods) are committed together, or rolled back if it throws.
+     * Nested calls join the outer transaction.
+     * @param {function(): Promise<*>} fn - Work to do
+     * @returns {Promise<*>} What fn returned
+     */
+    async transaction(fn) {
+        if (this.transactionContext.getStore()) {
+            return await fn();
+        }
+
+        // One transaction at a time
+        const previous = this.transactionQueue;
+        let release;
+        this.transactionQueue = new Promise(resolve => { release = resolve; });
+        await previous;
+
+        const transaction = {};
+        transaction.done = new Promise(resolve => { transaction.finish = resolve; });
+
+        this.activeTransaction = transaction;
+
+        try {
+            return await this.transactionContext.run(transaction, async () => {
+                await this.run('BEGIN IMMEDIATE');
+                try {
+                    const result = await fn();
+                    await this.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.run('ROLLBACK').catch(rollbackError => {
+                        console.error('Rollback failed:', rollbackError);
+                    });
+                    throw error;
+                }
+            });
+        } finally {
+            this.activeTransaction = null;
+            transaction.finish();
+            release();
         }
+    }
 
-        // Create indexes for better performance
-        const indexes = [
-            'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)',
-            'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
-            'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
-            'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at)',
-            'CREATE INDEX IF NOT EXISTS idx_timeline_entries_user_id ON timeline_entries(user_id)',
-            'CREATE INDEX IF NOT EXISTS idx_timeline_entries_date ON timeline_entries(entry_date)',
-            'CREATE INDEX IF NOT EXISTS idx_media_attachments_entry_id ON media_attachments(entry_id)'
-        ];
-
-        for (const index of indexes) {
-            await this.run(index);
+    /**
+     * Hold a query back while a transaction it isn't part of is open
+     */
+    async waitForTransaction() {
+        while (this.activeTransaction && this.transactionContext.getStore() !== this.activeTransaction) {
+            await this.activeTransaction.done;
         }
     }
 
@@ -115,6 +108,7 @@ class Database {
      * Run a SQL query with parameters
      */
     async run(sql, params = []) {
+        await this.waitForTransaction();
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) reject(err);
@@ -127,6 +121,7 @@ class Database {
      * Get a single row
      */
     async get(sql, params = []) {
+        await this.waitForTransaction();
         return new Promise((resolve, reject) => {
             this.db.get(sql, params, (err, row) => {
                 if (err) reject(err);
@@ -139,6 +134,7 @@ class Database {
      * Get multiple rows
      */
     async all(sql, params = []) {
+        await this.waitForTransaction();
         return new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err);
@@ -189,6 +185,28 @@ class Database {
         await this.run('UPDATE users SET storage_used_mb = ? WHERE id = ?', [storageUsedMb, userId]);
     }
 
+    /**
+     * Atomically add to (or subtract from) user storage usage, never going below zero
+     */
+    async adjustUserStorageUsage(userId, deltaMb) {
+        await this.run(
+            'UPDATE users SET storage_used_mb = MAX(0, storage_used_mb + ?) WHERE id = ?',
+            [deltaMb, userId]
+        );
+    }
+
+    /**
+     * Atomically reserve storage if it fits within the limit (-1 = unlimited)
+     * @returns {Promise<boolean>} Whether the reservation was made
+     */
+    async reserveUserStorage(userId, sizeMb, limitMb) {
+        const result = await this.run(`
+            UPDATE users SET storage_used_mb = storage_used_mb + ?
+            WHERE id = ? AND (? < 0 OR storage_used_mb + ? <= ?)
+        `, [sizeMb, userId, limitMb, sizeMb, limitMb]);
+        return result.changes === 1;
+    }
+
     // SESSION OPERATIONS
 
     /**
@@ -223,140 +241,1761 @@ class Database {
         await this.run('DELETE FROM sessions WHERE expires_at < datetime("now")');
     }
 
-    // TIMELINE OPERATIONS
+    // FEED TOKEN OPERATIONS
 
     /**
-     * Create timeline entry
+     * Store a feed token (by its hash)
+     * @returns {Promise<number>} Token ID
      */
-    async createTimelineEntry(entryData) {
-        const { user_id, entry_date, entry_text, entry_type = 'text' } = entryData;
+    async createFeedToken(tokenData) {
+        const { user_id, name, token_hash } = tokenData;
         const result = await this.run(
-            'INSERT INTO timeline_entries (user_id, entry_date, entry_text, entry_type) VALUES (?, ?, ?, ?)',
-            [user_id, entry_date, entry_text, entry_type]
+            'INSERT INTO feed_tokens (user_id, name, token_hash) VALUES (?, ?, ?)',
+            [user_id, name, token_hash]
         );
         return result.id;
     }
 
     /**
-     * Get all timeline entries for a user
+     * Get a user's feed tokens, newest first (hashes left out)
      */
-    async getTimelineEntries(userId) {
-        const entries = await this.all(`
-            SELECT te.*, 
-                   GROUP_CONCAT(ma.id) as media_ids,
-                   GROUP_CONCAT(ma.media_type) as media_types,
-                   GROUP_CONCAT(ma.r2_key) as media_keys
-            FROM timeline_entries te
-            LEFT JOIN media_attachments ma ON te.id = ma.entry_id
-            WHERE te.user_id = ?
-            GROUP BY te.id
-            ORDER BY te.entry_date DESC, te.created_at DESC
+    async getFeedTokens(userId) {
+        return await this.all(
+            'SELECT id, name, created_at, last_used_at FROM feed_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+            [userId]
+        );
+    }
+
+    /**
+     * Get a feed token by its hash
+     */
+    async getFeedTokenByHash(tokenHash) {
+        return await this.get('SELECT * FROM feed_tokens WHERE token_hash = ?', [tokenHash]);
+    }
+
+    /**
+     * Record that a feed token was used
+     */
+    async touchFeedToken(tokenId) {
+        await this.run("UPDATE feed_tokens SET last_used_at = datetime('now') WHERE id = ?", [tokenId]);
+    }
+
+    /**
+     * Revoke a feed token of a user
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    async deleteFeedToken(tokenId, userId) {
+        const result = await this.run('DELETE FROM feed_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]);
+        return result.changes > 0;
+    }
+
+    // SHARE LINK OPERATIONS
+
+    /**
+     * Create a share link. Tags are stored as a JSON array.
+     * @returns {Promise<number>} Share link ID
+     */
+    async createShareLink(linkData) {
+        const {
+            user_id, timeline_id, token, label = null, tags = [], tag_mode = 'any',
+            date_from = null, date_to = null, password_hash = null, expires_in_days = null
+        } = linkData;
+        const result = await this.run(`
+            INSERT INTO share_links (user_id, timeline_id, token, label, tags, tag_mode, date_from, date_to, password_hash, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' days') END)
+        `, [user_id, timeline_id, token, label, JSON.stringify(tags), tag_mode, date_from, date_to, password_hash, expires_in_days, expires_in_days]);
+        return result.id;
+    }
+
+    /**
+     * Get a share link of a user
+     */
+    async getShareLink(linkId, userId) {
+        return this.parseShareLink(await this.get(
+            `SELECT ${SHARE_LINK_COLUMNS} FROM share_links WHERE id = ? AND user_id = ?`,
+            [linkId, userId]
+        ));
+    }
+
+    /**
+     * Get a user's share links, newest first, optionally only those of one timeline
+     */
+    async getShareLinks(userId, timelineId = null) {
+        const rows = await this.all(`
+            SELECT ${SHARE_LINK_COLUMNS} FROM share_links
+            WHERE user_id = ? AND (? IS NULL OR timeline_id = ?)
+            ORDER BY created_at DESC, id DESC
+        `, [userId, timelineId, timelineId]);
+        return rows.map(row => this.parseShareLink(row));
+    }
+
+    /**
+     * Get a share link by its token
+     */
+    async getShareLinkByToken(token) {
+        return this.parseShareLink(await this.get(
+            `SELECT ${SHARE_LINK_COLUMNS} FROM share_links WHERE token = ?`,
+            [token]
+        ));
+    }
+
+    /**
+     * Count a view of a shared page
+     */
+    async recordShareLinkView(linkId) {
+        await this.run(
+            "UPDATE share_links SET view_count = view_count + 1, last_viewed_at = datetime('now') WHERE id = ?",
+            [linkId]
+        );
+    }
+
+    /**
+     * Revoke a share link of a user
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    async deleteShareLink(linkId, userId) {
+        const result = await this.run('DELETE FROM share_links WHERE id = ? AND user_id = ?', [linkId, userId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Decode the stored tag list, and `expired` into a boolean
+     */
+    parseShareLink(row) {
+        if (!row) return row;
+        return { ...row, tags: row.tags ? JSON.parse(row.tags) : [], expired: Boolean(row.expired) };
+    }
+
+    // NAMED TIMELINE OPERATIONS
+
+    /**
+     * Get a user's timelines with entry counts, the default one first
+     */
+    async getTimelines(userId) {
+        return await this.all(`
+            ${this.timelineSelect()}
+            WHERE t.user_id = ?
+            GROUP BY t.id
+            ORDER BY t.is_default DESC, t.title COLLATE NOCASE
         `, [userId]);
+    }
 
-        // Process media attachments
-        return entries.map(entry => ({
-            ...entry,
-            media: entry.media_ids ? entry.media_ids.split(',').map((id, index) => ({
-                id: parseInt(id),
-                type: entry.media_types.split(',')[index],
-                key: entry.media_keys.split(',')[index]
-            })) : []
-        }));
+    /**
+     * Get a timeline with its entry count
+     */
+    async getTimeline(timelineId, userId) {
+        return await this.get(`
+            ${this.timelineSelect()}
+            WHERE t.id = ? AND t.user_id = ?
+            GROUP BY t.id
+        `, [timelineId, userId]);
     }
 
     /**
-     * Get single timeline entry
+     * Get a timeline the user owns or is a member of, with their `role` in it
      */
-    async getTimelineEntry(entryId, userId) {
-        const entry = await this.get(`
-            SELECT te.* FROM timeline_entries te 
-            WHERE te.id = ? AND te.user_id = ?
-        `, [entryId, userId]);
+    async getMemberTimeline(timelineId, userId) {
+        return await this.get(`
+            ${this.timelineSelect(true)}
+            WHERE t.id = ? AND (t.user_id = ? OR tm.id IS NOT NULL)
+            GROUP BY t.id
+        `, [userId, userId, timelineId, userId]);
+    }
 
-        if (!entry) return null;
+    /**
+     * Get other users' timelines the user is a member of, with their `role` in each
+     */
+    async getSharedTimelines(userId) {
+        return await this.all(`
+            ${this.timelineSelect(true)}
+            WHERE tm.id IS NOT NULL AND t.user_id != ?
+            GROUP BY t.id
+            ORDER BY owner.username COLLATE NOCASE, t.title COLLATE NOCASE
+        `, [userId, userId, userId]);
+    }
 
-        // Get media attachments
-        const media = await this.all(
-            'SELECT * FROM media_attachments WHERE entry_id = ?',
-            [entryId]
+    /**
+     * Get a user's timeline by title, ignoring case
+     */
+    async getTimelineByTitle(userId, title) {
+        return await this.get(
+            'SELECT * FROM timelines WHERE user_id = ? AND title = ? COLLATE NOCASE ORDER BY id LIMIT 1',
+            [userId, title]
         );
+    }
 
-        return { ...entry, media };
+    /**
+     * Shared SELECT for timelines: entry count, the owner's username and the storage keys
+     * of the cover image. Entries and covers in the trash are left out.
+     * @param {boolean} [withRole=false] - Also select the `role` of a user, joining their
+     *   membership as `tm`; the query's first two parameters are then that user's ID
+     */
+    timelineSelect(withRole = false) {
+        return `
+            SELECT t.*, COUNT(te.id) AS entry_count, owner.username AS owner_username,
+                cover.r2_key AS cover_key, cover.thumbnail_r2_key AS cover_thumbnail_key
+                ${withRole ? ", CASE WHEN t.user_id = ? THEN 'owner' ELSE tm.role END AS role" : ''}
+            FROM timelines t
+            JOIN users owner ON owner.id = t.user_id
+            ${withRole ? 'LEFT JOIN timeline_members tm ON tm.timeline_id = t.id AND tm.user_id = ?' : ''}
+            LEFT JOIN timeline_entries te ON te.timeline_id = t.id AND te.deleted_at IS NULL
+            LEFT JOIN media_attachments cover ON cover.id = t.cover_media_id AND cover.deleted_at IS NULL AND cover.upload_status = 'complete'
+                AND NOT EXISTS (SELECT 1 FROM timeline_entries ce WHERE ce.id = cover.entry_id AND ce.deleted_at IS NOT NULL)
+        `;
     }
 
     /**
-     * Update timeline entry
+     * Get the user's default timeline, creating it if the user has none yet
      */
-    async updateTimelineEntry(entryId, userId, updates) {
-        const { entry_date, entry_text } = updates;
-        await this.run(`
-            UPDATE timeline_entries 
-            SET entry_date = ?, entry_text = ?, updated_at = CURRENT_TIMESTAMP
+    async getDefaultTimeline(userId) {
+        const timeline = await this.get('SELECT * FROM timelines WHERE user_id = ? AND is_default = 1', [userId]);
+        if (timeline) return timeline;
+
+        // The unique index on (user_id) WHERE is_default = 1 makes concurrent calls safe
+        await this.run("INSERT OR IGNORE INTO timelines (user_id, title, is_default) VALUES (?, 'My Timeline', 1)", [userId]);
+        return await this.get('SELECT * FROM timelines WHERE user_id = ? AND is_default = 1', [userId]);
+    }
+
+    /**
+     * Create a timeline
+     */
+    async createTimeline(timelineData) {
+        const { user_id, title, description = null, cover_media_id = null, sort_order = 'newest' } = timelineData;
+        const result = await this.run(
+            'INSERT INTO timelines (user_id, title, description, cover_media_id, sort_order) VALUES (?, ?, ?, ?, ?)',
+            [user_id, title, description, cover_media_id, sort_order]
+        );
+        return result.id;
+    }
+
+    /**
+     * Update the given fields of a timeline (title, description, cover_media_id, sort_order)
+     * @returns {Promise<boolean>} Whether the timeline existed
+     */
+    async updateTimeline(timelineId, userId, updates) {
+        const columns = ['title', 'description', 'cover_media_id', 'sort_order'].filter(column => updates[column] !== undefined);
+        const assignments = columns.map(column => `${column} = ?`);
+        const result = await this.run(`
+            UPDATE timelines SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
             WHERE id = ? AND user_id = ?
-        `, [entry_date, entry_text, entryId, userId]);
+        `, [...columns.map(column => updates[column]), timelineId, userId]);
+        return result.changes === 1;
     }
 
     /**
-     * Delete timeline entry
+     * Make a timeline the user's default (where entries go when no timeline is given)
      */
-    async deleteTimelineEntry(entryId, userId) {
-        await this.run('DELETE FROM timeline_entries WHERE id = ? AND user_id = ?', [entryId, userId]);
+    async setDefaultTimeline(timelineId, userId) {
+        await this.transaction(async () => {
+            await this.run('UPDATE timelines SET is_default = 0 WHERE user_id = ? AND is_default = 1', [userId]);
+            await this.run('UPDATE timelines SET is_default = 1 WHERE id = ? AND user_id = ?', [timelineId, userId]);
+        });
     }
 
-    // MEDIA OPERATIONS
+    /**
+     * Delete a timeline together with any entries still in it
+     * @returns {Promise<boolean>} Whether the timeline existed
+     */
+    async deleteTimeline(timelineId, userId) {
+        const result = await this.run('DELETE FROM timelines WHERE id = ? AND user_id = ?', [timelineId, userId]);
+        return result.changes === 1;
+    }
 
     /**
-     * Create media attachment
+     * Move entries into another timeline
+     * @param {Array<number>} entryIds - Entries to move
+     * @param {number} timelineId - Target timeline
+     * @param {number} userId - Owner; other users' entries and entries in the trash are left alone
+     * @returns {Promise<number>} Number of entries moved
      */
-    async createMediaAttachment(mediaData) {
-        const {
-            entry_id, media_type, filename, original_filename, file_size_mb,
-            r2_key, thumbnail_r2_key, width, height, duration
-        } = mediaData;
+    async moveEntriesToTimeline(entryIds, timelineId, userId) {
+        if (entryIds.length === 0) return 0;
 
+        const placeholders = entryIds.map(() => '?').join(', ');
         const result = await this.run(`
-            INSERT INTO media_attachments 
-            (entry_id, media_type, filename, original_filename, file_size_mb, r2_key, thumbnail_r2_key, width, height, duration)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [entry_id, media_type, filename, original_filename, file_size_mb, r2_key, thumbnail_r2_key, width, height, duration]);
+            UPDATE timeline_entries SET timeline_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND deleted_at IS NULL AND id IN (${placeholders})
+        `, [timelineId, userId, ...entryIds]);
+        return result.changes;
+    }
+
+    /**
+     * Move every entry of one timeline into another, including entries in the trash
+     * @returns {Promise<number>} Number of entries moved
+     */
+    async moveAllEntries(fromTimelineId, toTimelineId) {
+        const result = await this.run(
+            'UPDATE timeline_entries SET timeline_id = ?, updated_at = CURRENT_TIMESTAMP WHERE timeline_id = ?',
+            [toTimelineId, fromTimelineId]
+        );
+        return result.changes;
+    }
+
+    // MEMBER OPERATIONS
+
+    /**
+     * Get the people on a timeline: its owner first, then members by username
+     * @returns {Promise<Array<{user_id: number, username: string, role: string, created_at: string}>>}
+     */
+    async getTimelineMembers(timelineId) {
+        return await this.all(`
+            SELECT u.id AS user_id, u.username, 'owner' AS role, NULL AS invited_by, t.created_at, 0 AS position
+            FROM timelines t JOIN users u ON u.id = t.user_id
+            WHERE t.id = ?
+            UNION ALL
+            SELECT u.id, u.username, tm.role, tm.invited_by, tm.created_at, 1
+            FROM timeline_members tm JOIN users u ON u.id = tm.user_id
+            WHERE tm.timeline_id = ?
+            ORDER BY position, username COLLATE NOCASE
+        `, [timelineId, timelineId]);
+    }
+
+    /**
+     * Get a member of a timeline
+     */
+    async getTimelineMember(timelineId, userId) {
+        return await this.get(`
+            SELECT tm.user_id, u.username, tm.role, tm.invited_by, tm.created_at
+            FROM timeline_members tm JOIN users u ON u.id = tm.user_id
+            WHERE tm.timeline_id = ? AND tm.user_id = ?
+        `, [timelineId, userId]);
+    }
+
+    /**
+     * Add a member to a timeline, or change their role if they already are one
+     */
+    async addTimelineMember(timelineId, userId, role, invitedBy = null) {
+        await this.run(`
+            INSERT INTO timeline_members (timeline_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)
+            ON CONFLICT (timeline_id, user_id) DO UPDATE SET role = excluded.role
+        `, [timelineId, userId, role, invitedBy]);
+    }
+
+    /**
+     * Change a member's role
+     * @returns {Promise<boolean>} Whether the member existed
+     */
+    async updateTimelineMemberRole(timelineId, userId, role) {
+        const result = await this.run(
+            'UPDATE timeline_members SET role = ? WHERE timeline_id = ? AND user_id = ?',
+            [role, timelineId, userId]
+        );
+        return result.changes === 1;
+    }
+
+    /**
+     * Remove a member from a timeline. Entries they wrote stay in the timeline.
+     * @returns {Promise<boolean>} Whether the member existed
+     */
+    async removeTimelineMember(timelineId, userId) {
+        const result = await this.run(
+            'DELETE FROM timeline_members WHERE timeline_id = ? AND user_id = ?',
+            [timelineId, userId]
+        );
+        return result.changes === 1;
+    }
+
+    // INVITATION OPERATIONS
+
+    /**
+     * Shared SELECT for invitations, with the timeline's title and the inviter's and
+     * invitee's usernames
+     */
+    invitationSelect() {
+        return `
+            SELECT i.*, t.title AS timeline_title, inviter.username AS invited_by_username, invitee.username
+            FROM timeline_invitations i
+            JOIN timelines t ON t.id = i.timeline_id
+            LEFT JOIN users inviter ON inviter.id = i.invited_by
+            LEFT JOIN users invitee ON invitee.id = i.user_id
+        `;
+    }
 
+    /**
+     * Invite someone to a timeline, by account (user_id) or by email for people
+     * without an account yet
+     * @returns {Promise<number>} Invitation ID
+     */
+    async createInvitation(invitationData) {
+        const { timeline_id, invited_by, user_id = null, email = null, role } = invitationData;
+        const result = await this.run(
+            'INSERT INTO timeline_invitations (timeline_id, invited_by, user_id, email, role) VALUES (?, ?, ?, ?, ?)',
+            [timeline_id, invited_by, user_id, email, role]
+        );
         return result.id;
     }
 
     /**
-     * Get media attachment with entry info
+     * Get an invitation
      */
-    async getMediaAttachment(mediaId) {
+    async getInvitation(invitationId) {
+        return await this.get(`${this.invitationSelect()} WHERE i.id = ?`, [invitationId]);
+    }
+
+    /**
+     * Get a pending invitation to a timeline for an account or an email address
+     */
+    async getPendingInvitation(timelineId, { userId = null, email = null }) {
         return await this.get(`
-            SELECT ma.*, te.user_id as entry_user_id
-            FROM media_attachments ma
-            JOIN timeline_entries te ON ma.entry_id = te.id
-            WHERE ma.id = ?
-        `, [mediaId]);
+            ${this.invitationSelect()}
+            WHERE i.timeline_id = ? AND i.status = 'pending'
+                AND (i.user_id = ? OR lower(i.email) = lower(?))
+        `, [timelineId, userId, email]);
     }
 
     /**
-     * Delete media attachment
+     * Get the invitations to a timeline, newest first
      */
-    async deleteMediaAttachment(mediaId) {
-        await this.run('DELETE FROM media_attachments WHERE id = ?', [mediaId]);
+    async getTimelineInvitations(timelineId) {
+        return await this.all(`
+            ${this.invitationSelect()}
+            WHERE i.timeline_id = ?
+            ORDER BY i.created_at DESC, i.id DESC
+        `, [timelineId]);
     }
 
     /**
-     * Get user storage statistics
+     * Get the pending invitations for a user, by account or by their email address
      */
-    async getUserStorageStats(userId) {
-        const stats = await this.get(`
-            SELECT 
-                COUNT(*) as total_entries,
-                COUNT(CASE WHEN entry_type != 'text' THEN 1 END) as media_entries,
-                COALESCE(SUM(ma.file_size_mb), 0) as storage_used_mb
-            FROM timeline_entries te
-            LEFT JOIN media_attachments ma ON te.id = ma.entry_id
-            WHERE te.user_id = ?
-        `, [userId]);
+    async getInvitationsForUser(user) {
+        return await this.all(`
+            ${this.invitationSelect()}
+            WHERE i.status = 'pending' AND (i.user_id = ? OR lower(i.email) = lower(?))
+            ORDER BY i.created_at DESC, i.id DESC
+        `, [user.id, user.email]);
+    }
 
-        return stats;
+    /**
+     * Accept or decline a pending invitation
+     * @param {number} invitationId - Invitation ID
+     * @param {number} userId - Who responds; the invitation is tied to their account
+     * @param {string} status - 'accepted' or 'declined'
+     * @returns {Promise<boolean>} Whether the invitation was still pending
+     */
+    async respondToInvitation(invitationId, userId, status) {
+        const result = await this.run(`
+            UPDATE timeline_invitations SET status = ?, user_id = ?, responded_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [status, userId, invitationId]);
+        return result.changes === 1;
+    }
+
+    /**
+     * Delete an invitation of a timeline
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    async deleteInvitation(invitationId, timelineId) {
+        const result = await this.run(
+            'DELETE FROM timeline_invitations WHERE id = ? AND timeline_id = ?',
+            [invitationId, timelineId]
+        );
+        return result.changes === 1;
+    }
+
+    // TIMELINE OPERATIONS
+
+    /**
+     * Create timeline entry. `user_id` is the timeline's owner; `created_by` is the
+     * member who wrote it (defaults to the owner).
+     */
+    async createTimelineEntry(entryData) {
+        const { user_id, created_by = user_id, entry_date, entry_text, entry_type = 'text' } = entryData;
+        const timelineId = entryData.timeline_id || (await this.getDefaultTimeline(user_id)).id;
+        const result = await this.run(
+            'INSERT INTO timeline_entries (user_id, timeline_id, entry_date, entry_text, entry_type, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [user_id, timelineId, entry_date, entry_text, entry_type, created_by]
+        );
+        return result.id;
+    }
+
+    /**
+     * Get one page of a user's entries, ordered by (entry_date, created_at, id).
+     *
+     * Pages are keyset based: `after` continues towards older entries from a position,
+     * `before` towards newer ones. A position is {entry_date, created_at, id} of an entry.
+     * Without either, the first page starts at the newest entry, or the oldest for order 'oldest'.
+     * @param {number} userId - User ID
+     * @param {object} [options]
+     * @param {number} [options.timelineId] - Only entries of this timeline
+     * @param {string} [options.order] - 'newest' (default) or 'oldest' first
+     * @param {string} [options.from] - Earliest entry_date to include (YYYY-MM-DD)
+     * @param {string} [options.to] - Latest entry_date to include (YYYY-MM-DD)
+     * @param {Array<string>} [options.tags] - Only entries with these tags
+     * @param {string} [options.tagMode] - 'any' (default) or 'all' of the tags
+     * @param {number} [options.limit] - Page size
+     * @param {object} [options.after] - Return entries older than this position
+     * @param {object} [options.before] - Return entries newer than this position
+     * @returns {Promise<{entries: Array<object>, hasOlder: boolean, hasNewer: boolean}>}
+     */
+    async getTimelineEntries(userId, options = {}) {
+        const { from, to, after, before } = options;
+        const limit = options.limit || 50;
+
+        const filters = ['te.user_id = ?', 'te.deleted_at IS NULL'];
+        const filterParams = [userId];
+        if (options.timelineId) {
+            filters.push('te.timeline_id = ?');
+            filterParams.push(options.timelineId);
+        }
+        if (from) {
+            filters.push('te.entry_date >= ?');
+            filterParams.push(from);
+        }
+        if (to) {
+            filters.push('te.entry_date <= ?');
+            filterParams.push(to);
+        }
+        if (options.tags && options.tags.length > 0) {
+            const placeholders = options.tags.map(() => '?').join(', ');
+            const requireAll = options.tagMode === 'all';
+            filters.push(`te.id IN (
+                SELECT et.entry_id FROM entry_tags et
+                JOIN tags t ON t.id = et.tag_id
+                WHERE t.user_id = ? AND t.name IN (${placeholders})
+                ${requireAll ? 'GROUP BY et.entry_id HAVING COUNT(*) = ?' : ''}
+            )`);
+            filterParams.push(userId, ...options.tags);
+            if (requireAll) filterParams.push(options.tags.length);
+        }
+
+        const position = before || after;
+        const towardsNewer = Boolean(before) || (!position && options.order === 'oldest');
+        const where = [...filters];
+        const params = [...filterParams];
+        if (position) {
+            where.push(`(te.entry_date, te.created_at, te.id) ${towardsNewer ? '>' : '<'} (?, ?, ?)`);
+            params.push(position.entry_date, position.created_at, position.id);
+        }
+
+        // Fetch one extra row to learn whether another page follows
+        const direction = towardsNewer ? 'ASC' : 'DESC';
+        const rows = await this.all(`
+            SELECT te.* FROM timeline_entries te
+            WHERE ${where.join(' AND ')}
+            ORDER BY te.entry_date ${direction}, te.created_at ${direction}, te.id ${direction}
+            LIMIT ?
+        `, [...params, limit + 1]);
+
+        const hasMore = rows.length > limit;
+        const entries = rows.slice(0, limit);
+        if (towardsNewer) entries.reverse();
+
+        // The opposite direction only needs an existence check past the page edge
+        let hasOpposite = false;
+        if (entries.length > 0 && position) {
+            const edge = towardsNewer ? entries[entries.length - 1] : entries[0];
+            const row = await this.get(`
+                SELECT 1 AS found FROM timeline_entries te
+                WHERE ${filters.join(' AND ')}
+                    AND (te.entry_date, te.created_at, te.id) ${towardsNewer ? '<' : '>'} (?, ?, ?)
+                LIMIT 1
+            `, [...filterParams, edge.entry_date, edge.created_at, edge.id]);
+            hasOpposite = Boolean(row);
+        }
+
+        // Entries are newest first so far
+        if (options.order === 'oldest') entries.reverse();
+
+        await this.attachMediaSummaries(entries);
+        await this.attachTags(entries);
+        await this.attachCommentSummaries(entries);
+        return {
+            entries,
+            hasOlder: towardsNewer ? hasOpposite : hasMore,
+            hasNewer: towardsNewer ? hasMore : hasOpposite
+        };
+    }
+
+    /**
+     * Full-text search over a user's entries, best matches first
+     * @param {number} userId - User ID
+     * @param {string} ftsQuery - FTS5 MATCH expression (see src/search-query.js)
+     * @param {object} [options]
+     * @param {string} [options.from] - Earliest entry_date (YYYY-MM-DD)
+     * @param {string} [options.to] - Latest entry_date (YYYY-MM-DD)
+     * @param {string} [options.type] - Only entries of this entry_type
+     * @param {number} [options.timelineId] - Only entries of this timeline
+     * @param {number} [options.limit] - Page size
+     * @param {number} [options.offset] - Results to skip
+     * @returns {Promise<{entries: Array<object>, hasMore: boolean}>} Entries with `snippet` (matches wrapped
+     *   in \u0002 and \u0003) and `rank` (lower is better)
+     */
+    async searchTimelineEntries(userId, ftsQuery, options = {}) {
+        const { from, to, type, offset = 0 } = options;
+        const limit = options.limit || 20;
+
+        const where = ['timeline_entries_fts MATCH ?', 'te.user_id = ?', 'te.deleted_at IS NULL'];
+        const params = [ftsQuery, userId];
+        if (from) {
+            where.push('te.entry_date >= ?');
+            params.push(from);
+        }
+        if (to) {
+            where.push('te.entry_date <= ?');
+            params.push(to);
+        }
+        if (type) {
+            where.push('te.entry_type = ?');
+            params.push(type);
+        }
+        if (options.timelineId) {
+            where.push('te.timeline_id = ?');
+            params.push(options.timelineId);
+        }
+
+        const rows = await this.all(`
+            SELECT te.*,
+                snippet(timeline_entries_fts, 0, char(2), char(3), '…', 16) AS snippet,
+                bm25(timeline_entries_fts) AS rank
+            FROM timeline_entries_fts
+            JOIN timeline_entries te ON te.id = timeline_entries_fts.rowid
+            WHERE ${where.join(' AND ')}
+            ORDER BY rank, te.entry_date DESC, te.id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit + 1, offset]);
+
+        const entries = rows.slice(0, limit);
+        await this.attachMediaSummaries(entries);
+        await this.attachTags(entries);
+        await this.attachCommentSummaries(entries);
+        return { entries, hasMore: rows.length > limit };
+    }
+
+    /**
+     * Set a compact `media` list on each entry, using one query for all entries.
+     * Media deleted on its own (in the trash) and uploads still being processed are left out.
+     */
+    async attachMediaSummaries(entries) {
+        if (entries.length === 0) return entries;
+
+        const placeholders = entries.map(() => '?').join(', ');
+        const media = await this.all(`
+            SELECT id, entry_id, media_type, r2_key, thumbnail_r2_key, width, height, duration, captured_at
+            FROM media_attachments
+            WHERE entry_id IN (${placeholders}) AND deleted_at IS NULL AND upload_status = 'complete'
+            ORDER BY id
+        `, entries.map(entry => entry.id));
+
+        const variants = await this.getMediaVariantsForMedia(media.map(item => item.id));
+
+        const mediaByEntry = new Map();
+        for (const item of media) {
+            if (!mediaByEntry.has(item.entry_id)) mediaByEntry.set(item.entry_id, []);
+            mediaByEntry.get(item.entry_id).push({
+                id: item.id,
+                type: item.media_type,
+                key: item.r2_key,
+                thumbnail_key: item.thumbnail_r2_key,
+                width: item.width,
+                height: item.height,
+                duration: item.duration,
+                captured_at: item.captured_at,
+                variants: (variants.get(item.id) || []).map(v => ({
+                    name: v.variant_name,
+                    format: v.format,
+                    key: v.r2_key,
+                    width: v.width,
+                    height: v.height
+                }))
+            });
+        }
+
+        for (const entry of entries) {
+            entry.media = mediaByEntry.get(entry.id) || [];
+        }
+        return entries;
+    }
+
+    /**
+     * Get single timeline entry with the user's `role` in its timeline, and who created and
+     * last edited it (null if it doesn't exist, is in the trash, or the user is neither its
+     * owner nor a member of its timeline)
+     */
+    async getTimelineEntry(entryId, userId) {
+        const entry = await this.get(`
+            SELECT te.*, creator.username AS created_by_username, editor.username AS updated_by_username,
+                CASE WHEN te.user_id = ? THEN 'owner' ELSE tm.role END AS role
+            FROM timeline_entries te
+            LEFT JOIN timeline_members tm ON tm.timeline_id = te.timeline_id AND tm.user_id = ?
+            LEFT JOIN users creator ON creator.id = te.created_by
+            LEFT JOIN users editor ON editor.id = te.updated_by
+            WHERE te.id = ? AND (te.user_id = ? OR tm.id IS NOT NULL) AND te.deleted_at IS NULL
+        `, [userId, userId, entryId, userId]);
+
+        if (!entry) return null;
+
+        // Get media attachments
+        const media = await this.all(
+            'SELECT * FROM media_attachments WHERE entry_id = ? AND deleted_at IS NULL',
+            [entryId]
+        );
+
+        const [withTags] = await this.attachTags([{ ...entry, media }]);
+        await this.attachCommentSummaries([withTags]);
+        return withTags;
+    }
+
+    /**
+     * Update timeline entry. When the date or text changes, the previous version is
+     * saved as a revision. Callers check the editor may change the entry.
+     * @param {number} entryId - Entry ID
+     * @param {Object} updates - entry_date, entry_text and optional timeline_id
+     * @param {Object} options
+     * @param {number} options.editedBy - User making the edit, recorded as updated_by
+     * @param {number} [options.keepRevisions=-1] - Revisions to keep per entry, -1 for all
+     * @returns {Promise<boolean>} Whether the entry existed
+     */
+    async updateTimelineEntry(entryId, updates, { editedBy, keepRevisions = -1 }) {
+        const { entry_date, entry_text, timeline_id = null } = updates;
+
+        return await this.transaction(async () => {
+            const current = await this.get(
+                'SELECT entry_date, entry_text FROM timeline_entries WHERE id = ? AND deleted_at IS NULL',
+                [entryId]
+            );
+            if (!current) return false;
+
+            if (current.entry_date !== entry_date || current.entry_text !== entry_text) {
+                await this.createEntryRevision(entryId, current, editedBy);
+                if (keepRevisions >= 0) {
+                    await this.pruneEntryRevisions(entryId, keepRevisions);
+                }
+            }
+
+            await this.run(`
+                UPDATE timeline_entries 
+                SET entry_date = ?, entry_text = ?, timeline_id = COALESCE(?, timeline_id),
+                    updated_by = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [entry_date, entry_text, timeline_id, editedBy, entryId]);
+            return true;
+        });
+    }
+
+    /**
+     * Permanently delete a timeline entry. Its media rows cascade away, so purge
+     * their stored files first (see TrashService).
+     * @returns {Promise<boolean>} Whether the entry existed
+     */
+    async deleteTimelineEntry(entryId) {
+        const result = await this.run('DELETE FROM timeline_entries WHERE id = ?', [entryId]);
+        return result.changes === 1;
+    }
+
+    // TRASH OPERATIONS
+
+    /**
+     * Move an entry to the trash of its owner. Its media goes with it and comes back when
+     * it is restored. Callers check the user may delete the entry.
+     * @returns {Promise<boolean>} Whether a live entry was trashed
+     */
+    async trashTimelineEntry(entryId) {
+        const result = await this.run(
+            'UPDATE timeline_entries SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+            [entryId]
+        );
+        return result.changes === 1;
+    }
+
+    /**
+     * Move every live entry of a timeline to the trash
+     * @returns {Promise<number>} Number of entries trashed
+     */
+    async trashTimelineEntries(timelineId) {
+        const result = await this.run(
+            'UPDATE timeline_entries SET deleted_at = CURRENT_TIMESTAMP WHERE timeline_id = ? AND deleted_at IS NULL',
+            [timelineId]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Take an entry out of the trash
+     * @returns {Promise<boolean>} Whether a trashed entry was restored
+     */
+    async restoreTimelineEntry(entryId, userId) {
+        const result = await this.run(
+            'UPDATE timeline_entries SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+            [entryId, userId]
+        );
+        return result.changes === 1;
+    }
+
+    /**
+     * Move a media attachment to the trash
+     */
+    async trashMediaAttachment(mediaId) {
+        await this.run('UPDATE media_attachments SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL', [mediaId]);
+    }
+
+    /**
+     * Take a media attachment out of the trash
+     */
+    async restoreMediaAttachment(mediaId) {
+        await this.run('UPDATE media_attachments SET deleted_at = NULL WHERE id = ?', [mediaId]);
+    }
+
+    /**
+     * A user's trashed entries, most recently deleted first, with the media that comes back on restore
+     */
+    async getTrashedEntries(userId) {
+        const entries = await this.all(`
+            SELECT * FROM timeline_entries
+            WHERE user_id = ? AND deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC, id DESC
+        `, [userId]);
+        await this.attachMediaSummaries(entries);
+        await this.attachTags(entries);
+        return entries;
+    }
+
+    /**
+     * A trashed entry of a user
+     */
+    async getTrashedEntry(entryId, userId) {
+        return await this.get(
+            'SELECT * FROM timeline_entries WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL',
+            [entryId, userId]
+        );
+    }
+
+    /**
+     * Media a user deleted on its own, from entries that are not in the trash themselves
+     */
+    async getTrashedMedia(userId) {
+        return await this.all(`
+            SELECT ma.*, te.user_id AS entry_user_id
+            FROM media_attachments ma
+            JOIN timeline_entries te ON ma.entry_id = te.id
+            WHERE te.user_id = ? AND ma.deleted_at IS NOT NULL AND te.deleted_at IS NULL
+            ORDER BY ma.deleted_at DESC, ma.id DESC
+        `, [userId]);
+    }
+
+    /**
+     * A trashed media attachment of a user, with `entry_deleted_at` set if its entry is trashed too
+     */
+    async getTrashedMediaAttachment(mediaId, userId) {
+        return await this.get(`
+            SELECT ma.*, te.user_id AS entry_user_id, te.timeline_id AS entry_timeline_id, te.deleted_at AS entry_deleted_at
+            FROM media_attachments ma
+            JOIN timeline_entries te ON ma.entry_id = te.id
+            WHERE ma.id = ? AND te.user_id = ? AND ma.deleted_at IS NOT NULL
+        `, [mediaId, userId]);
+    }
+
+    /**
+     * Trash that was deleted at or before a time
+     * @param {string} cutoff - 'YYYY-MM-DD HH:MM:SS' (UTC, like CURRENT_TIMESTAMP)
+     * @param {number} [userId] - Only this user's trash
+     * @returns {Promise<{entries: Array<object>, media: Array<object>}>} Entry rows, and trashed media
+     *   rows (with entry_user_id) whose entries are not in the trash
+     */
+    async getExpiredTrash(cutoff, userId = null) {
+        const userFilter = userId === null ? '' : 'AND te.user_id = ?';
+        const userParams = userId === null ? [] : [userId];
+
+        const entries = await this.all(`
+            SELECT te.* FROM timeline_entries te
+            WHERE te.deleted_at IS NOT NULL AND te.deleted_at <= ? ${userFilter}
+        `, [cutoff, ...userParams]);
+        const media = await this.all(`
+            SELECT ma.*, te.user_id AS entry_user_id
+            FROM media_attachments ma
+            JOIN timeline_entries te ON ma.entry_id = te.id
+            WHERE ma.deleted_at IS NOT NULL AND ma.deleted_at <= ? AND te.deleted_at IS NULL ${userFilter}
+        `, [cutoff, ...userParams]);
+        return { entries, media };
+    }
+
+    /**
+     * Every media row of an entry, trashed or not
+     */
+    async getEntryMediaAttachments(entryId) {
+        return await this.all(`
+            SELECT ma.*, te.user_id AS entry_user_id
+            FROM media_attachments ma
+            JOIN timeline_entries te ON ma.entry_id = te.id
+            WHERE ma.entry_id = ?
+        `, [entryId]);
+    }
+
+    // REVISION OPERATIONS
+
+    /**
+     * Save a version of an entry as its next revision
+     * @param {number} entryId - Entry ID
+     * @param {{entry_date: string, entry_text: string|null}} version - Date and text being replaced
+     * @param {number} editedBy - User whose edit replaced it
+     * @returns {Promise<number>} Revision number
+     */
+    async createEntryRevision(entryId, version, editedBy) {
+        return await this.transaction(async () => {
+            const { next } = await this.get(
+                'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM entry_revisions WHERE entry_id = ?',
+                [entryId]
+            );
+            await this.run(
+                'INSERT INTO entry_revisions (entry_id, revision, entry_date, entry_text, edited_by) VALUES (?, ?, ?, ?, ?)',
+                [entryId, next, version.entry_date, version.entry_text, editedBy]
+            );
+            return next;
+        });
+    }
+
+    /**
+     * Get an entry's revisions, newest first
+     * @param {number} entryId - Entry ID
+     * @returns {Promise<Array>}
+     */
+    async getEntryRevisions(entryId) {
+        return await this.all(`
+            SELECT r.revision, r.entry_date, r.entry_text, r.edited_by, u.username AS edited_by_username, r.created_at
+            FROM entry_revisions r
+            LEFT JOIN users u ON u.id = r.edited_by
+            WHERE r.entry_id = ?
+            ORDER BY r.revision DESC
+        `, [entryId]);
+    }
+
+    /**
+     * Get one revision of an entry
+     * @param {number} entryId - Entry ID
+     * @param {number} revision - Revision number
+     * @returns {Promise<Object|undefined>}
+     */
+    async getEntryRevision(entryId, revision) {
+        return await this.get(`
+            SELECT r.revision, r.entry_date, r.entry_text, r.edited_by, u.username AS edited_by_username, r.created_at
+            FROM entry_revisions r
+            LEFT JOIN users u ON u.id = r.edited_by
+            WHERE r.entry_id = ? AND r.revision = ?
+        `, [entryId, revision]);
+    }
+
+    /**
+     * Delete all but the newest revisions of an entry
+     * @param {number} entryId - Entry ID
+     * @param {number} keep - How many to keep
+     * @returns {Promise<number>} Revisions deleted
+     */
+    async pruneEntryRevisions(entryId, keep) {
+        const result = await this.run(`
+            DELETE FROM entry_revisions
+            WHERE entry_id = ? AND revision NOT IN (
+                SELECT revision FROM entry_revisions WHERE entry_id = ? ORDER BY revision DESC LIMIT ?
+            )
+        `, [entryId, entryId, keep]);
+        return result.changes;
+    }
+
+    // COMMENT OPERATIONS
+
+    /**
+     * Set `comment_count` (comments everyone can see), `reactions` ([{emoji, count}], most
+     * used first) and `comments_enabled` on each entry, using one query for each
+     */
+    async attachCommentSummaries(entries) {
+        if (entries.length === 0) return entries;
+
+        const ids = entries.map(entry => entry.id);
+        const placeholders = ids.map(() => '?').join(', ');
+        const comments = await this.all(`
+            SELECT entry_id, COUNT(*) AS count FROM entry_comments
+            WHERE entry_id IN (${placeholders}) AND hidden_at IS NULL AND deleted_at IS NULL
+            GROUP BY entry_id
+        `, ids);
+        const reactions = await this.all(`
+            SELECT entry_id, emoji, COUNT(*) AS count FROM entry_reactions
+            WHERE entry_id IN (${placeholders})
+            GROUP BY entry_id, emoji
+            ORDER BY count DESC, MIN(id)
+        `, ids);
+
+        const commentCounts = new Map(comments.map(row => [row.entry_id, row.count]));
+        const reactionsByEntry = new Map();
+        for (const row of reactions) {
+            if (!reactionsByEntry.has(row.entry_id)) reactionsByEntry.set(row.entry_id, []);
+            reactionsByEntry.get(row.entry_id).push({ emoji: row.emoji, count: row.count });
+        }
+
+        for (const entry of entries) {
+            entry.comments_enabled = Boolean(entry.comments_enabled);
+            entry.comment_count = commentCounts.get(entry.id) || 0;
+            entry.reactions = reactionsByEntry.get(entry.id) || [];
+        }
+        return entries;
+    }
+
+    /**
+     * Get all comments of an entry, oldest first, with their authors' usernames.
+     * Hidden and deleted comments are included; callers decide who sees them.
+     */
+    async getEntryComments(entryId) {
+        return await this.all(`
+            SELECT c.*, u.username FROM entry_comments c
+            LEFT JOIN users u ON u.id = c.user_id
+            WHERE c.entry_id = ?
+            ORDER BY c.created_at, c.id
+        `, [entryId]);
+    }
+
+    /**
+     * Get a comment of an entry
+     */
+    async getComment(commentId, entryId) {
+        return await this.get(`
+            SELECT c.*, u.username FROM entry_comments c
+            LEFT JOIN users u ON u.id = c.user_id
+            WHERE c.id = ? AND c.entry_id = ?
+        `, [commentId, entryId]);
+    }
+
+    /**
+     * Add a comment to an entry, optionally as a reply to another comment
+     * @returns {Promise<number>} Comment ID
+     */
+    async createComment(commentData) {
+        const { entry_id, user_id, parent_id = null, body } = commentData;
+        const result = await this.run(
+            'INSERT INTO entry_comments (entry_id, user_id, parent_id, body) VALUES (?, ?, ?, ?)',
+            [entry_id, user_id, parent_id, body]
+        );
+        return result.id;
+    }
+
+    /**
+     * Change the text of a comment
+     */
+    async updateComment(commentId, body) {
+        await this.run(
+            'UPDATE entry_comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+            [body, commentId]
+        );
+    }
+
+    /**
+     * Hide a comment from everyone but its author and the entry's moderators, or show it again
+     * @param {number} commentId - Comment ID
+     * @param {number|null} hiddenBy - Moderator hiding it, or null to show it again
+     */
+    async setCommentHidden(commentId, hiddenBy) {
+        await this.run(`
+            UPDATE entry_comments
+            SET hidden_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, hidden_by = ?
+            WHERE id = ?
+        `, [hiddenBy, hiddenBy, commentId]);
+    }
+
+    /**
+     * Delete a comment. A comment with replies is blanked and kept so the thread holds
+     * together; it goes away with its last reply.
+     */
+    async deleteComment(commentId) {
+        await this.transaction(async () => {
+            let comment = await this.get('SELECT id, parent_id FROM entry_comments WHERE id = ?', [commentId]);
+            const { replies } = await this.get('SELECT COUNT(*) AS replies FROM entry_comments WHERE parent_id = ?', [commentId]);
+            if (replies > 0) {
+                await this.run(
+                    "UPDATE entry_comments SET body = '', deleted_at = CURRENT_TIMESTAMP WHERE id = ?",
+                    [commentId]
+                );
+                return;
+            }
+
+            await this.run('DELETE FROM entry_comments WHERE id = ?', [commentId]);
+
+            // Remove deleted ancestors left without replies
+            while (comment && comment.parent_id) {
+                const parent = await this.get(`
+                    SELECT id, parent_id FROM entry_comments p
+                    WHERE id = ? AND deleted_at IS NOT NULL
+                        AND NOT EXISTS (SELECT 1 FROM entry_comments c WHERE c.parent_id = p.id)
+                `, [comment.parent_id]);
+                if (parent) {
+                    await this.run('DELETE FROM entry_comments WHERE id = ?', [parent.id]);
+                }
+                comment = parent;
+            }
+        });
+    }
+
+    /**
+     * Turn comments on an entry on or off. Existing comments stay.
+     */
+    async setEntryCommentsEnabled(entryId, enabled) {
+        await this.run('UPDATE timeline_entries SET comments_enabled = ? WHERE id = ?', [enabled ? 1 : 0, entryId]);
+    }
+
+    // REACTION OPERATIONS
+
+    /**
+     * Get the reactions to an entry with who reacted, oldest first
+     */
+    async getEntryReactions(entryId) {
+        return await this.all(`
+            SELECT r.emoji, r.user_id, u.username, r.created_at FROM entry_reactions r
+            JOIN users u ON u.id = r.user_id
+            WHERE r.entry_id = ?
+            ORDER BY r.id
+        `, [entryId]);
+    }
+
+    /**
+     * React to an entry (reacting twice with the same emoji changes nothing)
+     */
+    async addReaction(entryId, userId, emoji) {
+        await this.run(
+            'INSERT OR IGNORE INTO entry_reactions (entry_id, user_id, emoji) VALUES (?, ?, ?)',
+            [entryId, userId, emoji]
+        );
+    }
+
+    /**
+     * Take back a reaction
+     * @returns {Promise<boolean>} Whether the user had reacted with the emoji
+     */
+    async removeReaction(entryId, userId, emoji) {
+        const result = await this.run(
+            'DELETE FROM entry_reactions WHERE entry_id = ? AND user_id = ? AND emoji = ?',
+            [entryId, userId, emoji]
+        );
+        return result.changes === 1;
+    }
+
+    // TAG OPERATIONS
+
+    /**
+     * Replace the tags of an entry, creating tags that don't exist yet
+     * @param {number} entryId - Entry ID
+     * @param {number} userId - Owner of the entry and tags
+     * @param {Array<string>} names - Normalized tag names (see src/tags.js)
+     */
+    async setEntryTags(entryId, userId, names) {
+        await this.transaction(async () => {
+            await this.run('DELETE FROM entry_tags WHERE entry_id = ?', [entryId]);
+            if (names.length === 0) return;
+
+            for (const name of names) {
+                await this.run('INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)', [userId, name]);
+            }
+            const placeholders = names.map(() => '?').join(', ');
+            await this.run(`
+                INSERT INTO entry_tags (entry_id, tag_id)
+                SELECT ?, id FROM tags WHERE user_id = ? AND name IN (${placeholders})
+            `, [entryId, userId, ...names]);
+        });
+    }
+
+    /**
+     * Set `tags` (sorted names) on each entry, using one query for all entries
+     */
+    async attachTags(entries) {
+        if (entries.length === 0) return entries;
+
+        const placeholders = entries.map(() => '?').join(', ');
+        const rows = await this.all(`
+            SELECT et.entry_id, t.name FROM entry_tags et
+            JOIN tags t ON t.id = et.tag_id
+            WHERE et.entry_id IN (${placeholders})
+            ORDER BY t.name COLLATE NOCASE
+        `, entries.map(entry => entry.id));
+
+        const tagsByEntry = new Map();
+        for (const row of rows) {
+            if (!tagsByEntry.has(row.entry_id)) tagsByEntry.set(row.entry_id, []);
+            tagsByEntry.get(row.entry_id).push(row.name);
+        }
+        for (const entry of entries) {
+            entry.tags = tagsByEntry.get(entry.id) || [];
+        }
+        return entries;
+    }
+
+    /**
+     * Get a user's tags with the number of entries using each
+     */
+    async getTags(userId) {
+        return await this.all(`
+            SELECT t.id, t.name, COUNT(te.id) AS entry_count
+            FROM tags t
+            LEFT JOIN entry_tags et ON et.tag_id = t.id
+            LEFT JOIN timeline_entries te ON te.id = et.entry_id AND te.deleted_at IS NULL
+            WHERE t.user_id = ?
+            GROUP BY t.id
+            ORDER BY t.name COLLATE NOCASE
+        `, [userId]);
+    }
+
+    /**
+     * Get a tag with its entry count
+     */
+    async getTag(tagId, userId) {
+        return await this.get(`
+            SELECT t.id, t.name, COUNT(te.id) AS entry_count
+            FROM tags t
+            LEFT JOIN entry_tags et ON et.tag_id = t.id
+            LEFT JOIN timeline_entries te ON te.id = et.entry_id AND te.deleted_at IS NULL
+            WHERE t.id = ? AND t.user_id = ?
+            GROUP BY t.id
+        `, [tagId, userId]);
+    }
+
+    /**
+     * Rename a tag. If the user already has a tag with the new name, the two are merged:
+     * entries of this tag move to the existing one and this tag is removed.
+     * @returns {Promise<{tagId: number, merged: boolean}|null>} The resulting tag, or null if the tag doesn't exist
+     */
+    async renameTag(tagId, userId, newName) {
+        return await this.transaction(async () => {
+            const tag = await this.get('SELECT id FROM tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+            if (!tag) return null;
+
+            const target = await this.get(
+                'SELECT id FROM tags WHERE user_id = ? AND name = ? AND id != ?',
+                [userId, newName, tagId]
+            );
+            if (!target) {
+                await this.run('UPDATE tags SET name = ? WHERE id = ?', [newName, tagId]);
+                return { tagId, merged: false };
+            }
+
+            await this.run(`
+                INSERT OR IGNORE INTO entry_tags (entry_id, tag_id)
+                SELECT entry_id, ? FROM entry_tags WHERE tag_id = ?
+            `, [target.id, tagId]);
+            await this.run('DELETE FROM tags WHERE id = ?', [tagId]);
+            return { tagId: target.id, merged: true };
+        });
+    }
+
+    /**
+     * Delete a tag, removing it from every entry
+     * @returns {Promise<boolean>} Whether the tag existed
+     */
+    async deleteTag(tagId, userId) {
+        const result = await this.run('DELETE FROM tags WHERE id = ? AND user_id = ?', [tagId, userId]);
+        return result.changes === 1;
+    }
+
+    // MEDIA OPERATIONS
+
+    /**
+     * Create media attachment
+     */
+    async createMediaAttachment(mediaData) {
+        const {
+            entry_id, media_type, filename, original_filename, file_size_mb,
+            r2_key, thumbnail_r2_key, width, height, duration, codec,
+            captured_at, location_lat, location_lon, upload_status = 'complete'
+        } = mediaData;
+
+        const result = await this.run(`
+            INSERT INTO media_attachments 
+            (entry_id, media_type, filename, original_filename, file_size_mb, r2_key, thumbnail_r2_key, width, height, duration, codec,
+             captured_at, location_lat, location_lon, upload_status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [entry_id, media_type, filename, original_filename, file_size_mb, r2_key, thumbnail_r2_key, width, height, duration, codec,
+            captured_at, location_lat, location_lon, upload_status]);
+
+        return result.id;
+    }
+
+    /**
+     * A media attachment being processed, with entry info, whether or not it is in the trash
+     */
+    async getMediaUpload(mediaId) {
+        return await this.get(`
+            SELECT ma.*, te.user_id AS entry_user_id, te.timeline_id AS entry_timeline_id
+            FROM media_attachments ma
+            JOIN timeline_entries te ON ma.entry_id = te.id
+            WHERE ma.id = ?
+        `, [mediaId]);
+    }
+
+    /**
+     * Set whether an upload is waiting ('pending') or being processed ('processing')
+     */
+    async setMediaUploadStatus(mediaId, status) {
+        await this.run(
+            "UPDATE media_attachments SET upload_status = ? WHERE id = ? AND upload_status IN ('pending', 'processing')",
+            [status, mediaId]
+        );
+    }
+
+    /**
+     * Record the files and details of a processed upload and mark it complete
+     * @param {number} mediaId - Media attachment ID
+     * @param {object} details - filename, file_size_mb, r2_key, thumbnail_r2_key, width, height,
+     *   duration, codec, captured_at, location_lat and location_lon
+     * @returns {Promise<boolean>} Whether the attachment still existed
+     */
+    async markMediaComplete(mediaId, details) {
+        const {
+            filename, file_size_mb, r2_key, thumbnail_r2_key, width, height, duration, codec,
+            captured_at, location_lat, location_lon
+        } = details;
+
+        const result = await this.run(`
+            UPDATE media_attachments SET filename = ?, file_size_mb = ?, r2_key = ?, thumbnail_r2_key = ?,
+                width = ?, height = ?, duration = ?, codec = ?, captured_at = ?, location_lat = ?, location_lon = ?,
+                upload_status = 'complete', processing_error = NULL
+            WHERE id = ?
+        `, [filename, file_size_mb, r2_key, thumbnail_r2_key, width, height, duration, codec,
+            captured_at, location_lat, location_lon, mediaId]);
+        return result.changes === 1;
+    }
+
+    /**
+     * Record why an upload couldn't be processed. Its files are gone, so it no longer uses storage.
+     */
+    async markMediaFailed(mediaId, message) {
+        await this.run(
+            "UPDATE media_attachments SET upload_status = 'failed', processing_error = ?, file_size_mb = 0 WHERE id = ?",
+            [message, mediaId]
+        );
+    }
+
+    /**
+     * Record the stored variants of a media attachment
+     */
+    async createMediaVariants(mediaId, variants) {
+        for (const variant of variants) {
+            const { variant_name, format, r2_key, width, height, file_size_mb } = variant;
+            await this.run(`
+                INSERT INTO media_variants (media_id, variant_name, format, r2_key, width, height, file_size_mb)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [mediaId, variant_name, format, r2_key, width, height, file_size_mb]);
+        }
+    }
+
+    /**
+     * Get variants of a media attachment, smallest first
+     */
+    async getMediaVariants(mediaId) {
+        return await this.all(
+            'SELECT * FROM media_variants WHERE media_id = ? ORDER BY width, format',
+            [mediaId]
+        );
+    }
+
+    /**
+     * Get variants for several media attachments in one query
+     * @returns {Promise<Map<number, Array<object>>>} Variants keyed by media ID
+     */
+    async getMediaVariantsForMedia(mediaIds) {
+        const byMedia = new Map();
+        if (mediaIds.length === 0) return byMedia;
+
+        const placeholders = mediaIds.map(() => '?').join(', ');
+        const rows = await this.all(`
+            SELECT * FROM media_variants
+            WHERE media_id IN (${placeholders})
+            ORDER BY width, format
+        `, mediaIds);
+
+        for (const row of rows) {
+            if (!byMedia.has(row.media_id)) byMedia.set(row.media_id, []);
+            byMedia.get(row.media_id).push(row);
+        }
+        return byMedia;
+    }
+
+    /**
+     * Get media attachment with entry info (undefined if it or its entry is in the trash)
+     */
+    async getMediaAttachment(mediaId) {
+        return await this.get(`
+            SELECT ma.*, te.user_id as entry_user_id, te.timeline_id AS entry_timeline_id
+            FROM media_attachments ma
+            JOIN timeline_entries te ON ma.entry_id = te.id
+            WHERE ma.id = ? AND ma.deleted_at IS NULL AND te.deleted_at IS NULL
+        `, [mediaId]);
+    }
+
+    /**
+     * Delete media attachment
+     */
+    async deleteMediaAttachment(mediaId) {
+        await this.run('DELETE FROM media_attachments WHERE id = ?', [mediaId]);
+    }
+
+    /**
+     * Get user storage statistics. Entry counts leave out the trash; media counts include
+     * it, since trashed files are stored until they are purged.
+     */
+    async getUserStorageStats(userId) {
+        const stats = await this.get(`
+            SELECT 
+                COUNT(DISTINCT CASE WHEN te.deleted_at IS NULL THEN te.id END) as total_entries,
+                COUNT(DISTINCT CASE WHEN te.entry_type != 'text' AND te.deleted_at IS NULL THEN te.id END) as media_entries,
+                COUNT(ma.id) as media_files,
+                COALESCE(SUM(ma.file_size_mb), 0) as storage_used_mb,
+                COALESCE(SUM(CASE WHEN te.deleted_at IS NOT NULL OR ma.deleted_at IS NOT NULL THEN ma.file_size_mb END), 0) as trash_storage_mb
+            FROM timeline_entries te
+            LEFT JOIN media_attachments ma ON te.id = ma.entry_id
+            WHERE te.user_id = ?
+        `, [userId]);
+
+        return stats;
+    }
+
+    // EXPORT OPERATIONS
+
+    /**
+     * Queue an archive export
+     * @returns {Promise<number>} Export ID
+     */
+    async createExport(exportData) {
+        const { user_id, include_html = false } = exportData;
+        const result = await this.run(
+            'INSERT INTO exports (user_id, include_html) VALUES (?, ?)',
+            [user_id, include_html ? 1 : 0]
+        );
+        return result.id;
+    }
+
+    /**
+     * Get an export of a user
+     */
+    async getExport(exportId, userId) {
+        return await this.get('SELECT * FROM exports WHERE id = ? AND user_id = ?', [exportId, userId]);
+    }
+
+    /**
+     * Get a user's exports, newest first
+     */
+    async getExports(userId) {
+        return await this.all('SELECT * FROM exports WHERE user_id = ? ORDER BY created_at DESC, id DESC', [userId]);
+    }
+
+    /**
+     * Exports that haven't finished, oldest first. Ones left processing by a restart are included.
+     */
+    async getPendingExports() {
+        return await this.all("SELECT * FROM exports WHERE status IN ('pending', 'processing') ORDER BY id");
+    }
+
+    /**
+     * Finished exports whose download has expired
+     */
+    async getExpiredExports() {
+        return await this.all("SELECT * FROM exports WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')");
+    }
+
+    /**
+     * Mark an export as being built
+     */
+    async markExportProcessing(exportId) {
+        await this.run("UPDATE exports SET status = 'processing', error = NULL WHERE id = ?", [exportId]);
+    }
+
+    /**
+     * Record a finished archive, downloadable for a number of days
+     */
+    async markExportComplete(exportId, filePath, sizeBytes, retentionDays) {
+        await this.run(`
+            UPDATE exports SET status = 'complete', file_path = ?, size_bytes = ?,
+                completed_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+            WHERE id = ?
+        `, [filePath, sizeBytes, `+${retentionDays} days`, exportId]);
+    }
+
+    /**
+     * Record why an export failed. The record is kept as long as a finished archive would be.
+     */
+    async markExportFailed(exportId, message, retentionDays) {
+        await this.run(`
+            UPDATE exports SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+            WHERE id = ?
+        `, [message, `+${retentionDays} days`, exportId]);
+    }
+
+    /**
+     * Delete an export record
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    async deleteExport(exportId) {
+        const result = await this.run('DELETE FROM exports WHERE id = ?', [exportId]);
+        return result.changes === 1;
+    }
+
+    /**
+     * Everything that goes into a user's archive: account details, timelines, tags, and
+     * entries (with tags and revisions) and media outside the trash
+     * @returns {Promise<{user: object, timelines: Array, tags: Array, entries: Array, media: Array}>}
+     */
+    async getExportData(userId) {
+        const user = await this.get(
+            'SELECT id, username, email, tier, created_at FROM users WHERE id = ?',
+            [userId]
+        );
+        const timelines = await this.all(`
+            SELECT id, title, description, cover_media_id, sort_order, is_default, created_at, updated_at
+            FROM timelines WHERE user_id = ?
+            ORDER BY is_default DESC, id
+        `, [userId]);
+        const tags = await this.all(
+            'SELECT id, name, created_at FROM tags WHERE user_id = ? ORDER BY name COLLATE NOCASE',
+            [userId]
+        );
+        const entries = await this.all(`
+            SELECT id, timeline_id, entry_date, entry_text, entry_type, created_at, updated_at
+            FROM timeline_entries
+            WHERE user_id = ? AND deleted_at IS NULL
+            ORDER BY entry_date, created_at, id
+        `, [userId]);
+        await this.attachTags(entries);
+
+        const revisions = await this.all(`
+            SELECT r.entry_id, r.revision, r.entry_date, r.entry_text, r.edited_by, r.created_at
+            FROM entry_revisions r
+            JOIN timeline_entries te ON te.id = r.entry_id
+            WHERE te.user_id = ? AND te.deleted_at IS NULL
+            ORDER BY r.entry_id, r.revision
+        `, [userId]);
+        const revisionsByEntry = new Map();
+        for (const { entry_id, ...revision } of revisions) {
+            if (!revisionsByEntry.has(entry_id)) revisionsByEntry.set(entry_id, []);
+            revisionsByEntry.get(entry_id).push(revision);
+        }
+        for (const entry of entries) {
+            entry.revisions = revisionsByEntry.get(entry.id) || [];
+        }
+
+        const media = await this.all(`
+            SELECT ma.* FROM media_attachments ma
+            JOIN timeline_entries te ON te.id = ma.entry_id
+            WHERE te.user_id = ? AND te.deleted_at IS NULL AND ma.deleted_at IS NULL AND ma.upload_status = 'complete'
+            ORDER BY ma.id
+        `, [userId]);
+
+        return { user, timelines, tags, entries, media };
+    }
+
+    // UPLOAD SESSION OPERATIONS
+
+    /**
+     * Start a resumable upload
+     * @returns {Promise<number>} Session ID
+     */
+    async createUploadSession(sessionData) {
+        const {
+            user_id, owner_id, entry_id = null, timeline_id = null, entry_text = null, include_location = false,
+            filename, mime_type, media_type, size_bytes, chunk_size, storage_key, storage_upload_id, expires_in_hours
+        } = sessionData;
+
+        const result = await this.run(`
+            INSERT INTO upload_sessions (user_id, owner_id, entry_id, timeline_id, entry_text, include_location,
+                filename, mime_type, media_type, size_bytes, chunk_size, storage_key, storage_upload_id, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+        `, [user_id, owner_id, entry_id, timeline_id, entry_text, include_location ? 1 : 0,
+            filename, mime_type, media_type, size_bytes, chunk_size, storage_key, storage_upload_id, `+${expires_in_hours} hours`]);
+        return result.id;
+    }
+
+    /**
+     * Get a user's upload session, with its `parts` parsed (undefined once it has expired)
+     */
+    async getUploadSession(sessionId, userId) {
+        const session = await this.get(
+            "SELECT * FROM upload_sessions WHERE id = ? AND user_id = ? AND expires_at > datetime('now')",
+            [sessionId, userId]
+        );
+        return session && { ...session, parts: JSON.parse(session.parts) };
+    }
+
+    /**
+     * A user's unexpired upload sessions, newest first
+     */
+    async getUploadSessions(userId) {
+        const sessions = await this.all(
+            "SELECT * FROM upload_sessions WHERE user_id = ? AND expires_at > datetime('now') ORDER BY id DESC",
+            [userId]
+        );
+        return sessions.map(session => ({ ...session, parts: JSON.parse(session.parts) }));
+    }
+
+    /**
+     * Record a chunk, if the session is still at the offset the chunk was written at,
+     * and keep the session for another `expiresInHours`
+     * @returns {Promise<boolean>} Whether it was recorded (false if another chunk got there first)
+     */
+    async recordUploadChunk(sessionId, fromOffset, toOffset, parts, expiresInHours) {
+        const result = await this.run(`
+            UPDATE upload_sessions SET offset_bytes = ?, parts = ?, updated_at = CURRENT_TIMESTAMP,
+                expires_at = datetime('now', ?)
+            WHERE id = ? AND offset_bytes = ?
+        `, [toOffset, JSON.stringify(parts), `+${expiresInHours} hours`, sessionId, fromOffset]);
+        return result.changes === 1;
+    }
+
+    /**
+     * Sessions that have expired, with their `parts` parsed
+     */
+    async getExpiredUploadSessions() {
+        const sessions = await this.all("SELECT * FROM upload_sessions WHERE expires_at <= datetime('now')");
+        return sessions.map(session => ({ ...session, parts: JSON.parse(session.parts) }));
+    }
+
+    /**
+     * Storage upload IDs of every session, expired or not
+     * @returns {Promise<Set<string>>}
+     */
+    async getUploadSessionStorageIds() {
+        const rows = await this.all('SELECT storage_upload_id FROM upload_sessions');
+        return new Set(rows.map(row => row.storage_upload_id));
+    }
+
+    /**
+     * Delete an upload session
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    async deleteUploadSession(sessionId) {
+        const result = await this.run('DELETE FROM upload_sessions WHERE id = ?', [sessionId]);
+        return result.changes === 1;
+    }
+
+    // JOB OPERATIONS
+
+    /**
+     * Queue a background job
+     * @param {string} type - Job type, e.g. 'media.process'
+     * @param {object} payload - JSON-serializable job data
+     * @param {number} maxAttempts - Runs before it is given up on
+     * @returns {Promise<number>} Job ID
+     */
+    async createJob(type, payload, maxAttempts) {
+        const result = await this.run(
+            'INSERT INTO jobs (type, payload, max_attempts) VALUES (?, ?, ?)',
+            [type, JSON.stringify(payload), maxAttempts]
+        );
+        return result.id;
+    }
+
+    /**
+     * Take the job that has been due longest and mark it running, counting the attempt
+     * @returns {Promise<object|undefined>} Job row with its payload parsed, or undefined if none is due
+     */
+    async claimNextJob() {
+        const job = await this.get(`
+            UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM jobs
+                WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+                ORDER BY run_at, id
+                LIMIT 1
+            )
+            RETURNING *
+        `);
+        return job && { ...job, payload: JSON.parse(job.payload) };
+    }
+
+    /**
+     * Put a failed job back in the queue to run again after a delay
+     */
+    async retryJob(jobId, message, delaySeconds) {
+        await this.run(`
+            UPDATE jobs SET status = 'pending', locked_at = NULL, last_error = ?, run_at = datetime('now', ?)
+            WHERE id = ?
+        `, [message, `+${Math.round(delaySeconds)} seconds`, jobId]);
+    }
+
+    /**
+     * Give up on a job. The row is kept with its last error.
+     */
+    async failJob(jobId, message) {
+        await this.run(
+            "UPDATE jobs SET status = 'failed', locked_at = NULL, last_error = ? WHERE id = ?",
+            [message, jobId]
+        );
+    }
+
+    /**
+     * Remove a finished job
+     */
+    async deleteJob(jobId) {
+        await this.run('DELETE FROM jobs WHERE id = ?', [jobId]);
+    }
+
+    /**
+     * Give up on the jobs that were running their last attempt when the server stopped
+     * (a job that crashes the process would otherwise run after every restart)
+     * @param {string} message - Error recorded on them
+     * @returns {Promise<Array<object>>} The failed jobs, with their payloads parsed
+     */
+    async failExhaustedRunningJobs(message) {
+        const jobs = await this.all(`
+            UPDATE jobs SET status = 'failed', locked_at = NULL, last_error = ?
+            WHERE status = 'running' AND attempts >= max_attempts
+            RETURNING *
+        `, [message]);
+        return jobs.map(job => ({ ...job, payload: JSON.parse(job.payload) }));
+    }
+
+    /**
+     * Queue again the jobs that were running when the server stopped
+     * @returns {Promise<number>} Jobs requeued
+     */
+    async requeueRunningJobs() {
+        const result = await this.run("UPDATE jobs SET status = 'pending', locked_at = NULL WHERE status = 'running'");
+        return result.changes;
+    }
+
+    // IMPORT OPERATIONS
+
+    /**
+     * Entries already imported from a source
+     * @param {number} userId - User ID
+     * @param {string} source - Import source name
+     * @param {Array<string>} importIds - IDs the entries had in the source
+     * @returns {Promise<Map<string, number>>} Entry IDs keyed by import ID
+     */
+    async getImportedEntryIds(userId, source, importIds) {
+        const found = new Map();
+        // Stay well below SQLite's limit on query parameters
+        for (let i = 0; i < importIds.length; i += 500) {
+            const chunk = importIds.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = await this.all(`
+                SELECT id, import_id FROM timeline_entries
+                WHERE user_id = ? AND import_source = ? AND import_id IN (${placeholders})
+            `, [userId, source, ...chunk]);
+            rows.forEach(row => found.set(row.import_id, row.id));
+        }
+        return found;
+    }
+
+    /**
+     * Insert imported entries with their tags in one transaction. Entries whose import ID
+     * was already imported from the source are skipped.
+     * @param {number} userId - User ID
+     * @param {string} source - Import source name
+     * @param {Array<object>} entries - {import_id, timeline_id, entry_date, entry_text, entry_type, tags};
+     *   entries without a timeline_id go to the default timeline
+     * @returns {Promise<Array<{import_id: string, entry_id: number}>>} The entries created
+     */
+    async importTimelineEntries(userId, source, entries) {
+        return await this.transaction(async () => {
+            const existing = await this.getImportedEntryIds(userId, source, entries.map(entry => entry.import_id));
+            const defaultTimelineId = (await this.getDefaultTimeline(userId)).id;
+            const created = [];
+
+            for (const entry of entries) {
+                if (existing.has(entry.import_id)) continue;
+
+                const result = await this.run(`
+                    INSERT INTO timeline_entries (user_id, timeline_id, entry_date, entry_text, entry_type, import_source, import_id, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [userId, entry.timeline_id || defaultTimelineId, entry.entry_date, entry.entry_text, entry.entry_type,
+                    source, entry.import_id, userId]);
+                await this.setEntryTags(result.id, userId, entry.tags);
+
+                existing.set(entry.import_id, result.id);
+                created.push({ import_id: entry.import_id, entry_id: result.id });
+            }
+            return created;
+        });
     }
 
     /**
@@ -0,0 +1,45 @@
+// Schema migrations from the command line.
+//
+//   node db/migrate.js                 apply pending migrations
+//   node db/migrate.js rollback [n]    undo the last n migrations (default 1)
+//   node db/migrate.js status          list migrations and when they were applied
+
+require('dotenv').config();
+const Database = require('./database');
+const Migrator = require('./migrator');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = new Database();
+    await db.connect();
+
+    try {
+        const migrator = new Migrator(db);
+
+        if (command === 'up') {
+            const applied = await migrator.migrate();
+            if (applied.length === 0) console.log('✅ Database is up to date');
+        } else if (command === 'rollback') {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Invalid number of migrations to roll back: ${arg}`);
+            }
+            const rolledBack = await migrator.rollback(steps);
+            if (rolledBack.length === 0) console.log('Nothing to roll back');
+        } else if (command === 'status') {
+            for (const m of await migrator.status()) {
+                const label = `${String(m.version).padStart(3, '0')}_${m.name}`;
+                console.log(`${m.applied_at ? '✅' : '⏳'} ${label}${m.applied_at ? `  (${m.applied_at})` : ''}`);
+            }
+        } else {
+            throw new Error(`Unknown command: ${command} (expected up, rollback or status)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
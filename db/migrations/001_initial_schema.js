@@ -0,0 +1,79 @@
+// Tables from the first release. IF NOT EXISTS lets databases created before
+// migrations existed adopt this as their starting point.
+
+const tables = {
+    users: `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        tier TEXT DEFAULT 'free' CHECK(tier IN ('free', 'personal', 'pro')),
+        storage_used_mb REAL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    sessions: `CREATE TABLE IF NOT EXISTS sessions (
+        session_id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`,
+
+    timeline_entries: `CREATE TABLE IF NOT EXISTS timeline_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        entry_date DATE NOT NULL,
+        entry_text TEXT,
+        entry_type TEXT DEFAULT 'text' CHECK(entry_type IN ('text', 'image', 'video', 'mixed')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`,
+
+    media_attachments: `CREATE TABLE IF NOT EXISTS media_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL CHECK(media_type IN ('image', 'video')),
+        filename TEXT NOT NULL,
+        original_filename TEXT NOT NULL,
+        file_size_mb REAL,
+        r2_key TEXT NOT NULL,
+        thumbnail_r2_key TEXT,
+        width INTEGER,
+        height INTEGER,
+        duration INTEGER,
+        upload_status TEXT DEFAULT 'complete' CHECK(upload_status IN ('pending', 'processing', 'complete', 'failed')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (entry_id) REFERENCES timeline_entries (id) ON DELETE CASCADE
+    )`
+};
+
+const indexes = [
+    'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)',
+    'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
+    'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at)',
+    'CREATE INDEX IF NOT EXISTS idx_timeline_entries_user_id ON timeline_entries(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_timeline_entries_date ON timeline_entries(entry_date)',
+    'CREATE INDEX IF NOT EXISTS idx_media_attachments_entry_id ON media_attachments(entry_id)'
+];
+
+module.exports = {
+    tables,
+
+    async up(db) {
+        for (const sql of Object.values(tables)) {
+            await db.run(sql);
+        }
+        for (const sql of indexes) {
+            await db.run(sql);
+        }
+    },
+
+    async down(db) {
+        for (const table of Object.keys(tables).reverse()) {
+            await db.run(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
@@ -0,0 +1,25 @@
+// Databases created from the schema in the original README are missing
+// columns (timeline_entries.updated_at, media_attachments.upload_status) and
+// CHECK constraints that CREATE TABLE IF NOT EXISTS never added. Rebuild those
+// tables to the first release's definitions.
+
+const { tableDiffers, rebuildTable } = require('./helpers');
+const { tables } = require('./001_initial_schema');
+
+module.exports = {
+    async up(db) {
+        for (const table of ['users', 'timeline_entries', 'media_attachments']) {
+            if (!(await tableDiffers(db, table, tables[table]))) continue;
+
+            const hadUpdatedAt = (await db.all(`PRAGMA table_info(${table})`)).some(c => c.name === 'updated_at');
+            await rebuildTable(db, table, tables[table]);
+            if (table === 'timeline_entries' && !hadUpdatedAt) {
+                await db.run('UPDATE timeline_entries SET updated_at = created_at');
+            }
+            console.log(`✅ Rebuilt legacy table ${table}`);
+        }
+    },
+
+    // The rebuilt tables match what 001 creates, so there is nothing to undo
+    async down() {}
+};
@@ -0,0 +1,40 @@
+// Video codec, photo capture time and location, and responsive image variants
+
+const { addColumnIfMissing } = require('./helpers');
+
+const columns = [
+    ['codec', 'TEXT'],
+    ['captured_at', 'TEXT'],
+    ['location_lat', 'REAL'],
+    ['location_lon', 'REAL']
+];
+
+module.exports = {
+    async up(db) {
+        for (const [column, definition] of columns) {
+            await addColumnIfMissing(db, 'media_attachments', column, definition);
+        }
+
+        await db.run(`CREATE TABLE IF NOT EXISTS media_variants (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            media_id INTEGER NOT NULL,
+            variant_name TEXT NOT NULL CHECK(variant_name IN ('thumbnail', 'card', 'full')),
+            format TEXT NOT NULL CHECK(format IN ('jpeg', 'png', 'gif', 'webp', 'avif')),
+            r2_key TEXT NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            file_size_mb REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (media_id, variant_name, format),
+            FOREIGN KEY (media_id) REFERENCES media_attachments (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_media_variants_media_id ON media_variants(media_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS media_variants');
+        for (const [column] of columns) {
+            await db.run(`ALTER TABLE media_attachments DROP COLUMN ${column}`);
+        }
+    }
+};
@@ -0,0 +1,11 @@
+// Matches the timeline sort order so keyset pages are index range scans
+
+module.exports = {
+    async up(db) {
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_entries_user_order ON timeline_entries(user_id, entry_date DESC, created_at DESC, id DESC)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_timeline_entries_user_order');
+    }
+};
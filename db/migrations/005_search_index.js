@@ -0,0 +1,48 @@
+// Full-text index over entry text. It is an external-content FTS5 table: it stores
+// only the index, reads text from timeline_entries, and is kept in sync by triggers.
+
+const triggers = {
+    timeline_entries_fts_insert: `CREATE TRIGGER IF NOT EXISTS timeline_entries_fts_insert AFTER INSERT ON timeline_entries BEGIN
+        INSERT INTO timeline_entries_fts (rowid, entry_text) VALUES (new.id, new.entry_text);
+    END`,
+    timeline_entries_fts_delete: `CREATE TRIGGER IF NOT EXISTS timeline_entries_fts_delete AFTER DELETE ON timeline_entries BEGIN
+        INSERT INTO timeline_entries_fts (timeline_entries_fts, rowid, entry_text) VALUES ('delete', old.id, old.entry_text);
+    END`,
+    timeline_entries_fts_update: `CREATE TRIGGER IF NOT EXISTS timeline_entries_fts_update AFTER UPDATE OF entry_text ON timeline_entries BEGIN
+        INSERT INTO timeline_entries_fts (timeline_entries_fts, rowid, entry_text) VALUES ('delete', old.id, old.entry_text);
+        INSERT INTO timeline_entries_fts (rowid, entry_text) VALUES (new.id, new.entry_text);
+    END`
+};
+
+module.exports = {
+    async up(db) {
+        const existing = await db.get(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'timeline_entries_fts'"
+        );
+
+        await db.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS timeline_entries_fts USING fts5(
+                entry_text,
+                content = 'timeline_entries',
+                content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2'
+            )
+        `);
+        for (const sql of Object.values(triggers)) {
+            await db.run(sql);
+        }
+
+        // Index entries written before search existed
+        if (!existing) {
+            await db.run("INSERT INTO timeline_entries_fts (timeline_entries_fts) VALUES ('rebuild')");
+            console.log('✅ Search index built');
+        }
+    },
+
+    async down(db) {
+        for (const name of Object.keys(triggers)) {
+            await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+        }
+        await db.run('DROP TABLE IF EXISTS timeline_entries_fts');
+    }
+};
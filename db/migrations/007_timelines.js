@@ -0,0 +1,46 @@
+// Named timelines. Each user gets a default one, and existing entries move into it.
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS timelines (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            cover_media_id INTEGER,
+            sort_order TEXT DEFAULT 'newest' CHECK(sort_order IN ('newest', 'oldest')),
+            is_default INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (cover_media_id) REFERENCES media_attachments (id) ON DELETE SET NULL
+        )`);
+        await addColumnIfMissing(db, 'timeline_entries', 'timeline_id', 'INTEGER REFERENCES timelines (id) ON DELETE CASCADE');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timelines_user_id ON timelines(user_id)');
+        await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_timelines_user_default ON timelines(user_id) WHERE is_default = 1');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_entries_timeline_order ON timeline_entries(timeline_id, entry_date DESC, created_at DESC, id DESC)');
+
+        await db.run(`
+            INSERT INTO timelines (user_id, title, is_default)
+            SELECT id, 'My Timeline', 1 FROM users
+            WHERE id NOT IN (SELECT user_id FROM timelines WHERE is_default = 1)
+        `);
+        const result = await db.run(`
+            UPDATE timeline_entries
+            SET timeline_id = (SELECT t.id FROM timelines t WHERE t.user_id = timeline_entries.user_id AND t.is_default = 1)
+            WHERE timeline_id IS NULL
+        `);
+        if (result.changes > 0) {
+            console.log(`✅ Moved ${result.changes} entries into default timelines`);
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_timeline_entries_timeline_order');
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN timeline_id');
+        await db.run('DROP TABLE IF EXISTS timelines');
+    }
+};
@@ -0,0 +1,22 @@
+// Earlier versions of an entry's date and text, written each time it is edited
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS entry_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entry_id INTEGER NOT NULL,
+            revision INTEGER NOT NULL,
+            entry_date DATE NOT NULL,
+            entry_text TEXT,
+            edited_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (entry_id, revision),
+            FOREIGN KEY (entry_id) REFERENCES timeline_entries (id) ON DELETE CASCADE,
+            FOREIGN KEY (edited_by) REFERENCES users (id) ON DELETE SET NULL
+        )`);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS entry_revisions');
+    }
+};
@@ -0,0 +1,20 @@
+// Soft delete: deleted entries and media stay in the trash until the purge job removes them
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await addColumnIfMissing(db, 'timeline_entries', 'deleted_at', 'DATETIME');
+        await addColumnIfMissing(db, 'media_attachments', 'deleted_at', 'DATETIME');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_entries_deleted_at ON timeline_entries(deleted_at) WHERE deleted_at IS NOT NULL');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_media_attachments_deleted_at ON media_attachments(deleted_at) WHERE deleted_at IS NOT NULL');
+    },
+
+    async down(db) {
+        // Anything still in the trash becomes visible again rather than leaving its files orphaned
+        await db.run('DROP INDEX IF EXISTS idx_media_attachments_deleted_at');
+        await db.run('DROP INDEX IF EXISTS idx_timeline_entries_deleted_at');
+        await db.run('ALTER TABLE media_attachments DROP COLUMN deleted_at');
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN deleted_at');
+    }
+};
@@ -0,0 +1,24 @@
+// Archive exports built in the background, kept for download until they expire
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS exports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'complete', 'failed')),
+            include_html INTEGER DEFAULT 0,
+            file_path TEXT,
+            size_bytes INTEGER,
+            error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            expires_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_exports_user_id ON exports(user_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS exports');
+    }
+};
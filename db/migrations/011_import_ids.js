@@ -0,0 +1,20 @@
+// Where imported entries came from, so importing the same data again skips them
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await addColumnIfMissing(db, 'timeline_entries', 'import_source', 'TEXT');
+        await addColumnIfMissing(db, 'timeline_entries', 'import_id', 'TEXT');
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_timeline_entries_import
+            ON timeline_entries(user_id, import_source, import_id) WHERE import_id IS NOT NULL
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_timeline_entries_import');
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN import_id');
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN import_source');
+    }
+};
@@ -0,0 +1,21 @@
+// Tokens that let calendar apps and feed readers fetch a user's timeline feeds
+// without a session cookie. Only a hash of each token is stored.
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS feed_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_feed_tokens_user_id ON feed_tokens(user_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS feed_tokens');
+    }
+};
@@ -0,0 +1,31 @@
+// Share links: unguessable URLs that show a timeline, or a filtered part of it,
+// read-only to anyone who has them
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS share_links (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            timeline_id INTEGER NOT NULL,
+            token TEXT UNIQUE NOT NULL,
+            label TEXT,
+            tags TEXT,
+            tag_mode TEXT NOT NULL DEFAULT 'any' CHECK(tag_mode IN ('any', 'all')),
+            date_from DATE,
+            date_to DATE,
+            password_hash TEXT,
+            expires_at DATETIME,
+            view_count INTEGER NOT NULL DEFAULT 0,
+            last_viewed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (timeline_id) REFERENCES timelines (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_share_links_user_id ON share_links(user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_share_links_timeline_id ON share_links(timeline_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS share_links');
+    }
+};
@@ -0,0 +1,51 @@
+// Collaborative timelines: members with roles, invitations to join, and which
+// member created and last edited each entry
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS timeline_members (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timeline_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            role TEXT NOT NULL CHECK(role IN ('editor', 'contributor', 'viewer')),
+            invited_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (timeline_id, user_id),
+            FOREIGN KEY (timeline_id) REFERENCES timelines (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_members_user_id ON timeline_members(user_id)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS timeline_invitations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            timeline_id INTEGER NOT NULL,
+            invited_by INTEGER NOT NULL,
+            user_id INTEGER,
+            email TEXT,
+            role TEXT NOT NULL CHECK(role IN ('editor', 'contributor', 'viewer')),
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'declined')),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            responded_at DATETIME,
+            FOREIGN KEY (timeline_id) REFERENCES timelines (id) ON DELETE CASCADE,
+            FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_invitations_timeline_id ON timeline_invitations(timeline_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_invitations_user_id ON timeline_invitations(user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_timeline_invitations_email ON timeline_invitations(email COLLATE NOCASE)');
+
+        await addColumnIfMissing(db, 'timeline_entries', 'created_by', 'INTEGER REFERENCES users (id) ON DELETE SET NULL');
+        await addColumnIfMissing(db, 'timeline_entries', 'updated_by', 'INTEGER REFERENCES users (id) ON DELETE SET NULL');
+        await db.run('UPDATE timeline_entries SET created_by = user_id WHERE created_by IS NULL');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN updated_by');
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN created_by');
+        await db.run('DROP TABLE IF EXISTS timeline_invitations');
+        await db.run('DROP TABLE IF EXISTS timeline_members');
+    }
+};
@@ -0,0 +1,46 @@
+// Threaded comments and emoji reactions on entries, and a per-entry switch to turn
+// comments off
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS entry_comments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entry_id INTEGER NOT NULL,
+            user_id INTEGER,
+            parent_id INTEGER,
+            body TEXT NOT NULL,
+            hidden_at DATETIME,
+            hidden_by INTEGER,
+            deleted_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (entry_id) REFERENCES timeline_entries (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL,
+            FOREIGN KEY (parent_id) REFERENCES entry_comments (id) ON DELETE CASCADE,
+            FOREIGN KEY (hidden_by) REFERENCES users (id) ON DELETE SET NULL
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_entry_comments_entry_id ON entry_comments(entry_id, created_at)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_entry_comments_parent_id ON entry_comments(parent_id)');
+
+        await db.run(`CREATE TABLE IF NOT EXISTS entry_reactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entry_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            emoji TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (entry_id, user_id, emoji),
+            FOREIGN KEY (entry_id) REFERENCES timeline_entries (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+
+        await addColumnIfMissing(db, 'timeline_entries', 'comments_enabled', 'INTEGER NOT NULL DEFAULT 1');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE timeline_entries DROP COLUMN comments_enabled');
+        await db.run('DROP TABLE IF EXISTS entry_reactions');
+        await db.run('DROP TABLE IF EXISTS entry_comments');
+    }
+};
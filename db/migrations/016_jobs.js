@@ -0,0 +1,29 @@
+// Background jobs (media processing after upload), retried with backoff until they
+// succeed or run out of attempts, and the reason a media attachment's processing failed
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            payload TEXT NOT NULL DEFAULT '{}',
+            status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'running', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL DEFAULT 5,
+            run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            locked_at DATETIME,
+            last_error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at)');
+
+        await addColumnIfMissing(db, 'media_attachments', 'processing_error', 'TEXT');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS jobs');
+        await db.run('ALTER TABLE media_attachments DROP COLUMN processing_error');
+    }
+};
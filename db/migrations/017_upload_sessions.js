@@ -0,0 +1,36 @@
+// Resumable uploads: a file sent in chunks, each stored as a part of a multipart upload,
+// with how far it has got so it can carry on after a dropped connection or a restart
+
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS upload_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            owner_id INTEGER NOT NULL,
+            entry_id INTEGER,
+            timeline_id INTEGER,
+            entry_text TEXT,
+            include_location INTEGER DEFAULT 0,
+            filename TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            media_type TEXT NOT NULL CHECK(media_type IN ('image', 'video')),
+            size_bytes INTEGER NOT NULL,
+            chunk_size INTEGER NOT NULL,
+            offset_bytes INTEGER NOT NULL DEFAULT 0,
+            parts TEXT NOT NULL DEFAULT '[]',
+            storage_key TEXT NOT NULL,
+            storage_upload_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+            FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
+        )`);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS upload_sessions');
+    }
+};
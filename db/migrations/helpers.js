@@ -0,0 +1,82 @@
+// Schema helpers for migrations. SQLite's ALTER TABLE can add, rename and drop columns
+// but can't change constraints, so those changes rebuild the table instead.
+
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {Database} db
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Type and constraints, e.g. 'TEXT'
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+/**
+ * Whether an existing table is missing a column or CHECK constraint of a definition
+ * @param {Database} db
+ * @param {string} table
+ * @param {string} createSql - CREATE TABLE statement the table should match
+ * @returns {Promise<boolean>}
+ */
+async function tableDiffers(db, table, createSql) {
+    const existing = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    if (!existing) return false;
+
+    const columns = new Set((await db.all(`PRAGMA table_info(${table})`)).map(c => c.name));
+    const wanted = await columnsOf(db, createSql);
+    if (wanted.some(column => !columns.has(column))) return true;
+
+    const normalize = sql => sql.replace(/\s+/g, '').toLowerCase();
+    const stored = normalize(existing.sql);
+    const checks = createSql.match(/CHECK\s*\((?:[^()]|\([^()]*\))*\)/gi) || [];
+    return checks.some(check => !stored.includes(normalize(check)));
+}
+
+/**
+ * Recreate a table from a new definition, keeping its rows, indexes and triggers.
+ * Columns the new definition doesn't have are dropped. Foreign keys must be off,
+ * which Migrator does while a migration runs.
+ * @param {Database} db
+ * @param {string} table
+ * @param {string} createSql - CREATE TABLE statement for the new shape
+ */
+async function rebuildTable(db, table, createSql) {
+    const dependents = await db.all(
+        "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL",
+        [table]
+    );
+    const oldColumns = (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+    const newColumns = await columnsOf(db, createSql);
+    const shared = newColumns.filter(column => oldColumns.includes(column)).join(', ');
+
+    const temporary = `${table}_rebuild`;
+    await db.run(createSql.replace(/CREATE TABLE(?: IF NOT EXISTS)?\s+\w+/i, `CREATE TABLE ${temporary}`));
+    await db.run(`INSERT INTO ${temporary} (${shared}) SELECT ${shared} FROM ${table}`);
+    await db.run(`DROP TABLE ${table}`);
+    await db.run(`ALTER TABLE ${temporary} RENAME TO ${table}`);
+
+    for (const { sql } of dependents) {
+        await db.run(sql);
+    }
+}
+
+/**
+ * Column names a CREATE TABLE statement defines, found by creating it as a temporary table
+ */
+async function columnsOf(db, createSql) {
+    const probe = createSql.replace(/CREATE TABLE(?: IF NOT EXISTS)?\s+\w+/i, 'CREATE TEMP TABLE schema_probe');
+    await db.run(probe);
+    const columns = (await db.all('PRAGMA temp.table_info(schema_probe)')).map(c => c.name);
+    await db.run('DROP TABLE temp.schema_probe');
+    return columns;
+}
+
+module.exports = {
+    addColumnIfMissing,
+    tableDiffers,
+    rebuildTable
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Applies the numbered migrations in db/migrations and records them in schema_migrations.
+ *
+ * A migration is a module exporting async up(db) and down(db), where db is the Database
+ * instance. Each one runs in its own transaction with foreign key enforcement off, so
+ * tables can be rebuilt (SQLite's way of changing constraints) without cascading deletes;
+ * foreign keys are checked before the transaction commits instead.
+ */
+class Migrator {
+    /**
+     * @param {Database} db - Connected database
+     * @param {string} [directory] - Where the migration files live
+     */
+    constructor(db, directory = MIGRATIONS_DIR) {
+        this.db = db;
+        this.directory = directory;
+    }
+
+    /**
+     * Read the migration files, lowest version first
+     * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+     */
+    loadMigrations() {
+        return fs.readdirSync(this.directory)
+            .map(file => file.match(MIGRATION_FILE))
+            .filter(Boolean)
+            .map(([file, version, name]) => {
+                const migration = require(path.join(this.directory, file));
+                return { version: Number(version), name, up: migration.up, down: migration.down };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Apply every migration that hasn't been applied yet
+     * @returns {Promise<Array<Object>>} The migrations applied
+     */
+    async migrate() {
+        const migrations = this.loadMigrations();
+        const applied = await this.appliedVersions();
+        this.checkKnown(migrations, applied);
+
+        const pending = migrations.filter(m => !applied.has(m.version));
+        for (const migration of pending) {
+            await this.apply(migration, 'up');
+            console.log(`✅ Applied migration ${this.label(migration)}`);
+        }
+        return pending;
+    }
+
+    /**
+     * Undo the most recently applied migrations
+     * @param {number} [steps=1] - How many to undo
+     * @returns {Promise<Array<Object>>} The migrations rolled back
+     */
+    async rollback(steps = 1) {
+        const migrations = this.loadMigrations();
+        const applied = await this.appliedVersions();
+        this.checkKnown(migrations, applied);
+
+        const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+        for (const migration of targets) {
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migration ${this.label(migration)} cannot be rolled back`);
+            }
+            await this.apply(migration, 'down');
+            console.log(`↩️  Rolled back migration ${this.label(migration)}`);
+        }
+        return targets;
+    }
+
+    /**
+     * List every migration and when it was applied
+     * @returns {Promise<Array<{version: number, name: string, applied_at: string|null}>>}
+     */
+    async status() {
+        await this.ensureTable();
+        const rows = await this.db.all('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+        return this.loadMigrations().map(m => ({
+            version: m.version,
+            name: m.name,
+            applied_at: appliedAt.get(m.version) || null
+        }));
+    }
+
+    /**
+     * Run one migration in a transaction and record the result
+     * @param {Object} migration - From loadMigrations
+     * @param {string} direction - 'up' or 'down'
+     */
+    async apply(migration, direction) {
+        // Can't be changed inside a transaction
+        await this.db.run('PRAGMA foreign_keys = OFF');
+        try {
+            await this.db.transaction(async () => {
+                await migration[direction](this.db);
+
+                const violations = await this.db.all('PRAGMA foreign_key_check');
+                if (violations.length > 0) {
+                    const tables = [...new Set(violations.map(v => v.table))].join(', ');
+                    throw new Error(`Migration ${this.label(migration)} left rows with broken foreign keys in: ${tables}`);
+                }
+
+                if (direction === 'up') {
+                    await this.db.run(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                } else {
+                    await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                }
+            });
+        } finally {
+            await this.db.run('PRAGMA foreign_keys = ON');
+        }
+    }
+
+    async ensureTable() {
+        await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    async appliedVersions() {
+        await this.ensureTable();
+        const rows = await this.db.all('SELECT version FROM schema_migrations');
+        return new Set(rows.map(row => row.version));
+    }
+
+    /**
+     * Refuse to touch a database migrated by a newer version of the code
+     */
+    checkKnown(migrations, applied) {
+        const known = new Set(migrations.map(m => m.version));
+        const unknown = [...applied].filter(version => !known.has(version));
+        if (unknown.length > 0) {
+            throw new Error(`Database has migrations this version doesn't know about: ${unknown.join(', ')}`);
+        }
+    }
+
+    label(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+}
+
+module.exports = Migrator;
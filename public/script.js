@@ -1,91 +1,538 @@
 document.addEventListener('DOMContentLoaded', function() {
+    const userBar = document.getElementById('userBar');
+    const userName = document.getElementById('userName');
+    const logoutBtn = document.getElementById('logoutBtn');
+    const messageBox = document.getElementById('message');
+    const authView = document.getElementById('authView');
+    const loginForm = document.getElementById('loginForm');
+    const registerForm = document.getElementById('registerForm');
+    const timelineView = document.getElementById('timelineView');
+    const addEntryForm = document.getElementById('addEntryForm');
     const entryDateInput = document.getElementById('entryDate');
     const entryTextInput = document.getElementById('entryText');
-    const addEntryBtn = document.getElementById('addEntry');
+    const entryFileInput = document.getElementById('entryFile');
+    const entryFileName = document.getElementById('entryFileName');
+    const emptyState = document.getElementById('emptyState');
     const timelineEntries = document.getElementById('timelineEntries');
-    
-    // Set default date to today
-    const today = new Date().toISOString().split('T')[0];
-    entryDateInput.value = today;
-    
-    // Focus on text input
-    entryTextInput.focus();
-    
-    // Add entry function
-    function addEntry() {
-        const date = entryDateInput.value;
-        const text = entryTextInput.value.trim();
-        
-        if (!date || !text) {
-            alert('Please fill in both date and text fields.');
-            return;
+    const loadMoreSentinel = document.getElementById('loadMore');
+
+    // Entries as returned by the API, plus optimistic ones still being saved
+    let entries = [];
+    let tempIdCounter = 0;
+    let messageTimer = null;
+    // Cursor for the next page of older entries, null once everything is loaded
+    let nextCursor = null;
+    let loadingMore = false;
+
+    // API
+
+    /**
+     * Error from the API, carrying the fields of the error envelope
+     */
+    class ApiRequestError extends Error {
+        constructor(status, error) {
+            super(error.message || 'Request failed');
+            this.status = status;
+            this.code = error.code || 'error';
+            this.fields = error.fields || null;
+        }
+    }
+
+    /**
+     * Call the API
+     * @param {string} method - HTTP method
+     * @param {string} path - API path
+     * @param {object|FormData} [body] - JSON body or multipart form
+     * @returns {Promise<object>} Parsed response
+     */
+    async function api(method, path, body) {
+        const options = { method, credentials: 'same-origin', headers: {} };
+        if (body instanceof FormData) {
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(path, options);
+        } catch (error) {
+            throw new ApiRequestError(0, { code: 'network_error', message: 'Could not reach the server' });
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new ApiRequestError(response.status, data.error || {});
+            // The session expired while the timeline was open
+            if (response.status === 401 && !path.startsWith('/api/auth/')) {
+                showAuth();
+            }
+            throw error;
+        }
+        return data;
+    }
+
+    // MESSAGES
+
+    function showMessage(text, type = 'error') {
+        messageBox.textContent = text;
+        messageBox.className = `message message-${type}`;
+        messageBox.hidden = false;
+
+        clearTimeout(messageTimer);
+        messageTimer = setTimeout(() => {
+            messageBox.hidden = true;
+        }, 5000);
+    }
+
+    /**
+     * Show per-field validation messages next to the inputs of a form
+     */
+    function showFieldErrors(form, fields) {
+        form.querySelectorAll('.field-error').forEach(span => {
+            span.textContent = fields && fields[span.dataset.field] ? fields[span.dataset.field] : '';
+        });
+    }
+
+    function showError(error, form) {
+        if (form) showFieldErrors(form, error.fields);
+        if (!error.fields || !form) showMessage(error.message);
+    }
+
+    // AUTH
+
+    function showAuth() {
+        entries = [];
+        nextCursor = null;
+        timelineEntries.replaceChildren();
+        timelineView.hidden = true;
+        userBar.hidden = true;
+        authView.hidden = false;
+        showAuthForm('loginForm');
+    }
+
+    function showAuthForm(formId) {
+        loginForm.hidden = formId !== 'loginForm';
+        registerForm.hidden = formId !== 'registerForm';
+        const form = document.getElementById(formId);
+        showFieldErrors(form, null);
+        form.querySelector('input').focus();
+    }
+
+    async function showTimeline(user) {
+        userName.textContent = user.username;
+        userBar.hidden = false;
+        authView.hidden = true;
+        timelineView.hidden = false;
+        resetAddForm();
+        await loadEntries();
+    }
+
+    async function login(username, password) {
+        const result = await api('POST', '/api/auth/login', { username, password });
+        loginForm.reset();
+        registerForm.reset();
+        await showTimeline(result.user);
+    }
+
+    loginForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        showFieldErrors(loginForm, null);
+        try {
+            await login(loginForm.username.value, loginForm.password.value);
+        } catch (error) {
+            showError(error, loginForm);
+        }
+    });
+
+    registerForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        showFieldErrors(registerForm, null);
+        const username = registerForm.username.value;
+        const password = registerForm.password.value;
+        try {
+            await api('POST', '/api/auth/register', {
+                username,
+                email: registerForm.email.value,
+                password
+            });
+            await login(username, password);
+        } catch (error) {
+            showError(error, registerForm);
+        }
+    });
+
+    authView.addEventListener('click', function(e) {
+        if (e.target.dataset.show) showAuthForm(e.target.dataset.show);
+    });
+
+    logoutBtn.addEventListener('click', async function() {
+        try {
+            await api('POST', '/api/auth/logout');
+        } catch (error) {
+            // The session is gone either way
+        }
+        showAuth();
+    });
+
+    // TIMELINE
+
+    async function loadEntries() {
+        try {
+            const data = await api('GET', '/api/timeline');
+            entries = data.entries;
+            nextCursor = data.next_cursor;
+            renderTimeline();
+        } catch (error) {
+            showError(error);
+        }
+    }
+
+    /**
+     * Append the next page of older entries
+     */
+    async function loadOlderEntries() {
+        if (!nextCursor || loadingMore) return;
+
+        loadingMore = true;
+        try {
+            const data = await api('GET', `/api/timeline?cursor=${encodeURIComponent(nextCursor)}`);
+            // Entries added while scrolling may already be in the list
+            const known = new Set(entries.map(entry => String(entry.id)));
+            entries.push(...data.entries.filter(entry => !known.has(String(entry.id))));
+            nextCursor = data.next_cursor;
+            renderTimeline();
+        } catch (error) {
+            showError(error);
+        } finally {
+            loadingMore = false;
+        }
+    }
+
+    // Infinite scroll: load older entries as the bottom of the timeline comes into view
+    new IntersectionObserver(function(observed) {
+        if (observed.some(item => item.isIntersecting)) loadOlderEntries();
+    }, { rootMargin: '400px' }).observe(loadMoreSentinel);
+
+    /**
+     * Newest first, matching the order the API returns
+     */
+    function sortEntries() {
+        entries.sort((a, b) => {
+            if (a.entry_date !== b.entry_date) return a.entry_date < b.entry_date ? 1 : -1;
+            return String(b.created_at || '').localeCompare(String(a.created_at || ''));
+        });
+    }
+
+    function renderTimeline() {
+        sortEntries();
+        timelineEntries.replaceChildren(...entries.map(renderEntry));
+        emptyState.hidden = entries.length > 0;
+        loadMoreSentinel.hidden = !nextCursor;
+    }
+
+    /**
+     * Create a DOM element. Text is always set through textContent, never parsed as HTML.
+     * @param {string} tag - Tag name
+     * @param {object} [props] - Properties and attributes (`className`, `text`, `dataset`, others as attributes)
+     * @param {Array<Node>} [children] - Child nodes
+     */
+    function el(tag, props = {}, children = []) {
+        const node = document.createElement(tag);
+        for (const [key, value] of Object.entries(props)) {
+            if (value === null || value === undefined || value === false) continue;
+            if (key === 'className') node.className = value;
+            else if (key === 'text') node.textContent = value;
+            else if (key === 'dataset') Object.assign(node.dataset, value);
+            else node.setAttribute(key, value === true ? '' : value);
         }
-        
-        // Create new timeline entry
-        const entryDiv = document.createElement('div');
-        entryDiv.className = 'timeline-entry';
-        
-        // Format the date for display
-        const dateObj = new Date(date);
-        const formattedDate = dateObj.toLocaleDateString('en-US', {
+        node.append(...children);
+        return node;
+    }
+
+    function formatDate(date) {
+        // Entry dates are calendar days; format in UTC so they don't shift a day in western time zones
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
             year: 'numeric',
             month: 'long',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: 'UTC'
         });
-        
-        entryDiv.innerHTML = `
-            <div class="entry-content">
-                <div class="entry-date">${formattedDate}</div>
-                <div class="entry-text">${text}</div>
-            </div>
-        `;
-        
-        // Add entry to timeline (entries will alternate left/right automatically via CSS)
-        timelineEntries.appendChild(entryDiv);
-        
-        // Clear inputs
-        entryTextInput.value = '';
-        entryTextInput.focus();
-        
+    }
+
+    function renderEntry(entry) {
+        const content = el('div', { className: 'entry-content' }, [
+            el('div', { className: 'entry-date', text: formatDate(entry.entry_date) })
+        ]);
+
+        if (entry.entry_text) {
+            content.append(el('div', { className: 'entry-text', text: entry.entry_text }));
+        }
+        if (entry.tags && entry.tags.length > 0) {
+            content.append(el('div', { className: 'entry-tags' },
+                entry.tags.map(tag => el('span', { className: 'tag', text: `#${tag}` }))));
+        }
+        for (const media of entry.media || []) {
+            content.append(renderMedia(media));
+        }
+        if (entry.pending) {
+            content.append(el('div', { className: 'entry-status', text: 'Saving…' }));
+        } else {
+            if (entry.processing) {
+                content.append(el('div', { className: 'entry-status', text: 'Processing the file… it appears here once it is ready.' }));
+            }
+            content.append(el('div', { className: 'entry-actions' }, [
+                el('button', { type: 'button', className: 'link-btn', text: 'Edit', dataset: { action: 'edit' } }),
+                el('button', { type: 'button', className: 'link-btn danger', text: 'Delete', dataset: { action: 'delete' } })
+            ]));
+        }
+
+        return el('div', {
+            className: entry.pending ? 'timeline-entry pending' : 'timeline-entry',
+            dataset: { id: entry.id }
+        }, [content]);
+    }
+
+    /**
+     * Render an attachment: images get AVIF/WebP sources when the server made them
+     */
+    function renderMedia(media) {
+        if (media.type === 'video') {
+            return el('video', {
+                className: 'entry-media',
+                src: media.url,
+                poster: media.thumbnail_url,
+                controls: true,
+                preload: 'metadata'
+            });
+        }
+
+        const srcset = media.srcset || {};
+        const sizes = '(max-width: 768px) 250px, 300px';
+        const sources = ['avif', 'webp']
+            .filter(format => srcset[format])
+            .map(format => el('source', { type: `image/${format}`, srcset: srcset[format], sizes }));
+        const baseFormat = Object.keys(srcset).find(format => format !== 'avif' && format !== 'webp');
+
+        const img = el('img', {
+            className: 'entry-media',
+            src: media.thumbnail_url || media.url,
+            srcset: baseFormat ? srcset[baseFormat] : null,
+            sizes: baseFormat ? sizes : null,
+            width: media.width,
+            height: media.height,
+            alt: '',
+            loading: 'lazy'
+        });
+        return el('picture', {}, [...sources, img]);
+    }
+
+    function findEntry(id) {
+        return entries.find(entry => String(entry.id) === String(id));
+    }
+
+    function animateIn(id) {
+        const entryDiv = timelineEntries.querySelector(`[data-id="${id}"]`);
+        if (!entryDiv) return;
+
         // Add a subtle animation
         entryDiv.style.opacity = '0';
         entryDiv.style.transform = 'translateY(20px)';
-        
+
         setTimeout(() => {
             entryDiv.style.transition = 'all 0.3s ease';
             entryDiv.style.opacity = '1';
             entryDiv.style.transform = 'translateY(0)';
         }, 10);
     }
-    
-    // Event listeners
-    addEntryBtn.addEventListener('click', addEntry);
-    
-    // Allow adding entries with Enter key
-    entryTextInput.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') {
-            addEntry();
+
+    // CREATE
+
+    // Uploads are processed in the background; poll until the media is ready, less often as
+    // time goes on. Resolves false if it still isn't ready by the deadline (e.g. queued
+    // behind a long video), so the entry doesn't wait forever.
+    const PROCESSING_WAIT_MS = 2 * 60 * 1000;
+    const MAX_POLL_INTERVAL_MS = 15 * 1000;
+
+    async function waitForProcessing(statusUrl) {
+        const deadline = Date.now() + PROCESSING_WAIT_MS;
+        let interval = 1000;
+        while (Date.now() < deadline) {
+            const status = await api('GET', statusUrl);
+            if (status.status === 'complete') return true;
+            if (status.status === 'failed') {
+                throw new ApiRequestError(422, { code: 'processing_failed', message: status.error || 'The file could not be processed' });
+            }
+            await new Promise(resolve => setTimeout(resolve, interval));
+            interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
         }
+        return false;
+    }
+
+    function resetAddForm() {
+        addEntryForm.reset();
+        entryFileName.textContent = '📎';
+        // Set default date to today
+        entryDateInput.value = new Date().toISOString().split('T')[0];
+        entryTextInput.focus();
+    }
+
+    entryFileInput.addEventListener('change', function() {
+        const file = entryFileInput.files[0];
+        entryFileName.textContent = file ? file.name : '📎';
     });
-    
-    // Add some sample entries for demonstration
-    const sampleEntries = [
-        { date: '2024-01-01', text: 'Started the new year with fresh goals and aspirations.' },
-        { date: '2024-02-14', text: 'Celebrated Valentine\'s Day with a romantic dinner.' },
-        { date: '2024-03-20', text: 'First day of spring - planted flowers in the garden.' }
-    ];
-    
-    // Add sample entries with a delay to show the animation
-    sampleEntries.forEach((entry, index) => {
-        setTimeout(() => {
-            entryDateInput.value = entry.date;
-            entryTextInput.value = entry.text;
-            addEntry();
-        }, (index + 1) * 500);
+
+    addEntryForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        const date = entryDateInput.value;
+        const text = entryTextInput.value.trim();
+        const file = entryFileInput.files[0] || null;
+
+        if (!date || (!text && !file)) {
+            showMessage('Please pick a date and add a note or a file.');
+            return;
+        }
+
+        // Show the entry right away, then swap in the saved one
+        const entry = {
+            id: `tmp-${++tempIdCounter}`,
+            entry_date: date,
+            entry_text: text || null,
+            entry_type: file ? (file.type.startsWith('video/') ? 'video' : 'image') : 'text',
+            created_at: new Date().toISOString(),
+            media: [],
+            pending: true
+        };
+        entries.push(entry);
+        renderTimeline();
+        animateIn(entry.id);
+        resetAddForm();
+
+        try {
+            const result = await api('POST', '/api/timeline', {
+                date: entry.entry_date,
+                text: entry.entry_text,
+                type: entry.entry_type
+            });
+            entry.id = result.id;
+
+            if (file) {
+                const form = new FormData();
+                form.append('entry_id', result.id);
+                form.append('file', file);
+                const upload = await api('POST', '/api/media/upload', form);
+                if (await waitForProcessing(upload.media.status_url)) {
+                    // Reload to get signed URLs and image variants for the new attachment
+                    await loadEntries();
+                    return;
+                }
+                // The entry is saved; its file shows up once the server gets to it
+                entry.processing = true;
+            }
+
+            entry.pending = false;
+            renderTimeline();
+        } catch (error) {
+            if (entry.pending && typeof entry.id === 'number') {
+                // The entry was saved but the upload failed; keep the entry
+                entry.pending = false;
+            } else {
+                entries = entries.filter(item => item !== entry);
+                entryDateInput.value = date;
+                entryTextInput.value = text;
+            }
+            renderTimeline();
+            showError(error);
+        }
+    });
+
+    // EDIT AND DELETE
+
+    timelineEntries.addEventListener('click', function(e) {
+        const action = e.target.dataset.action;
+        if (!action) return;
+
+        const entryDiv = e.target.closest('.timeline-entry');
+        const entry = findEntry(entryDiv.dataset.id);
+        if (!entry) return;
+
+        if (action === 'edit') startEdit(entryDiv, entry);
+        if (action === 'delete') deleteEntry(entry);
     });
-    
-    // Reset to today's date after samples
-    setTimeout(() => {
-        entryDateInput.value = today;
-    }, sampleEntries.length * 500 + 100);
+
+    function startEdit(entryDiv, entry) {
+        const dateInput = el('input', { type: 'date', className: 'date-input', required: true });
+        dateInput.value = entry.entry_date;
+        const textInput = el('textarea', { className: 'text-input', rows: 3 });
+        textInput.value = entry.entry_text || '';
+
+        const form = el('form', { className: 'entry-content edit-form' }, [
+            dateInput,
+            textInput,
+            el('div', { className: 'entry-actions' }, [
+                el('button', { type: 'submit', className: 'add-btn', text: 'Save' }),
+                el('button', { type: 'button', className: 'link-btn', text: 'Cancel', dataset: { cancel: 'true' } })
+            ])
+        ]);
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            saveEdit(entry, dateInput.value, textInput.value.trim());
+        });
+        form.querySelector('[data-cancel]').addEventListener('click', renderTimeline);
+
+        entryDiv.replaceChildren(form);
+        textInput.focus();
+    }
+
+    async function saveEdit(entry, date, text) {
+        if (!date) {
+            showMessage('Please pick a date.');
+            return;
+        }
+
+        const previous = { entry_date: entry.entry_date, entry_text: entry.entry_text };
+        entry.entry_date = date;
+        entry.entry_text = text || null;
+        renderTimeline();
+
+        try {
+            await api('PUT', `/api/timeline/${entry.id}`, { date: entry.entry_date, text: entry.entry_text });
+        } catch (error) {
+            Object.assign(entry, previous);
+            renderTimeline();
+            showError(error);
+        }
+    }
+
+    async function deleteEntry(entry) {
+        if (!confirm('Move this entry to the trash? It can be restored from there until the trash is purged.')) return;
+
+        const index = entries.indexOf(entry);
+        entries.splice(index, 1);
+        renderTimeline();
+
+        try {
+            await api('DELETE', `/api/timeline/${entry.id}`);
+        } catch (error) {
+            // Already gone on the server; nothing to restore
+            if (error.status === 404) return;
+            entries.splice(index, 0, entry);
+            renderTimeline();
+            showError(error);
+        }
+    }
+
+    // STARTUP
+
+    (async function init() {
+        try {
+            const data = await api('GET', '/api/auth/account');
+            await showTimeline(data.user);
+        } catch (error) {
+            showAuth();
+            if (error.status !== 401) showError(error);
+        }
+    })();
 });
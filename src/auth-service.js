@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { ApiError } = require('./errors');
 
 class AuthService {
     constructor(database) {
@@ -11,58 +12,67 @@ class AuthService {
      * @param {string} email - Email address
      * @param {string} password - Plain text password
      * @returns {Promise<object>} Registration result
+     * @throws {ApiError} 422 for invalid input, 409 if the username or email is taken
      */
     async register(username, email, password) {
-        try {
-            // Validate input
-            if (!username || !email || !password) {
-                return { success: false, error: 'All fields are required' };
-            }
-
-            if (password.length < 6) {
-                return { success: false, error: 'Password must be at least 6 characters' };
-            }
-
-            if (!this.isValidEmail(email)) {
-                return { success: false, error: 'Invalid email format' };
-            }
+        // Validate input
+        const fields = {};
+        if (!username) fields.username = 'is required';
+        if (!email) {
+            fields.email = 'is required';
+        } else if (!this.isValidEmail(email)) {
+            fields.email = 'must be a valid email address';
+        }
+        if (!password) {
+            fields.password = 'is required';
+        } else if (password.length < 6) {
+            fields.password = 'must be at least 6 characters';
+        }
+        if (Object.keys(fields).length > 0) {
+            throw ApiError.validation(fields);
+        }
 
-            // Check if user already exists
-            const existingUser = await this.db.getUserByUsername(username);
-            if (existingUser) {
-                return { success: false, error: 'Username already exists' };
-            }
+        // Check if user already exists
+        const existingUser = await this.db.getUserByUsername(username);
+        if (existingUser) {
+            throw ApiError.conflict('Username already exists', 'username_taken');
+        }
 
-            const existingEmail = await this.db.getUserByEmail(email);
-            if (existingEmail) {
-                return { success: false, error: 'Email already registered' };
-            }
+        const existingEmail = await this.db.getUserByEmail(email);
+        if (existingEmail) {
+            throw ApiError.conflict('Email already registered', 'email_taken');
+        }
 
-            // Hash password
-            const passwordHash = this.hashPassword(password);
+        // Hash password
+        const passwordHash = this.hashPassword(password);
 
-            // Create user
-            const userId = await this.db.createUser({
+        // Create user
+        let userId;
+        try {
+            userId = await this.db.createUser({
                 username,
                 email,
                 password_hash: passwordHash,
                 tier: 'free'
             });
-
-            return { 
-                success: true, 
-                user: { 
-                    id: userId, 
-                    username, 
-                    email,
-                    tier: 'free' 
-                } 
-            };
-
         } catch (error) {
+            // Lost a race with a concurrent registration for the same name or email
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                throw ApiError.conflict('Username or email already registered', 'account_exists');
+            }
             console.error('Registration error:', error);
-            return { success: false, error: 'Registration failed' };
+            throw error;
         }
+
+        return { 
+            success: true, 
+            user: { 
+                id: userId, 
+                username, 
+                email,
+                tier: 'free' 
+            } 
+        };
     }
 
     /**
@@ -70,49 +80,44 @@ class AuthService {
      * @param {string} username - Username
      * @param {string} password - Plain text password
      * @returns {Promise<object>} Login result with session
+     * @throws {ApiError} 401 for unknown users or wrong passwords
      */
     async login(username, password) {
-        try {
-            if (!username || !password) {
-                return { success: false, error: 'Username and password required' };
-            }
-
-            // Get user
-            const user = await this.db.getUserByUsername(username);
-            if (!user) {
-                return { success: false, error: 'Invalid username or password' };
-            }
+        if (!username || !password) {
+            const fields = {};
+            if (!username) fields.username = 'is required';
+            if (!password) fields.password = 'is required';
+            throw ApiError.validation(fields, 'Username and password required');
+        }
 
-            // Verify password
-            if (!this.verifyPassword(password, user.password_hash)) {
-                return { success: false, error: 'Invalid username or password' };
-            }
+        // Get user
+        const user = await this.db.getUserByUsername(username);
 
-            // Create session
-            const sessionId = this.generateSessionId();
-            const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+        // Verify password
+        if (!user || !this.verifyPassword(password, user.password_hash)) {
+            throw ApiError.unauthorized('Invalid username or password', 'invalid_credentials');
+        }
 
-            await this.db.createSession({
-                session_id: sessionId,
-                user_id: user.id,
-                expires_at: expiresAt.toISOString()
-            });
+        // Create session
+        const sessionId = this.generateSessionId();
+        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
-            return {
-                success: true,
-                sessionId,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email,
-                    tier: user.tier
-                }
-            };
+        await this.db.createSession({
+            session_id: sessionId,
+            user_id: user.id,
+            expires_at: expiresAt.toISOString()
+        });
 
-        } catch (error) {
-            console.error('Login error:', error);
-            return { success: false, error: 'Login failed' };
-        }
+        return {
+            success: true,
+            sessionId,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                tier: user.tier
+            }
+        };
     }
 
     /**
@@ -159,6 +164,52 @@ class AuthService {
         }
     }
 
+    /**
+     * Create a feed token for calendar apps and feed readers, which can't send the session cookie
+     * @param {number} userId - User ID
+     * @param {string} name - What the token is for, e.g. "Phone calendar"
+     * @returns {Promise<{id: number, token: string}>} The token itself is only available now
+     */
+    async createFeedToken(userId, name) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const id = await this.db.createFeedToken({
+            user_id: userId,
+            name,
+            token_hash: this.hashFeedToken(token)
+        });
+        return { id, token };
+    }
+
+    /**
+     * Get user from a feed token
+     * @param {string} token - Feed token
+     * @returns {Promise<object|null>} User object or null
+     */
+    async getUserFromFeedToken(token) {
+        try {
+            if (!token) return null;
+
+            const record = await this.db.getFeedTokenByHash(this.hashFeedToken(token));
+            if (!record) return null;
+
+            await this.db.touchFeedToken(record.id);
+            return await this.db.getUserById(record.user_id);
+
+        } catch (error) {
+            console.error('Feed token validation error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Feed tokens are stored hashed; they are random, so a plain SHA-256 is enough
+     * @param {string} token - Feed token
+     * @returns {string} Hex digest
+     */
+    hashFeedToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
     /**
      * Hash password using crypto
      * @param {string} password - Plain text password
@@ -0,0 +1,105 @@
+// CSV parsing (RFC 4180): quoted fields may contain delimiters, doubled quotes and
+// line breaks. Comma, semicolon and tab separated files are told apart by their
+// header line, since spreadsheet apps in many locales save with semicolons.
+
+const DELIMITERS = [',', ';', '\t'];
+
+class CsvError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvError';
+    }
+}
+
+/**
+ * Guess the delimiter from the first line: the candidate found most often outside quotes
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(d => [d, 0]));
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === '\n' || char === '\r')) break;
+        else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    return [...counts.entries()].reduce((best, current) => (current[1] > best[1] ? current : best))[0];
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Field separator, detected when omitted
+ * @returns {Array<{line: number, fields: Array<string>}>} Rows with the line each starts on; blank lines are skipped
+ */
+function parseCsv(text, options = {}) {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const delimiter = options.delimiter || detectDelimiter(input);
+
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') {
+            rows.push({ line: rowLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new CsvError(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+    if (field !== '' || fields.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+module.exports = {
+    parseCsv,
+    detectDelimiter,
+    CsvError
+};
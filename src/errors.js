@@ -0,0 +1,93 @@
+// Errors that map to an HTTP response. The server turns any ApiError into the
+// standard error envelope:
+//
+//   { "error": { "code": "validation_failed", "message": "...", "fields": { "date": "..." } } }
+//
+// `fields` is only present for per-field validation problems.
+
+const DEFAULT_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    416: 'range_not_satisfiable',
+    422: 'validation_failed',
+    500: 'internal_error'
+};
+
+class ApiError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status
+     * @param {string} message - Human readable message
+     * @param {object} [options]
+     * @param {string} [options.code] - Machine readable code, defaults to one derived from the status
+     * @param {object} [options.fields] - Per-field messages, keyed by field name
+     */
+    constructor(statusCode, message, options = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = options.code || defaultCode(statusCode);
+        this.fields = options.fields || null;
+    }
+
+    /**
+     * Body for the error envelope
+     * @returns {{error: {code: string, message: string, fields?: object}}}
+     */
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.fields) error.fields = this.fields;
+        return { error };
+    }
+
+    static badRequest(message, code) {
+        return new ApiError(400, message, { code });
+    }
+
+    static unauthorized(message = 'Authentication required', code) {
+        return new ApiError(401, message, { code });
+    }
+
+    static forbidden(message = 'Forbidden', code) {
+        return new ApiError(403, message, { code });
+    }
+
+    static notFound(message = 'Not found', code) {
+        return new ApiError(404, message, { code });
+    }
+
+    static conflict(message, code) {
+        return new ApiError(409, message, { code });
+    }
+
+    static payloadTooLarge(message, code) {
+        return new ApiError(413, message, { code });
+    }
+
+    /**
+     * @param {object} fields - Per-field messages
+     * @param {string} [message] - Summary message
+     */
+    static validation(fields, message = 'Request validation failed') {
+        return new ApiError(422, message, { fields });
+    }
+}
+
+/**
+ * Error code used when none is given
+ * @param {number} statusCode - HTTP status
+ * @returns {string}
+ */
+function defaultCode(statusCode) {
+    return DEFAULT_CODES[statusCode] || (statusCode >= 500 ? 'internal_error' : 'error');
+}
+
+module.exports = {
+    ApiError,
+    defaultCode
+};
@@ -0,0 +1,96 @@
+// In-process publish/subscribe for real-time updates (streamed to browsers over
+// Server-Sent Events, see GET /api/events).
+//
+// Each event names the users allowed to receive it (its audience), fixed when it is
+// published. Recent events are kept so a client that reconnects with the ID of the last
+// event it saw gets what it missed. IDs are "<epoch>-<sequence>", where the epoch changes
+// every time the process starts: an ID from before a restart, or older than the kept
+// history, can't be resumed from and the client has to reload instead.
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+class EventBus {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.historySize=1000] - Recent events kept for resuming
+     */
+    constructor({ historySize = DEFAULT_HISTORY_SIZE } = {}) {
+        this.historySize = historySize;
+        this.epoch = Date.now().toString(36);
+        this.sequence = 0;
+        this.history = [];
+        this.listeners = new Set();
+    }
+
+    /**
+     * ID of the latest event published (or of the start, before any)
+     * @returns {string}
+     */
+    get lastEventId() {
+        return `${this.epoch}-${this.sequence}`;
+    }
+
+    /**
+     * Publish an event to its audience
+     * @param {string} type - Event name, e.g. 'entry.updated'
+     * @param {object} data - JSON-serializable payload
+     * @param {Iterable<number>} audience - IDs of the users who may receive it
+     * @returns {object} The event ({id, sequence, type, data, audience})
+     */
+    publish(type, data, audience) {
+        this.sequence++;
+        const event = {
+            id: `${this.epoch}-${this.sequence}`,
+            sequence: this.sequence,
+            type,
+            data,
+            audience: new Set(audience)
+        };
+
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        for (const listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('❌ Event listener error:', error);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Receive every event published from now on
+     * @param {function(object): void} listener - Called with each event
+     * @returns {function(): void} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Events published after the one with the given ID
+     * @param {string} lastEventId - ID the client saw last
+     * @returns {Array<object>|null} Events, oldest first, or null if the ID can't be
+     *   resumed from (another epoch, older than the history, or malformed)
+     */
+    since(lastEventId) {
+        const match = /^([0-9a-z]+)-(\d+)$/.exec(String(lastEventId).trim());
+        if (!match || match[1] !== this.epoch) return null;
+
+        const sequence = Number(match[2]);
+        if (sequence > this.sequence) return null;
+
+        // Everything after `sequence` must still be in the history
+        const oldest = this.history.length > 0 ? this.history[0].sequence : this.sequence + 1;
+        if (sequence < oldest - 1) return null;
+
+        return this.history.filter(event => event.sequence > sequence);
+    }
+}
+
+module.exports = EventBus;
@@ -0,0 +1,150 @@
+// Minimal EXIF reader for the few tags Timal cares about: capture time,
+// its UTC offset, orientation and GPS position.
+
+const TAGS = {
+    orientation: 0x0112,
+    dateTime: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Parse an EXIF block
+ * @param {Buffer} exifBuffer - Raw EXIF data, with or without the "Exif\0\0" prefix (as returned by sharp)
+ * @returns {{orientation: number|null, capturedAt: string|null, gps: {latitude: number, longitude: number}|null}|null}
+ *   Parsed tags, or null if the block isn't valid EXIF
+ */
+function readExif(exifBuffer) {
+    if (!exifBuffer || exifBuffer.length < 8) return null;
+
+    const tiff = exifBuffer.toString('latin1', 0, 6) === 'Exif\0\0' ? exifBuffer.subarray(6) : exifBuffer;
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+    const reader = new TiffReader(tiff, byteOrder === 'II');
+    try {
+        if (reader.uint16(2) !== 42) return null;
+
+        const ifd0 = reader.readIfd(reader.uint32(4));
+        const exifIfd = ifd0[TAGS.exifIfd] ? reader.readIfd(ifd0[TAGS.exifIfd].value) : {};
+        const gpsIfd = ifd0[TAGS.gpsIfd] ? reader.readIfd(ifd0[TAGS.gpsIfd].value) : {};
+
+        const dateTime = reader.ascii(exifIfd[TAGS.dateTimeOriginal]) || reader.ascii(ifd0[TAGS.dateTime]);
+        const offset = reader.ascii(exifIfd[TAGS.offsetTimeOriginal]);
+
+        return {
+            orientation: ifd0[TAGS.orientation] ? ifd0[TAGS.orientation].value : null,
+            capturedAt: formatExifDate(dateTime, offset),
+            gps: readGps(reader, gpsIfd)
+        };
+    } catch (error) {
+        // Truncated or corrupt EXIF is common; treat it as absent
+        return null;
+    }
+}
+
+class TiffReader {
+    constructor(buffer, littleEndian) {
+        this.buffer = buffer;
+        this.littleEndian = littleEndian;
+    }
+
+    uint16(offset) {
+        return this.littleEndian ? this.buffer.readUInt16LE(offset) : this.buffer.readUInt16BE(offset);
+    }
+
+    uint32(offset) {
+        return this.littleEndian ? this.buffer.readUInt32LE(offset) : this.buffer.readUInt32BE(offset);
+    }
+
+    /**
+     * Read the entries of an image file directory
+     * @param {number} offset - IFD offset from the start of the TIFF header
+     * @returns {object} Entries keyed by tag, each {type, count, valueOffset, value}
+     */
+    readIfd(offset) {
+        const entries = {};
+        const count = this.uint16(offset);
+
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            const tag = this.uint16(entryOffset);
+            const type = this.uint16(entryOffset + 2);
+            const valueCount = this.uint32(entryOffset + 4);
+            const size = (TYPE_SIZES[type] || 1) * valueCount;
+
+            // Values of 4 bytes or less are stored inline, larger ones elsewhere
+            const valueOffset = size <= 4 ? entryOffset + 8 : this.uint32(entryOffset + 8);
+            let value = null;
+            if (type === 3) value = this.uint16(valueOffset);
+            if (type === 4) value = this.uint32(valueOffset);
+
+            entries[tag] = { type, count: valueCount, valueOffset, value };
+        }
+
+        return entries;
+    }
+
+    ascii(entry) {
+        if (!entry || entry.type !== 2) return null;
+        return this.buffer.toString('latin1', entry.valueOffset, entry.valueOffset + entry.count).replace(/\0.*$/, '').trim() || null;
+    }
+
+    rationals(entry) {
+        if (!entry || entry.type !== 5) return null;
+        const values = [];
+        for (let i = 0; i < entry.count; i++) {
+            const numerator = this.uint32(entry.valueOffset + i * 8);
+            const denominator = this.uint32(entry.valueOffset + i * 8 + 4);
+            values.push(denominator ? numerator / denominator : 0);
+        }
+        return values;
+    }
+}
+
+/**
+ * Convert degrees/minutes/seconds GPS tags to signed decimal degrees
+ */
+function readGps(reader, gpsIfd) {
+    const latitude = reader.rationals(gpsIfd[TAGS.gpsLatitude]);
+    const longitude = reader.rationals(gpsIfd[TAGS.gpsLongitude]);
+    if (!latitude || !longitude || latitude.length < 3 || longitude.length < 3) return null;
+
+    const toDecimal = ([degrees, minutes, seconds]) => degrees + minutes / 60 + seconds / 3600;
+    const latitudeRef = reader.ascii(gpsIfd[TAGS.gpsLatitudeRef]);
+    const longitudeRef = reader.ascii(gpsIfd[TAGS.gpsLongitudeRef]);
+
+    return {
+        latitude: toDecimal(latitude) * (latitudeRef === 'S' ? -1 : 1),
+        longitude: toDecimal(longitude) * (longitudeRef === 'W' ? -1 : 1)
+    };
+}
+
+/**
+ * Turn an EXIF date ("2024:03:20 14:05:09") and optional offset ("+02:00") into an ISO 8601 string
+ * @returns {string|null} e.g. "2024-03-20T14:05:09+02:00", or local time without an offset when none is recorded
+ */
+function formatExifDate(dateTime, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(dateTime || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    // Cameras without a set clock write all zeros
+    if (year === '0000' || month === '00' || day === '00') return null;
+
+    const validOffset = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${validOffset}`;
+}
+
+module.exports = {
+    readExif
+};
@@ -0,0 +1,111 @@
+// Static HTML rendering of an export, saved as index.html next to the manifest.
+// Everything it needs is inline or in the archive's media/ folder, so it opens
+// offline straight from the unzipped archive.
+
+const STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; background: #f5f5f5; color: #222; }
+    header, main { max-width: 760px; margin: 0 auto; padding: 24px 16px; }
+    header p { color: #666; margin: 4px 0 0; }
+    section { margin-bottom: 48px; }
+    section > p { color: #555; }
+    article { background: #fff; border-radius: 8px; padding: 16px 20px; margin: 16px 0; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+    time { color: #888; font-size: 0.9em; }
+    .text { white-space: pre-wrap; line-height: 1.5; }
+    .tags span { display: inline-block; background: #eef; color: #446; border-radius: 4px; padding: 2px 8px; margin: 0 4px 4px 0; font-size: 0.85em; }
+    .media img, .media video { max-width: 100%; border-radius: 6px; margin-top: 8px; display: block; }
+    .missing { color: #a00; font-style: italic; }
+`;
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Percent-encode each segment of an archive path for use in src attributes
+ */
+function encodePath(archivePath) {
+    return archivePath.split('/').map(encodeURIComponent).join('/');
+}
+
+function renderMedia(media) {
+    if (!media.file) {
+        return `<p class="missing">${escapeHtml(media.original_filename)} could not be exported</p>`;
+    }
+    const src = escapeHtml(encodePath(media.file));
+    if (media.media_type === 'video') {
+        return `<video src="${src}" controls preload="metadata"></video>`;
+    }
+    return `<img src="${src}" alt="${escapeHtml(media.original_filename)}" loading="lazy">`;
+}
+
+function renderEntry(entry, mediaByEntry) {
+    const media = mediaByEntry.get(entry.id) || [];
+    return `
+        <article id="entry-${entry.id}">
+            <time datetime="${escapeHtml(entry.entry_date)}">${escapeHtml(entry.entry_date)}</time>
+            ${entry.entry_text ? `<div class="text">${escapeHtml(entry.entry_text)}</div>` : ''}
+            ${entry.tags.length > 0 ? `<div class="tags">${entry.tags.map(tag => `<span>#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+            ${media.length > 0 ? `<div class="media">${media.map(renderMedia).join('')}</div>` : ''}
+        </article>`;
+}
+
+/**
+ * Render an export manifest as a standalone HTML page, one section per timeline
+ * @param {object} manifest - Manifest written by ExportService, with `file` set on exported media
+ * @returns {string} HTML document
+ */
+function renderTimelineHtml(manifest) {
+    const mediaByEntry = new Map();
+    for (const media of manifest.media) {
+        if (!mediaByEntry.has(media.entry_id)) mediaByEntry.set(media.entry_id, []);
+        mediaByEntry.get(media.entry_id).push(media);
+    }
+
+    // Manifest entries run oldest first; timelines set to newest first are reversed
+    const sections = manifest.timelines.map(timeline => {
+        const entries = manifest.entries.filter(entry => entry.timeline_id === timeline.id);
+        if (timeline.sort_order !== 'oldest') entries.reverse();
+        return `
+    <section>
+        <h2>${escapeHtml(timeline.title)}</h2>
+        ${timeline.description ? `<p>${escapeHtml(timeline.description)}</p>` : ''}
+        ${entries.length > 0 ? entries.map(entry => renderEntry(entry, mediaByEntry)).join('') : '<p>No entries.</p>'}
+    </section>`;
+    });
+
+    const title = `${manifest.user.username}'s timeline`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    <style>${STYLES}</style>
+</head>
+<body>
+    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <p>Exported ${escapeHtml(manifest.exported_at)} · ${manifest.entries.length} entries</p>
+    </header>
+    <main>${sections.join('')}
+    </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderTimelineHtml,
+    escapeHtml,
+    STYLES
+};
@@ -0,0 +1,272 @@
+// Portable archives of a user's data: a ZIP with manifest.json (account, timelines,
+// tags, entries with their revisions, and media records), the media files under
+// media/, and optionally an index.html that renders the timelines offline.
+// Anything in the trash is left out.
+//
+// Small archives are streamed straight to the client. Bigger ones are built in the
+// background, one at a time, under EXPORT_PATH and can be downloaded for
+// EXPORT_RETENTION_DAYS (7 by default).
+
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const ZipWriter = require('./zip-writer');
+const { renderTimelineHtml } = require('./export-html');
+const { readNumber } = require('./settings');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_STREAM_LIMIT_MB = 100;
+
+/**
+ * Days a finished export can be downloaded, from EXPORT_RETENTION_DAYS
+ * @returns {number}
+ */
+function getRetentionDays() {
+    return readNumber('EXPORT_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, value => value >= 0);
+}
+
+/**
+ * Largest media total (MB) exported in the request itself, from EXPORT_STREAM_LIMIT_MB
+ * @returns {number}
+ */
+function getStreamLimitMb() {
+    return readNumber('EXPORT_STREAM_LIMIT_MB', DEFAULT_STREAM_LIMIT_MB, value => value >= 0);
+}
+
+/**
+ * Parse a SQLite timestamp ('YYYY-MM-DD HH:MM:SS', UTC)
+ */
+function parseTimestamp(value) {
+    const date = value ? new Date(`${value.replace(' ', 'T')}Z`) : new Date();
+    return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Where a media file goes in the archive: media/<id>-<original name>, keeping the stored file's extension
+ * @param {object} media - Media attachment row
+ * @returns {string}
+ */
+function archivePath(media) {
+    const extension = path.extname(media.r2_key).toLowerCase();
+    const base = path.basename(media.original_filename || '', path.extname(media.original_filename || ''))
+        .replace(/[^\p{L}\p{N}_.-]+/gu, '_')
+        .replace(/^[._]+|_+$/g, '')
+        .slice(0, 80);
+    return `media/${media.id}-${base || 'file'}${extension}`;
+}
+
+class ExportService {
+    /**
+     * @param {Database} database - Database instance
+     * @param {object} storage - Storage driver the media files are read from
+     * @param {object} [options]
+     * @param {string} [options.directory] - Where background exports are written, defaults to EXPORT_PATH or ./exports
+     */
+    constructor(database, storage, options = {}) {
+        this.db = database;
+        this.storage = storage;
+        this.directory = path.resolve(options.directory || process.env.EXPORT_PATH || './exports');
+
+        // Background exports run one after another
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Size of the media an export of a user would contain
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Megabytes
+     */
+    async estimateSizeMb(userId) {
+        const stats = await this.db.getUserStorageStats(userId);
+        return Math.max(0, stats.storage_used_mb - stats.trash_storage_mb);
+    }
+
+    /**
+     * Whether an export of this size is small enough to stream in the request
+     * @param {number} sizeMb - From estimateSizeMb
+     * @returns {boolean}
+     */
+    canStream(sizeMb) {
+        return sizeMb <= getStreamLimitMb();
+    }
+
+    /**
+     * Write a user's archive to a stream. The stream is not ended.
+     * Media files that can't be read from storage are listed in the manifest with `file: null`.
+     * @param {number} userId - User ID
+     * @param {stream.Writable} output - Where the ZIP is written
+     * @param {object} [options]
+     * @param {boolean} [options.includeHtml=false] - Add index.html
+     * @returns {Promise<{entries: number, media: number, missing: number}>}
+     */
+    async writeArchive(userId, output, { includeHtml = false } = {}) {
+        const data = await this.db.getExportData(userId);
+        const zip = new ZipWriter(output);
+
+        // Media first, so the manifest can say which files made it in
+        const media = [];
+        let missing = 0;
+        for (const item of data.media) {
+            let stream = null;
+            try {
+                stream = await this.storage.getFileStream(item.r2_key);
+            } catch (error) {
+                console.warn(`⚠️  Export skipped media ${item.id}: ${error.message}`);
+                missing++;
+            }
+
+            const file = stream ? archivePath(item) : null;
+            if (stream) {
+                // Photos and videos are already compressed
+                await zip.addFile(file, stream, { compress: false, date: parseTimestamp(item.created_at) });
+            }
+
+            media.push({
+                id: item.id,
+                entry_id: item.entry_id,
+                media_type: item.media_type,
+                original_filename: item.original_filename,
+                file,
+                file_size_mb: item.file_size_mb,
+                width: item.width,
+                height: item.height,
+                duration: item.duration,
+                codec: item.codec,
+                captured_at: item.captured_at,
+                location_lat: item.location_lat,
+                location_lon: item.location_lon,
+                created_at: item.created_at
+            });
+        }
+
+        const manifest = {
+            format: 'timal-export',
+            version: MANIFEST_VERSION,
+            exported_at: new Date().toISOString(),
+            user: data.user,
+            timelines: data.timelines,
+            tags: data.tags,
+            entries: data.entries,
+            media
+        };
+        await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+        if (includeHtml) {
+            await zip.addFile('index.html', renderTimelineHtml(manifest));
+        }
+        await zip.finalize();
+
+        return { entries: data.entries.length, media: media.length - missing, missing };
+    }
+
+    // BACKGROUND EXPORTS
+
+    /**
+     * Queue a background export
+     * @param {number} userId - User ID
+     * @param {object} [options]
+     * @param {boolean} [options.includeHtml=false] - Add index.html
+     * @returns {Promise<object>} The export record
+     */
+    async startExport(userId, { includeHtml = false } = {}) {
+        const exportId = await this.db.createExport({ user_id: userId, include_html: includeHtml });
+        const record = await this.db.getExport(exportId, userId);
+        this.enqueue(record);
+        return record;
+    }
+
+    /**
+     * Queue exports a restart interrupted. Partly written archives are started over.
+     * @returns {Promise<number>} Exports queued
+     */
+    async resumePending() {
+        const pending = await this.db.getPendingExports();
+        pending.forEach(record => this.enqueue(record));
+        return pending.length;
+    }
+
+    enqueue(record) {
+        this.queue = this.queue.then(() => this.runExport(record));
+    }
+
+    /**
+     * Build an export's archive. It is written to a .part file and renamed once complete.
+     * Failures are recorded on the export rather than thrown.
+     * @param {object} record - Export row
+     */
+    async runExport(record) {
+        const fileName = `timal-export-${record.user_id}-${record.id}.zip`;
+        const partialPath = path.join(this.directory, `${fileName}.part`);
+
+        try {
+            // Deleted while it waited in the queue
+            if (!await this.db.getExport(record.id, record.user_id)) return;
+
+            await this.db.markExportProcessing(record.id);
+            await fs.promises.mkdir(this.directory, { recursive: true });
+
+            const output = fs.createWriteStream(partialPath);
+            try {
+                await this.writeArchive(record.user_id, output, { includeHtml: Boolean(record.include_html) });
+                output.end();
+                await finished(output);
+            } catch (error) {
+                output.destroy();
+                throw error;
+            }
+
+            await fs.promises.rename(partialPath, path.join(this.directory, fileName));
+            const { size } = await fs.promises.stat(path.join(this.directory, fileName));
+            await this.db.markExportComplete(record.id, fileName, size, getRetentionDays());
+            console.log(`✅ Export ${record.id} ready (${(size / (1024 * 1024)).toFixed(1)} MB)`);
+        } catch (error) {
+            console.error(`❌ Export ${record.id} failed:`, error);
+            await fs.promises.rm(partialPath, { force: true }).catch(() => {});
+            await this.db.markExportFailed(record.id, error.message, getRetentionDays()).catch(dbError => {
+                console.error(`Could not record failure of export ${record.id}:`, dbError);
+            });
+        }
+    }
+
+    /**
+     * Path of a finished export's archive
+     * @param {object} record - Export row with status 'complete'
+     * @returns {string}
+     */
+    getArchivePath(record) {
+        return path.join(this.directory, path.basename(record.file_path));
+    }
+
+    /**
+     * Delete an export and its archive
+     * @param {object} record - Export row
+     */
+    async deleteExport(record) {
+        if (record.file_path) {
+            await fs.promises.rm(this.getArchivePath(record), { force: true });
+        }
+        await this.db.deleteExport(record.id);
+    }
+
+    /**
+     * Delete exports whose download period has ended
+     * @returns {Promise<number>} Exports deleted
+     */
+    async cleanupExpired() {
+        let deleted = 0;
+        for (const record of await this.db.getExpiredExports()) {
+            try {
+                await this.deleteExport(record);
+                deleted++;
+            } catch (error) {
+                console.error(`Could not delete expired export ${record.id}:`, error);
+            }
+        }
+        return deleted;
+    }
+}
+
+module.exports = ExportService;
+module.exports.getRetentionDays = getRetentionDays;
+module.exports.MANIFEST_VERSION = MANIFEST_VERSION;
+module.exports.archivePath = archivePath;
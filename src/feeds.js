@@ -0,0 +1,121 @@
+// Atom (RFC 4287) and JSON Feed 1.1 documents for a timeline, newest entries first.
+// Media attachments become enclosures (Atom) and attachments (JSON Feed).
+
+const { summarize } = require('./icalendar');
+
+/**
+ * Escape text for XML content and attribute values
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''); // not allowed in XML 1.0
+}
+
+/**
+ * A SQLite timestamp ('YYYY-MM-DD HH:MM:SS', UTC) in RFC 3339
+ */
+function isoTimestamp(timestamp) {
+    return `${timestamp.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Latest change among the timeline and its entries
+ */
+function lastUpdated(timeline, entries) {
+    return entries.reduce(
+        (latest, entry) => (entry.updated_at > latest ? entry.updated_at : latest),
+        timeline.updated_at || timeline.created_at
+    );
+}
+
+/**
+ * Render a timeline as an Atom feed
+ * @param {object} timeline - Timeline row
+ * @param {Array<object>} entries - Entries with `tags` and `media` (each media item with `url` and `mime_type`)
+ * @param {object} options
+ * @param {object} options.user - Owner, named as the feed's author
+ * @param {string} options.feedUrl - Where the feed is fetched from
+ * @param {string} options.homeUrl - The app
+ * @returns {string}
+ */
+function buildAtomFeed(timeline, entries, { user, feedUrl, homeUrl }) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>urn:timal:timeline:${timeline.id}</id>`,
+        `  <title>${escapeXml(timeline.title)}</title>`
+    ];
+    if (timeline.description) {
+        lines.push(`  <subtitle>${escapeXml(timeline.description)}</subtitle>`);
+    }
+    lines.push(
+        `  <updated>${isoTimestamp(lastUpdated(timeline, entries))}</updated>`,
+        `  <author><name>${escapeXml(user.username)}</name></author>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>`,
+        '  <generator>Timal</generator>'
+    );
+
+    for (const entry of entries) {
+        lines.push(
+            '  <entry>',
+            `    <id>urn:timal:entry:${entry.id}</id>`,
+            `    <title>${escapeXml(`${entry.entry_date}: ${summarize(entry.entry_text)}`)}</title>`,
+            `    <published>${isoTimestamp(entry.created_at)}</published>`,
+            `    <updated>${isoTimestamp(entry.updated_at || entry.created_at)}</updated>`
+        );
+        if (entry.entry_text) {
+            lines.push(`    <content type="text">${escapeXml(entry.entry_text)}</content>`);
+        }
+        for (const tag of entry.tags || []) {
+            lines.push(`    <category term="${escapeXml(tag)}"/>`);
+        }
+        for (const media of entry.media || []) {
+            const type = media.mime_type ? ` type="${escapeXml(media.mime_type)}"` : '';
+            lines.push(`    <link rel="enclosure"${type} href="${escapeXml(media.url)}"/>`);
+        }
+        lines.push('  </entry>');
+    }
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a timeline as a JSON Feed. Each item's entry date is in `_timal.entry_date`.
+ * @param {object} timeline - Timeline row
+ * @param {Array<object>} entries - Entries with `tags` and `media` (each media item with `url` and `mime_type`)
+ * @param {object} options - As for buildAtomFeed
+ * @returns {object}
+ */
+function buildJsonFeed(timeline, entries, { user, feedUrl, homeUrl }) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: timeline.title,
+        description: timeline.description || undefined,
+        home_page_url: homeUrl,
+        feed_url: feedUrl,
+        authors: [{ name: user.username }],
+        items: entries.map(entry => ({
+            id: `urn:timal:entry:${entry.id}`,
+            title: `${entry.entry_date}: ${summarize(entry.entry_text)}`,
+            content_text: entry.entry_text || '',
+            date_published: isoTimestamp(entry.created_at),
+            date_modified: isoTimestamp(entry.updated_at || entry.created_at),
+            tags: entry.tags && entry.tags.length > 0 ? entry.tags : undefined,
+            attachments: entry.media && entry.media.length > 0
+                ? entry.media.map(media => ({ url: media.url, mime_type: media.mime_type || 'application/octet-stream' }))
+                : undefined,
+            _timal: { entry_date: entry.entry_date }
+        }))
+    };
+}
+
+module.exports = {
+    buildAtomFeed,
+    buildJsonFeed
+};
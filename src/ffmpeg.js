@@ -0,0 +1,95 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 30000;
+
+// null = not checked yet; cached so a missing binary is only reported once
+let ffmpegAvailable = null;
+
+/**
+ * Run ffmpeg with the given arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ */
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`ffmpeg timed out after ${FFMPEG_TIMEOUT_MS / 1000}s`));
+        }, FFMPEG_TIMEOUT_MS);
+
+        child.stderr.on('data', chunk => {
+            stderr = (stderr + chunk.toString()).slice(-2000);
+        });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        });
+    });
+}
+
+/**
+ * Check once whether an ffmpeg binary can be run
+ * @returns {Promise<boolean>}
+ */
+async function isFfmpegAvailable() {
+    if (ffmpegAvailable === null) {
+        try {
+            await runFfmpeg(['-hide_banner', '-version']);
+            ffmpegAvailable = true;
+        } catch (error) {
+            ffmpegAvailable = false;
+            console.warn(`⚠️  ffmpeg not available (${error.code || error.message}), video thumbnails disabled`);
+        }
+    }
+    return ffmpegAvailable;
+}
+
+/**
+ * Extract a single frame from a video as a JPEG
+ * @param {Buffer} videoBuffer - Video file data
+ * @param {string} extension - Video file extension, used for the temp file
+ * @param {number} atSeconds - Timestamp of the frame
+ * @param {number} maxWidth - Max width of the output image
+ * @returns {Promise<Buffer>} JPEG data
+ */
+async function extractFrame(videoBuffer, extension, atSeconds = 0, maxWidth = 1280) {
+    // MP4s often keep their index at the end, so ffmpeg needs a seekable file rather than a pipe
+    const tmpBase = path.join(os.tmpdir(), `timal-${crypto.randomBytes(8).toString('hex')}`);
+    const inputPath = `${tmpBase}${extension}`;
+    const outputPath = `${tmpBase}.jpg`;
+
+    try {
+        await fs.promises.writeFile(inputPath, videoBuffer);
+        await runFfmpeg([
+            '-hide_banner', '-loglevel', 'error',
+            '-ss', atSeconds.toFixed(2),
+            '-i', inputPath,
+            '-frames:v', '1',
+            '-vf', `scale='min(${maxWidth},iw)':-2`,
+            '-q:v', '3',
+            '-y', outputPath
+        ]);
+        return await fs.promises.readFile(outputPath);
+    } finally {
+        await fs.promises.rm(inputPath, { force: true });
+        await fs.promises.rm(outputPath, { force: true });
+    }
+}
+
+module.exports = {
+    isFfmpegAvailable,
+    extractFrame
+};
@@ -0,0 +1,231 @@
+// iCalendar (RFC 5545) reading and writing.
+//
+// Timelines are published as calendars of all-day events, one per entry, on the
+// entry's date. Calendars are also read for import: each VEVENT becomes a row with
+// its UID, start date, summary, description and categories. Recurring events only
+// contribute their first occurrence.
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * YYYY-MM-DD as an iCalendar DATE (YYYYMMDD)
+ */
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * The day after a YYYY-MM-DD date, as an iCalendar DATE
+ */
+function nextDay(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return formatDate(day.toISOString().slice(0, 10));
+}
+
+/**
+ * A SQLite timestamp ('YYYY-MM-DD HH:MM:SS', UTC) as an iCalendar UTC DATE-TIME
+ */
+function formatTimestamp(timestamp) {
+    return `${timestamp.replace(/[-:]/g, '').replace(' ', 'T').slice(0, 15)}Z`;
+}
+
+/**
+ * Render a timeline as an iCalendar document
+ * @param {object} timeline - Timeline row
+ * @param {Array<object>} entries - Entries with `tags` and `media` (each media item with a `url`)
+ * @param {object} options
+ * @param {string} options.host - Host name used to make event UIDs globally unique
+ * @returns {string}
+ */
+function buildCalendar(timeline, entries, { host }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Timal//Timeline Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(timeline.title)}`
+    ];
+    if (timeline.description) {
+        lines.push(`X-WR-CALDESC:${escapeText(timeline.description)}`);
+    }
+
+    for (const entry of entries) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:timal-entry-${entry.id}@${host}`,
+            `DTSTAMP:${formatTimestamp(entry.updated_at || entry.created_at)}`,
+            `DTSTART;VALUE=DATE:${formatDate(entry.entry_date)}`,
+            `DTEND;VALUE=DATE:${nextDay(entry.entry_date)}`,
+            `SUMMARY:${escapeText(summarize(entry.entry_text))}`
+        );
+        if (entry.entry_text) {
+            lines.push(`DESCRIPTION:${escapeText(entry.entry_text)}`);
+        }
+        if (entry.tags && entry.tags.length > 0) {
+            lines.push(`CATEGORIES:${entry.tags.map(escapeText).join(',')}`);
+        }
+        for (const media of entry.media || []) {
+            lines.push(`ATTACH${media.mime_type ? `;FMTTYPE=${media.mime_type}` : ''}:${media.url}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * One-line title for an entry: its first line, shortened to 80 characters
+ * @param {string|null} text - Entry text
+ * @returns {string}
+ */
+function summarize(text) {
+    const firstLine = String(text || '').trim().split(/\r?\n/)[0].trim();
+    if (!firstLine) return 'Timeline entry';
+    return firstLine.length > 80 ? `${firstLine.slice(0, 79).trimEnd()}…` : firstLine;
+}
+
+// READING
+
+/**
+ * Undo TEXT escaping
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a TEXT list on commas that aren't escaped
+ */
+function splitList(value) {
+    return value.split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse one content line into name, parameters and value
+ */
+function parseLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) return null;
+
+    const [name, ...params] = line.slice(0, colon).split(';');
+    const parameters = {};
+    for (const param of params) {
+        const [key, ...value] = param.split('=');
+        parameters[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), parameters, value: line.slice(colon + 1) };
+}
+
+/**
+ * Date part of a DATE or DATE-TIME value, as YYYY-MM-DD. UTC times ('Z') are taken in
+ * UTC; local and TZID times keep the date they are written with.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseDateValue(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Read the events of an iCalendar document
+ * @param {string} text - .ics contents
+ * @returns {Array<{line: number, uid: string|null, date: string|null, summary: string|null,
+ *   description: string|null, categories: Array<string>}>} Events, with the line each starts on
+ * @throws {Error} If the text is not an iCalendar document
+ */
+function parseCalendar(text) {
+    // Unfold: a line starting with a space or tab continues the previous one
+    const lines = [];
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+        if (/^[ \t]/.test(line) && lines.length > 0) {
+            lines[lines.length - 1].text += line.slice(1);
+        } else if (line !== '') {
+            lines.push({ text: line, number: index + 1 });
+        }
+    });
+
+    if (lines.length === 0 || lines[0].text.trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        throw new Error('is not an iCalendar file (it must start with BEGIN:VCALENDAR)');
+    }
+
+    const events = [];
+    let event = null;
+    let depth = 0;
+    for (const { text: raw, number } of lines) {
+        const line = parseLine(raw);
+        if (!line) continue;
+
+        if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+            event = { line: number, uid: null, date: null, summary: null, description: null, categories: [] };
+            depth = 0;
+        } else if (!event) {
+            continue;
+        } else if (line.name === 'BEGIN') {
+            // Nested components such as VALARM have properties of their own
+            depth++;
+        } else if (line.name === 'END' && depth > 0) {
+            depth--;
+        } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+            events.push(event);
+            event = null;
+        } else if (depth === 0) {
+            if (line.name === 'UID') event.uid = line.value.trim() || null;
+            else if (line.name === 'DTSTART') event.date = parseDateValue(line.value);
+            else if (line.name === 'SUMMARY') event.summary = unescapeText(line.value);
+            else if (line.name === 'DESCRIPTION') event.description = unescapeText(line.value);
+            else if (line.name === 'CATEGORIES') event.categories.push(...splitList(line.value));
+        }
+    }
+    return events;
+}
+
+module.exports = {
+    buildCalendar,
+    parseCalendar,
+    summarize
+};
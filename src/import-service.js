@@ -0,0 +1,533 @@
+// Imports entries from CSV files, JSON arrays, iCalendar files and Timal export archives.
+//
+// Every row is mapped to an entry and validated first; a dry run stops there and
+// reports what an import would do. A real import inserts all new entries in one
+// transaction, then uploads the media of Timal archives. Entries remember their
+// source and the ID they had there, so importing the same data again only adds what
+// is new. Rows without an ID get one derived from their date and text.
+
+const crypto = require('crypto');
+const path = require('path');
+const { validate } = require('../api/validation');
+const schemas = require('../api/schemas');
+const { ApiError } = require('./errors');
+const { parseCsv, CsvError } = require('./csv-parser');
+const { parseCalendar } = require('./icalendar');
+const ZipReader = require('./zip-reader');
+const { ZipError } = ZipReader;
+const { MANIFEST_VERSION } = require('./export-service');
+const { normalizeTags } = require('./tags');
+const { readPositiveNumber } = require('./settings');
+
+const DEFAULT_MAX_ROWS = 10000;
+const DEFAULT_MAX_FILE_MB = 200;
+const MAX_REPORTED_ERRORS = 100;
+const PREVIEW_SIZE = 10;
+
+// Entry fields and the CSV column or JSON key they are read from unless mapped otherwise
+const DEFAULT_MAPPING = { id: 'id', date: 'date', text: 'text', tags: 'tags' };
+
+const FORMATS_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.json': 'json',
+    '.ics': 'ics',
+    '.zip': 'timal'
+};
+
+/**
+ * Largest import file accepted, from IMPORT_MAX_FILE_MB
+ * @returns {number} Bytes
+ */
+function getMaxFileBytes() {
+    return readPositiveNumber('IMPORT_MAX_FILE_MB', DEFAULT_MAX_FILE_MB) * 1024 * 1024;
+}
+
+/**
+ * Most rows one import may contain, from IMPORT_MAX_ROWS
+ * @returns {number}
+ */
+function getMaxRows() {
+    return readPositiveNumber('IMPORT_MAX_ROWS', DEFAULT_MAX_ROWS);
+}
+
+/**
+ * Import format implied by a file name
+ * @param {string} filename
+ * @returns {string|null} 'csv', 'json', 'ics', 'timal' or null
+ */
+function detectFormat(filename) {
+    return FORMATS_BY_EXTENSION[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Turn a date as written in the source into YYYY-MM-DD. Values that don't fit the
+ * format are returned as they are, for validation to reject.
+ * @param {*} value - Raw date
+ * @param {string} format - 'YYYY-MM-DD' (timestamps keep just their date), 'MM/DD/YYYY' or 'DD/MM/YYYY'
+ * @returns {*}
+ */
+function parseDate(value, format) {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+
+    if (format === 'YYYY-MM-DD') {
+        const match = /^(\d{4}-\d{2}-\d{2})(?:[T ]|$)/.exec(text);
+        return match ? match[1] : text;
+    }
+
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s|$)/.exec(text);
+    if (!match) return text;
+    const [first, second, year] = match.slice(1);
+    const [month, day] = format === 'MM/DD/YYYY' ? [first, second] : [second, first];
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Stand-in source ID for a row that has none
+ */
+function contentId(date, text) {
+    return `sha1:${crypto.createHash('sha1').update(`${date}\n${text || ''}`).digest('hex')}`;
+}
+
+class ImportService {
+    /**
+     * @param {Database} database - Database instance
+     * @param {MediaHandler} media - Stores media from Timal archives
+     * @param {JobQueue} jobs - Processes that media in the background
+     */
+    constructor(database, media, jobs) {
+        this.db = database;
+        this.media = media;
+        this.jobs = jobs;
+    }
+
+    /**
+     * Import (or with dryRun, check) an uploaded file
+     * @param {number} userId - User ID
+     * @param {{filename: string, buffer: Buffer}} file - Uploaded file
+     * @param {object} options - Validated schemas.importFields
+     * @returns {Promise<object>} Report: row counts, row errors, and a preview (dry run) or what was created
+     */
+    async importFile(userId, file, options) {
+        const format = options.format || detectFormat(file.filename);
+        if (!format) {
+            throw ApiError.validation({ format: 'is required when the file name does not end in .csv, .json, .ics or .zip' });
+        }
+
+        let parsed;
+        if (format === 'timal') parsed = this.readArchive(file.buffer);
+        else if (format === 'ics') parsed = this.readCalendar(file.buffer);
+        else parsed = this.readRows(format, file.buffer, options);
+        if (parsed.rows.length > getMaxRows()) {
+            throw ApiError.validation({ file: `has more than ${getMaxRows()} rows` });
+        }
+        const source = options.source || parsed.source;
+
+        const { entries, errors } = this.validateRows(parsed.rows, options.date_format);
+        const existing = await this.db.getImportedEntryIds(userId, source, entries.map(entry => entry.import_id));
+        const seen = new Set(existing.keys());
+        const newEntries = entries.filter(entry => {
+            if (seen.has(entry.import_id)) return false;
+            seen.add(entry.import_id);
+            return true;
+        });
+
+        const useArchiveTimelines = format === 'timal' && !options.timeline_id;
+        const report = {
+            dry_run: options.dry_run,
+            format,
+            source,
+            rows: parsed.rows.length,
+            valid: entries.length,
+            invalid: parsed.rows.length - entries.length,
+            duplicates: entries.length - newEntries.length,
+            new_entries: newEntries.length,
+            new_timelines: [],
+            media: format === 'timal' ? this.archiveMediaFor(parsed, newEntries).length : 0,
+            errors: errors.slice(0, MAX_REPORTED_ERRORS)
+        };
+
+        if (options.dry_run) {
+            if (useArchiveTimelines) {
+                report.new_timelines = (await this.resolveTimelines(userId, parsed.timelines, newEntries, false)).created;
+            }
+            report.preview = newEntries.slice(0, PREVIEW_SIZE).map(entry => ({
+                id: entry.import_id,
+                date: entry.entry_date,
+                text: entry.entry_text,
+                type: entry.entry_type,
+                tags: entry.tags
+            }));
+            return report;
+        }
+
+        if (errors.length > 0 && !options.skip_invalid) {
+            const fields = {};
+            for (const error of errors.slice(0, MAX_REPORTED_ERRORS)) {
+                for (const [field, message] of Object.entries(error.fields)) {
+                    fields[`rows[${error.row}].${field}`] = message;
+                }
+            }
+            throw ApiError.validation(fields, `${errors.length} rows are invalid; fix them or import with skip_invalid`);
+        }
+
+        const created = await this.db.transaction(async () => {
+            if (useArchiveTimelines) {
+                const timelines = await this.resolveTimelines(userId, parsed.timelines, newEntries, true);
+                report.new_timelines = timelines.created;
+                newEntries.forEach(entry => {
+                    entry.timeline_id = timelines.ids.get(entry.timeline_ref) || null;
+                });
+            } else {
+                newEntries.forEach(entry => {
+                    entry.timeline_id = options.timeline_id || null;
+                });
+            }
+            return await this.db.importTimelineEntries(userId, source, newEntries);
+        });
+        report.created = created.length;
+
+        if (format === 'timal') {
+            Object.assign(report, await this.importArchiveMedia(userId, parsed, created));
+        }
+        return report;
+    }
+
+    // READING SOURCES
+
+    /**
+     * Read CSV or JSON rows and map them to entry fields
+     * @returns {{source: string, rows: Array<{row: number, input: object}>}}
+     */
+    readRows(format, buffer, options) {
+        const mapping = this.parseMapping(options.mapping);
+        const splitTags = value => (typeof value === 'string' ? value.split(options.tag_separator) : value);
+
+        if (format === 'csv') {
+            let lines;
+            try {
+                lines = parseCsv(buffer.toString('utf8'), { delimiter: options.delimiter === 'tab' ? '\t' : options.delimiter });
+            } catch (error) {
+                if (error instanceof CsvError) throw ApiError.validation({ file: error.message });
+                throw error;
+            }
+            if (lines.length === 0) {
+                throw ApiError.validation({ file: 'is empty' });
+            }
+
+            const [header, ...data] = lines;
+            const columns = header.fields.map(column => column.trim());
+            this.checkMappedColumns(mapping, columns);
+
+            const rows = data.map(({ line, fields }) => {
+                const cell = field => {
+                    const index = columns.indexOf(mapping[field]);
+                    return index < 0 || fields[index] === undefined ? undefined : fields[index];
+                };
+                return {
+                    row: line,
+                    input: {
+                        id: cell('id'),
+                        date: parseDate(cell('date'), options.date_format),
+                        text: cell('text'),
+                        tags: splitTags(cell('tags'))
+                    }
+                };
+            });
+            return { source: 'csv', rows };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw ApiError.validation({ file: 'is not valid JSON' });
+        }
+        const items = Array.isArray(data) ? data : (data && Array.isArray(data.entries) ? data.entries : null);
+        if (!items) {
+            throw ApiError.validation({ file: 'must be a JSON array of entries, or an object with an "entries" array' });
+        }
+
+        const rows = items.map((item, index) => {
+            if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+                return { row: index + 1, input: null };
+            }
+            return {
+                row: index + 1,
+                input: {
+                    id: item[mapping.id],
+                    date: parseDate(item[mapping.date], options.date_format),
+                    text: item[mapping.text],
+                    tags: splitTags(item[mapping.tags])
+                }
+            };
+        });
+        return { source: 'json', rows };
+    }
+
+    /**
+     * Parse the mapping field: a JSON object from entry field to column name or key
+     * @param {string} [raw]
+     * @returns {object} Complete mapping, defaults filled in
+     */
+    parseMapping(raw) {
+        if (raw === undefined) return { ...DEFAULT_MAPPING };
+
+        let mapping;
+        try {
+            mapping = JSON.parse(raw);
+        } catch (error) {
+            throw ApiError.validation({ mapping: 'must be a JSON object' });
+        }
+        if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            throw ApiError.validation({ mapping: 'must be a JSON object' });
+        }
+        for (const [field, column] of Object.entries(mapping)) {
+            if (!(field in DEFAULT_MAPPING)) {
+                throw ApiError.validation({ mapping: `has unknown field "${field}"; expected ${Object.keys(DEFAULT_MAPPING).join(', ')}` });
+            }
+            if (typeof column !== 'string' || !column) {
+                throw ApiError.validation({ mapping: `must map "${field}" to a column name` });
+            }
+        }
+        return { ...DEFAULT_MAPPING, ...mapping };
+    }
+
+    /**
+     * Make sure the CSV has the date column, and every column mapped explicitly
+     */
+    checkMappedColumns(mapping, columns) {
+        for (const [field, column] of Object.entries(mapping)) {
+            const explicit = column !== DEFAULT_MAPPING[field];
+            if ((explicit || field === 'date') && !columns.includes(column)) {
+                throw ApiError.validation({
+                    mapping: `the file has no "${column}" column for ${field} (columns: ${columns.join(', ')})`
+                });
+            }
+        }
+    }
+
+    /**
+     * Read the events of an iCalendar file as rows: UID, start date, summary and
+     * description as text, categories as tags
+     * @returns {{source: string, rows: Array<{row: number, input: object}>}}
+     */
+    readCalendar(buffer) {
+        let events;
+        try {
+            events = parseCalendar(buffer.toString('utf8'));
+        } catch (error) {
+            throw ApiError.validation({ file: error.message });
+        }
+
+        const rows = events.map(event => {
+            const summary = (event.summary || '').trim();
+            const description = (event.description || '').trim();
+            // Timal's own calendars repeat the start of the text as the summary
+            const text = !description || description.startsWith(summary.replace(/…$/, ''))
+                ? description || summary
+                : `${summary}\n\n${description}`;
+            return {
+                row: event.line,
+                input: {
+                    id: event.uid || undefined,
+                    date: event.date || undefined,
+                    text,
+                    tags: event.categories
+                }
+            };
+        });
+        return { source: 'ics', rows };
+    }
+
+    /**
+     * Open a Timal export archive
+     * @returns {{source: string, rows: Array<object>, timelines: Array<object>, media: Array<object>, archive: ZipReader}}
+     */
+    readArchive(buffer) {
+        let archive;
+        let manifest;
+        try {
+            archive = new ZipReader(buffer);
+            if (!archive.has('manifest.json')) {
+                throw ApiError.validation({ file: 'is not a Timal export (it has no manifest.json)' });
+            }
+            // Sizes are checked before reading, as an entry inflates to whatever size it declares
+            if (archive.size('manifest.json') > getMaxFileBytes()) {
+                throw ApiError.validation({ file: 'has a manifest.json that is too large' });
+            }
+            manifest = JSON.parse(archive.read('manifest.json').toString('utf8'));
+        } catch (error) {
+            if (error instanceof ZipError) throw ApiError.validation({ file: error.message });
+            if (error instanceof SyntaxError) throw ApiError.validation({ file: 'has a manifest.json that is not valid JSON' });
+            throw error;
+        }
+
+        if (!manifest || manifest.format !== 'timal-export' || !(manifest.version <= MANIFEST_VERSION) || !Array.isArray(manifest.entries)) {
+            throw ApiError.validation({ file: 'is not a Timal export this version can read' });
+        }
+
+        const rows = manifest.entries.map((entry, index) => ({
+            row: index + 1,
+            timelineRef: entry && entry.timeline_id,
+            input: entry && typeof entry === 'object' ? {
+                id: entry.id,
+                date: entry.entry_date,
+                text: entry.entry_text,
+                type: entry.entry_type,
+                tags: entry.tags
+            } : null
+        }));
+
+        return {
+            source: manifest.user && manifest.user.username ? `timal:${manifest.user.username}` : 'timal',
+            rows,
+            timelines: Array.isArray(manifest.timelines) ? manifest.timelines : [],
+            media: Array.isArray(manifest.media) ? manifest.media : [],
+            archive
+        };
+    }
+
+    // VALIDATION
+
+    /**
+     * Validate mapped rows as entries
+     * @returns {{entries: Array<object>, errors: Array<{row: number, id: string|null, fields: object}>}}
+     */
+    validateRows(rows, dateFormat) {
+        const entries = [];
+        const errors = [];
+
+        for (const { row, input, timelineRef } of rows) {
+            if (!input) {
+                errors.push({ row, id: null, fields: { entry: 'must be an object' } });
+                continue;
+            }
+
+            const id = input.id === undefined || input.id === null || input.id === ''
+                ? contentId(parseDate(input.date, dateFormat), input.text)
+                : (typeof input.id === 'number' ? String(input.id) : input.id);
+
+            try {
+                const values = validate(schemas.importEntry, { ...input, id });
+                entries.push({
+                    row,
+                    import_id: values.id,
+                    entry_date: values.date,
+                    entry_text: values.text || null,
+                    entry_type: values.type,
+                    tags: normalizeTags(values.tags),
+                    timeline_ref: timelineRef
+                });
+            } catch (error) {
+                if (!(error instanceof ApiError) || !error.fields) throw error;
+                errors.push({ row, id: typeof id === 'string' ? id : null, fields: error.fields });
+            }
+        }
+        return { entries, errors };
+    }
+
+    // TIMAL ARCHIVES
+
+    /**
+     * Find which of the user's timelines the archive's timelines map to: the default one
+     * to the default one, others to a timeline with the same title, which is created if
+     * the user has none (only when `create` is set)
+     * @returns {Promise<{ids: Map<number, number|null>, created: Array<string>}>} User timeline IDs
+     *   keyed by archive timeline ID (null for the default timeline), and titles of new timelines
+     */
+    async resolveTimelines(userId, timelines, entries, create) {
+        const referenced = new Set(entries.map(entry => entry.timeline_ref));
+        const ids = new Map();
+        const created = [];
+
+        for (const timeline of timelines) {
+            if (!referenced.has(timeline.id) || timeline.is_default) continue;
+
+            const title = String(timeline.title || 'Imported timeline').slice(0, 100);
+            const existing = await this.db.getTimelineByTitle(userId, title);
+            if (existing) {
+                ids.set(timeline.id, existing.id);
+                continue;
+            }
+
+            created.push(title);
+            if (create) {
+                ids.set(timeline.id, await this.db.createTimeline({
+                    user_id: userId,
+                    title,
+                    description: typeof timeline.description === 'string' ? timeline.description : null,
+                    sort_order: timeline.sort_order === 'oldest' ? 'oldest' : 'newest'
+                }));
+            }
+        }
+        return { ids, created };
+    }
+
+    /**
+     * Media in the archive that belongs to the given entries
+     */
+    archiveMediaFor(parsed, entries) {
+        const importIds = new Set(entries.map(entry => entry.import_id));
+        return parsed.media.filter(item => item && item.file && importIds.has(String(item.entry_id)) && parsed.archive.has(item.file));
+    }
+
+    /**
+     * Store the archive's media for newly created entries and queue its processing, as
+     * uploads are. Media that can't be accepted (quota, unsupported type, too large) is
+     * reported and the entry kept without it; a damaged file fails when it is processed.
+     * @returns {Promise<{media_imported: number, media_errors: Array<object>}>}
+     */
+    async importArchiveMedia(userId, parsed, created) {
+        const entryIds = new Map(created.map(entry => [entry.import_id, entry.entry_id]));
+        const items = this.archiveMediaFor(parsed, created.map(entry => ({ import_id: entry.import_id })));
+
+        let imported = 0;
+        const errors = [];
+        for (const item of items) {
+            // Keep the original name, with the extension of the file actually stored
+            const extension = path.extname(item.file);
+            const original = String(item.original_filename || path.basename(item.file));
+            const filename = path.extname(original).toLowerCase() === extension.toLowerCase()
+                ? original
+                : `${path.basename(original, path.extname(original))}${extension}`;
+            const hasLocation = typeof item.location_lat === 'number' && typeof item.location_lon === 'number';
+            let accepted = null;
+
+            try {
+                const mediaType = this.media.getMediaType(filename);
+                if (!mediaType) {
+                    throw new ApiError(415, `Unsupported file type: ${extension.toLowerCase()}`);
+                }
+                if (parsed.archive.size(item.file) > this.media.getMaxFileSizeBytes(mediaType)) {
+                    throw ApiError.payloadTooLarge(`File too large. Max size for ${mediaType}: ${this.media.maxFileSizeMB[mediaType]}MB`);
+                }
+                const buffer = parsed.archive.read(item.file);
+                accepted = await this.media.acceptUpload(buffer, filename, this.media.getMimeType(filename), userId, entryIds.get(String(item.entry_id)));
+                // Exported files have no EXIF left, so the capture details come from the manifest
+                await this.jobs.enqueue('media.process', {
+                    media_id: accepted.id,
+                    actor_id: userId,
+                    include_location: hasLocation,
+                    capture_info: {
+                        capturedAt: item.captured_at || null,
+                        gps: hasLocation ? { latitude: item.location_lat, longitude: item.location_lon } : null
+                    }
+                });
+                imported++;
+            } catch (error) {
+                if (accepted) {
+                    await this.media.failUpload(accepted.id, 'Media processing failed');
+                }
+                errors.push({ id: item.id, file: item.file, message: error.message });
+            }
+        }
+        return { media_imported: imported, media_errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+    }
+}
+
+module.exports = ImportService;
+module.exports.getMaxFileBytes = getMaxFileBytes;
+module.exports.detectFormat = detectFormat;
+module.exports.parseDate = parseDate;
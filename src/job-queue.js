@@ -0,0 +1,190 @@
+// Background jobs kept in the jobs table, so queued work survives restarts. Each job
+// type has a handler; a job whose handler throws is run again later, waiting
+// JOB_RETRY_DELAY_SECONDS (30 by default) and twice as long after each further
+// failure, until it has run max_attempts times. Jobs that were running when the
+// server stopped are queued again when the queue starts, unless that was their last
+// attempt; those are given up on.
+//
+// JOB_CONCURRENCY jobs (1 by default) run at a time. Finished jobs are deleted;
+// ones given up on are kept with their last error.
+
+const { readPositiveNumber } = require('./settings');
+
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Retries come due without anything waking the queue, so it also looks for due jobs this often
+const POLL_INTERVAL_MS = 5000;
+
+class JobQueue {
+    /**
+     * @param {Database} database - Database instance
+     * @param {object} [options]
+     * @param {number} [options.concurrency] - Jobs run at a time, defaults to JOB_CONCURRENCY or 1
+     * @param {number} [options.retryDelaySeconds] - Wait before the first retry, defaults to JOB_RETRY_DELAY_SECONDS or 30
+     * @param {number} [options.pollIntervalMs=5000] - How often to look for jobs that came due
+     */
+    constructor(database, options = {}) {
+        this.db = database;
+        this.concurrency = options.concurrency || readPositiveNumber('JOB_CONCURRENCY', DEFAULT_CONCURRENCY);
+        this.retryDelaySeconds = options.retryDelaySeconds || readPositiveNumber('JOB_RETRY_DELAY_SECONDS', DEFAULT_RETRY_DELAY_SECONDS);
+        this.pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+
+        this.handlers = new Map();
+        this.running = 0;
+        this.started = false;
+        this.timer = null;
+        this.claiming = false;
+        this.wakeAgain = false;
+    }
+
+    /**
+     * Register the handler of a job type
+     * @param {string} type - Job type, e.g. 'media.process'
+     * @param {function(object, object): Promise<void>} handler - Called with the job's payload and row
+     * @param {object} [options]
+     * @param {number} [options.maxAttempts=5] - Runs before the job is given up on
+     * @param {function(Error): boolean} [options.isRetryable] - Whether an error is worth another
+     *   attempt; the job is given up on at once otherwise. Every error is retried by default.
+     * @param {function(object, Error): Promise<void>} [options.onFailure] - Called with the payload
+     *   and last error when the job is given up on
+     */
+    register(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, isRetryable = () => true, onFailure = null } = {}) {
+        this.handlers.set(type, { run: handler, maxAttempts, isRetryable, onFailure });
+    }
+
+    /**
+     * Queue a job. It is saved before this resolves, so it runs even if the server stops first.
+     * @param {string} type - A registered job type
+     * @param {object} payload - JSON-serializable job data
+     * @returns {Promise<number>} Job ID
+     */
+    async enqueue(type, payload) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const jobId = await this.db.createJob(type, payload, handler.maxAttempts);
+        this.wake();
+        return jobId;
+    }
+
+    /**
+     * Start running jobs, first queueing again those a restart interrupted
+     * @returns {Promise<number>} Jobs queued again
+     */
+    async start() {
+        const interrupted = new Error('Interrupted by a restart on its last attempt');
+        for (const job of await this.db.failExhaustedRunningJobs(interrupted.message)) {
+            console.error(`❌ Job ${job.id} (${job.type}) failed: ${interrupted.message}`);
+            await this.runFailureHandler(job, interrupted);
+        }
+        const requeued = await this.db.requeueRunningJobs();
+        this.started = true;
+        this.timer = setInterval(() => this.wake(), this.pollIntervalMs);
+        this.wake();
+        return requeued;
+    }
+
+    /**
+     * Stop taking new jobs. Jobs already running finish, or are queued again on the next start.
+     */
+    stop() {
+        this.started = false;
+        clearInterval(this.timer);
+    }
+
+    /**
+     * Start due jobs while fewer than `concurrency` are running
+     */
+    wake() {
+        if (!this.started) return;
+        if (this.claiming) {
+            this.wakeAgain = true;
+            return;
+        }
+
+        this.claiming = true;
+        this.claimJobs()
+            .catch(error => console.error('❌ Job queue error:', error))
+            .finally(() => {
+                this.claiming = false;
+                if (this.wakeAgain) {
+                    this.wakeAgain = false;
+                    this.wake();
+                }
+            });
+    }
+
+    async claimJobs() {
+        while (this.started && this.running < this.concurrency) {
+            const job = await this.db.claimNextJob();
+            if (!job) return;
+
+            this.running++;
+            this.runJob(job)
+                .catch(error => console.error(`❌ Job ${job.id} could not be updated:`, error))
+                .finally(() => {
+                    this.running--;
+                    this.wake();
+                });
+        }
+    }
+
+    /**
+     * Run a claimed job, then delete it, schedule its retry, or give up on it
+     * @param {object} job - Job row with its payload parsed
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            await this.db.failJob(job.id, `No handler for ${job.type} jobs`);
+            return;
+        }
+
+        try {
+            await handler.run(job.payload, job);
+            await this.db.deleteJob(job.id);
+        } catch (error) {
+            const message = error.message || String(error);
+            if (job.attempts < job.max_attempts && handler.isRetryable(error)) {
+                const delay = this.getRetryDelay(job.attempts);
+                console.warn(`⚠️  Job ${job.id} (${job.type}) failed, retrying in ${delay}s: ${message}`);
+                await this.db.retryJob(job.id, message, delay);
+                return;
+            }
+
+            console.error(`❌ Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error);
+            await this.db.failJob(job.id, message);
+            await this.runFailureHandler(job, error);
+        }
+    }
+
+    /**
+     * Call the failure handler of a job that was given up on
+     * @param {object} job - Job row with its payload parsed
+     * @param {Error} error - Why it was given up on
+     */
+    async runFailureHandler(job, error) {
+        const handler = this.handlers.get(job.type);
+        if (!handler || !handler.onFailure) return;
+
+        await handler.onFailure(job.payload, error).catch(failureError => {
+            console.error(`Failure handler of job ${job.id} failed:`, failureError);
+        });
+    }
+
+    /**
+     * Seconds to wait before running a job again
+     * @param {number} attempts - Runs so far
+     * @returns {number}
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.retryDelaySeconds * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+    }
+}
+
+module.exports = JobQueue;
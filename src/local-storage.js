@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { buildObjectKey } = require('./storage-keys');
+
+// Parts of unfinished multipart uploads are kept under <rootDir>/.multipart/<uploadId>/
+const MULTIPART_DIR = '.multipart';
+
+/**
+ * Storage driver that keeps media on the local filesystem.
+ *
+ * Files are served by the Timal server itself under /files/<key>, guarded by
+ * HMAC-signed URLs that expire, so they behave like presigned object-store URLs.
+ */
+class LocalStorage {
+    /**
+     * @param {object} options - Driver settings, defaults read from env vars
+     * @param {string} [options.rootDir] - Directory files are stored in
+     * @param {string} [options.signingSecret] - Secret used to sign file URLs
+     * @param {string} [options.baseUrl] - URL prefix files are served from
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.rootDir = path.resolve(options.rootDir || process.env.STORAGE_LOCAL_PATH || './storage');
+        this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET;
+        this.baseUrl = options.baseUrl || process.env.STORAGE_LOCAL_BASE_URL || '/files';
+
+        if (!this.signingSecret) {
+            // Links still work for this process, but won't survive a restart
+            console.warn('⚠️  No STORAGE_SIGNING_SECRET or SESSION_SECRET set, using a random URL signing key');
+            this.signingSecret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    /**
+     * Resolve an object key to a path inside the storage root
+     * @param {string} key - Object key
+     * @returns {string} Absolute file path
+     */
+    resolvePath(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Path of the JSON sidecar holding an object's metadata
+     * @param {string} filePath - Object file path
+     * @returns {string} Sidecar path
+     */
+    metadataPath(filePath) {
+        return `${filePath}.meta.json`;
+    }
+
+    /**
+     * Write a file to local storage
+     * @param {Buffer} fileBuffer - File data as buffer
+     * @param {string} originalFilename - Original filename
+     * @param {string} mimeType - File MIME type
+     * @param {number} userId - User ID for organizing files
+     * @returns {Promise<{key: string, url: string, size: number}>}
+     */
+    async uploadFile(fileBuffer, originalFilename, mimeType, userId) {
+        try {
+            const key = buildObjectKey(originalFilename, userId);
+            const filePath = this.resolvePath(key);
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, fileBuffer);
+            await fs.promises.writeFile(this.metadataPath(filePath), JSON.stringify({
+                contentType: mimeType,
+                metadata: {
+                    originalFilename: originalFilename,
+                    uploadedBy: userId.toString(),
+                    uploadedAt: new Date().toISOString()
+                }
+            }));
+
+            return {
+                key: key,
+                url: await this.getSignedUrl(key),
+                size: fileBuffer.length,
+                etag: `"${crypto.createHash('md5').update(fileBuffer).digest('hex')}"`
+            };
+        } catch (error) {
+            console.error('Local storage upload error:', error);
+            throw new Error(`Failed to upload file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start a multipart upload, for files sent in parts
+     * @param {string} originalFilename - Original filename
+     * @param {string} mimeType - File MIME type
+     * @param {number} userId - User ID for organizing files
+     * @returns {Promise<{key: string, uploadId: string}>}
+     */
+    async createMultipartUpload(originalFilename, mimeType, userId) {
+        try {
+            const key = buildObjectKey(originalFilename, userId);
+            const uploadId = crypto.randomBytes(16).toString('hex');
+            const directory = this.multipartPath(uploadId);
+
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(path.join(directory, 'upload.json'), JSON.stringify({
+                key,
+                contentType: mimeType,
+                initiated: new Date().toISOString(),
+                metadata: {
+                    originalFilename: originalFilename,
+                    uploadedBy: userId.toString(),
+                    uploadedAt: new Date().toISOString()
+                }
+            }));
+
+            return { key, uploadId };
+        } catch (error) {
+            console.error('Local storage multipart create error:', error);
+            throw new Error(`Failed to start upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store one part of a multipart upload. Uploading a part number again replaces it.
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {number} partNumber - 1 to 10000
+     * @param {Buffer} partBuffer - Part data
+     * @returns {Promise<{etag: string}>}
+     */
+    async uploadPart(key, uploadId, partNumber, partBuffer) {
+        try {
+            const { directory } = await this.openMultipart(key, uploadId);
+            await fs.promises.writeFile(path.join(directory, `part-${partNumber}`), partBuffer);
+            return { etag: `"${crypto.createHash('md5').update(partBuffer).digest('hex')}"` };
+        } catch (error) {
+            console.error('Local storage part upload error:', error);
+            throw new Error(`Failed to upload part: ${error.message}`);
+        }
+    }
+
+    /**
+     * Join the stored parts into the file
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {Array<{partNumber: number, etag: string}>} parts - Every part, in order
+     * @returns {Promise<{key: string, etag: string}>}
+     */
+    async completeMultipartUpload(key, uploadId, parts) {
+        try {
+            const { directory, upload } = await this.openMultipart(key, uploadId);
+            const filePath = this.resolvePath(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            const hash = crypto.createHash('md5');
+            const output = fs.createWriteStream(filePath);
+            try {
+                for (const part of parts) {
+                    const data = await fs.promises.readFile(path.join(directory, `part-${part.partNumber}`));
+                    hash.update(data);
+                    if (!output.write(data)) {
+                        await once(output, 'drain');
+                    }
+                }
+                output.end();
+                await finished(output);
+            } catch (error) {
+                output.destroy();
+                await fs.promises.rm(filePath, { force: true });
+                throw error;
+            }
+
+            await fs.promises.writeFile(this.metadataPath(filePath), JSON.stringify({
+                contentType: upload.contentType,
+                metadata: upload.metadata
+            }));
+            await fs.promises.rm(directory, { recursive: true, force: true });
+
+            return { key, etag: `"${hash.digest('hex')}-${parts.length}"` };
+        } catch (error) {
+            console.error('Local storage multipart complete error:', error);
+            throw new Error(`Failed to complete upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Abandon a multipart upload, deleting the parts stored so far
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @returns {Promise<boolean>} Success status
+     */
+    async abortMultipartUpload(key, uploadId) {
+        try {
+            // Like S3, an upload that is already gone is not an error
+            await fs.promises.rm(this.multipartPath(uploadId), { recursive: true, force: true });
+            return true;
+        } catch (error) {
+            console.error('Local storage multipart abort error:', error);
+            throw new Error(`Failed to abort upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Multipart uploads that were started and never completed or aborted
+     * @returns {Promise<Array<{key: string, uploadId: string, initiated: Date}>>}
+     */
+    async listMultipartUploads() {
+        let uploadIds;
+        try {
+            uploadIds = await fs.promises.readdir(path.join(this.rootDir, MULTIPART_DIR));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const uploads = [];
+        for (const uploadId of uploadIds) {
+            try {
+                const upload = JSON.parse(await fs.promises.readFile(path.join(this.multipartPath(uploadId), 'upload.json'), 'utf8'));
+                uploads.push({ key: upload.key, uploadId, initiated: new Date(upload.initiated) });
+            } catch (error) {
+                console.warn(`⚠️  Skipping unreadable multipart upload ${uploadId}: ${error.message}`);
+            }
+        }
+        return uploads;
+    }
+
+    /**
+     * Directory holding the parts of a multipart upload
+     * @param {string} uploadId - Upload ID
+     * @returns {string} Absolute path
+     */
+    multipartPath(uploadId) {
+        if (!/^[0-9a-f]{32}$/.test(uploadId)) {
+            throw new Error(`Invalid upload ID: ${uploadId}`);
+        }
+        return path.join(this.rootDir, MULTIPART_DIR, uploadId);
+    }
+
+    /**
+     * Directory and details of a multipart upload, checking it exists and is for this key
+     * @param {string} key - Object key
+     * @param {string} uploadId - Upload ID
+     * @returns {Promise<{directory: string, upload: object}>} Absolute path, and the contents of its upload.json
+     */
+    async openMultipart(key, uploadId) {
+        const directory = this.multipartPath(uploadId);
+        const upload = JSON.parse(await fs.promises.readFile(path.join(directory, 'upload.json'), 'utf8'));
+        if (upload.key !== key) {
+            throw new Error(`Upload ${uploadId} is not for ${key}`);
+        }
+        return { directory, upload };
+    }
+
+    /**
+     * Generate a signed, expiring URL served by the Timal server
+     * @param {string} key - Object key
+     * @param {number} expiresIn - URL expiration in seconds (default: 1 hour)
+     * @returns {Promise<string>} Signed URL
+     */
+    async getSignedUrl(key, expiresIn = 3600) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const signature = this.sign(key, expires);
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+        return `${this.baseUrl}/${encodedKey}?expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * HMAC signature for a key and expiry time
+     * @param {string} key - Object key
+     * @param {number} expires - Expiry as a Unix timestamp in seconds
+     * @returns {string} Hex signature
+     */
+    sign(key, expires) {
+        return crypto.createHmac('sha256', this.signingSecret).update(`${key}\n${expires}`).digest('hex');
+    }
+
+    /**
+     * Check a signed URL's signature and expiry
+     * @param {string} key - Object key
+     * @param {string} expires - Expiry from the query string
+     * @param {string} signature - Signature from the query string
+     * @returns {boolean} Whether the URL is valid and unexpired
+     */
+    verifySignedUrl(key, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(key, expiresAt), 'hex');
+        const provided = Buffer.from(String(signature), 'hex');
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    /**
+     * Open a read stream for a stored file
+     * @param {string} key - Object key
+     * @param {object} [range] - Optional byte range ({start, end}, inclusive)
+     * @returns {fs.ReadStream}
+     */
+    createReadStream(key, range) {
+        return fs.createReadStream(this.resolvePath(key), range);
+    }
+
+    /**
+     * Read a stored file
+     * @param {string} key - Object key
+     * @returns {Promise<stream.Readable>} File contents; rejects if the file doesn't exist
+     */
+    async getFileStream(key) {
+        // Opening first makes a missing file reject here rather than error on the stream later
+        const handle = await fs.promises.open(this.resolvePath(key), 'r');
+        return handle.createReadStream();
+    }
+
+    /**
+     * Delete a file from local storage
+     * @param {string} key - Object key
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteFile(key) {
+        try {
+            const filePath = this.resolvePath(key);
+            // Like object stores, deleting a missing key is not an error
+            await fs.promises.rm(filePath, { force: true });
+            await fs.promises.rm(this.metadataPath(filePath), { force: true });
+            return true;
+        } catch (error) {
+            console.error('Local storage delete error:', error);
+            throw new Error(`Failed to delete file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get file metadata without reading the file
+     * @param {string} key - Object key
+     * @returns {Promise<object>} File metadata
+     */
+    async getFileMetadata(key) {
+        try {
+            const filePath = this.resolvePath(key);
+            const stats = await fs.promises.stat(filePath);
+
+            let sidecar = {};
+            try {
+                sidecar = JSON.parse(await fs.promises.readFile(this.metadataPath(filePath), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            return {
+                contentType: sidecar.contentType || 'application/octet-stream',
+                contentLength: stats.size,
+                lastModified: stats.mtime,
+                etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+                metadata: sidecar.metadata || {}
+            };
+        } catch (error) {
+            console.error('Local storage metadata error:', error);
+            throw new Error(`Failed to get file metadata: ${error.message}`);
+        }
+    }
+}
+
+module.exports = LocalStorage;
@@ -1,11 +1,43 @@
-const R2Storage = require('./r2-storage');
+const { createStorage } = require('./storage');
+const QuotaService = require('./quota-service');
+const { QuotaError } = QuotaService;
+const { ApiError } = require('./errors');
+const { probeVideo } = require('./video-probe');
+const { readExif } = require('./exif-reader');
+const { isFfmpegAvailable, extractFrame } = require('./ffmpeg');
 const sharp = require('sharp'); // For image processing
 const path = require('path');
 
+const IMAGE_MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+// For files that arrive without a MIME type, such as those inside an import archive
+const FILE_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.avi': 'video/x-msvideo'
+};
+
 class MediaHandler {
-    constructor(database) {
-        this.r2 = new R2Storage();
+    /**
+     * @param {Database} database - Database instance
+     * @param {object} [storage] - Storage driver, defaults to the one selected by STORAGE_DRIVER
+     */
+    constructor(database, storage = createStorage()) {
+        this.storage = storage;
         this.db = database;
+        this.quota = new QuotaService(database);
         
         // Supported file types
         this.supportedImages = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
@@ -14,193 +46,686 @@ class MediaHandler {
             image: 10, // 10MB max for images
             video: 100 // 100MB max for videos
         };
+        
+        // Responsive image sizes (longest side in px) and extra formats generated for each
+        this.imageVariants = [
+            { name: 'thumbnail', maxDimension: 320 },
+            { name: 'card', maxDimension: 800 },
+            { name: 'full', maxDimension: 2048 }
+        ];
+        this.alternateImageFormats = ['webp', 'avif'];
     }
 
     /**
-     * Process and upload media file
+     * Accept an upload for processing in the background: check it, reserve its storage,
+     * store the file as it is, and record it as a pending attachment. processUpload
+     * finishes it.
      * @param {Buffer} fileBuffer - File data
      * @param {string} originalFilename - Original filename
      * @param {string} mimeType - MIME type
-     * @param {number} userId - User ID
+     * @param {number} userId - User ID whose storage the file counts towards
      * @param {number} entryId - Timeline entry ID
-     * @returns {Promise<object>} Upload result
+     * @returns {Promise<{id: number, mediaType: string, status: string}>} The pending attachment
      */
-    async processAndUpload(fileBuffer, originalFilename, mimeType, userId, entryId) {
+    async acceptUpload(fileBuffer, originalFilename, mimeType, userId, entryId) {
+        let reservedMB = 0;
+        let storedKey = null;
         try {
-            const extension = path.extname(originalFilename).toLowerCase();
-            const fileSizeMB = fileBuffer.length / (1024 * 1024);
+            const { mediaType, fileSizeMB } = await this.reserveUpload(originalFilename, fileBuffer.length, userId);
+            reservedMB = fileSizeMB;
             
-            // Determine media type
-            let mediaType;
-            if (this.supportedImages.includes(extension)) {
-                mediaType = 'image';
-            } else if (this.supportedVideos.includes(extension)) {
-                mediaType = 'video';
-            } else {
-                throw new Error(`Unsupported file type: ${extension}`);
-            }
+            const upload = await this.storage.uploadFile(fileBuffer, originalFilename, mimeType, userId);
+            storedKey = upload.key;
             
-            // Check file size limits
-            if (fileSizeMB > this.maxFileSizeMB[mediaType]) {
-                throw new Error(`File too large. Max size for ${mediaType}: ${this.maxFileSizeMB[mediaType]}MB`);
+            return await this.acceptStoredUpload(upload.key, originalFilename, mediaType, fileSizeMB, entryId);
+        } catch (error) {
+            if (storedKey) {
+                await this.deleteKeys([storedKey]);
             }
-            
-            // Get user info and check media upload permission
-            const user = await this.db.getUserById(userId);
-            if (!user) throw new Error('User not found');
-            
-            const permission = this.checkMediaUploadPermission(userId, fileSizeMB, user.tier, user.storage_used_mb);
-            if (!permission.allowed) {
-                throw new Error(permission.reason);
+            if (reservedMB) {
+                await this.quota.release(userId, reservedMB);
             }
+            throw error;
+        }
+    }
+
+    /**
+     * Record a file that is already stored, with its storage reserved, as a pending attachment
+     * @param {string} key - Object key of the original file
+     * @param {string} originalFilename - Original filename
+     * @param {string} mediaType - 'image' or 'video'
+     * @param {number} reservedMB - Storage reserved for it
+     * @param {number} entryId - Timeline entry ID
+     * @returns {Promise<{id: number, mediaType: string, status: string}>} The pending attachment
+     */
+    async acceptStoredUpload(key, originalFilename, mediaType, reservedMB, entryId) {
+        // Until it is processed, the attachment's file is the original and its size the reservation
+        const mediaId = await this.db.createMediaAttachment({
+            entry_id: entryId,
+            media_type: mediaType,
+            filename: path.basename(key),
+            original_filename: originalFilename,
+            file_size_mb: reservedMB,
+            r2_key: key,
+            upload_status: 'pending'
+        });
+        return { id: mediaId, mediaType, status: 'pending' };
+    }
+
+    /**
+     * Process an accepted upload: encode an image's variants (the original is deleted
+     * afterwards) or read a video's details and make its thumbnail, then mark it complete.
+     * When this fails, the attachment is left pending so it can be processed again.
+     * @param {object} media - Media attachment row from Database.getMediaUpload
+     * @param {object} [options]
+     * @param {boolean} [options.includeLocation] - Keep a coarse capture location
+     * @param {object} [options.captureInfo] - Capture time and location to use instead of the file's EXIF
+     * @returns {Promise<object|null>} The completed attachment row, or null if it was deleted meanwhile
+     */
+    async processUpload(media, { includeLocation = false, captureInfo = null } = {}) {
+        if (media.upload_status === 'complete') return media;
+        
+        await this.db.setMediaUploadStatus(media.id, 'processing');
+        const userId = media.entry_user_id;
+        const uploadedKeys = [];
+        try {
+            const fileBuffer = await this.readStoredFile(media.r2_key);
+            const stored = await this.storeMedia(fileBuffer, media.original_filename, this.getMimeType(media.original_filename), userId, media.media_type, {
+                includeLocation,
+                captureInfo,
+                storedKey: media.r2_key
+            }, uploadedKeys);
             
-            let processedBuffer = fileBuffer;
-            let dimensions = {};
-            let thumbnailKey = null;
+            const saved = await this.db.transaction(async () => {
+                if (!await this.db.markMediaComplete(media.id, stored.columns)) return false;
+                await this.saveVariants(media.id, stored.variants);
+                await this.quota.settle(userId, media.file_size_mb, stored.columns.file_size_mb);
+                return true;
+            });
             
-            // Process images
-            if (mediaType === 'image') {
-                const result = await this.processImage(fileBuffer);
-                processedBuffer = result.buffer;
-                dimensions = result.dimensions;
+            if (!saved) {
+                // Purged while it was processed; its storage was released then
+                await this.deleteKeys(uploadedKeys);
+                return null;
             }
             
-            // Process videos (generate thumbnail)
-            if (mediaType === 'video') {
-                dimensions = await this.getVideoDimensions(fileBuffer);
-                // TODO: Generate video thumbnail using FFmpeg
-                // thumbnailKey = await this.generateVideoThumbnail(fileBuffer, userId);
+            if (stored.columns.r2_key !== media.r2_key) {
+                await this.deleteKeys([media.r2_key]);
             }
+            return await this.db.getMediaUpload(media.id);
+        } catch (error) {
+            await this.deleteKeys(uploadedKeys);
+            await this.db.setMediaUploadStatus(media.id, 'pending');
+            throw error;
+        }
+    }
+
+    /**
+     * Give up on an accepted upload: delete its file, release its storage and record why.
+     * The attachment is kept, with status 'failed', until it is deleted.
+     * @param {number} mediaId - Media attachment ID
+     * @param {string} message - Why processing failed, shown to the user
+     * @returns {Promise<object|null>} The attachment row, or null if it is gone or already complete
+     */
+    async failUpload(mediaId, message) {
+        const media = await this.db.getMediaUpload(mediaId);
+        if (!media || media.upload_status === 'complete') return null;
+        
+        await this.deleteKeys([media.r2_key]);
+        await this.db.transaction(async () => {
+            await this.db.markMediaFailed(media.id, message);
+            await this.quota.release(media.entry_user_id, media.file_size_mb);
+        });
+        return media;
+    }
+
+    /**
+     * Check an upload's type, size and the user's storage, then reserve the space it needs
+     * so concurrent uploads can't overshoot the quota
+     * @param {string} originalFilename - Original filename
+     * @param {number} fileSize - Size in bytes
+     * @param {number} userId - User ID
+     * @returns {Promise<{mediaType: string, fileSizeMB: number}>} Media type and the MB reserved
+     */
+    async reserveUpload(originalFilename, fileSize, userId) {
+        const fileSizeMB = fileSize / (1024 * 1024);
+        
+        // Determine media type
+        const mediaType = this.getMediaType(originalFilename);
+        if (!mediaType) {
+            throw new ApiError(415, `Unsupported file type: ${path.extname(originalFilename).toLowerCase()}`);
+        }
+        
+        // Check file size limits
+        if (fileSizeMB > this.maxFileSizeMB[mediaType]) {
+            throw ApiError.payloadTooLarge(`File too large. Max size for ${mediaType}: ${this.maxFileSizeMB[mediaType]}MB`);
+        }
+        
+        // Get user info and check media upload permission
+        const user = await this.db.getUserById(userId);
+        if (!user) throw new Error('User not found');
+        
+        const permission = this.checkMediaUploadPermission(userId, fileSizeMB, user.tier, user.storage_used_mb);
+        if (!permission.allowed) {
+            throw new QuotaError(permission.reason);
+        }
+        
+        await this.quota.reserve(user, fileSizeMB);
+        return { mediaType, fileSizeMB };
+    }
+
+    /**
+     * Process a file and store everything that is kept of it
+     * @param {Buffer} fileBuffer - File data
+     * @param {string} originalFilename - Original filename
+     * @param {string} mimeType - MIME type
+     * @param {number} userId - User ID
+     * @param {string} mediaType - 'image' or 'video'
+     * @param {object} options
+     * @param {boolean} [options.includeLocation] - Keep a coarse capture location
+     * @param {object} [options.captureInfo] - Result of readCaptureInfo, if already read
+     * @param {string} [options.storedKey] - Key the file is already stored under; a video is kept there
+     * @param {Array<string>} uploadedKeys - Collects uploaded keys for cleanup on failure
+     * @returns {Promise<object>} Attachment `columns` for the database, `variants`, and the
+     *   primary file's `url` and `fileSize`, `dimensions` and `location`
+     */
+    async storeMedia(fileBuffer, originalFilename, mimeType, userId, mediaType, options, uploadedKeys) {
+        let uploadResult;
+        let dimensions = {};
+        let thumbnailKey = null;
+        let storedBytes = 0;
+        let variants = [];
+        let captureInfo = {};
+        
+        // Process images: encode every size/format variant, the full-size one becomes the primary file
+        if (mediaType === 'image') {
+            captureInfo = options.captureInfo || await this.readCaptureInfo(fileBuffer);
+            const processed = await this.processImage(fileBuffer);
+            dimensions = processed.dimensions;
+            variants = await this.uploadImageVariants(processed, originalFilename, userId, uploadedKeys);
             
-            // Upload to R2
-            const uploadResult = await this.r2.uploadFile(
-                processedBuffer,
-                originalFilename,
-                mimeType,
-                userId
-            );
+            const primary = variants.find(v => v.name === 'full' && v.format === processed.format);
+            const thumbnail = variants.find(v => v.name === 'thumbnail' && v.format === processed.format);
+            uploadResult = primary;
+            thumbnailKey = thumbnail.key;
             
-            // Save to database
-            const mediaId = await this.db.createMediaAttachment({
-                entry_id: entryId,
-                media_type: mediaType,
+            // Variants that came out identical share one object
+            const sizesByKey = new Map(variants.map(v => [v.key, v.size]));
+            storedBytes = [...sizesByKey.values()].reduce((sum, size) => sum + size, 0);
+        }
+        
+        // Process videos (read container metadata, generate thumbnail)
+        if (mediaType === 'video') {
+            dimensions = await this.getVideoDimensions(fileBuffer);
+            const thumbnail = await this.generateVideoThumbnail(fileBuffer, originalFilename, userId, dimensions.duration);
+            if (thumbnail) {
+                thumbnailKey = thumbnail.key;
+                storedBytes += thumbnail.size;
+                uploadedKeys.push(thumbnail.key);
+            }
+            
+            // Upload to storage, unless it is there already
+            if (options.storedKey) {
+                uploadResult = { key: options.storedKey, url: null, size: fileBuffer.length };
+            } else {
+                uploadResult = await this.storage.uploadFile(
+                    fileBuffer,
+                    originalFilename,
+                    mimeType,
+                    userId
+                );
+                uploadedKeys.push(uploadResult.key);
+            }
+            storedBytes += uploadResult.size;
+        }
+        
+        // Location is only kept on request, and then only coarsely
+        const location = options.includeLocation && captureInfo.gps ? {
+            lat: coarsenCoordinate(captureInfo.gps.latitude),
+            lon: coarsenCoordinate(captureInfo.gps.longitude)
+        } : null;
+        
+        return {
+            columns: {
                 filename: path.basename(uploadResult.key),
-                original_filename: originalFilename,
-                file_size_mb: uploadResult.size / (1024 * 1024),
+                // file_size_mb covers every object stored for the attachment, so deleting it frees the right amount
+                file_size_mb: storedBytes / (1024 * 1024),
                 r2_key: uploadResult.key,
                 thumbnail_r2_key: thumbnailKey,
                 width: dimensions.width,
                 height: dimensions.height,
-                duration: dimensions.duration || null
-            });
-            
-            // Update user storage usage
-            await this.db.updateUserStorageUsage(userId, user.storage_used_mb + (uploadResult.size / (1024 * 1024)));
-            
-            return {
-                id: mediaId,
-                url: uploadResult.url,
-                mediaType,
-                dimensions,
-                fileSize: uploadResult.size
-            };
-            
-        } catch (error) {
-            console.error('Media processing error:', error);
-            throw error;
+                duration: dimensions.duration ? Math.round(dimensions.duration) : null,
+                codec: dimensions.codec || null,
+                captured_at: captureInfo.capturedAt || null,
+                location_lat: location ? location.lat : null,
+                location_lon: location ? location.lon : null
+            },
+            variants,
+            url: uploadResult.url,
+            fileSize: uploadResult.size,
+            dimensions,
+            location
+        };
+    }
+
+    /**
+     * Record the stored variants of an image
+     * @param {number} mediaId - Media attachment ID
+     * @param {Array<object>} variants - Variants from storeMedia
+     */
+    async saveVariants(mediaId, variants) {
+        if (variants.length === 0) return;
+        await this.db.createMediaVariants(mediaId, variants.map(v => ({
+            variant_name: v.name,
+            format: v.format,
+            r2_key: v.key,
+            width: v.width,
+            height: v.height,
+            file_size_mb: v.size / (1024 * 1024)
+        })));
+    }
+
+    /**
+     * Read a whole stored file
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer>}
+     */
+    async readStoredFile(key) {
+        const chunks = [];
+        for await (const chunk of await this.storage.getFileStream(key)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Delete stored objects, logging rather than throwing when one can't be deleted
+     * @param {Array<string>} keys - Object keys
+     */
+    async deleteKeys(keys) {
+        for (const key of keys) {
+            await this.storage.deleteFile(key).catch(err => console.error('Cleanup error:', err));
         }
     }
 
     /**
-     * Process image: optimize, resize if needed
+     * Check whether a user's tier allows storing a file of this size
+     * @param {number} userId - User ID
+     * @param {number} fileSizeMB - Size of the new file
+     * @param {string} tier - User tier
+     * @param {number} storageUsedMb - Storage already used
+     * @returns {{allowed: boolean, reason: string|null}} Permission decision
+     */
+    checkMediaUploadPermission(userId, fileSizeMB, tier, storageUsedMb) {
+        return this.quota.checkUpload(fileSizeMB, tier, storageUsedMb);
+    }
+
+    /**
+     * Determine media type from a filename's extension
+     * @param {string} filename - Original filename
+     * @returns {string|null} 'image', 'video' or null if unsupported
+     */
+    getMediaType(filename) {
+        const extension = path.extname(filename || '').toLowerCase();
+        if (this.supportedImages.includes(extension)) return 'image';
+        if (this.supportedVideos.includes(extension)) return 'video';
+        return null;
+    }
+
+    /**
+     * MIME type for a supported media file, from its extension
+     * @param {string} filename - Filename
+     * @returns {string|null}
+     */
+    getMimeType(filename) {
+        return FILE_MIME_TYPES[path.extname(filename || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Max upload size in bytes for a media type
+     * @param {string} mediaType - 'image' or 'video'
+     * @returns {number} Size limit in bytes
+     */
+    getMaxFileSizeBytes(mediaType) {
+        return this.maxFileSizeMB[mediaType] * 1024 * 1024;
+    }
+
+    /**
+     * Process image into responsive variants. Every size in imageVariants is
+     * encoded in the image's own format family (JPEG, or PNG/GIF when it has
+     * transparency or animation) plus each of the alternate formats.
      * @param {Buffer} imageBuffer - Original image buffer
-     * @returns {Promise<{buffer: Buffer, dimensions: object}>}
+     * @returns {Promise<{format: string, dimensions: object, variants: Array<object>}>}
      */
     async processImage(imageBuffer) {
         try {
-            const image = sharp(imageBuffer);
-            const metadata = await image.metadata();
+            const metadata = await sharp(imageBuffer).metadata();
+            const pages = metadata.pages || 1;
+            const animated = pages > 1;
+            const format = this.getBaseImageFormat(metadata);
+            const pageHeight = animated ? (metadata.pageHeight || metadata.height) : metadata.height;
+            const longestSide = Math.max(metadata.width, pageHeight);
             
-            // Resize if too large (max 2048px on longest side)
-            const maxDimension = 2048;
-            let resizeOptions = {};
+            // AVIF output can't carry animation
+            const formats = [format, ...this.alternateImageFormats.filter(f => !(animated && f === 'avif'))];
+            const variants = [];
+            const encoded = new Map();
             
-            if (metadata.width > maxDimension || metadata.height > maxDimension) {
-                resizeOptions = {
-                    width: metadata.width > metadata.height ? maxDimension : null,
-                    height: metadata.height > metadata.width ? maxDimension : null,
-                    withoutEnlargement: true
-                };
+            for (const { name, maxDimension } of this.imageVariants) {
+                // Sizes at or above the original collapse into one encode at the original size
+                const targetSize = Math.min(maxDimension, longestSide);
+                
+                for (const variantFormat of formats) {
+                    const cacheKey = `${targetSize}:${variantFormat}`;
+                    if (!encoded.has(cacheKey)) {
+                        encoded.set(cacheKey, await this.encodeImageVariant(imageBuffer, targetSize, variantFormat, pages));
+                    }
+                    variants.push({ name, format: variantFormat, ...encoded.get(cacheKey) });
+                }
             }
             
-            // Process image: resize, optimize quality
-            const processedBuffer = await image
-                .resize(resizeOptions)
-                .jpeg({ quality: 85, progressive: true }) // Convert to JPEG for smaller size
-                .toBuffer();
-            
-            const finalMetadata = await sharp(processedBuffer).metadata();
+            const full = variants.find(v => v.name === 'full' && v.format === format);
             
             return {
-                buffer: processedBuffer,
+                format,
+                variants,
                 dimensions: {
-                    width: finalMetadata.width,
-                    height: finalMetadata.height
+                    width: full.width,
+                    height: full.height,
+                    animated
                 }
             };
         } catch (error) {
             console.error('Image processing error:', error);
-            throw new Error('Failed to process image');
+            // sharp rejects corrupt or truncated files; that's the client's upload, not a server fault
+            throw new ApiError(422, 'Failed to process image', { code: 'invalid_image' });
+        }
+    }
+
+    /**
+     * Read capture time, GPS position and orientation from an image's EXIF data
+     * @param {Buffer} imageBuffer - Original image buffer
+     * @returns {Promise<{capturedAt: string|null, gps: object|null, orientation: number|null}|{}>}
+     *   EXIF info, or {} if the image has none
+     */
+    async readCaptureInfo(imageBuffer) {
+        try {
+            const metadata = await sharp(imageBuffer).metadata();
+            return readExif(metadata.exif) || {};
+        } catch (error) {
+            console.error('EXIF read error:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Suggest a timeline entry date for an upload
+     * @param {object} captureInfo - Result of readCaptureInfo
+     * @returns {{date: string, source: string}} Entry date (YYYY-MM-DD) and where it came from ('exif' or 'upload')
+     */
+    suggestEntryDate(captureInfo) {
+        if (captureInfo && captureInfo.capturedAt) {
+            // The local date the photo was taken, regardless of the recorded offset
+            return { date: captureInfo.capturedAt.slice(0, 10), source: 'exif' };
+        }
+        return { date: new Date().toISOString().split('T')[0], source: 'upload' };
+    }
+
+    /**
+     * Pick the output format that preserves the original's animation and transparency
+     * @param {object} metadata - sharp metadata of the original
+     * @returns {string} 'gif', 'png' or 'jpeg'
+     */
+    getBaseImageFormat(metadata) {
+        if ((metadata.pages || 1) > 1) return 'gif';
+        if (metadata.hasAlpha) return 'png';
+        return 'jpeg';
+    }
+
+    /**
+     * Encode one size/format variant
+     * @param {Buffer} imageBuffer - Original image buffer
+     * @param {number} maxDimension - Max length of the longest side
+     * @param {string} format - Output format
+     * @param {number} pages - Frame count; all frames are kept for animated images
+     * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+     */
+    async encodeImageVariant(imageBuffer, maxDimension, format, pages = 1) {
+        const animated = pages > 1;
+        const pipeline = sharp(imageBuffer, { animated });
+        
+        // Apply the EXIF orientation to the pixels. Output is written without any
+        // metadata (sharp's default), which drops GPS, camera and other EXIF tags
+        if (!animated) {
+            pipeline.rotate();
+        }
+        
+        pipeline.resize({
+            width: maxDimension,
+            height: maxDimension,
+            fit: 'inside',
+            withoutEnlargement: true
+        });
+        
+        switch (format) {
+            case 'png':
+                pipeline.png({ compressionLevel: 9, adaptiveFiltering: true });
+                break;
+            case 'gif':
+                pipeline.gif();
+                break;
+            case 'webp':
+                pipeline.webp({ quality: 80 });
+                break;
+            case 'avif':
+                pipeline.avif({ quality: 50 });
+                break;
+            default:
+                pipeline.jpeg({ quality: 85, progressive: true });
+        }
+        
+        const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+        
+        return {
+            buffer: data,
+            width: info.width,
+            // Animated output stacks its frames vertically
+            height: animated ? (info.pageHeight || Math.round(info.height / pages)) : info.height
+        };
+    }
+
+    /**
+     * Upload processed image variants to storage
+     * @param {object} processed - Result of processImage
+     * @param {string} originalFilename - Original filename
+     * @param {number} userId - User ID
+     * @param {Array<string>} uploadedKeys - Collects uploaded keys for cleanup on failure
+     * @returns {Promise<Array<object>>} Variants with key, url and size
+     */
+    async uploadImageVariants(processed, originalFilename, userId, uploadedKeys) {
+        const baseName = path.basename(originalFilename, path.extname(originalFilename));
+        const uploads = new Map();
+        const results = [];
+        
+        for (const variant of processed.variants) {
+            // Identical encodes (same buffer) are uploaded once
+            if (!uploads.has(variant.buffer)) {
+                const extension = variant.format === 'jpeg' ? 'jpg' : variant.format;
+                const upload = await this.storage.uploadFile(
+                    variant.buffer,
+                    `${baseName}_${variant.name}.${extension}`,
+                    IMAGE_MIME_TYPES[variant.format],
+                    userId
+                );
+                uploadedKeys.push(upload.key);
+                uploads.set(variant.buffer, upload);
+            }
+            
+            const upload = uploads.get(variant.buffer);
+            results.push({
+                name: variant.name,
+                format: variant.format,
+                width: variant.width,
+                height: variant.height,
+                key: upload.key,
+                url: upload.url,
+                size: upload.size
+            });
         }
+        
+        return results;
     }
 
     /**
-     * Get video dimensions (placeholder - would use FFmpeg in production)
+     * Get video dimensions, duration and codec from the container headers
      * @param {Buffer} videoBuffer - Video buffer
-     * @returns {Promise<object>} Video dimensions
+     * @returns {Promise<object>} Video dimensions ({} if the container couldn't be read)
      */
     async getVideoDimensions(videoBuffer) {
-        // TODO: Implement with FFmpeg
-        // For now, return placeholder dimensions
+        const info = probeVideo(videoBuffer);
+        if (!info) return {};
+
         return {
-            width: 1920,
-            height: 1080,
-            duration: 60 // seconds
+            width: info.width,
+            height: info.height,
+            duration: info.duration, // seconds
+            codec: info.codec
         };
     }
 
     /**
-     * Delete media file and update user storage
-     * @param {number} mediaId - Media attachment ID
+     * Generate and upload a poster-frame thumbnail for a video
+     * @param {Buffer} videoBuffer - Video buffer
+     * @param {string} originalFilename - Original video filename
      * @param {number} userId - User ID
-     * @returns {Promise<boolean>}
+     * @param {number} [duration] - Video duration in seconds, if known
+     * @returns {Promise<{key: string, size: number}|null>} Thumbnail upload, or null if ffmpeg is unavailable or fails
      */
-    async deleteMedia(mediaId, userId) {
+    async generateVideoThumbnail(videoBuffer, originalFilename, userId, duration) {
+        if (!(await isFfmpegAvailable())) return null;
+
         try {
-            // Get media info
-            const media = await this.db.getMediaAttachment(mediaId);
-            if (!media || media.entry.user_id !== userId) {
-                throw new Error('Media not found or access denied');
-            }
-            
-            // Delete from R2
-            await this.r2.deleteFile(media.r2_key);
-            if (media.thumbnail_r2_key) {
-                await this.r2.deleteFile(media.thumbnail_r2_key);
-            }
-            
-            // Delete from database
-            await this.db.deleteMediaAttachment(mediaId);
-            
-            // Update user storage usage
-            const user = await this.db.getUserById(userId);
-            await this.db.updateUserStorageUsage(userId, user.storage_used_mb - media.file_size_mb);
-            
-            return true;
+            // Skip the first second, which is often a black fade-in
+            const atSeconds = duration ? Math.min(1, duration / 2) : 0;
+            const extension = path.extname(originalFilename).toLowerCase();
+            const frame = await extractFrame(videoBuffer, extension, atSeconds);
+
+            const thumbnailName = `${path.basename(originalFilename, path.extname(originalFilename))}_thumb.jpg`;
+            const upload = await this.storage.uploadFile(frame, thumbnailName, 'image/jpeg', userId);
+            return { key: upload.key, size: upload.size };
         } catch (error) {
-            console.error('Media deletion error:', error);
-            throw error;
+            // A missing thumbnail shouldn't fail the upload
+            console.error('Video thumbnail error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Move a media attachment to the trash. Its files stay stored (and counted against
+     * the quota) until TrashService purges it.
+     * @param {number} mediaId - Media attachment ID
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async trashMedia(mediaId, userId) {
+        const media = await this.db.getMediaAttachment(mediaId);
+        if (!media || media.entry_user_id !== userId) {
+            throw ApiError.notFound('Media not found');
+        }
+
+        await this.db.trashMediaAttachment(mediaId);
+        return true;
+    }
+
+    /**
+     * Permanently delete a media attachment: its stored files, its row, and the storage it used
+     * @param {object} media - Media attachment row with entry_user_id
+     * @returns {Promise<void>}
+     */
+    async purgeMedia(media) {
+        // Files go first, so a failed delete leaves the row to retry from
+        for (const key of await this.getStorageKeys(media)) {
+            await this.storage.deleteFile(key);
+        }
+
+        await this.db.transaction(async () => {
+            await this.db.deleteMediaAttachment(media.id);
+            await this.quota.release(media.entry_user_id, media.file_size_mb);
+        });
+    }
+
+    /**
+     * Every storage object belonging to a media attachment
+     * @param {object} media - Media attachment row
+     * @returns {Promise<Array<string>>} Unique object keys
+     */
+    async getStorageKeys(media) {
+        const variants = await this.db.getMediaVariants(media.id);
+        const keys = [media.r2_key, media.thumbnail_r2_key, ...variants.map(v => v.r2_key)];
+        return [...new Set(keys.filter(Boolean))];
+    }
+
+    /**
+     * Describe a media attachment for the API, with signed URLs for the file, thumbnail and variants.
+     * Uploads that haven't been processed have no URLs.
+     * @param {object} media - Media attachment row
+     * @returns {Promise<object>} Media details
+     */
+    async describeMedia(media) {
+        const complete = media.upload_status === 'complete';
+        const variants = await this.db.getMediaVariants(media.id);
+        const variantList = [];
+        for (const variant of variants) {
+            variantList.push({
+                name: variant.variant_name,
+                format: variant.format,
+                width: variant.width,
+                height: variant.height,
+                url: await this.storage.getSignedUrl(variant.r2_key)
+            });
+        }
+
+        return {
+            id: media.id,
+            entry_id: media.entry_id,
+            type: media.media_type,
+            status: media.upload_status,
+            error: media.processing_error || null,
+            original_filename: media.original_filename,
+            width: media.width,
+            height: media.height,
+            duration: media.duration,
+            codec: media.codec,
+            captured_at: media.captured_at,
+            location: media.location_lat !== null && media.location_lat !== undefined
+                ? { lat: media.location_lat, lon: media.location_lon }
+                : null,
+            url: complete ? await this.storage.getSignedUrl(media.r2_key) : null,
+            thumbnail_url: complete && media.thumbnail_r2_key ? await this.storage.getSignedUrl(media.thumbnail_r2_key) : null,
+            variants: variantList,
+            srcset: buildSrcset(variantList)
+        };
+    }
+
+    /**
+     * Add signed URLs and srcsets to the media summaries of timeline entries
+     * @param {Array<object>} entries - Entries from Database.getTimelineEntries
+     * @param {object} [options]
+     * @param {number} [options.expiresIn] - Lifetime of the URLs in seconds (the storage driver's default otherwise)
+     * @returns {Promise<Array<object>>} Entries with media URLs
+     */
+    async addMediaUrls(entries, { expiresIn } = {}) {
+        for (const entry of entries) {
+            for (const media of entry.media || []) {
+                media.url = await this.storage.getSignedUrl(media.key, expiresIn);
+                media.thumbnail_url = media.thumbnail_key ? await this.storage.getSignedUrl(media.thumbnail_key, expiresIn) : null;
+                for (const variant of media.variants || []) {
+                    variant.url = await this.storage.getSignedUrl(variant.key, expiresIn);
+                }
+                media.srcset = buildSrcset(media.variants || []);
+            }
         }
+        return entries;
     }
 
     /**
@@ -212,13 +737,13 @@ class MediaHandler {
     async getMediaUrl(mediaId, userId) {
         try {
             const media = await this.db.getMediaAttachment(mediaId);
-            if (!media || media.entry.user_id !== userId) {
-                throw new Error('Media not found or access denied');
+            if (!media || media.entry_user_id !== userId) {
+                throw ApiError.notFound('Media not found');
             }
             
             // For public buckets, return direct URL
             // For private buckets, return signed URL
-            return await this.r2.getSignedUrl(media.r2_key);
+            return await this.storage.getSignedUrl(media.r2_key);
         } catch (error) {
             console.error('Get media URL error:', error);
             throw error;
@@ -226,4 +751,37 @@ class MediaHandler {
     }
 }
 
+/**
+ * Round a coordinate to two decimals (roughly 1km), enough to place a memory without pinpointing a home
+ * @param {number} value - Decimal degrees
+ * @returns {number}
+ */
+function coarsenCoordinate(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build srcset strings per format from a variant list
+ * @param {Array<{format: string, width: number, url: string}>} variants - Variants with URLs
+ * @returns {object} Map of format to srcset string, e.g. { webp: "a.webp 320w, b.webp 800w" }
+ */
+function buildSrcset(variants) {
+    const byFormat = {};
+    for (const variant of variants) {
+        if (!byFormat[variant.format]) byFormat[variant.format] = new Map();
+        // Collapsed variants share a width; list each width once
+        byFormat[variant.format].set(variant.width, variant.url);
+    }
+
+    const srcset = {};
+    for (const [format, urls] of Object.entries(byFormat)) {
+        srcset[format] = [...urls.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([width, url]) => `${url} ${width}w`)
+            .join(', ');
+    }
+    return srcset;
+}
+
 module.exports = MediaHandler;
+module.exports.buildSrcset = buildSrcset;
@@ -0,0 +1,346 @@
+const { ApiError } = require('./errors');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Error raised while parsing a multipart body. Carries the HTTP status
+ * the server should answer with.
+ */
+class MultipartError extends ApiError {
+    constructor(message, statusCode = 400) {
+        super(statusCode, message, { code: statusCode === 400 ? 'invalid_multipart' : undefined });
+        this.name = 'MultipartError';
+    }
+}
+
+/**
+ * Streaming multipart/form-data parser built on the raw request stream.
+ *
+ * Parts are scanned chunk by chunk as they arrive, so size limits are enforced
+ * while the upload is still streaming instead of after the whole body has been
+ * buffered.
+ */
+class MultipartParser {
+    /**
+     * @param {string} boundary - Boundary from the Content-Type header
+     * @param {object} options - Parser limits
+     * @param {function(object): number} [options.fileSizeLimit] - Returns the max bytes for a file part; may throw a MultipartError to reject the part
+     * @param {number} [options.maxFiles] - Max number of file parts
+     * @param {number} [options.maxFields] - Max number of plain fields
+     * @param {number} [options.maxFieldSize] - Max bytes per plain field
+     * @param {number} [options.maxHeaderSize] - Max bytes for a part's headers
+     */
+    constructor(boundary, options = {}) {
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        this.fileSizeLimit = options.fileSizeLimit || (() => Infinity);
+        this.maxFiles = options.maxFiles || 1;
+        this.maxFields = options.maxFields || 20;
+        this.maxFieldSize = options.maxFieldSize || 64 * 1024;
+        this.maxHeaderSize = options.maxHeaderSize || 8 * 1024;
+
+        // The first boundary has no leading CRLF; seed one so every delimiter looks the same
+        this.buffer = Buffer.from(CRLF);
+        this.state = 'preamble';
+        this.part = null;
+        this.fields = {};
+        this.files = [];
+        this.fieldCount = 0;
+    }
+
+    /**
+     * Feed a chunk of the request body into the parser
+     * @param {Buffer} chunk - Raw body bytes
+     */
+    write(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let progressed = true;
+        while (progressed && this.state !== 'done') {
+            progressed = this.step();
+        }
+    }
+
+    /**
+     * Finish parsing once the request stream has ended
+     * @returns {{fields: object, files: Array<object>}} Parsed form data
+     */
+    end() {
+        if (this.state !== 'done') {
+            throw new MultipartError('Unexpected end of multipart body');
+        }
+        return { fields: this.fields, files: this.files };
+    }
+
+    /**
+     * Advance the state machine as far as the buffered data allows
+     * @returns {boolean} Whether any input was consumed
+     */
+    step() {
+        switch (this.state) {
+            case 'preamble': {
+                const index = this.buffer.indexOf(this.delimiter);
+                if (index === -1) {
+                    // Keep just enough of the tail to match a delimiter split across chunks
+                    this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.delimiter.length));
+                    return false;
+                }
+                this.buffer = this.buffer.subarray(index + this.delimiter.length);
+                this.state = 'delimiter';
+                return true;
+            }
+            case 'delimiter': {
+                if (this.buffer.length < 2) return false;
+                if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) { // '--' closes the body
+                    this.state = 'done';
+                    this.buffer = Buffer.alloc(0);
+                    return false;
+                }
+                const lineEnd = this.buffer.indexOf(CRLF);
+                if (lineEnd === -1) {
+                    if (this.buffer.length > 256) throw new MultipartError('Malformed multipart boundary');
+                    return false;
+                }
+                // Anything between the boundary and CRLF is transport padding
+                this.buffer = this.buffer.subarray(lineEnd + CRLF.length);
+                this.state = 'headers';
+                return true;
+            }
+            case 'headers': {
+                const index = this.buffer.indexOf(HEADER_END);
+                if (index === -1) {
+                    if (this.buffer.length > this.maxHeaderSize) {
+                        throw new MultipartError('Multipart headers too large', 431);
+                    }
+                    return false;
+                }
+                const rawHeaders = this.buffer.subarray(0, index).toString('utf8');
+                this.buffer = this.buffer.subarray(index + HEADER_END.length);
+                this.startPart(parsePartHeaders(rawHeaders));
+                this.state = 'body';
+                return true;
+            }
+            case 'body': {
+                const index = this.buffer.indexOf(this.delimiter);
+                if (index === -1) {
+                    // Flush everything that cannot be the start of a delimiter
+                    const safeLength = this.buffer.length - this.delimiter.length + 1;
+                    if (safeLength > 0) {
+                        this.appendToPart(this.buffer.subarray(0, safeLength));
+                        this.buffer = this.buffer.subarray(safeLength);
+                    }
+                    return false;
+                }
+                this.appendToPart(this.buffer.subarray(0, index));
+                this.buffer = this.buffer.subarray(index + this.delimiter.length);
+                this.finishPart();
+                this.state = 'delimiter';
+                return true;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Begin a new part from its parsed headers
+     * @param {object} headers - Lower-cased part headers
+     */
+    startPart(headers) {
+        const disposition = parseHeaderParams(headers['content-disposition'] || '');
+        if (disposition.value !== 'form-data' || !disposition.params.name) {
+            throw new MultipartError('Multipart part is missing a form-data name');
+        }
+
+        const part = {
+            fieldName: disposition.params.name,
+            filename: disposition.params.filename,
+            mimeType: (headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+            chunks: [],
+            size: 0
+        };
+
+        if (part.filename !== undefined) {
+            if (this.files.length >= this.maxFiles) {
+                throw new MultipartError(`Too many files. Max files per request: ${this.maxFiles}`, 413);
+            }
+            part.limit = this.fileSizeLimit(part);
+        } else {
+            if (this.fieldCount >= this.maxFields) {
+                throw new MultipartError(`Too many form fields. Max fields per request: ${this.maxFields}`, 413);
+            }
+            part.limit = this.maxFieldSize;
+        }
+
+        this.part = part;
+    }
+
+    /**
+     * Append body bytes to the current part, enforcing its size limit
+     * @param {Buffer} data - Part body bytes
+     */
+    appendToPart(data) {
+        if (!data.length) return;
+
+        const part = this.part;
+        part.size += data.length;
+        if (part.size > part.limit) {
+            const what = part.filename !== undefined ? `File "${part.filename}"` : `Field "${part.fieldName}"`;
+            throw new MultipartError(`${what} exceeds the ${formatBytes(part.limit)} limit`, 413);
+        }
+        part.chunks.push(data);
+    }
+
+    /**
+     * Store the completed part as a field or file
+     */
+    finishPart() {
+        const part = this.part;
+        const data = Buffer.concat(part.chunks, part.size);
+        this.part = null;
+
+        if (part.filename !== undefined) {
+            // Browsers send an empty file part when no file was chosen
+            if (!part.filename && !part.size) return;
+            this.files.push({
+                fieldName: part.fieldName,
+                filename: part.filename,
+                mimeType: part.mimeType,
+                buffer: data,
+                size: part.size
+            });
+        } else {
+            this.fields[part.fieldName] = data.toString('utf8');
+            this.fieldCount++;
+        }
+    }
+}
+
+/**
+ * Parse raw part headers into a lower-cased map
+ * @param {string} rawHeaders - Header block of a single part
+ * @returns {object} Header map
+ */
+function parsePartHeaders(rawHeaders) {
+    const headers = {};
+    for (const line of rawHeaders.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Parse a header value with parameters, e.g. `form-data; name="file"; filename="a.jpg"`
+ * @param {string} header - Header value
+ * @returns {{value: string, params: object}} Main value and parameters
+ */
+function parseHeaderParams(header) {
+    const [value, ...rest] = header.split(';');
+    const params = {};
+    const paramRegex = /([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let match;
+
+    const paramString = rest.join(';');
+    while ((match = paramRegex.exec(paramString)) !== null) {
+        const key = match[1].toLowerCase();
+        let paramValue = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+
+        // RFC 5987 extended value, e.g. filename*=UTF-8''na%C3%AFve.jpg
+        if (key.endsWith('*')) {
+            const extended = paramValue.match(/^[^']*'[^']*'(.*)$/);
+            try {
+                paramValue = decodeURIComponent(extended ? extended[1] : paramValue);
+            } catch (error) {
+                continue;
+            }
+            params[key.slice(0, -1)] = paramValue;
+            continue;
+        }
+
+        // An extended value takes precedence over the plain one
+        if (params[key] === undefined) {
+            params[key] = paramValue;
+        }
+    }
+
+    return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Extract the boundary from a multipart Content-Type header
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Boundary or null if not multipart/form-data
+ */
+function getBoundary(contentType) {
+    if (!contentType) return null;
+    const { value, params } = parseHeaderParams(contentType);
+    if (value !== 'multipart/form-data' || !params.boundary) return null;
+    return params.boundary;
+}
+
+/**
+ * Human readable byte size for error messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))}MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+    return `${bytes} bytes`;
+}
+
+/**
+ * Parse a multipart/form-data request as it streams in
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {object} options - Limits passed to MultipartParser
+ * @returns {Promise<{fields: object, files: Array<object>}>} Parsed form data
+ */
+function parseMultipart(req, options = {}) {
+    return new Promise((resolve, reject) => {
+        const boundary = getBoundary(req.headers['content-type']);
+        if (!boundary) {
+            reject(new MultipartError('Expected multipart/form-data with a boundary', 415));
+            return;
+        }
+
+        const parser = new MultipartParser(boundary, options);
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            // Stop buffering the rest of the upload; the response closes the connection
+            req.removeListener('data', onData);
+            req.resume();
+            reject(error);
+        };
+
+        const onData = (chunk) => {
+            try {
+                parser.write(chunk);
+            } catch (error) {
+                fail(error);
+            }
+        };
+
+        req.on('data', onData);
+        req.on('end', () => {
+            if (failed) return;
+            try {
+                resolve(parser.end());
+            } catch (error) {
+                fail(error);
+            }
+        });
+        req.on('error', fail);
+    });
+}
+
+module.exports = {
+    MultipartParser,
+    MultipartError,
+    parseMultipart,
+    getBoundary
+};
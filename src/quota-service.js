@@ -0,0 +1,140 @@
+const { getTierLimits, isUnlimited } = require('./tier-limits');
+const { ApiError } = require('./errors');
+
+/**
+ * Error raised when an upload would exceed the user's storage quota
+ */
+class QuotaError extends ApiError {
+    constructor(message) {
+        super(403, message, { code: 'quota_exceeded' });
+        this.name = 'QuotaError';
+    }
+}
+
+class QuotaService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Decide whether a user may store another file
+     * @param {number} fileSizeMB - Size of the new file
+     * @param {string} tier - User tier
+     * @param {number} storageUsedMb - Storage already used
+     * @returns {{allowed: boolean, reason: string|null, limitMb: number, remainingMb: number|null}}
+     */
+    checkUpload(fileSizeMB, tier, storageUsedMb) {
+        const limitMb = getTierLimits(tier).storageMb;
+
+        if (isUnlimited(limitMb)) {
+            return { allowed: true, reason: null, limitMb, remainingMb: null };
+        }
+
+        const remainingMb = Math.max(0, limitMb - (storageUsedMb || 0));
+
+        if (limitMb === 0) {
+            return {
+                allowed: false,
+                reason: `Media uploads are not available on the ${tier} tier`,
+                limitMb,
+                remainingMb
+            };
+        }
+
+        if (fileSizeMB > remainingMb) {
+            return {
+                allowed: false,
+                reason: `Storage limit reached. ${remainingMb.toFixed(1)}MB of ${limitMb}MB remaining on the ${tier} tier`,
+                limitMb,
+                remainingMb
+            };
+        }
+
+        return { allowed: true, reason: null, limitMb, remainingMb };
+    }
+
+    /**
+     * Atomically reserve storage for an upload. Concurrent uploads cannot
+     * both pass the check because the limit is enforced in the UPDATE itself.
+     * @param {object} user - User row
+     * @param {number} sizeMb - Storage to reserve
+     * @returns {Promise<void>}
+     */
+    async reserve(user, sizeMb) {
+        const limitMb = getTierLimits(user.tier).storageMb;
+        const reserved = await this.db.reserveUserStorage(user.id, sizeMb, limitMb);
+
+        if (!reserved) {
+            const current = await this.db.getUserById(user.id);
+            const permission = this.checkUpload(sizeMb, user.tier, current ? current.storage_used_mb : 0);
+            throw new QuotaError(permission.reason || 'Storage limit reached');
+        }
+    }
+
+    /**
+     * Give back storage, e.g. after a failed upload or a deletion
+     * @param {number} userId - User ID
+     * @param {number} sizeMb - Storage to release
+     * @returns {Promise<void>}
+     */
+    async release(userId, sizeMb) {
+        if (!sizeMb) return;
+        await this.db.adjustUserStorageUsage(userId, -sizeMb);
+    }
+
+    /**
+     * Correct a reservation once the real stored size is known. Storing more than was
+     * reserved (e.g. image variants larger than the original) must still fit the limit.
+     * @param {number} userId - User ID
+     * @param {number} reservedMb - Amount reserved up front
+     * @param {number} actualMb - Amount actually stored
+     * @returns {Promise<void>}
+     * @throws {QuotaError} If the extra storage would go over the user's limit
+     */
+    async settle(userId, reservedMb, actualMb) {
+        const delta = actualMb - reservedMb;
+        if (delta > 0) {
+            await this.reserve(await this.db.getUserById(userId), delta);
+        } else if (delta < 0) {
+            await this.db.adjustUserStorageUsage(userId, delta);
+        }
+    }
+
+    /**
+     * Storage usage summary for the account page
+     * @param {object} user - User row
+     * @returns {Promise<object>} Usage summary
+     */
+    async getUsage(user) {
+        const stats = await this.db.getUserStorageStats(user.id);
+        const limitMb = getTierLimits(user.tier).storageMb;
+        const unlimited = isUnlimited(limitMb);
+        const usedMb = user.storage_used_mb || 0;
+
+        return {
+            tier: user.tier,
+            storage_used_mb: roundMb(usedMb),
+            storage_limit_mb: unlimited ? null : limitMb,
+            storage_remaining_mb: unlimited ? null : roundMb(Math.max(0, limitMb - usedMb)),
+            percent_used: unlimited || limitMb === 0 ? null : Math.min(100, Math.round((usedMb / limitMb) * 1000) / 10),
+            unlimited,
+            total_entries: stats.total_entries,
+            media_entries: stats.media_entries,
+            media_files: stats.media_files,
+            media_storage_mb: roundMb(stats.storage_used_mb),
+            trash_storage_mb: roundMb(stats.trash_storage_mb)
+        };
+    }
+}
+
+/**
+ * Round a megabyte value to two decimals for display
+ * @param {number} value - Size in MB
+ * @returns {number}
+ */
+function roundMb(value) {
+    return Math.round((value || 0) * 100) / 100;
+}
+
+module.exports = QuotaService;
+module.exports.QuotaError = QuotaError;
@@ -0,0 +1,28 @@
+// Reactions are single emoji. Emoji that also have a plain-text form (such as ❤) are
+// stored with the emoji variation selector (U+FE0F), so a heart counts as the same
+// reaction whether or not the client sent the selector.
+
+const VARIATION_SELECTOR = '\uFE0F';
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Check that a value is one emoji and bring it to the form reactions are stored in
+ * @param {string} value - Emoji as sent
+ * @returns {string|null} Normalized emoji, or null if it isn't a single emoji
+ */
+function normalizeReaction(value) {
+    const text = String(value).trim();
+    const graphemes = [...segmenter.segment(text)];
+    if (graphemes.length !== 1 || !/\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(text)) {
+        return null;
+    }
+
+    // Sequences (skin tones, flags, keycaps, ZWJ families) are kept as sent
+    const codePoints = [...text.replaceAll(VARIATION_SELECTOR, '')];
+    if (codePoints.length !== 1) return text;
+    return /\p{Emoji_Presentation}/u.test(codePoints[0]) ? codePoints[0] : codePoints[0] + VARIATION_SELECTOR;
+}
+
+module.exports = {
+    normalizeReaction
+};
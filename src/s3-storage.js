@@ -0,0 +1,311 @@
+const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand,
+    CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand, ListMultipartUploadsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { buildObjectKey } = require('./storage-keys');
+
+/**
+ * Storage driver for any S3-compatible object store (AWS S3, MinIO, Backblaze B2, ...)
+ */
+class S3Storage {
+    /**
+     * @param {object} options - Connection settings, defaults read from S3_* env vars
+     * @param {string} [options.endpoint] - Custom endpoint URL, e.g. http://localhost:9000 for MinIO
+     * @param {string} [options.region] - Bucket region
+     * @param {string} [options.accessKeyId] - Access key
+     * @param {string} [options.secretAccessKey] - Secret key
+     * @param {string} [options.bucketName] - Bucket name
+     * @param {boolean} [options.forcePathStyle] - Use path-style URLs (required by MinIO)
+     * @param {string} [options.publicUrl] - Base URL for public object access, if the bucket is public
+     */
+    constructor(options = {}) {
+        this.name = options.name || 's3';
+        this.client = new S3Client({
+            region: options.region || process.env.S3_REGION || 'us-east-1',
+            endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: options.forcePathStyle !== undefined
+                ? options.forcePathStyle
+                : process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: {
+                accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+            },
+        });
+        this.bucketName = options.bucketName || process.env.S3_BUCKET_NAME || 'timal-media';
+        this.publicUrl = (options.publicUrl !== undefined ? options.publicUrl : process.env.S3_PUBLIC_URL) || null;
+    }
+
+    /**
+     * Upload a file to the bucket
+     * @param {Buffer} fileBuffer - File data as buffer
+     * @param {string} originalFilename - Original filename
+     * @param {string} mimeType - File MIME type
+     * @param {number} userId - User ID for organizing files
+     * @returns {Promise<{key: string, url: string, size: number}>}
+     */
+    async uploadFile(fileBuffer, originalFilename, mimeType, userId) {
+        try {
+            const key = buildObjectKey(originalFilename, userId);
+
+            const command = new PutObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                Body: fileBuffer,
+                ContentType: mimeType,
+                Metadata: {
+                    originalFilename: originalFilename,
+                    uploadedBy: userId.toString(),
+                    uploadedAt: new Date().toISOString()
+                }
+            });
+
+            const result = await this.client.send(command);
+
+            return {
+                key: key,
+                url: this.getPublicUrl(key) || await this.getSignedUrl(key),
+                size: fileBuffer.length,
+                etag: result.ETag
+            };
+        } catch (error) {
+            console.error(`${this.name} upload error:`, error);
+            throw new Error(`Failed to upload file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start a multipart upload, for files sent in parts. Every part but the last must be at least 5MB.
+     * @param {string} originalFilename - Original filename
+     * @param {string} mimeType - File MIME type
+     * @param {number} userId - User ID for organizing files
+     * @returns {Promise<{key: string, uploadId: string}>}
+     */
+    async createMultipartUpload(originalFilename, mimeType, userId) {
+        try {
+            const key = buildObjectKey(originalFilename, userId);
+
+            const command = new CreateMultipartUploadCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                ContentType: mimeType,
+                Metadata: {
+                    originalFilename: originalFilename,
+                    uploadedBy: userId.toString(),
+                    uploadedAt: new Date().toISOString()
+                }
+            });
+
+            const result = await this.client.send(command);
+            return { key, uploadId: result.UploadId };
+        } catch (error) {
+            console.error(`${this.name} multipart create error:`, error);
+            throw new Error(`Failed to start upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Upload one part of a multipart upload. Uploading a part number again replaces it.
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {number} partNumber - 1 to 10000
+     * @param {Buffer} partBuffer - Part data
+     * @returns {Promise<{etag: string}>}
+     */
+    async uploadPart(key, uploadId, partNumber, partBuffer) {
+        try {
+            const command = new UploadPartCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                UploadId: uploadId,
+                PartNumber: partNumber,
+                Body: partBuffer
+            });
+
+            const result = await this.client.send(command);
+            return { etag: result.ETag };
+        } catch (error) {
+            console.error(`${this.name} part upload error:`, error);
+            throw new Error(`Failed to upload part: ${error.message}`);
+        }
+    }
+
+    /**
+     * Join the uploaded parts into the object
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {Array<{partNumber: number, etag: string}>} parts - Every part, in order
+     * @returns {Promise<{key: string, etag: string}>}
+     */
+    async completeMultipartUpload(key, uploadId, parts) {
+        try {
+            const command = new CompleteMultipartUploadCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                UploadId: uploadId,
+                MultipartUpload: {
+                    Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+                }
+            });
+
+            const result = await this.client.send(command);
+            return { key, etag: result.ETag };
+        } catch (error) {
+            console.error(`${this.name} multipart complete error:`, error);
+            throw new Error(`Failed to complete upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Abandon a multipart upload, deleting the parts stored so far
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @returns {Promise<boolean>} Success status
+     */
+    async abortMultipartUpload(key, uploadId) {
+        try {
+            const command = new AbortMultipartUploadCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                UploadId: uploadId
+            });
+
+            await this.client.send(command);
+            return true;
+        } catch (error) {
+            // Already completed or aborted
+            if (error.name === 'NoSuchUpload') return true;
+            console.error(`${this.name} multipart abort error:`, error);
+            throw new Error(`Failed to abort upload: ${error.message}`);
+        }
+    }
+
+    /**
+     * Multipart uploads in the bucket that were started and never completed or aborted
+     * @returns {Promise<Array<{key: string, uploadId: string, initiated: Date}>>}
+     */
+    async listMultipartUploads() {
+        try {
+            const uploads = [];
+            let keyMarker;
+            let uploadIdMarker;
+            do {
+                const result = await this.client.send(new ListMultipartUploadsCommand({
+                    Bucket: this.bucketName,
+                    KeyMarker: keyMarker,
+                    UploadIdMarker: uploadIdMarker
+                }));
+                for (const upload of result.Uploads || []) {
+                    uploads.push({ key: upload.Key, uploadId: upload.UploadId, initiated: upload.Initiated });
+                }
+                keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+                uploadIdMarker = result.IsTruncated ? result.NextUploadIdMarker : undefined;
+            } while (keyMarker);
+            return uploads;
+        } catch (error) {
+            console.error(`${this.name} multipart list error:`, error);
+            throw new Error(`Failed to list uploads: ${error.message}`);
+        }
+    }
+
+    /**
+     * Public URL for an object, if the bucket is configured as public
+     * @param {string} key - Object key
+     * @returns {string|null} Public URL or null
+     */
+    getPublicUrl(key) {
+        if (!this.publicUrl) return null;
+        return `${this.publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+
+    /**
+     * Generate a signed URL for private file access
+     * @param {string} key - Object key
+     * @param {number} expiresIn - URL expiration in seconds (default: 1 hour)
+     * @returns {Promise<string>} Signed URL
+     */
+    async getSignedUrl(key, expiresIn = 3600) {
+        try {
+            const command = new GetObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+            });
+
+            const signedUrl = await getSignedUrl(this.client, command, { expiresIn });
+            return signedUrl;
+        } catch (error) {
+            console.error(`${this.name} signed URL error:`, error);
+            throw new Error(`Failed to generate signed URL: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read a file from the bucket
+     * @param {string} key - Object key
+     * @returns {Promise<stream.Readable>} File contents
+     */
+    async getFileStream(key) {
+        try {
+            const command = new GetObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+            });
+
+            const response = await this.client.send(command);
+            return response.Body;
+        } catch (error) {
+            console.error(`${this.name} read error:`, error);
+            throw new Error(`Failed to read file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a file from the bucket
+     * @param {string} key - Object key
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteFile(key) {
+        try {
+            const command = new DeleteObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+            });
+
+            await this.client.send(command);
+            return true;
+        } catch (error) {
+            console.error(`${this.name} delete error:`, error);
+            throw new Error(`Failed to delete file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get file metadata without downloading
+     * @param {string} key - Object key
+     * @returns {Promise<object>} File metadata
+     */
+    async getFileMetadata(key) {
+        try {
+            const command = new HeadObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+            });
+
+            const response = await this.client.send(command);
+
+            return {
+                contentType: response.ContentType,
+                contentLength: response.ContentLength,
+                lastModified: response.LastModified,
+                etag: response.ETag,
+                metadata: response.Metadata
+            };
+        } catch (error) {
+            console.error(`${this.name} metadata error:`, error);
+            throw new Error(`Failed to get file metadata: ${error.message}`);
+        }
+    }
+}
+
+module.exports = S3Storage;
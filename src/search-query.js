@@ -0,0 +1,106 @@
+// Turns a search box query into a safe FTS5 MATCH expression.
+//
+// Supported syntax:
+//   beach sunset        both words (AND is implied, and may also be written)
+//   "first day"         exact phrase
+//   walk*               prefix
+//   beach OR lake       either
+//   -rain, NOT rain     exclude
+//
+// Every term is emitted as a quoted FTS5 string, so punctuation or stray
+// FTS5 operators in user input can never cause a syntax error.
+
+const TOKEN_PATTERN = /(-?)"([^"]*)"?(\*?)|(\S+)/g;
+
+/**
+ * Build an FTS5 query
+ * @param {string} input - Query as typed by the user
+ * @returns {string|null} MATCH expression, or null if nothing searchable remains
+ */
+function buildFtsQuery(input) {
+    const include = [];
+    const exclude = [];
+    let pendingOr = false;
+    let pendingNot = false;
+
+    for (const match of String(input || '').matchAll(TOKEN_PATTERN)) {
+        let term;
+        let negated = pendingNot;
+        let prefix = false;
+
+        if (match[4] !== undefined) {
+            const word = match[4];
+            if (word === 'OR') {
+                pendingOr = include.length > 0;
+                continue;
+            }
+            if (word === 'AND') continue;
+            if (word === 'NOT') {
+                pendingNot = true;
+                continue;
+            }
+
+            term = word;
+            if (term.length > 1 && term.startsWith('-')) {
+                negated = true;
+                term = term.slice(1);
+            }
+            if (term.endsWith('*')) {
+                prefix = true;
+                term = term.replace(/\*+$/, '');
+            }
+        } else {
+            negated = negated || match[1] === '-';
+            term = match[2];
+            prefix = match[3] === '*';
+        }
+
+        pendingNot = false;
+        term = term.trim();
+        // Terms made only of punctuation have no tokens for FTS5 to match
+        if (!/[\p{L}\p{N}]/u.test(term)) {
+            continue;
+        }
+
+        const quoted = `"${term.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+        if (negated) {
+            exclude.push(quoted);
+        } else {
+            include.push({ quoted, or: pendingOr });
+            pendingOr = false;
+        }
+    }
+
+    if (include.length === 0) return null;
+
+    const positive = include
+        .map((term, i) => (i === 0 ? term.quoted : `${term.or ? 'OR' : 'AND'} ${term.quoted}`))
+        .join(' ');
+    // FTS5's NOT is binary, so exclusions apply to the whole positive expression
+    return exclude.reduce((query, term) => `${query} NOT ${term}`, `(${positive})`);
+}
+
+// Markers the database wraps around matched terms in snippets
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turn a marked snippet into plain text and escaped HTML with <mark> highlights
+ * @param {string|null} snippet - Snippet from Database.searchTimelineEntries
+ * @returns {{text: string, html: string}}
+ */
+function formatSnippet(snippet) {
+    const raw = snippet || '';
+    const escaped = raw.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    return {
+        text: raw.split(MATCH_START).join('').split(MATCH_END).join(''),
+        html: escaped.split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>')
+    };
+}
+
+module.exports = {
+    buildFtsQuery,
+    formatSnippet
+};
@@ -2,231 +2,2201 @@ const http = require('http');
 const url = require('url');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const Database = require('../db/database');
 const AuthService = require('./auth-service');
 const MediaHandler = require('./media-handler');
+const TrashService = require('./trash-service');
+const ExportService = require('./export-service');
+const ImportService = require('./import-service');
+const UploadService = require('./upload-service');
+const EventBus = require('./event-bus');
+const JobQueue = require('./job-queue');
+const { createStorage } = require('./storage');
+const { parseMultipart, MultipartError } = require('./multipart-parser');
+const { Router } = require('../api/routes');
+const { validate } = require('../api/validation');
+const schemas = require('../api/schemas');
+const { ApiError } = require('./errors');
+const { encodeCursor, decodeCursor } = require('../api/cursor');
+const { buildFtsQuery, formatSnippet } = require('./search-query');
+const { normalizeTagName, normalizeTags } = require('./tags');
+const { diffWords } = require('./text-diff');
+const { getTierLimits, isUnlimited } = require('./tier-limits');
+const { readPositiveNumber } = require('./settings');
+const { hasRole, canEditEntry, canModerateEntry } = require('./timeline-roles');
+const { normalizeReaction } = require('./reactions');
+const { buildCalendar } = require('./icalendar');
+const { buildAtomFeed, buildJsonFeed } = require('./feeds');
+const { renderSharePage, renderPasswordPage, renderNoticePage } = require('./share-page');
+
+// Calendars hold every entry up to this many, newest first
+const CALENDAR_MAX_ENTRIES = 5000;
+
+// Shared pages show this many entries at a time, with media URLs valid for 15 minutes
+const SHARE_PAGE_SIZE = 20;
+const SHARE_MEDIA_URL_SECONDS = 15 * 60;
+
+// Event streams send a comment this often so proxies keep them open, and re-check the
+// session with it; clients wait EVENT_RETRY_MS before reconnecting
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const EVENT_RETRY_MS = 3000;
+// A stream whose client stops reading is dropped once this much is waiting to be sent
+const EVENT_MAX_BUFFER_BYTES = 1024 * 1024;
 
 class TimalServer {
     constructor() {
         this.port = process.env.PORT || 3000;
         this.db = new Database();
         this.auth = new AuthService(this.db);
-        this.media = new MediaHandler(this.db);
+        this.storage = createStorage();
+        this.media = new MediaHandler(this.db, this.storage);
+        this.trash = new TrashService(this.db, this.media);
+        this.exports = new ExportService(this.db, this.storage);
+        this.uploads = new UploadService(this.db, this.media);
+        this.events = new EventBus();
+        this.eventStreams = new Set();
+        this.jobs = new JobQueue(this.db);
+        this.imports = new ImportService(this.db, this.media, this.jobs);
+        this.registerJobs();
+        this.router = this.registerRoutes();
         
         // Initialize database
-        this.init();
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            await this.db.initialize();
+            console.log('✅ Database initialized');
+        } catch (error) {
+            console.error('❌ Database initialization failed:', error);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Main request handler
+     */
+    async handleRequest(req, res) {
+        const parsedUrl = url.parse(req.url, true);
+        const pathname = parsedUrl.pathname;
+
+        // Enable CORS for development
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        try {
+            // API routes (the router answers OPTIONS itself)
+            if (pathname.startsWith('/api/')) {
+                const handled = await this.router.handle(req, res, pathname, parsedUrl.query);
+                if (!handled) {
+                    this.sendError(res, 404, 'API endpoint not found', { code: 'route_not_found' });
+                }
+                return;
+            }
+
+            // Shared timelines, readable without logging in
+            if (pathname.startsWith('/s/')) {
+                const handled = await this.router.handle(req, res, pathname, parsedUrl.query);
+                if (!handled) {
+                    this.sendHtml(res, 404, renderNoticePage('Link not found', 'This link does not exist or has been revoked.'));
+                }
+                return;
+            }
+
+            if (req.method === 'OPTIONS') {
+                res.writeHead(200);
+                res.end();
+                return;
+            }
+
+            // Files from the local storage driver, behind signed URLs
+            if (pathname.startsWith('/files/') && typeof this.storage.verifySignedUrl === 'function') {
+                await this.serveStoredFile(req, res, pathname, parsedUrl.query);
+                return;
+            }
+
+            // Static file serving
+            if (pathname === '/' || pathname === '/index.html') {
+                await this.serveStaticFile(res, 'public/index.html', 'text/html');
+                return;
+            }
+
+            // Serve other static files
+            if (pathname.startsWith('/')) {
+                const filePath = path.join('public', pathname);
+                await this.serveStaticFile(res, filePath);
+                return;
+            }
+
+            // 404 Not Found
+            this.sendError(res, 404, 'Not Found');
+
+        } catch (error) {
+            if (res.headersSent) {
+                console.error('Error after response started:', error);
+                res.destroy();
+                return;
+            }
+            // Errors that know their HTTP status (validation, quota, upload limits...) are reported as-is
+            if (error instanceof ApiError) {
+                this.sendError(res, error.statusCode, error.message, { code: error.code, fields: error.fields });
+                return;
+            }
+            console.error('Request handling error:', error);
+            this.sendError(res, 500, 'Internal Server Error');
+        }
+    }
+
+    /**
+     * Declare API routes
+     */
+    registerRoutes() {
+        const router = new Router({
+            authenticate: (req) => this.getCurrentUser(req)
+        });
+        const feedAuth = (ctx, next) => this.authenticateFeed(ctx, next);
+
+        // Authentication
+        router.post('/api/auth/register', ctx => this.register(ctx), { validate: { body: schemas.register } });
+        router.post('/api/auth/login', ctx => this.login(ctx), { validate: { body: schemas.login } });
+        router.post('/api/auth/logout', ctx => this.logout(ctx), { body: 'none' });
+        router.get('/api/auth/account', ctx => this.getAccount(ctx), { auth: true });
+
+        // Account
+        router.get('/api/account/usage', ctx => this.getAccountUsage(ctx), { auth: true });
+
+        // Real-time updates (Server-Sent Events)
+        router.get('/api/events', ctx => this.streamEvents(ctx), { auth: true, validate: { query: schemas.eventsQuery } });
+
+        // Timeline
+        router.get('/api/timeline', ctx => this.listTimelineEntries(ctx), { auth: true, validate: { query: schemas.timelineQuery } });
+        router.get('/api/timeline/search', ctx => this.searchTimelineEntries(ctx), { auth: true, validate: { query: schemas.searchQuery } });
+        router.post('/api/timeline', ctx => this.createTimelineEntry(ctx), { auth: true, validate: { body: schemas.createEntry } });
+        router.get('/api/timeline/:id(int)', ctx => this.getTimelineEntry(ctx), { auth: true });
+        router.put('/api/timeline/:id(int)', ctx => this.updateTimelineEntry(ctx), { auth: true, validate: { body: schemas.updateEntry } });
+        router.delete('/api/timeline/:id(int)', ctx => this.deleteTimelineEntry(ctx), { auth: true });
+
+        // Entry revisions
+        router.get('/api/timeline/:id(int)/revisions', ctx => this.listEntryRevisions(ctx), { auth: true });
+        router.get('/api/timeline/:id(int)/revisions/diff', ctx => this.diffEntryRevisions(ctx), { auth: true, validate: { query: schemas.revisionDiffQuery } });
+        router.get('/api/timeline/:id(int)/revisions/:rev(int)', ctx => this.getEntryRevision(ctx), { auth: true });
+        router.post('/api/timeline/:id(int)/revisions/:rev(int)/restore', ctx => this.restoreEntryRevision(ctx), { auth: true, body: 'none' });
+
+        // Comments and reactions
+        router.get('/api/timeline/:id(int)/comments', ctx => this.listComments(ctx), { auth: true });
+        router.post('/api/timeline/:id(int)/comments', ctx => this.createComment(ctx), { auth: true, validate: { body: schemas.createComment } });
+        router.patch('/api/timeline/:id(int)/comments', ctx => this.updateCommentSettings(ctx), { auth: true, validate: { body: schemas.commentSettings } });
+        router.patch('/api/timeline/:id(int)/comments/:commentId(int)', ctx => this.updateComment(ctx), { auth: true, validate: { body: schemas.updateComment } });
+        router.delete('/api/timeline/:id(int)/comments/:commentId(int)', ctx => this.deleteComment(ctx), { auth: true });
+        router.get('/api/timeline/:id(int)/reactions', ctx => this.listReactions(ctx), { auth: true });
+        router.post('/api/timeline/:id(int)/reactions', ctx => this.addReaction(ctx), { auth: true, validate: { body: schemas.addReaction } });
+        router.delete('/api/timeline/:id(int)/reactions/:emoji', ctx => this.removeReaction(ctx), { auth: true });
+
+        // Timelines (named collections of entries)
+        router.get('/api/timelines', ctx => this.listTimelines(ctx), { auth: true });
+        router.post('/api/timelines', ctx => this.createTimeline(ctx), { auth: true, validate: { body: schemas.createTimeline } });
+        router.get('/api/timelines/:id(int)', ctx => this.getTimeline(ctx), { auth: true });
+        router.put('/api/timelines/:id(int)', ctx => this.updateTimeline(ctx), { auth: true, validate: { body: schemas.updateTimeline } });
+        router.delete('/api/timelines/:id(int)', ctx => this.deleteTimeline(ctx), { auth: true, validate: { query: schemas.deleteTimelineQuery } });
+        router.post('/api/timelines/:id(int)/entries', ctx => this.moveEntriesToTimeline(ctx), { auth: true, validate: { body: schemas.moveEntries } });
+
+        // Timeline members and invitations
+        router.get('/api/timelines/:id(int)/members', ctx => this.listTimelineMembers(ctx), { auth: true });
+        router.patch('/api/timelines/:id(int)/members/:userId(int)', ctx => this.updateTimelineMember(ctx), { auth: true, validate: { body: schemas.updateMember } });
+        router.delete('/api/timelines/:id(int)/members/:userId(int)', ctx => this.removeTimelineMember(ctx), { auth: true });
+        router.get('/api/timelines/:id(int)/invitations', ctx => this.listTimelineInvitations(ctx), { auth: true });
+        router.post('/api/timelines/:id(int)/invitations', ctx => this.createInvitation(ctx), { auth: true, validate: { body: schemas.createInvitation } });
+        router.delete('/api/timelines/:id(int)/invitations/:invitationId(int)', ctx => this.deleteInvitation(ctx), { auth: true });
+        router.get('/api/invitations', ctx => this.listInvitations(ctx), { auth: true });
+        router.post('/api/invitations/:id(int)/accept', ctx => this.respondToInvitation(ctx, 'accepted'), { auth: true, body: 'none' });
+        router.post('/api/invitations/:id(int)/decline', ctx => this.respondToInvitation(ctx, 'declined'), { auth: true, body: 'none' });
+
+        // Tags
+        router.get('/api/tags', ctx => this.listTags(ctx), { auth: true });
+        router.patch('/api/tags/:id(int)', ctx => this.renameTag(ctx), { auth: true, validate: { body: schemas.renameTag } });
+        router.delete('/api/tags/:id(int)', ctx => this.deleteTag(ctx), { auth: true });
+
+        // Media
+        router.post('/api/media/upload', ctx => this.uploadMedia(ctx), { auth: true, body: 'multipart' });
+        router.get('/api/media/:id(int)', ctx => this.getMedia(ctx), { auth: true });
+        router.get('/api/media/:id(int)/status', ctx => this.getMediaStatus(ctx), { auth: true });
+        router.delete('/api/media/:id(int)', ctx => this.deleteMedia(ctx), { auth: true });
+        router.get('/api/media/:id(int)/file', ctx => this.redirectToMediaFile(ctx), { validate: { query: schemas.feedTokenQuery }, middleware: [feedAuth] });
+
+        // Resumable uploads
+        router.get('/api/uploads', ctx => this.listUploadSessions(ctx), { auth: true });
+        router.post('/api/uploads', ctx => this.createUploadSession(ctx), { auth: true, validate: { body: schemas.createUpload } });
+        router.get('/api/uploads/:id(int)', ctx => this.getUploadSession(ctx), { auth: true });
+        router.put('/api/uploads/:id(int)', ctx => this.uploadChunk(ctx), { auth: true, body: 'raw', bodyLimit: UploadService.getChunkSize() });
+        router.post('/api/uploads/:id(int)/complete', ctx => this.completeUploadSession(ctx), { auth: true, body: 'none' });
+        router.delete('/api/uploads/:id(int)', ctx => this.deleteUploadSession(ctx), { auth: true });
+
+        // Trash
+        router.get('/api/trash', ctx => this.listTrash(ctx), { auth: true });
+        router.delete('/api/trash', ctx => this.emptyTrash(ctx), { auth: true });
+        router.post('/api/trash/entries/:id(int)/restore', ctx => this.restoreTrashedEntry(ctx), { auth: true, body: 'none' });
+        router.post('/api/trash/media/:id(int)/restore', ctx => this.restoreTrashedMedia(ctx), { auth: true, body: 'none' });
+
+        // Export
+        router.get('/api/export', ctx => this.exportArchive(ctx), { auth: true, validate: { query: schemas.exportQuery } });
+        router.get('/api/exports', ctx => this.listExports(ctx), { auth: true });
+        router.post('/api/exports', ctx => this.createExport(ctx), { auth: true, validate: { body: schemas.createExport } });
+        router.get('/api/exports/:id(int)', ctx => this.getExport(ctx), { auth: true });
+        router.get('/api/exports/:id(int)/download', ctx => this.downloadExport(ctx), { auth: true });
+        router.delete('/api/exports/:id(int)', ctx => this.deleteExport(ctx), { auth: true });
+
+        // Import
+        router.post('/api/import', ctx => this.importEntries(ctx), { auth: true, body: 'multipart' });
+
+        // Calendar and feeds, for apps that can't log in: they pass a feed token in ?token=
+        router.get('/api/feed-tokens', ctx => this.listFeedTokens(ctx), { auth: true });
+        router.post('/api/feed-tokens', ctx => this.createFeedToken(ctx), { auth: true, validate: { body: schemas.createFeedToken } });
+        router.delete('/api/feed-tokens/:id(int)', ctx => this.deleteFeedToken(ctx), { auth: true });
+        router.get('/api/timelines/:id(int)/calendar.ics', ctx => this.getTimelineCalendar(ctx), { validate: { query: schemas.feedTokenQuery }, middleware: [feedAuth] });
+        router.get('/api/timelines/:id(int)/feed.atom', ctx => this.getTimelineFeed(ctx, 'atom'), { validate: { query: schemas.feedQuery }, middleware: [feedAuth] });
+        router.get('/api/timelines/:id(int)/feed.json', ctx => this.getTimelineFeed(ctx, 'json'), { validate: { query: schemas.feedQuery }, middleware: [feedAuth] });
+
+        // Share links
+        router.get('/api/share-links', ctx => this.listShareLinks(ctx), { auth: true, validate: { query: schemas.shareLinksQuery } });
+        router.post('/api/share-links', ctx => this.createShareLink(ctx), { auth: true, validate: { body: schemas.createShareLink } });
+        router.get('/api/share-links/:id(int)', ctx => this.getShareLink(ctx), { auth: true });
+        router.delete('/api/share-links/:id(int)', ctx => this.deleteShareLink(ctx), { auth: true });
+
+        // Shared pages (HTML, no login)
+        router.get('/s/:token', ctx => this.showSharedTimeline(ctx));
+        router.post('/s/:token', ctx => this.unlockSharedTimeline(ctx), { body: 'form', validate: { body: schemas.unlockShare } });
+
+        return router;
+    }
+
+    // AUTH ROUTES
+
+    /**
+     * Register a new user
+     */
+    async register(ctx) {
+        const { username, email, password } = ctx.body;
+        const result = await this.auth.register(username, email, password);
+        this.sendJson(ctx.res, result);
+    }
+
+    /**
+     * Log in and set the session cookie
+     */
+    async login(ctx) {
+        const result = await this.auth.login(ctx.body.username, ctx.body.password);
+        // Set session cookie
+        ctx.res.setHeader('Set-Cookie', `session=${result.sessionId}; HttpOnly; Path=/; Max-Age=86400`);
+        this.sendJson(ctx.res, result);
+    }
+
+    /**
+     * Log out and clear the session cookie
+     */
+    async logout(ctx) {
+        const sessionId = this.getSessionFromCookie(ctx.req);
+        await this.auth.logout(sessionId);
+        ctx.res.setHeader('Set-Cookie', 'session=; HttpOnly; Path=/; Max-Age=0');
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * Current user
+     */
+    async getAccount(ctx) {
+        const { id, username, email, tier } = ctx.user;
+        this.sendJson(ctx.res, { user: { id, username, email, tier } });
+    }
+
+    // ACCOUNT ROUTES
+
+    /**
+     * Storage usage for the current user
+     */
+    async getAccountUsage(ctx) {
+        const usage = await this.media.quota.getUsage(ctx.user);
+        this.sendJson(ctx.res, { usage });
+    }
+
+    // EVENT ROUTES
+
+    /**
+     * Users who hear about changes to timelines: their owners and members
+     * @param {Array<number>} timelineIds - Timeline IDs
+     * @returns {Promise<Set<number>>} User IDs
+     */
+    async getTimelineAudience(timelineIds) {
+        const audience = new Set();
+        for (const timelineId of timelineIds) {
+            for (const member of await this.db.getTimelineMembers(timelineId)) {
+                audience.add(member.user_id);
+            }
+        }
+        return audience;
+    }
+
+    /**
+     * Tell everyone on an entry's timeline that it changed
+     * @param {string} type - 'entry.created', 'entry.updated' or 'entry.deleted'
+     * @param {{id: number, timeline_id: number}} entry - The entry, in the timeline it is in now
+     * @param {number} actorId - User who changed it
+     * @param {object} [options]
+     * @param {number} [options.previousTimelineId] - Timeline it moved out of; that timeline's people hear about it too
+     */
+    async publishEntryEvent(type, entry, actorId, { previousTimelineId = null } = {}) {
+        const data = { entry_id: entry.id, timeline_id: entry.timeline_id, actor_id: actorId };
+        const timelineIds = [entry.timeline_id];
+        if (previousTimelineId && previousTimelineId !== entry.timeline_id) {
+            data.previous_timeline_id = previousTimelineId;
+            timelineIds.push(previousTimelineId);
+        }
+        this.events.publish(type, data, await this.getTimelineAudience(timelineIds));
+    }
+
+    /**
+     * Tell everyone on an entry's timeline how an upload to it is going
+     * @param {object} entry - The entry the media is added to
+     * @param {number} actorId - User uploading
+     * @param {string} status - 'pending', 'processing', 'complete' or 'failed'
+     * @param {object} details - filename and media_id, and error when failed
+     */
+    async publishMediaStatus(entry, actorId, status, details) {
+        this.events.publish('media.status', {
+            entry_id: entry.id,
+            timeline_id: entry.timeline_id,
+            actor_id: actorId,
+            status,
+            ...details
+        }, await this.getTimelineAudience([entry.timeline_id]));
+    }
+
+    /**
+     * Stream changes to the timelines the current user can see as Server-Sent Events,
+     * optionally only those of one timeline. A client reconnecting with Last-Event-ID gets
+     * the events it missed, or a `reset` event when they are no longer known and it
+     * should reload.
+     */
+    async streamEvents(ctx) {
+        const { req, res } = ctx;
+        const timelineId = ctx.query.timeline_id;
+        if (timelineId) {
+            await this.findTimelineForMember(timelineId, ctx.user.id, 'viewer');
+        }
+
+        const userId = ctx.user.id;
+        const accepts = event => event.audience.has(userId)
+            && (!timelineId || event.data.timeline_id === timelineId || event.data.previous_timeline_id === timelineId);
+        const send = event => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+            if (res.writableLength > EVENT_MAX_BUFFER_BYTES) {
+                console.warn(`⚠️ Dropping event stream of user ${userId}: client is not reading`);
+                res.destroy();
+            }
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+        });
+        res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+        // Replaying and subscribing happen in one tick, so no event falls between them
+        const lastEventId = req.headers['last-event-id'] || ctx.query.last_event_id;
+        const missed = lastEventId ? this.events.since(lastEventId) : [];
+        if (missed === null) {
+            res.write(`id: ${this.events.lastEventId}\nevent: reset\ndata: {}\n\n`);
+        } else {
+            missed.filter(accepts).forEach(send);
+            // Marks where this stream starts, for clients that reconnect before any event
+            res.write(`id: ${this.events.lastEventId}\nevent: ready\ndata: {}\n\n`);
+        }
+        const unsubscribe = this.events.subscribe(event => {
+            if (accepts(event)) send(event);
+        });
+
+        const heartbeat = setInterval(async () => {
+            // Stop streaming to sessions that have logged out or expired
+            const user = await this.getCurrentUser(req).catch(() => null);
+            if (!user || user.id !== userId) {
+                res.end();
+                return;
+            }
+            res.write(': heartbeat\n\n');
+        }, EVENT_HEARTBEAT_MS);
+
+        const stream = { end: () => res.end() };
+        this.eventStreams.add(stream);
+        await new Promise(resolve => res.on('close', resolve));
+
+        clearInterval(heartbeat);
+        unsubscribe();
+        this.eventStreams.delete(stream);
+    }
+
+    // TIMELINE ROUTES
+
+    /**
+     * One page of a timeline the current user owns or is a member of (their default timeline
+     * if none is given), newest first, with cursors to the neighbouring pages
+     */
+    async listTimelineEntries(ctx) {
+        const { from, to, limit, cursor } = ctx.query;
+        if (from && to && from > to) {
+            throw ApiError.validation({ to: 'must not be before from' });
+        }
+
+        const timeline = ctx.query.timeline_id
+            ? await this.findTimelineForMember(ctx.query.timeline_id, ctx.user.id, 'viewer')
+            : await this.db.getDefaultTimeline(ctx.user.id);
+        const order = ctx.query.order || timeline.sort_order;
+
+        const options = {
+            timelineId: timeline.id,
+            order,
+            from,
+            to,
+            limit,
+            tags: ctx.query.tags ? normalizeTags(ctx.query.tags.split(',')) : [],
+            tagMode: ctx.query.tag_mode
+        };
+        if (cursor) {
+            const { direction, position } = decodeCursor(cursor);
+            options[direction === 'newer' ? 'before' : 'after'] = position;
+        }
+
+        // Entries of a shared timeline belong to its owner
+        const page = await this.db.getTimelineEntries(timeline.user_id, options);
+        await this.media.addMediaUrls(page.entries);
+
+        // "next" continues in display order: towards older entries when newest come first
+        const { entries } = page;
+        const [nextDirection, prevDirection] = order === 'oldest' ? ['newer', 'older'] : ['older', 'newer'];
+        const hasMore = { older: page.hasOlder, newer: page.hasNewer };
+        this.sendJson(ctx.res, {
+            timeline_id: timeline.id,
+            order,
+            entries,
+            next_cursor: hasMore[nextDirection] ? encodeCursor(entries[entries.length - 1], nextDirection) : null,
+            prev_cursor: hasMore[prevDirection] ? encodeCursor(entries[0], prevDirection) : null
+        });
+    }
+
+    /**
+     * Full-text search over the current user's entries, or over one timeline they own or
+     * are a member of, best matches first
+     */
+    async searchTimelineEntries(ctx) {
+        const { q, from, to, type, limit, offset } = ctx.query;
+        if (from && to && from > to) {
+            throw ApiError.validation({ to: 'must not be before from' });
+        }
+
+        const ftsQuery = buildFtsQuery(q);
+        if (!ftsQuery) {
+            throw ApiError.validation({ q: 'must contain at least one word to search for' });
+        }
+
+        const timelineId = ctx.query.timeline_id;
+        const ownerId = timelineId
+            ? (await this.findTimelineForMember(timelineId, ctx.user.id, 'viewer')).user_id
+            : ctx.user.id;
+
+        const results = await this.db.searchTimelineEntries(ownerId, ftsQuery, { from, to, type, timelineId, limit, offset });
+        await this.media.addMediaUrls(results.entries);
+
+        const entries = results.entries.map(({ snippet, rank, ...entry }) => {
+            const formatted = formatSnippet(snippet);
+            return { ...entry, snippet: formatted.text, snippet_html: formatted.html };
+        });
+
+        this.sendJson(ctx.res, {
+            entries,
+            has_more: results.hasMore,
+            next_offset: results.hasMore ? offset + entries.length : null
+        });
+    }
+
+    /**
+     * Get a single timeline entry, with whether the current user may edit it
+     */
+    async getTimelineEntry(ctx) {
+        const { role, ...entry } = await this.findEntry(ctx.params.id, ctx.user.id);
+        this.sendJson(ctx.res, { entry: { ...entry, can_edit: canEditEntry(role, entry, ctx.user.id) } });
+    }
+
+    /**
+     * Create a timeline entry. In a shared timeline the entry belongs to the timeline's
+     * owner, with the current user as its creator.
+     */
+    async createTimelineEntry(ctx) {
+        const { body } = ctx;
+        const timeline = body.timeline_id
+            ? await this.findTimelineForMember(body.timeline_id, ctx.user.id, 'contributor')
+            : await this.db.getDefaultTimeline(ctx.user.id);
+
+        const tags = normalizeTags(body.tags);
+        const entryId = await this.db.transaction(async () => {
+            const id = await this.db.createTimelineEntry({
+                user_id: timeline.user_id,
+                created_by: ctx.user.id,
+                timeline_id: timeline.id,
+                entry_date: body.date,
+                entry_text: body.text,
+                entry_type: body.type
+            });
+            await this.db.setEntryTags(id, timeline.user_id, tags);
+            return id;
+        });
+        await this.publishEntryEvent('entry.created', { id: entryId, timeline_id: timeline.id }, ctx.user.id);
+        this.sendJson(ctx.res, { id: entryId, tags, success: true });
+    }
+
+    /**
+     * Update a timeline entry. It can only move to another timeline of the same owner
+     * that the current user may add entries to.
+     */
+    async updateTimelineEntry(ctx) {
+        const entry = await this.findEditableEntry(ctx.params.id, ctx.user.id);
+
+        const { date, text, tags, timeline_id } = ctx.body;
+        if (timeline_id && timeline_id !== entry.timeline_id) {
+            const target = await this.findTimelineForMember(timeline_id, ctx.user.id, 'contributor');
+            if (target.user_id !== entry.user_id) {
+                throw ApiError.validation({ timeline_id: 'must be a timeline of the same owner' });
+            }
+        }
+
+        const keepRevisions = await this.getRevisionLimit(entry);
+        await this.db.transaction(async () => {
+            await this.db.updateTimelineEntry(entry.id, {
+                entry_date: date !== undefined ? date : entry.entry_date,
+                entry_text: text !== undefined ? text : entry.entry_text,
+                timeline_id
+            }, { editedBy: ctx.user.id, keepRevisions });
+            if (tags !== undefined) {
+                await this.db.setEntryTags(entry.id, entry.user_id, normalizeTags(tags));
+            }
+        });
+        await this.publishEntryEvent('entry.updated', { id: entry.id, timeline_id: timeline_id || entry.timeline_id }, ctx.user.id, {
+            previousTimelineId: entry.timeline_id
+        });
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * Delete a timeline entry (it moves to its owner's trash, media included)
+     */
+    async deleteTimelineEntry(ctx) {
+        const entry = await this.findEditableEntry(ctx.params.id, ctx.user.id);
+        await this.db.trashTimelineEntry(entry.id);
+        await this.publishEntryEvent('entry.deleted', entry, ctx.user.id);
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * Load an entry the user owns or can see as a member of its timeline, or throw 404
+     */
+    async findEntry(entryId, userId) {
+        const entry = await this.db.getTimelineEntry(entryId, userId);
+        if (!entry) {
+            throw ApiError.notFound('Timeline entry not found');
+        }
+        return entry;
+    }
+
+    /**
+     * Load an entry the user may edit and delete, or throw 404 (or 403 for members whose
+     * role doesn't allow it)
+     */
+    async findEditableEntry(entryId, userId) {
+        const entry = await this.findEntry(entryId, userId);
+        if (!canEditEntry(entry.role, entry, userId)) {
+            throw ApiError.forbidden('Your role on this timeline does not allow changing this entry', 'insufficient_role');
+        }
+        return entry;
+    }
+
+    /**
+     * Revisions kept per entry, by the tier of the entry's owner
+     */
+    async getRevisionLimit(entry) {
+        const owner = await this.db.getUserById(entry.user_id);
+        return getTierLimits(owner.tier).revisions;
+    }
+
+    // REVISION ROUTES
+
+    /**
+     * Load a revision of an entry, or throw 404
+     */
+    async findRevision(entryId, revision) {
+        const found = await this.db.getEntryRevision(entryId, revision);
+        if (!found) {
+            throw ApiError.notFound('Revision not found');
+        }
+        return found;
+    }
+
+    /**
+     * List the earlier versions of an entry, newest first
+     */
+    async listEntryRevisions(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const revisions = await this.db.getEntryRevisions(entry.id);
+        const keep = await this.getRevisionLimit(entry);
+
+        this.sendJson(ctx.res, {
+            entry_id: entry.id,
+            revisions,
+            retention: isUnlimited(keep) ? null : keep
+        });
+    }
+
+    /**
+     * Get one earlier version of an entry
+     */
+    async getEntryRevision(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const revision = await this.findRevision(entry.id, ctx.params.rev);
+        this.sendJson(ctx.res, { revision });
+    }
+
+    /**
+     * Word-level diff between two versions of an entry ('current' is the entry as it is now)
+     */
+    async diffEntryRevisions(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const load = async (ref) => {
+            if (ref === 'current') {
+                const { entry_date, entry_text, updated_at } = entry;
+                return { revision: 'current', entry_date, entry_text, created_at: updated_at };
+            }
+            return await this.findRevision(entry.id, Number(ref));
+        };
+        const from = await load(ctx.query.from);
+        const to = await load(ctx.query.to);
+
+        const describe = ({ revision, entry_date, created_at }) => ({ revision, entry_date, created_at });
+        this.sendJson(ctx.res, {
+            entry_id: entry.id,
+            from: describe(from),
+            to: describe(to),
+            date: from.entry_date !== to.entry_date ? { from: from.entry_date, to: to.entry_date } : null,
+            changes: diffWords(from.entry_text, to.entry_text)
+        });
+    }
+
+    /**
+     * Put an earlier version back. The version being replaced is saved as a revision
+     * too, so a restore can itself be undone.
+     */
+    async restoreEntryRevision(ctx) {
+        const entry = await this.findEditableEntry(ctx.params.id, ctx.user.id);
+        const revision = await this.findRevision(entry.id, ctx.params.rev);
+
+        await this.db.updateTimelineEntry(entry.id, {
+            entry_date: revision.entry_date,
+            entry_text: revision.entry_text
+        }, { editedBy: ctx.user.id, keepRevisions: await this.getRevisionLimit(entry) });
+
+        await this.publishEntryEvent('entry.updated', entry, ctx.user.id);
+        const { role, ...restored } = await this.findEntry(entry.id, ctx.user.id);
+        this.sendJson(ctx.res, { entry: restored, restored_revision: revision.revision });
+    }
+
+    // COMMENT ROUTES
+
+    /**
+     * Load a comment of an entry, or throw 404
+     */
+    async findComment(entryId, commentId) {
+        const comment = await this.db.getComment(commentId, entryId);
+        if (!comment || comment.deleted_at) {
+            throw ApiError.notFound('Comment not found');
+        }
+        return comment;
+    }
+
+    /**
+     * API shape of a comment. Deleted comments, and hidden ones for people other than
+     * their author and the moderators, keep only their place in the thread.
+     */
+    describeComment(comment, userId, moderator) {
+        const base = { id: comment.id, parent_id: comment.parent_id, created_at: comment.created_at, replies: [] };
+        if (comment.deleted_at) {
+            return { ...base, deleted: true, user: null, body: null };
+        }
+        const hidden = Boolean(comment.hidden_at);
+        if (hidden && !moderator && comment.user_id !== userId) {
+            return { ...base, hidden: true, user: null, body: null };
+        }
+        return {
+            ...base,
+            user: comment.user_id ? { id: comment.user_id, username: comment.username } : null,
+            body: comment.body,
+            hidden,
+            edited: comment.updated_at !== comment.created_at,
+            updated_at: comment.updated_at
+        };
+    }
+
+    /**
+     * Arrange comments into threads, dropping placeholders (deleted or hidden comments)
+     * that no longer have replies to show
+     */
+    buildCommentTree(comments) {
+        const byId = new Map(comments.map(comment => [comment.id, comment]));
+        const roots = [];
+        for (const comment of comments) {
+            const parent = comment.parent_id && byId.get(comment.parent_id);
+            (parent ? parent.replies : roots).push(comment);
+        }
+
+        const prune = list => list.filter(comment => {
+            comment.replies = prune(comment.replies);
+            return comment.body !== null || comment.replies.length > 0;
+        });
+        return prune(roots);
+    }
+
+    /**
+     * The comments of an entry as threads, oldest first
+     */
+    async listComments(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const moderator = canModerateEntry(entry.role, entry, ctx.user.id);
+        const comments = await this.db.getEntryComments(entry.id);
+
+        this.sendJson(ctx.res, {
+            entry_id: entry.id,
+            comments_enabled: entry.comments_enabled,
+            can_moderate: moderator,
+            comment_count: entry.comment_count,
+            comments: this.buildCommentTree(comments.map(c => this.describeComment(c, ctx.user.id, moderator)))
+        });
+    }
+
+    /**
+     * Comment on an entry, or reply to a comment with `parent_id`
+     */
+    async createComment(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        if (!entry.comments_enabled) {
+            throw ApiError.forbidden('Comments are turned off for this entry', 'comments_disabled');
+        }
+
+        const { body, parent_id } = ctx.body;
+        if (parent_id) {
+            const parent = await this.db.getComment(parent_id, entry.id);
+            if (!parent || parent.deleted_at || parent.hidden_at) {
+                throw ApiError.validation({ parent_id: 'must be a comment on this entry' });
+            }
+        }
+
+        const commentId = await this.db.createComment({ entry_id: entry.id, user_id: ctx.user.id, parent_id, body });
+        const comment = await this.db.getComment(commentId, entry.id);
+        this.sendJson(ctx.res, { comment: this.describeComment(comment, ctx.user.id, false) });
+    }
+
+    /**
+     * Edit a comment's text (its author) or hide and show it (the entry's moderators)
+     */
+    async updateComment(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const comment = await this.findComment(entry.id, ctx.params.commentId);
+        const moderator = canModerateEntry(entry.role, entry, ctx.user.id);
+        const { body, hidden } = ctx.body;
+
+        if (body !== undefined && comment.user_id !== ctx.user.id) {
+            throw ApiError.forbidden('Only its author can edit a comment', 'not_comment_author');
+        }
+        if (hidden !== undefined && !moderator) {
+            throw ApiError.forbidden('Only the entry owner can hide comments', 'not_moderator');
+        }
+
+        await this.db.transaction(async () => {
+            if (body !== undefined && body !== comment.body) {
+                await this.db.updateComment(comment.id, body);
+            }
+            if (hidden !== undefined && hidden !== Boolean(comment.hidden_at)) {
+                await this.db.setCommentHidden(comment.id, hidden ? ctx.user.id : null);
+            }
+        });
+
+        const updated = await this.db.getComment(comment.id, entry.id);
+        this.sendJson(ctx.res, { comment: this.describeComment(updated, ctx.user.id, moderator) });
+    }
+
+    /**
+     * Delete a comment (its author or the entry's moderators)
+     */
+    async deleteComment(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const comment = await this.findComment(entry.id, ctx.params.commentId);
+        if (comment.user_id !== ctx.user.id && !canModerateEntry(entry.role, entry, ctx.user.id)) {
+            throw ApiError.forbidden('Only its author or the entry owner can delete a comment', 'not_moderator');
+        }
+
+        await this.db.deleteComment(comment.id);
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * Turn comments on an entry on or off (the entry's moderators)
+     */
+    async updateCommentSettings(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        if (!canModerateEntry(entry.role, entry, ctx.user.id)) {
+            throw ApiError.forbidden('Only the entry owner can turn comments on or off', 'not_moderator');
+        }
+
+        await this.db.setEntryCommentsEnabled(entry.id, ctx.body.enabled);
+        this.sendJson(ctx.res, { entry_id: entry.id, comments_enabled: ctx.body.enabled });
+    }
+
+    // REACTION ROUTES
+
+    /**
+     * Reactions to an entry grouped by emoji, most used first, with who reacted and
+     * whether the current user did
+     */
+    async describeReactions(entryId, userId) {
+        const groups = new Map();
+        for (const reaction of await this.db.getEntryReactions(entryId)) {
+            if (!groups.has(reaction.emoji)) {
+                groups.set(reaction.emoji, { emoji: reaction.emoji, count: 0, reacted: false, users: [] });
+            }
+            const group = groups.get(reaction.emoji);
+            group.count++;
+            group.reacted = group.reacted || reaction.user_id === userId;
+            group.users.push(reaction.username);
+        }
+        // Stable sort: equal counts keep the order they were first used in
+        return [...groups.values()].sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Validate an emoji from a request
+     */
+    parseReaction(value, field) {
+        const emoji = normalizeReaction(value);
+        if (!emoji) {
+            throw ApiError.validation({ [field]: 'must be a single emoji' });
+        }
+        return emoji;
+    }
+
+    /**
+     * Reactions to an entry
+     */
+    async listReactions(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        this.sendJson(ctx.res, { entry_id: entry.id, reactions: await this.describeReactions(entry.id, ctx.user.id) });
+    }
+
+    /**
+     * React to an entry with an emoji
+     */
+    async addReaction(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const emoji = this.parseReaction(ctx.body.emoji, 'emoji');
+        await this.db.addReaction(entry.id, ctx.user.id, emoji);
+        this.sendJson(ctx.res, { entry_id: entry.id, reactions: await this.describeReactions(entry.id, ctx.user.id) });
+    }
+
+    /**
+     * Take back a reaction
+     */
+    async removeReaction(ctx) {
+        const entry = await this.findEntry(ctx.params.id, ctx.user.id);
+        const emoji = this.parseReaction(ctx.params.emoji, 'emoji');
+        const removed = await this.db.removeReaction(entry.id, ctx.user.id, emoji);
+        if (!removed) {
+            throw ApiError.notFound('Reaction not found');
+        }
+        this.sendJson(ctx.res, { entry_id: entry.id, reactions: await this.describeReactions(entry.id, ctx.user.id) });
+    }
+
+    // NAMED TIMELINE ROUTES
+
+    /**
+     * Load a timeline owned by the current user, or throw 404
+     */
+    async findTimeline(timelineId, userId) {
+        const timeline = await this.db.getTimeline(timelineId, userId);
+        if (!timeline) {
+            throw ApiError.notFound('Timeline not found');
+        }
+        return timeline;
+    }
+
+    /**
+     * Load a timeline the user owns or is a member of with at least the given role, or
+     * throw 404 (or 403 if their role is too low)
+     * @param {number} timelineId - Timeline ID
+     * @param {number} userId - User ID
+     * @param {string} minimumRole - 'viewer', 'contributor', 'editor' or 'owner'
+     * @returns {Promise<object>} Timeline row with the user's `role`
+     */
+    async findTimelineForMember(timelineId, userId, minimumRole) {
+        const timeline = await this.db.getMemberTimeline(timelineId, userId);
+        if (!timeline) {
+            throw ApiError.notFound('Timeline not found');
+        }
+        if (!hasRole(timeline.role, minimumRole)) {
+            throw ApiError.forbidden(`This needs the ${minimumRole} role on the timeline`, 'insufficient_role');
+        }
+        return timeline;
+    }
+
+    /**
+     * API shape of a timeline, with a signed URL for its cover image and the current
+     * user's role in it
+     */
+    async describeTimeline(timeline) {
+        const coverKey = timeline.cover_thumbnail_key || timeline.cover_key;
+        return {
+            id: timeline.id,
+            owner: { id: timeline.user_id, username: timeline.owner_username },
+            role: timeline.role || 'owner',
+            title: timeline.title,
+            description: timeline.description,
+            sort_order: timeline.sort_order,
+            is_default: Boolean(timeline.is_default),
+            entry_count: timeline.entry_count,
+            cover_media_id: timeline.cover_media_id,
+            cover_url: coverKey ? await this.storage.getSignedUrl(coverKey) : null,
+            created_at: timeline.created_at,
+            updated_at: timeline.updated_at
+        };
+    }
+
+    /**
+     * A cover must be one of the user's own images
+     */
+    async checkCoverMedia(mediaId, userId) {
+        if (!mediaId) return;
+        const media = await this.db.getMediaAttachment(mediaId);
+        if (!media || media.entry_user_id !== userId || media.media_type !== 'image') {
+            throw ApiError.validation({ cover_media_id: 'must be one of your images' });
+        }
+    }
+
+    /**
+     * The current user's timelines, followed by those shared with them
+     */
+    async listTimelines(ctx) {
+        await this.db.getDefaultTimeline(ctx.user.id);
+        const timelines = [
+            ...(await this.db.getTimelines(ctx.user.id)),
+            ...(await this.db.getSharedTimelines(ctx.user.id))
+        ];
+        this.sendJson(ctx.res, { timelines: await Promise.all(timelines.map(t => this.describeTimeline(t))) });
+    }
+
+    /**
+     * Get a single timeline the current user owns or is a member of
+     */
+    async getTimeline(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'viewer');
+        this.sendJson(ctx.res, { timeline: await this.describeTimeline(timeline) });
+    }
+
+    /**
+     * Create a timeline
+     */
+    async createTimeline(ctx) {
+        await this.checkCoverMedia(ctx.body.cover_media_id, ctx.user.id);
+        const timelineId = await this.db.createTimeline({ user_id: ctx.user.id, ...ctx.body });
+        const timeline = await this.db.getTimeline(timelineId, ctx.user.id);
+        this.sendJson(ctx.res, { timeline: await this.describeTimeline(timeline) });
+    }
+
+    /**
+     * Update a timeline; `is_default: true` makes it the default
+     */
+    async updateTimeline(ctx) {
+        const timeline = await this.findTimeline(ctx.params.id, ctx.user.id);
+        const { is_default, ...updates } = ctx.body;
+        await this.checkCoverMedia(updates.cover_media_id, ctx.user.id);
+
+        await this.db.transaction(async () => {
+            await this.db.updateTimeline(timeline.id, ctx.user.id, updates);
+            if (is_default) {
+                await this.db.setDefaultTimeline(timeline.id, ctx.user.id);
+            }
+        });
+
+        const updated = await this.db.getTimeline(timeline.id, ctx.user.id);
+        this.sendJson(ctx.res, { timeline: await this.describeTimeline(updated) });
+    }
+
+    /**
+     * Delete a timeline. Its entries move to `move_to` if given, otherwise they go to
+     * the trash (and to the default timeline, should they be restored).
+     */
+    async deleteTimeline(ctx) {
+        const timeline = await this.findTimeline(ctx.params.id, ctx.user.id);
+        if (timeline.is_default) {
+            throw ApiError.conflict('The default timeline cannot be deleted; make another timeline the default first', 'default_timeline');
+        }
+
+        const moveTo = ctx.query.move_to;
+        if (moveTo) {
+            if (moveTo === timeline.id) {
+                throw ApiError.validation({ move_to: 'must be a different timeline' });
+            }
+            await this.findTimeline(moveTo, ctx.user.id);
+            await this.db.transaction(async () => {
+                await this.db.moveAllEntries(timeline.id, moveTo);
+                await this.db.deleteTimeline(timeline.id, ctx.user.id);
+            });
+        } else {
+            const fallback = await this.db.getDefaultTimeline(ctx.user.id);
+            await this.db.transaction(async () => {
+                await this.db.trashTimelineEntries(timeline.id);
+                await this.db.moveAllEntries(timeline.id, fallback.id);
+                await this.db.deleteTimeline(timeline.id, ctx.user.id);
+            });
+        }
+
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * Move entries into this timeline
+     */
+    async moveEntriesToTimeline(ctx) {
+        const timeline = await this.findTimeline(ctx.params.id, ctx.user.id);
+        const moved = await this.db.moveEntriesToTimeline(ctx.body.entry_ids, timeline.id, ctx.user.id);
+        this.sendJson(ctx.res, { success: true, moved });
+    }
+
+    // MEMBER ROUTES
+
+    /**
+     * The people on a timeline: its owner, then members
+     */
+    async listTimelineMembers(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'viewer');
+        const members = await this.db.getTimelineMembers(timeline.id);
+        this.sendJson(ctx.res, { members: members.map(({ position, ...member }) => member) });
+    }
+
+    /**
+     * Change a member's role (owner only)
+     */
+    async updateTimelineMember(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'owner');
+        const updated = await this.db.updateTimelineMemberRole(timeline.id, ctx.params.userId, ctx.body.role);
+        if (!updated) {
+            throw ApiError.notFound('Member not found');
+        }
+        const member = await this.db.getTimelineMember(timeline.id, ctx.params.userId);
+        this.sendJson(ctx.res, { member });
+    }
+
+    /**
+     * Remove a member from a timeline: the owner removes anyone, members can leave
+     */
+    async removeTimelineMember(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'viewer');
+        const leaving = ctx.params.userId === ctx.user.id;
+        if (leaving && timeline.role === 'owner') {
+            throw ApiError.conflict('The owner cannot leave their own timeline', 'owner_cannot_leave');
+        }
+        if (!leaving && timeline.role !== 'owner') {
+            throw ApiError.forbidden('Only the owner can remove other members', 'insufficient_role');
+        }
+
+        const removed = await this.db.removeTimelineMember(timeline.id, ctx.params.userId);
+        if (!removed) {
+            throw ApiError.notFound('Member not found');
+        }
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    // INVITATION ROUTES
+
+    /**
+     * API shape of an invitation. Invitations sent by email don't reveal whether the
+     * address belongs to an account.
+     */
+    describeInvitation(invitation) {
+        return {
+            id: invitation.id,
+            timeline: { id: invitation.timeline_id, title: invitation.timeline_title },
+            invited_by: { id: invitation.invited_by, username: invitation.invited_by_username },
+            ...(invitation.email ? { email: invitation.email } : { username: invitation.username }),
+            role: invitation.role,
+            status: invitation.status,
+            created_at: invitation.created_at,
+            responded_at: invitation.responded_at
+        };
+    }
+
+    /**
+     * Invite someone to a timeline by username or email (owner only). Nothing is sent:
+     * the invitee sees the invitation in their list once they log in or sign up with the
+     * email address.
+     */
+    async createInvitation(ctx) {
+        const { username, email, role } = ctx.body;
+        if (Boolean(username) === Boolean(email)) {
+            throw ApiError.validation({ username: 'give either a username or an email address' });
+        }
+
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'owner');
+        const invitee = username ? await this.db.getUserByUsername(username) : await this.db.getUserByEmail(email);
+        if (username && !invitee) {
+            throw ApiError.notFound('User not found', 'user_not_found');
+        }
+        if (invitee && invitee.id === ctx.user.id) {
+            throw ApiError.validation({ [username ? 'username' : 'email']: 'must be someone other than you' });
+        }
+        if (invitee && await this.db.getTimelineMember(timeline.id, invitee.id)) {
+            throw ApiError.conflict('Already a member of this timeline', 'already_member');
+        }
+        if (await this.db.getPendingInvitation(timeline.id, { userId: invitee ? invitee.id : null, email })) {
+            throw ApiError.conflict('Already invited to this timeline', 'already_invited');
+        }
+
+        const invitationId = await this.db.createInvitation({
+            timeline_id: timeline.id,
+            invited_by: ctx.user.id,
+            user_id: invitee ? invitee.id : null,
+            email,
+            role
+        });
+        const invitation = await this.db.getInvitation(invitationId);
+        this.sendJson(ctx.res, { invitation: this.describeInvitation(invitation) });
+    }
+
+    /**
+     * Invitations to a timeline, answered or not (owner only)
+     */
+    async listTimelineInvitations(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'owner');
+        const invitations = await this.db.getTimelineInvitations(timeline.id);
+        this.sendJson(ctx.res, { invitations: invitations.map(i => this.describeInvitation(i)) });
+    }
+
+    /**
+     * Withdraw an invitation (owner only). Members who already accepted stay members.
+     */
+    async deleteInvitation(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'owner');
+        const deleted = await this.db.deleteInvitation(ctx.params.invitationId, timeline.id);
+        if (!deleted) {
+            throw ApiError.notFound('Invitation not found');
+        }
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * Pending invitations for the current user
+     */
+    async listInvitations(ctx) {
+        const invitations = await this.db.getInvitationsForUser(ctx.user);
+        this.sendJson(ctx.res, { invitations: invitations.map(i => this.describeInvitation(i)) });
+    }
+
+    /**
+     * Accept or decline an invitation for the current user. Accepting makes them a member.
+     * @param {object} ctx - Request context
+     * @param {string} status - 'accepted' or 'declined'
+     */
+    async respondToInvitation(ctx, status) {
+        const invitation = await this.db.getInvitation(ctx.params.id);
+        const forUser = invitation && (invitation.user_id === ctx.user.id
+            || (invitation.email && invitation.email.toLowerCase() === ctx.user.email.toLowerCase()));
+        if (!forUser) {
+            throw ApiError.notFound('Invitation not found');
+        }
+
+        const answered = await this.db.transaction(async () => {
+            if (!await this.db.respondToInvitation(invitation.id, ctx.user.id, status)) return false;
+            if (status === 'accepted') {
+                await this.db.addTimelineMember(invitation.timeline_id, ctx.user.id, invitation.role, invitation.invited_by);
+            }
+            return true;
+        });
+        if (!answered) {
+            throw ApiError.conflict(`This invitation was already ${invitation.status}`, 'invitation_answered');
+        }
+
+        if (status === 'declined') {
+            this.sendJson(ctx.res, { success: true });
+            return;
+        }
+        const timeline = await this.db.getMemberTimeline(invitation.timeline_id, ctx.user.id);
+        this.sendJson(ctx.res, { success: true, timeline: await this.describeTimeline(timeline) });
+    }
+
+    // TAG ROUTES
+
+    /**
+     * The current user's tags with usage counts
+     */
+    async listTags(ctx) {
+        const tags = await this.db.getTags(ctx.user.id);
+        this.sendJson(ctx.res, { tags });
+    }
+
+    /**
+     * Rename a tag on every entry, merging it into an existing tag of the same name
+     */
+    async renameTag(ctx) {
+        const name = normalizeTagName(ctx.body.name);
+        if (!name) {
+            throw ApiError.validation({ name: 'must not be empty' });
+        }
+
+        const result = await this.db.renameTag(ctx.params.id, ctx.user.id, name);
+        if (!result) {
+            throw ApiError.notFound('Tag not found');
+        }
+
+        const tag = await this.db.getTag(result.tagId, ctx.user.id);
+        this.sendJson(ctx.res, { tag, merged: result.merged });
+    }
+
+    /**
+     * Delete a tag and remove it from every entry
+     */
+    async deleteTag(ctx) {
+        const deleted = await this.db.deleteTag(ctx.params.id, ctx.user.id);
+        if (!deleted) {
+            throw ApiError.notFound('Tag not found');
+        }
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    // MEDIA ROUTES
+
+    /**
+     * Load a media attachment of an entry the current user can see, or throw 404
+     * @param {object} ctx - Request context
+     * @param {object} [options]
+     * @param {boolean} [options.edit=false] - Require that the user may edit the entry (403 otherwise)
+     */
+    async findMedia(ctx, { edit = false } = {}) {
+        const media = await this.db.getMediaAttachment(ctx.params.id);
+        const entry = media && await this.db.getTimelineEntry(media.entry_id, ctx.user.id);
+        if (!entry) {
+            throw ApiError.notFound('Media not found');
+        }
+        if (edit && !canEditEntry(entry.role, entry, ctx.user.id)) {
+            throw ApiError.forbidden('Your role on this timeline does not allow changing this entry', 'insufficient_role');
+        }
+        return media;
+    }
+
+    /**
+     * Media details with fresh signed URLs
+     */
+    async getMedia(ctx) {
+        const media = await this.findMedia(ctx);
+        this.sendJson(ctx.res, { media: await this.media.describeMedia(media) });
+    }
+
+    /**
+     * Where an upload's processing is: pending, processing, complete (with the media's
+     * details) or failed (with why)
+     */
+    async getMediaStatus(ctx) {
+        const media = await this.findMedia(ctx);
+        this.sendJson(ctx.res, {
+            id: media.id,
+            entry_id: media.entry_id,
+            status: media.upload_status,
+            error: media.processing_error || null,
+            media: media.upload_status === 'complete' ? await this.media.describeMedia(media) : null
+        });
+    }
+
+    /**
+     * Delete a media attachment (it moves to the entry owner's trash)
+     */
+    async deleteMedia(ctx) {
+        const media = await this.findMedia(ctx, { edit: true });
+        await this.media.trashMedia(media.id, media.entry_user_id);
+        await this.publishEntryEvent('entry.updated', { id: media.entry_id, timeline_id: media.entry_timeline_id }, ctx.user.id);
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    // TRASH ROUTES
+
+    /**
+     * Deleted entries and media, with when each will be purged
+     */
+    async listTrash(ctx) {
+        const entries = await this.db.getTrashedEntries(ctx.user.id);
+        await this.media.addMediaUrls(entries);
+
+        const media = [];
+        for (const item of await this.db.getTrashedMedia(ctx.user.id)) {
+            media.push({
+                ...(await this.media.describeMedia(item)),
+                deleted_at: item.deleted_at,
+                purge_at: this.trash.purgeAt(item.deleted_at)
+            });
+        }
+
+        this.sendJson(ctx.res, {
+            retention_days: TrashService.getRetentionDays(),
+            entries: entries.map(entry => ({ ...entry, purge_at: this.trash.purgeAt(entry.deleted_at) })),
+            media
+        });
+    }
+
+    /**
+     * Put a deleted entry back, with the media that was deleted along with it
+     */
+    async restoreTrashedEntry(ctx) {
+        const restored = await this.db.restoreTimelineEntry(ctx.params.id, ctx.user.id);
+        if (!restored) {
+            throw ApiError.notFound('Entry not found in trash');
+        }
+        const { role, ...entry } = await this.db.getTimelineEntry(ctx.params.id, ctx.user.id);
+        await this.publishEntryEvent('entry.created', entry, ctx.user.id);
+        this.sendJson(ctx.res, { entry });
+    }
+
+    /**
+     * Put a deleted media attachment back on its entry
+     */
+    async restoreTrashedMedia(ctx) {
+        const media = await this.db.getTrashedMediaAttachment(ctx.params.id, ctx.user.id);
+        if (!media) {
+            throw ApiError.notFound('Media not found in trash');
+        }
+        if (media.entry_deleted_at) {
+            throw ApiError.conflict('The entry this media belongs to is in the trash; restore the entry first', 'entry_in_trash');
+        }
+
+        await this.db.restoreMediaAttachment(media.id);
+        await this.publishEntryEvent('entry.updated', { id: media.entry_id, timeline_id: media.entry_timeline_id }, ctx.user.id);
+        const restored = await this.db.getMediaAttachment(media.id);
+        this.sendJson(ctx.res, { media: await this.media.describeMedia(restored) });
+    }
+
+    /**
+     * Permanently delete everything in the trash now, freeing its storage
+     */
+    async emptyTrash(ctx) {
+        const purged = await this.trash.emptyTrash(ctx.user.id);
+        this.sendJson(ctx.res, { success: true, purged });
+    }
+
+    // EXPORT ROUTES
+
+    /**
+     * Look up an export of a user, or fail with 404
+     */
+    async findExport(exportId, userId) {
+        const record = await this.db.getExport(exportId, userId);
+        if (!record) {
+            throw ApiError.notFound('Export not found');
+        }
+        return record;
+    }
+
+    /**
+     * Export record for the API, with a download link once the archive is ready
+     */
+    describeExport(record) {
+        return {
+            id: record.id,
+            status: record.status,
+            include_html: Boolean(record.include_html),
+            size_bytes: record.size_bytes,
+            error: record.error,
+            created_at: record.created_at,
+            completed_at: record.completed_at,
+            expires_at: record.expires_at,
+            download_url: record.status === 'complete' ? `/api/exports/${record.id}/download` : null
+        };
+    }
+
+    /**
+     * Download the current user's archive. Small ones stream right away; bigger ones
+     * become a background export (202) to poll and download when complete.
+     */
+    async exportArchive(ctx) {
+        const includeHtml = ctx.query.html;
+        const sizeMb = await this.exports.estimateSizeMb(ctx.user.id);
+        if (!this.exports.canStream(sizeMb)) {
+            const record = await this.exports.startExport(ctx.user.id, { includeHtml });
+            ctx.res.setHeader('Location', `/api/exports/${record.id}`);
+            this.sendJson(ctx.res, { export: this.describeExport(record) }, 202);
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        ctx.res.writeHead(200, {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="timal-export-${date}.zip"`,
+            'Cache-Control': 'no-store'
+        });
+        await this.exports.writeArchive(ctx.user.id, ctx.res, { includeHtml });
+        ctx.res.end();
+    }
+
+    /**
+     * The current user's exports, newest first
+     */
+    async listExports(ctx) {
+        const exports = await this.db.getExports(ctx.user.id);
+        this.sendJson(ctx.res, { exports: exports.map(record => this.describeExport(record)) });
+    }
+
+    /**
+     * Start a background export regardless of size
+     */
+    async createExport(ctx) {
+        const record = await this.exports.startExport(ctx.user.id, { includeHtml: ctx.body.html });
+        ctx.res.setHeader('Location', `/api/exports/${record.id}`);
+        this.sendJson(ctx.res, { export: this.describeExport(record) }, 202);
+    }
+
+    /**
+     * Status of an export
+     */
+    async getExport(ctx) {
+        const record = await this.findExport(ctx.params.id, ctx.user.id);
+        this.sendJson(ctx.res, { export: this.describeExport(record) });
+    }
+
+    /**
+     * Download a finished export
+     */
+    async downloadExport(ctx) {
+        const record = await this.findExport(ctx.params.id, ctx.user.id);
+        if (record.status !== 'complete') {
+            throw ApiError.conflict('Export is not ready yet', 'export_not_ready');
+        }
+
+        const filePath = this.exports.getArchivePath(record);
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            throw ApiError.notFound('Export archive not found');
+        }
+
+        const date = record.completed_at.slice(0, 10);
+        ctx.res.writeHead(200, {
+            'Content-Type': 'application/zip',
+            'Content-Length': stats.size,
+            'Content-Disposition': `attachment; filename="timal-export-${date}.zip"`,
+            'Cache-Control': 'no-store'
+        });
+
+        const stream = fs.createReadStream(filePath);
+        stream.on('error', (error) => {
+            console.error('Export download stream error:', error);
+            ctx.res.destroy(error);
+        });
+        stream.pipe(ctx.res);
+    }
+
+    /**
+     * Delete an export and its archive
+     */
+    async deleteExport(ctx) {
+        const record = await this.findExport(ctx.params.id, ctx.user.id);
+        if (record.status === 'processing') {
+            throw ApiError.conflict('Export is being built; try again when it has finished', 'export_in_progress');
+        }
+        await this.exports.deleteExport(record);
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    // IMPORT ROUTES
+
+    /**
+     * Import entries from an uploaded CSV, JSON, iCalendar or Timal export file, or with dry_run, report what would be imported
+     */
+    async importEntries(ctx) {
+        let form;
+        try {
+            form = await parseMultipart(ctx.req, {
+                maxFiles: 1,
+                fileSizeLimit: () => ImportService.getMaxFileBytes()
+            });
+        } catch (error) {
+            if (error instanceof MultipartError) {
+                ctx.res.setHeader('Connection', 'close');
+            }
+            throw error;
+        }
+
+        const options = validate(schemas.importFields, form.fields, { coerce: true });
+        const file = form.files.find(f => f.fieldName === 'file');
+        if (!file) {
+            throw ApiError.validation({ file: 'is required' });
+        }
+        if (options.timeline_id) {
+            await this.findTimeline(options.timeline_id, ctx.user.id);
+        }
+
+        const report = await this.imports.importFile(ctx.user.id, file, options);
+        this.sendJson(ctx.res, report);
+    }
+
+    // FEED ROUTES
+
+    /**
+     * Feed routes accept a feed token in ?token= or the session cookie. A token only
+     * opens these routes, never the rest of the API.
+     */
+    async authenticateFeed(ctx, next) {
+        if (ctx.query.token) {
+            ctx.user = await this.auth.getUserFromFeedToken(ctx.query.token);
+            if (!ctx.user) {
+                throw ApiError.unauthorized('Invalid or revoked feed token', 'invalid_feed_token');
+            }
+        } else {
+            ctx.user = await this.getCurrentUser(ctx.req);
+            if (!ctx.user) {
+                throw ApiError.unauthorized();
+            }
+        }
+        await next();
+    }
+
+    /**
+     * Base URL for links in feeds: PUBLIC_URL, or the host the request was sent to
+     */
+    getPublicUrl(req) {
+        if (process.env.PUBLIC_URL) {
+            return process.env.PUBLIC_URL.replace(/\/+$/, '');
+        }
+        return `${req.socket.encrypted ? 'https' : 'http'}://${req.headers.host || `localhost:${this.port}`}`;
+    }
+
+    /**
+     * Give each entry's media a lasting link for feeds (signed URLs expire before
+     * calendar apps and readers fetch them)
+     */
+    addFeedMediaLinks(entries, baseUrl, token) {
+        const query = token ? `?token=${encodeURIComponent(token)}` : '';
+        for (const entry of entries) {
+            entry.media = entry.media.map(media => ({
+                url: `${baseUrl}/api/media/${media.id}/file${query}`,
+                mime_type: this.media.getMimeType(media.key)
+            }));
+        }
+        return entries;
+    }
+
+    /**
+     * The current user's feed tokens
+     */
+    async listFeedTokens(ctx) {
+        const tokens = await this.db.getFeedTokens(ctx.user.id);
+        this.sendJson(ctx.res, { feed_tokens: tokens });
+    }
+
+    /**
+     * Create a feed token. The token is in this response only; it can't be shown again.
+     */
+    async createFeedToken(ctx) {
+        const { id, token } = await this.auth.createFeedToken(ctx.user.id, ctx.body.name);
+        this.sendJson(ctx.res, { feed_token: { id, name: ctx.body.name, token } });
+    }
+
+    /**
+     * Revoke a feed token; feeds fetched with it answer 401 from now on
+     */
+    async deleteFeedToken(ctx) {
+        const deleted = await this.db.deleteFeedToken(ctx.params.id, ctx.user.id);
+        if (!deleted) {
+            throw ApiError.notFound('Feed token not found');
+        }
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    /**
+     * A timeline as an iCalendar file of all-day events, one per entry
+     */
+    async getTimelineCalendar(ctx) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'viewer');
+        // Entries of a shared timeline belong to its owner
+        const { entries } = await this.db.getTimelineEntries(timeline.user_id, { timelineId: timeline.id, limit: CALENDAR_MAX_ENTRIES });
+
+        const baseUrl = this.getPublicUrl(ctx.req);
+        this.addFeedMediaLinks(entries, baseUrl, ctx.query.token);
+        const calendar = buildCalendar(timeline, entries, { host: new URL(baseUrl).hostname });
+
+        ctx.res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="timeline-${timeline.id}.ics"`,
+            'Cache-Control': 'private, max-age=300'
+        });
+        ctx.res.end(calendar);
+    }
+
+    /**
+     * A timeline's latest entries as an Atom feed or a JSON Feed
+     * @param {string} format - 'atom' or 'json'
+     */
+    async getTimelineFeed(ctx, format) {
+        const timeline = await this.findTimelineForMember(ctx.params.id, ctx.user.id, 'viewer');
+        // Entries of a shared timeline belong to its owner
+        const { entries } = await this.db.getTimelineEntries(timeline.user_id, { timelineId: timeline.id, limit: ctx.query.limit });
+
+        const baseUrl = this.getPublicUrl(ctx.req);
+        this.addFeedMediaLinks(entries, baseUrl, ctx.query.token);
+        const token = ctx.query.token ? `?token=${encodeURIComponent(ctx.query.token)}` : '';
+        const options = {
+            // The owner is the author, also in the feeds of members
+            user: await this.db.getUserById(timeline.user_id),
+            feedUrl: `${baseUrl}/api/timelines/${timeline.id}/feed.${format}${token}`,
+            homeUrl: `${baseUrl}/`
+        };
+
+        const headers = { 'Cache-Control': 'private, max-age=300' };
+        if (format === 'atom') {
+            ctx.res.writeHead(200, { ...headers, 'Content-Type': 'application/atom+xml; charset=utf-8' });
+            ctx.res.end(buildAtomFeed(timeline, entries, options));
+        } else {
+            ctx.res.writeHead(200, { ...headers, 'Content-Type': 'application/feed+json; charset=utf-8' });
+            ctx.res.end(JSON.stringify(buildJsonFeed(timeline, entries, options)));
+        }
     }
 
-    async init() {
-        try {
-            await this.db.initialize();
-            console.log('✅ Database initialized');
-        } catch (error) {
-            console.error('❌ Database initialization failed:', error);
-            process.exit(1);
+    /**
+     * Redirect to a fresh signed URL of a media file; the lasting link used in feeds
+     */
+    async redirectToMediaFile(ctx) {
+        const media = await this.findMedia(ctx);
+        if (media.upload_status !== 'complete') {
+            throw ApiError.notFound('Media not found');
         }
+        ctx.res.writeHead(302, {
+            'Location': await this.storage.getSignedUrl(media.r2_key),
+            'Cache-Control': 'no-store'
+        });
+        ctx.res.end();
     }
 
+    // SHARE LINK ROUTES
+
     /**
-     * Main request handler
+     * Load a share link of the current user, or throw 404
      */
-    async handleRequest(req, res) {
-        const parsedUrl = url.parse(req.url, true);
-        const pathname = parsedUrl.pathname;
+    async findShareLink(linkId, userId) {
+        const link = await this.db.getShareLink(linkId, userId);
+        if (!link) {
+            throw ApiError.notFound('Share link not found');
+        }
+        return link;
+    }
 
-        // Enable CORS for development
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    /**
+     * API shape of a share link
+     */
+    describeShareLink(link, req) {
+        return {
+            id: link.id,
+            timeline_id: link.timeline_id,
+            label: link.label,
+            url: `${this.getPublicUrl(req)}/s/${link.token}`,
+            tags: link.tags,
+            tag_mode: link.tag_mode,
+            from: link.date_from,
+            to: link.date_to,
+            has_password: Boolean(link.password_hash),
+            expires_at: link.expires_at,
+            expired: link.expired,
+            view_count: link.view_count,
+            last_viewed_at: link.last_viewed_at,
+            created_at: link.created_at
+        };
+    }
 
-        if (req.method === 'OPTIONS') {
-            res.writeHead(200);
-            res.end();
+    /**
+     * The current user's share links, optionally of one timeline
+     */
+    async listShareLinks(ctx) {
+        const timelineId = ctx.query.timeline_id;
+        if (timelineId) {
+            await this.findTimeline(timelineId, ctx.user.id);
+        }
+        const links = await this.db.getShareLinks(ctx.user.id, timelineId || null);
+        this.sendJson(ctx.res, { share_links: links.map(link => this.describeShareLink(link, ctx.req)) });
+    }
+
+    /**
+     * Share a timeline, or the entries of it matching tags and dates, at a new unguessable URL
+     */
+    async createShareLink(ctx) {
+        const { timeline_id, label, tags, tag_mode, from, to, password, expires_in_days } = ctx.body;
+        if (from && to && from > to) {
+            throw ApiError.validation({ to: 'must not be before from' });
+        }
+        await this.findTimeline(timeline_id, ctx.user.id);
+
+        const linkId = await this.db.createShareLink({
+            user_id: ctx.user.id,
+            timeline_id,
+            token: crypto.randomBytes(24).toString('base64url'),
+            label,
+            tags: normalizeTags(tags),
+            tag_mode,
+            date_from: from,
+            date_to: to,
+            password_hash: password ? this.auth.hashPassword(password) : null,
+            expires_in_days
+        });
+        const link = await this.db.getShareLink(linkId, ctx.user.id);
+        this.sendJson(ctx.res, { share_link: this.describeShareLink(link, ctx.req) });
+    }
+
+    /**
+     * Get a single share link
+     */
+    async getShareLink(ctx) {
+        const link = await this.findShareLink(ctx.params.id, ctx.user.id);
+        this.sendJson(ctx.res, { share_link: this.describeShareLink(link, ctx.req) });
+    }
+
+    /**
+     * Revoke a share link; its URL stops working right away
+     */
+    async deleteShareLink(ctx) {
+        const deleted = await this.db.deleteShareLink(ctx.params.id, ctx.user.id);
+        if (!deleted) {
+            throw ApiError.notFound('Share link not found');
+        }
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    // SHARED PAGES
+
+    /**
+     * Load the share link of a shared page. Unknown, revoked and expired links get a
+     * notice page and null.
+     */
+    async findSharedLink(ctx) {
+        const link = await this.db.getShareLinkByToken(ctx.params.token);
+        if (!link) {
+            this.sendHtml(ctx.res, 404, renderNoticePage('Link not found', 'This link does not exist or has been revoked.'));
+            return null;
+        }
+        if (link.expired) {
+            this.sendHtml(ctx.res, 410, renderNoticePage('Link expired', 'This link has expired. Ask the person who shared it for a new one.'));
+            return null;
+        }
+        return link;
+    }
+
+    /**
+     * Cookie value that proves the password of a protected link was entered. It is
+     * keyed with the password hash, so it stops working if the link changes.
+     */
+    shareUnlockValue(link) {
+        return crypto.createHmac('sha256', link.password_hash).update(`share:${link.id}`).digest('hex');
+    }
+
+    /**
+     * Whether a request may see a share link's page
+     */
+    isShareUnlocked(req, link) {
+        if (!link.password_hash) return true;
+        const value = this.getCookies(req)[`share_${link.id}`];
+        if (!/^[0-9a-f]{64}$/.test(value || '')) return false;
+        return crypto.timingSafeEqual(Buffer.from(value, 'hex'), Buffer.from(this.shareUnlockValue(link), 'hex'));
+    }
+
+    /**
+     * Read-only page of a shared timeline, a page of entries at a time
+     */
+    async showSharedTimeline(ctx) {
+        const link = await this.findSharedLink(ctx);
+        if (!link) return;
+
+        const sharePath = `/s/${link.token}`;
+        if (!this.isShareUnlocked(ctx.req, link)) {
+            this.sendHtml(ctx.res, 200, renderPasswordPage({ action: sharePath }));
             return;
         }
 
-        try {
-            // API routes
-            if (pathname.startsWith('/api/')) {
-                await this.handleApiRequest(req, res, pathname);
-                return;
+        const timeline = await this.db.getTimeline(link.timeline_id, link.user_id);
+        const owner = await this.db.getUserById(link.user_id);
+        const order = timeline.sort_order;
+        const options = {
+            timelineId: timeline.id,
+            order,
+            from: link.date_from,
+            to: link.date_to,
+            tags: link.tags,
+            tagMode: link.tag_mode,
+            limit: SHARE_PAGE_SIZE
+        };
+        // A damaged cursor starts over from the first page
+        if (ctx.query.cursor) {
+            try {
+                const { direction, position } = decodeCursor(String(ctx.query.cursor));
+                options[direction === 'newer' ? 'before' : 'after'] = position;
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
             }
+        }
 
-            // Static file serving
-            if (pathname === '/' || pathname === '/index.html') {
-                await this.serveStaticFile(res, 'public/index.html', 'text/html');
+        const page = await this.db.getTimelineEntries(link.user_id, options);
+        await this.media.addMediaUrls(page.entries, { expiresIn: SHARE_MEDIA_URL_SECONDS });
+
+        const { entries } = page;
+        const nextDirection = order === 'oldest' ? 'newer' : 'older';
+        const hasNext = nextDirection === 'older' ? page.hasOlder : page.hasNewer;
+        if (!options.after && !options.before) {
+            await this.db.recordShareLinkView(link.id);
+        }
+
+        this.sendHtml(ctx.res, 200, renderSharePage({
+            title: link.label || timeline.title,
+            description: timeline.description,
+            owner: owner.username,
+            url: `${this.getPublicUrl(ctx.req)}${sharePath}`,
+            entries,
+            nextUrl: hasNext ? `${sharePath}?cursor=${encodeCursor(entries[entries.length - 1], nextDirection)}` : null
+        }));
+    }
+
+    /**
+     * Password form of a protected link: a cookie for this link's path, then back to the page
+     */
+    async unlockSharedTimeline(ctx) {
+        const link = await this.findSharedLink(ctx);
+        if (!link) return;
+
+        const sharePath = `/s/${link.token}`;
+        if (link.password_hash) {
+            if (!this.auth.verifyPassword(ctx.body.password, link.password_hash)) {
+                this.sendHtml(ctx.res, 401, renderPasswordPage({ action: sharePath, error: 'Wrong password, please try again.' }));
                 return;
             }
+            ctx.res.setHeader('Set-Cookie', `share_${link.id}=${this.shareUnlockValue(link)}; HttpOnly; Path=${sharePath}; Max-Age=86400; SameSite=Lax`);
+        }
+        ctx.res.writeHead(303, { 'Location': sharePath });
+        ctx.res.end();
+    }
 
-            // Serve other static files
-            if (pathname.startsWith('/')) {
-                const filePath = path.join('public', pathname);
-                await this.serveStaticFile(res, filePath);
-                return;
+    /**
+     * Handle a multipart media upload: stream the file, check the target entry, then queue its processing
+     */
+    async uploadMedia(ctx) {
+        let form;
+        try {
+            form = await parseMultipart(ctx.req, {
+                maxFiles: 1,
+                fileSizeLimit: (part) => {
+                    const mediaType = this.media.getMediaType(part.filename);
+                    if (!mediaType) {
+                        throw new MultipartError(`Unsupported file type: ${path.extname(part.filename).toLowerCase() || part.filename}`, 415);
+                    }
+                    return this.media.getMaxFileSizeBytes(mediaType);
+                }
+            });
+        } catch (error) {
+            if (error instanceof MultipartError) {
+                // The rest of the body is not read, so don't keep the connection alive for it
+                ctx.res.setHeader('Connection', 'close');
             }
+            throw error;
+        }
 
-            // 404 Not Found
-            this.sendError(res, 404, 'Not Found');
+        const fields = validate(schemas.mediaUploadFields, form.fields, { coerce: true });
+        const file = form.files.find(f => f.fieldName === 'file');
+        if (!file) {
+            throw ApiError.validation({ file: 'is required' });
+        }
 
-        } catch (error) {
-            console.error('Request handling error:', error);
-            this.sendError(res, 500, 'Internal Server Error');
+        const mediaType = this.media.getMediaType(file.filename);
+        const target = await this.findUploadTarget(fields, ctx.user.id);
+        await this.addUpload(ctx, target, {
+            filename: file.filename,
+            mediaType,
+            captureInfo: mediaType === 'image' ? await this.media.readCaptureInfo(file.buffer) : {},
+            text: fields.text,
+            includeLocation: fields.include_location,
+            // Media counts towards the storage of the entry's owner
+            accept: entry => this.media.acceptUpload(file.buffer, file.filename, file.mimeType, entry.user_id, entry.id)
+        });
+    }
+
+    /**
+     * Where an upload goes: an entry the user may edit, or the timeline a new entry is
+     * created in (the default timeline without either)
+     * @param {{entry_id?: number, timeline_id?: number}} fields - Upload fields
+     * @param {number} userId - Uploading user
+     * @returns {Promise<{entry: object|null, timeline: object|null, ownerId: number}>} Target,
+     *   and whose storage the upload counts towards
+     */
+    async findUploadTarget(fields, userId) {
+        if (fields.entry_id) {
+            const entry = await this.findEditableEntry(fields.entry_id, userId);
+            return { entry, timeline: null, ownerId: entry.user_id };
         }
+        const timeline = fields.timeline_id
+            ? await this.findTimelineForMember(fields.timeline_id, userId, 'contributor')
+            : await this.db.getDefaultTimeline(userId);
+        return { entry: null, timeline, ownerId: timeline.user_id };
     }
 
     /**
-     * Handle API requests
+     * Add an uploaded file to its entry, creating the entry first when the upload has
+     * none, and queue its processing. Responds 202 with the pending media.
+     * @param {object} ctx - Request context
+     * @param {object} target - From findUploadTarget
+     * @param {object} upload
+     * @param {string} upload.filename - Original filename
+     * @param {string} upload.mediaType - 'image' or 'video'
+     * @param {object} upload.captureInfo - EXIF details of a photo, to date a new entry by
+     * @param {string} [upload.text] - Text of a new entry
+     * @param {boolean} [upload.includeLocation] - Keep a coarse capture location
+     * @param {function(object): Promise<object>} upload.accept - Records the file on the entry
+     *   as pending media, resolving to the media's {id, mediaType, status}
      */
-    async handleApiRequest(req, res, pathname) {
-        const method = req.method;
-        const segments = pathname.split('/').filter(Boolean); // ['api', 'endpoint', ...]
+    async addUpload(ctx, target, { filename, mediaType, captureInfo, text, includeLocation, accept }) {
+        const suggestion = this.media.suggestEntryDate(captureInfo);
+
+        // Without an entry, a new one is created, dated from the photo's capture time when known
+        let entry = target.entry;
+        const createdEntry = !entry;
+        if (createdEntry) {
+            const newEntryId = await this.db.createTimelineEntry({
+                user_id: target.timeline.user_id,
+                created_by: ctx.user.id,
+                timeline_id: target.timeline.id,
+                entry_date: suggestion.date,
+                entry_text: text || null,
+                entry_type: mediaType
+            });
+            entry = await this.db.getTimelineEntry(newEntryId, ctx.user.id);
+            await this.publishEntryEvent('entry.created', entry, ctx.user.id);
+        }
 
-        // Parse request body for POST/PUT requests
-        let body = null;
-        if (method === 'POST' || method === 'PUT') {
-            body = await this.parseRequestBody(req);
+        // The file is processed in the background
+        let accepted;
+        try {
+            accepted = await accept(entry);
+            await this.publishMediaStatus(entry, ctx.user.id, 'pending', { filename, media_id: accepted.id });
+            await this.jobs.enqueue('media.process', {
+                media_id: accepted.id,
+                actor_id: ctx.user.id,
+                include_location: Boolean(includeLocation)
+            });
+        } catch (error) {
+            if (accepted) {
+                await this.failMediaJob({ media_id: accepted.id, actor_id: ctx.user.id }, error);
+            }
+            if (createdEntry) {
+                await this.db.deleteTimelineEntry(entry.id);
+                await this.publishEntryEvent('entry.deleted', entry, ctx.user.id);
+            }
+            throw error;
         }
 
-        // Route API requests
-        switch (segments[1]) { // segments[0] is 'api'
-            case 'auth':
-                await this.handleAuthRequest(req, res, method, segments.slice(2), body);
-                break;
-            case 'timeline':
-                await this.handleTimelineRequest(req, res, method, segments.slice(2), body);
-                break;
-            case 'media':
-                await this.handleMediaRequest(req, res, method, segments.slice(2), body);
-                break;
-            default:
-                this.sendError(res, 404, 'API endpoint not found');
+        const response = {
+            success: true,
+            media: {
+                id: accepted.id,
+                type: accepted.mediaType,
+                status: accepted.status,
+                status_url: `/api/media/${accepted.id}/status`
+            },
+            entry: {
+                id: entry.id,
+                entry_date: entry.entry_date,
+                created: createdEntry,
+                date_source: createdEntry ? suggestion.source : 'entry'
+            }
+        };
+
+        // Let the client offer to move an existing entry to the day the photo was taken
+        if (!createdEntry && suggestion.source === 'exif' && suggestion.date !== entry.entry_date) {
+            response.suggested_entry_date = suggestion.date;
         }
+
+        this.sendJson(ctx.res, response, 202);
     }
 
+    // RESUMABLE UPLOAD ROUTES
+
     /**
-     * Handle authentication requests
+     * Load an upload session of the current user, or throw 404
      */
-    async handleAuthRequest(req, res, method, segments, body) {
-        switch (segments[0]) {
-            case 'register':
-                if (method === 'POST') {
-                    const result = await this.auth.register(body.username, body.email, body.password);
-                    this.sendJson(res, result);
-                } else {
-                    this.sendError(res, 405, 'Method not allowed');
-                }
-                break;
-            case 'login':
-                if (method === 'POST') {
-                    const result = await this.auth.login(body.username, body.password);
-                    if (result.success) {
-                        // Set session cookie
-                        res.setHeader('Set-Cookie', `session=${result.sessionId}; HttpOnly; Path=/; Max-Age=86400`);
-                    }
-                    this.sendJson(res, result);
-                } else {
-                    this.sendError(res, 405, 'Method not allowed');
-                }
-                break;
-            case 'logout':
-                if (method === 'POST') {
-                    const sessionId = this.getSessionFromCookie(req);
-                    await this.auth.logout(sessionId);
-                    res.setHeader('Set-Cookie', 'session=; HttpOnly; Path=/; Max-Age=0');
-                    this.sendJson(res, { success: true });
-                } else {
-                    this.sendError(res, 405, 'Method not allowed');
-                }
-                break;
-            case 'account':
-                if (method === 'GET') {
-                    const user = await this.getCurrentUser(req);
-                    if (user) {
-                        this.sendJson(res, { user: { id: user.id, username: user.username, email: user.email, tier: user.tier } });
-                    } else {
-                        this.sendError(res, 401, 'Not authenticated');
-                    }
-                } else {
-                    this.sendError(res, 405, 'Method not allowed');
-                }
-                break;
-            default:
-                this.sendError(res, 404, 'Auth endpoint not found');
+    async findUploadSession(ctx) {
+        const session = await this.db.getUploadSession(ctx.params.id, ctx.user.id);
+        if (!session) {
+            throw ApiError.notFound('Upload not found');
         }
+        return session;
     }
 
     /**
-     * Handle timeline requests
+     * API shape of an upload session
      */
-    async handleTimelineRequest(req, res, method, segments, body) {
-        const user = await this.getCurrentUser(req);
-        if (!user) {
-            this.sendError(res, 401, 'Authentication required');
-            return;
+    describeUploadSession(session) {
+        return {
+            id: session.id,
+            filename: session.filename,
+            type: session.media_type,
+            size: session.size_bytes,
+            offset: session.offset_bytes,
+            chunk_size: session.chunk_size,
+            entry_id: session.entry_id,
+            timeline_id: session.timeline_id,
+            url: `/api/uploads/${session.id}`,
+            created_at: session.created_at,
+            updated_at: session.updated_at,
+            expires_at: session.expires_at
+        };
+    }
+
+    /**
+     * The current user's unfinished uploads, to resume
+     */
+    async listUploadSessions(ctx) {
+        const sessions = await this.db.getUploadSessions(ctx.user.id);
+        this.sendJson(ctx.res, { uploads: sessions.map(session => this.describeUploadSession(session)) });
+    }
+
+    /**
+     * Start a resumable upload. The target and file are checked and the storage reserved now,
+     * so a file that can't be added fails before any of it is sent.
+     */
+    async createUploadSession(ctx) {
+        const { body } = ctx;
+        const target = await this.findUploadTarget(body, ctx.user.id);
+        const session = await this.uploads.createSession({
+            userId: ctx.user.id,
+            ownerId: target.ownerId,
+            filename: body.filename,
+            size: body.size,
+            entryId: target.entry ? target.entry.id : null,
+            timelineId: target.timeline ? target.timeline.id : null,
+            text: body.text || null,
+            includeLocation: body.include_location
+        });
+        this.sendJson(ctx.res, { upload: this.describeUploadSession(session) }, 201);
+    }
+
+    /**
+     * How far an upload has got
+     */
+    async getUploadSession(ctx) {
+        const session = await this.findUploadSession(ctx);
+        this.sendJson(ctx.res, { upload: this.describeUploadSession(session) });
+    }
+
+    /**
+     * Store the next chunk of an upload. The Upload-Offset header says where it starts,
+     * which must be where the upload is at (409 offset_mismatch otherwise).
+     */
+    async uploadChunk(ctx) {
+        const offsetHeader = ctx.req.headers['upload-offset'];
+        if (!/^\d+$/.test(offsetHeader || '')) {
+            throw ApiError.badRequest('Upload-Offset header must be the byte offset the chunk starts at', 'invalid_offset');
         }
 
-        switch (method) {
-            case 'GET':
-                if (segments.length === 0) {
-                    // Get all timeline entries for user
-                    const entries = await this.db.getTimelineEntries(user.id);
-                    this.sendJson(res, { entries });
-                } else {
-                    // Get specific entry
-                    const entryId = parseInt(segments[0]);
-                    const entry = await this.db.getTimelineEntry(entryId, user.id);
-                    if (entry) {
-                        this.sendJson(res, { entry });
-                    } else {
-                        this.sendError(res, 404, 'Timeline entry not found');
+        const session = await this.findUploadSession(ctx);
+        const updated = await this.uploads.writeChunk(session, Number(offsetHeader), ctx.body);
+        this.sendJson(ctx.res, { upload: this.describeUploadSession(updated) });
+    }
+
+    /**
+     * Finish an upload once every chunk is stored: the file is added to its entry (or a new
+     * one) and processed like a single-request upload
+     */
+    async completeUploadSession(ctx) {
+        const session = await this.findUploadSession(ctx);
+        const target = await this.findUploadTarget({ entry_id: session.entry_id, timeline_id: session.timeline_id }, ctx.user.id);
+        await this.uploads.completeSession(session, async key => {
+            const captureInfo = session.media_type === 'image'
+                ? await this.media.readCaptureInfo(await this.media.readStoredFile(key))
+                : {};
+            await this.addUpload(ctx, target, {
+                filename: session.filename,
+                mediaType: session.media_type,
+                captureInfo,
+                text: session.entry_text,
+                includeLocation: Boolean(session.include_location),
+                // The session's reservation passes to the media
+                accept: entry => this.db.transaction(async () => {
+                    if (!await this.db.deleteUploadSession(session.id)) {
+                        throw ApiError.conflict('Upload was already completed', 'upload_completed');
                     }
-                }
-                break;
-            case 'POST':
-                // Create new timeline entry
-                const entryId = await this.db.createTimelineEntry({
-                    user_id: user.id,
-                    entry_date: body.date,
-                    entry_text: body.text,
-                    entry_type: body.type || 'text'
-                });
-                this.sendJson(res, { id: entryId, success: true });
-                break;
-            case 'PUT':
-                // Update timeline entry
-                const updateId = parseInt(segments[0]);
-                await this.db.updateTimelineEntry(updateId, user.id, {
-                    entry_date: body.date,
-                    entry_text: body.text
-                });
-                this.sendJson(res, { success: true });
-                break;
-            case 'DELETE':
-                // Delete timeline entry
-                const deleteId = parseInt(segments[0]);
-                await this.db.deleteTimelineEntry(deleteId, user.id);
-                this.sendJson(res, { success: true });
-                break;
-            default:
-                this.sendError(res, 405, 'Method not allowed');
-        }
-    }
-
-    /**
-     * Handle media requests
-     */
-    async handleMediaRequest(req, res, method, segments, body) {
-        const user = await this.getCurrentUser(req);
-        if (!user) {
-            this.sendError(res, 401, 'Authentication required');
-            return;
+                    return await this.media.acceptStoredUpload(key, session.filename, session.media_type, session.size_bytes / (1024 * 1024), entry.id);
+                })
+            });
+        });
+    }
+
+    /**
+     * Abandon an upload, deleting what was sent and releasing its storage
+     */
+    async deleteUploadSession(ctx) {
+        const session = await this.findUploadSession(ctx);
+        await this.uploads.abortSession(session);
+        this.sendJson(ctx.res, { success: true });
+    }
+
+    // MEDIA JOBS
+
+    /**
+     * Register the handlers of background jobs. Uploads that fail because of the file
+     * itself (e.g. a corrupt image) are given up on at once; other errors are retried.
+     */
+    registerJobs() {
+        this.jobs.register('media.process', payload => this.processMediaJob(payload), {
+            isRetryable: error => !(error instanceof ApiError && error.statusCode < 500),
+            onFailure: (payload, error) => this.failMediaJob(payload, error)
+        });
+    }
+
+    /**
+     * Process an accepted upload, telling the entry's timeline when it starts and finishes
+     * @param {{media_id: number, actor_id: number, include_location: boolean, capture_info?: object}} payload
+     */
+    async processMediaJob({ media_id: mediaId, actor_id: actorId, include_location: includeLocation, capture_info: captureInfo }) {
+        const media = await this.db.getMediaUpload(mediaId);
+        // Purged, or finished or given up on before a restart
+        if (!media || media.upload_status === 'complete' || media.upload_status === 'failed') return;
+
+        const entry = { id: media.entry_id, timeline_id: media.entry_timeline_id };
+        const details = { filename: media.original_filename, media_id: media.id };
+        await this.publishMediaStatus(entry, actorId, 'processing', details);
+        if (await this.media.processUpload(media, { includeLocation, captureInfo })) {
+            await this.publishMediaStatus(entry, actorId, 'complete', details);
+            await this.publishEntryEvent('entry.updated', entry, actorId);
         }
+    }
 
-        // TODO: Implement multipart form parsing for file uploads
-        // For now, this is a placeholder structure
-        this.sendError(res, 501, 'Media endpoints not yet implemented');
+    /**
+     * Record that an upload couldn't be processed
+     */
+    async failMediaJob({ media_id: mediaId, actor_id: actorId }, error) {
+        const message = error instanceof ApiError ? error.message : 'Media processing failed';
+        const media = await this.media.failUpload(mediaId, message);
+        if (!media) return;
+
+        await this.publishMediaStatus({ id: media.entry_id, timeline_id: media.entry_timeline_id }, actorId, 'failed', {
+            filename: media.original_filename,
+            media_id: media.id,
+            error: message
+        });
     }
 
     /**
@@ -243,34 +2213,21 @@ class TimalServer {
      * Extract session ID from cookie
      */
     getSessionFromCookie(req) {
+        return this.getCookies(req).session || null;
+    }
+
+    /**
+     * Parse the Cookie header
+     */
+    getCookies(req) {
         const cookieHeader = req.headers.cookie;
-        if (!cookieHeader) return null;
-        
-        const cookies = cookieHeader.split(';').reduce((acc, cookie) => {
+        if (!cookieHeader) return {};
+
+        return cookieHeader.split(';').reduce((acc, cookie) => {
             const [key, value] = cookie.trim().split('=');
             acc[key] = value;
             return acc;
         }, {});
-        
-        return cookies.session || null;
-    }
-
-    /**
-     * Parse request body
-     */
-    async parseRequestBody(req) {
-        return new Promise((resolve, reject) => {
-            let body = '';
-            req.on('data', chunk => body += chunk.toString());
-            req.on('end', () => {
-                try {
-                    resolve(JSON.parse(body));
-                } catch (error) {
-                    reject(new Error('Invalid JSON'));
-                }
-            });
-            req.on('error', reject);
-        });
     }
 
     /**
@@ -297,6 +2254,82 @@ class TimalServer {
         }
     }
 
+    /**
+     * Serve a file from local storage after checking its signed URL
+     */
+    async serveStoredFile(req, res, pathname, query) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            this.sendError(res, 405, 'Method not allowed');
+            return;
+        }
+
+        let key;
+        try {
+            key = decodeURIComponent(pathname.slice('/files/'.length));
+        } catch (error) {
+            this.sendError(res, 400, 'Malformed file path');
+            return;
+        }
+
+        if (!this.storage.verifySignedUrl(key, query.expires, query.signature)) {
+            this.sendError(res, 403, 'Invalid or expired file link');
+            return;
+        }
+
+        let metadata;
+        try {
+            metadata = await this.storage.getFileMetadata(key);
+        } catch (error) {
+            this.sendError(res, 404, 'File not found');
+            return;
+        }
+
+        const size = metadata.contentLength;
+        const headers = {
+            'Content-Type': metadata.contentType,
+            'Accept-Ranges': 'bytes',
+            'ETag': metadata.etag,
+            'Last-Modified': metadata.lastModified.toUTCString(),
+            // The signed URL itself expires, so caches must not outlive it
+            'Cache-Control': 'private, max-age=300'
+        };
+
+        // Single byte ranges let browsers seek within videos
+        let range = null;
+        const rangeMatch = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+        if (rangeMatch && (rangeMatch[1] || rangeMatch[2])) {
+            const start = rangeMatch[1] ? parseInt(rangeMatch[1]) : Math.max(0, size - parseInt(rangeMatch[2]));
+            const end = rangeMatch[1] && rangeMatch[2] ? Math.min(parseInt(rangeMatch[2]), size - 1) : size - 1;
+            if (start > end || start >= size) {
+                res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+                res.end();
+                return;
+            }
+            range = { start, end };
+        }
+
+        if (range) {
+            headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+            headers['Content-Length'] = range.end - range.start + 1;
+            res.writeHead(206, headers);
+        } else {
+            headers['Content-Length'] = size;
+            res.writeHead(200, headers);
+        }
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        const stream = this.storage.createReadStream(key, range || undefined);
+        stream.on('error', (error) => {
+            console.error('Stored file stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    }
+
     /**
      * Get content type by file extension
      */
@@ -319,17 +2352,108 @@ class TimalServer {
     /**
      * Send JSON response
      */
-    sendJson(res, data) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
+    sendJson(res, data, statusCode = 200) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(data));
     }
 
     /**
-     * Send error response
+     * Send an HTML page. Pages are never cached and don't pass their URL on as a referrer,
+     * since share URLs are secrets.
+     */
+    sendHtml(res, statusCode, html) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Referrer-Policy': 'no-referrer'
+        });
+        res.end(html);
+    }
+
+    /**
+     * Send error response in the standard envelope: { error: { code, message, fields? } }
+     * @param {object} [details] - Optional `code` and per-field `fields` messages
      */
-    sendError(res, statusCode, message) {
+    sendError(res, statusCode, message, details = {}) {
+        const error = new ApiError(statusCode, message, details);
         res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: message }));
+        res.end(JSON.stringify(error.toJSON()));
+    }
+
+    /**
+     * Purge expired trash now and then every TRASH_PURGE_INTERVAL_MINUTES (60 by default)
+     */
+    scheduleTrashPurge() {
+        const minutes = readPositiveNumber('TRASH_PURGE_INTERVAL_MINUTES', 60);
+        const purge = async () => {
+            try {
+                const purged = await this.trash.purgeExpired();
+                if (purged.entries > 0 || purged.media > 0) {
+                    console.log(`🗑️  Purged ${purged.entries} entries and ${purged.media} media files from the trash`);
+                }
+            } catch (error) {
+                console.error('Trash purge error:', error);
+            }
+        };
+
+        this.trashPurgeTimer = setInterval(purge, minutes * 60 * 1000);
+        this.ready.then(purge);
+    }
+
+    /**
+     * Pick up background exports a restart interrupted, and delete expired ones hourly
+     */
+    scheduleExports() {
+        const cleanup = async () => {
+            try {
+                const deleted = await this.exports.cleanupExpired();
+                if (deleted > 0) {
+                    console.log(`🗑️  Deleted ${deleted} expired exports`);
+                }
+            } catch (error) {
+                console.error('Export cleanup error:', error);
+            }
+        };
+
+        this.exportCleanupTimer = setInterval(cleanup, 60 * 60 * 1000);
+        this.ready.then(async () => {
+            await cleanup();
+            const resumed = await this.exports.resumePending();
+            if (resumed > 0) {
+                console.log(`📦 Resuming ${resumed} background exports`);
+            }
+        }).catch(error => console.error('Export resume error:', error));
+    }
+
+    /**
+     * Start running background jobs, including those a restart interrupted
+     */
+    scheduleJobs() {
+        this.ready.then(async () => {
+            const resumed = await this.jobs.start();
+            if (resumed > 0) {
+                console.log(`📦 Resuming ${resumed} background jobs`);
+            }
+        }).catch(error => console.error('Job queue start error:', error));
+    }
+
+    /**
+     * Abort abandoned resumable uploads now and then hourly
+     */
+    scheduleUploadCleanup() {
+        const cleanup = async () => {
+            try {
+                const aborted = await this.uploads.cleanupExpired();
+                if (aborted > 0) {
+                    console.log(`🗑️  Aborted ${aborted} abandoned uploads`);
+                }
+            } catch (error) {
+                console.error('Upload cleanup error:', error);
+            }
+        };
+
+        this.uploadCleanupTimer = setInterval(cleanup, 60 * 60 * 1000);
+        this.ready.then(cleanup);
     }
 
     /**
@@ -344,9 +2468,20 @@ class TimalServer {
             console.log(`🗃️  Database: ${process.env.DATABASE_PATH || './db/timal.db'}`);
         });
 
+        this.scheduleTrashPurge();
+        this.scheduleExports();
+        this.scheduleJobs();
+        this.scheduleUploadCleanup();
+
         // Graceful shutdown
         process.on('SIGINT', async () => {
             console.log('\n🛑 Shutting down server...');
+            clearInterval(this.trashPurgeTimer);
+            clearInterval(this.exportCleanupTimer);
+            clearInterval(this.uploadCleanupTimer);
+            this.jobs.stop();
+            // Open event streams would keep the server from closing
+            this.eventStreams.forEach(stream => stream.end());
             await this.db.close();
             server.close(() => {
                 console.log('✅ Server closed');
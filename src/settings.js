@@ -0,0 +1,36 @@
+// Numeric settings read from environment variables. A setting that is unset keeps its
+// default; one that isn't a valid number is ignored with a warning.
+
+/**
+ * Read a number from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @param {function(number): boolean} [isValid] - Whether a value is allowed, any finite number by default
+ * @returns {number}
+ */
+function readNumber(name, fallback, isValid = () => true) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || !isValid(value)) {
+        console.warn(`⚠️  Ignoring invalid ${name}=${raw}, using ${fallback}`);
+        return fallback;
+    }
+    return value;
+}
+
+/**
+ * Read a number above zero from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number}
+ */
+function readPositiveNumber(name, fallback) {
+    return readNumber(name, fallback, value => value > 0);
+}
+
+module.exports = {
+    readNumber,
+    readPositiveNumber
+};
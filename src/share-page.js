@@ -0,0 +1,167 @@
+// Server-rendered pages of share links: the read-only timeline, the password form of
+// protected links, and a notice for links that are gone. Shared pages carry Open Graph
+// tags for link previews and ask search engines not to index them.
+
+const { escapeHtml, STYLES } = require('./export-html');
+const { summarize } = require('./icalendar');
+
+const SHARE_STYLES = `${STYLES}
+    header .by { font-size: 0.9em; }
+    form { background: #fff; border-radius: 8px; padding: 20px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+    input[type=password] { font-size: 1em; padding: 8px; width: 100%; box-sizing: border-box; margin: 8px 0 12px; }
+    button { font-size: 1em; padding: 8px 16px; }
+    .error { color: #a00; }
+    .more { text-align: center; }
+`;
+
+/**
+ * Shared page layout
+ * @param {object} page
+ * @param {string} page.title - Document title
+ * @param {string} page.body - Inner HTML of <body>
+ * @param {object} [page.meta] - Open Graph properties, e.g. { 'og:image': url }
+ */
+function renderDocument({ title, body, meta = {} }) {
+    const tags = Object.entries(meta)
+        .filter(([, content]) => content)
+        .map(([property, content]) => {
+            const attribute = property.startsWith('og:') ? 'property' : 'name';
+            return `\n    <meta ${attribute}="${property}" content="${escapeHtml(content)}">`;
+        })
+        .join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex, nofollow">${tags}
+    <title>${escapeHtml(title)}</title>
+    <style>${SHARE_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderMedia(media) {
+    if (media.type === 'video') {
+        const poster = media.thumbnail_url ? ` poster="${escapeHtml(media.thumbnail_url)}"` : '';
+        return `<video src="${escapeHtml(media.url)}"${poster} controls preload="metadata"></video>`;
+    }
+
+    // Modern formats first; the img falls back to the original format's variants
+    const srcset = media.srcset || {};
+    const sources = ['avif', 'webp']
+        .filter(format => srcset[format])
+        .map(format => `<source type="image/${format}" srcset="${escapeHtml(srcset[format])}" sizes="(max-width: 760px) 100vw, 760px">`);
+    const fallback = Object.keys(srcset).find(format => format !== 'avif' && format !== 'webp');
+    const imgSrcset = fallback ? ` srcset="${escapeHtml(srcset[fallback])}" sizes="(max-width: 760px) 100vw, 760px"` : '';
+    return `<picture>${sources.join('')}<img src="${escapeHtml(media.url)}"${imgSrcset} alt="" loading="lazy"></picture>`;
+}
+
+function renderEntry(entry) {
+    return `
+        <article>
+            <time datetime="${escapeHtml(entry.entry_date)}">${escapeHtml(entry.entry_date)}</time>
+            ${entry.entry_text ? `<div class="text">${escapeHtml(entry.entry_text)}</div>` : ''}
+            ${entry.tags.length > 0 ? `<div class="tags">${entry.tags.map(tag => `<span>#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+            ${entry.media.length > 0 ? `<div class="media">${entry.media.map(renderMedia).join('')}</div>` : ''}
+        </article>`;
+}
+
+/**
+ * The first image of a page, for link previews
+ */
+function previewImage(entries) {
+    for (const entry of entries) {
+        const image = entry.media.find(media => media.type === 'image');
+        if (image) {
+            const card = (image.variants || []).find(v => v.name === 'card' && !['avif', 'webp'].includes(v.format));
+            return card ? card.url : image.url;
+        }
+    }
+    return null;
+}
+
+/**
+ * Render one page of a shared timeline
+ * @param {object} page
+ * @param {string} page.title - The link's label or the timeline's title
+ * @param {string|null} page.description - Timeline description
+ * @param {string} page.owner - Username of who shared it
+ * @param {string} page.url - Absolute URL of the share link
+ * @param {Array<object>} page.entries - Entries with tags and media URLs
+ * @param {string|null} page.nextUrl - Link to the next page
+ * @returns {string} HTML document
+ */
+function renderSharePage({ title, description, owner, url, entries, nextUrl }) {
+    const summary = description || (entries.length > 0 ? summarize(entries[0].entry_text) : `A timeline shared by ${owner}`);
+    const image = previewImage(entries);
+    const body = `    <header>
+        <h1>${escapeHtml(title)}</h1>
+        ${description ? `<p>${escapeHtml(description)}</p>` : ''}
+        <p class="by">Shared by ${escapeHtml(owner)}</p>
+    </header>
+    <main>${entries.length > 0 ? entries.map(renderEntry).join('') : '\n        <p>No entries.</p>'}
+        ${nextUrl ? `<p class="more"><a href="${escapeHtml(nextUrl)}">More entries</a></p>` : ''}
+    </main>`;
+
+    return renderDocument({
+        title,
+        body,
+        meta: {
+            'og:type': 'website',
+            'og:site_name': 'Timal',
+            'og:title': title,
+            'og:description': summary,
+            'og:url': url,
+            'og:image': image ? new URL(image, url).href : null, // local storage URLs are relative
+            'twitter:card': image ? 'summary_large_image' : 'summary'
+        }
+    });
+}
+
+/**
+ * Render the password form of a protected share link
+ * @param {object} page
+ * @param {string} page.action - Where the form posts to
+ * @param {string|null} [page.error] - Message after a wrong password
+ * @returns {string} HTML document
+ */
+function renderPasswordPage({ action, error = null }) {
+    const body = `    <header>
+        <h1>Protected timeline</h1>
+        <p>Enter the password you were given to see this timeline.</p>
+    </header>
+    <main>
+        <form method="post" action="${escapeHtml(action)}">
+            ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+            <label for="password">Password</label>
+            <input type="password" id="password" name="password" autocomplete="current-password" autofocus required>
+            <button type="submit">View timeline</button>
+        </form>
+    </main>`;
+    return renderDocument({ title: 'Protected timeline', body });
+}
+
+/**
+ * Render a notice page, e.g. for a revoked or expired link
+ * @param {string} title - Heading
+ * @param {string} message - Explanation
+ * @returns {string} HTML document
+ */
+function renderNoticePage(title, message) {
+    const body = `    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+    </header>`;
+    return renderDocument({ title, body });
+}
+
+module.exports = {
+    renderSharePage,
+    renderPasswordPage,
+    renderNoticePage
+};
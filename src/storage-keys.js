@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Generate a unique object key for an uploaded file, shared by all storage drivers
+ * @param {string} originalFilename - Original filename
+ * @param {number} userId - User ID for organizing files
+ * @returns {string} Object key, e.g. users/1/1700000000000_ab12cd34ef56ab78_photo.jpg
+ */
+function buildObjectKey(originalFilename, userId) {
+    const timestamp = Date.now();
+    const randomId = crypto.randomBytes(8).toString('hex');
+    const extension = path.extname(originalFilename);
+    const sanitizedExtension = extension.replace(/[^a-zA-Z0-9.]/g, '');
+    const sanitizedName = path.basename(originalFilename, extension)
+        .replace(/[^a-zA-Z0-9-_]/g, '_')
+        .substring(0, 50);
+
+    return `users/${userId}/${timestamp}_${randomId}_${sanitizedName}${sanitizedExtension}`;
+}
+
+module.exports = {
+    buildObjectKey
+};
@@ -0,0 +1,47 @@
+// Storage backend selection.
+//
+// Every driver implements the same interface:
+//   uploadFile(fileBuffer, originalFilename, mimeType, userId) -> {key, url, size, etag}
+//   getSignedUrl(key, expiresIn)                               -> string
+//   getFileStream(key)                                         -> stream.Readable
+//   deleteFile(key)                                            -> boolean
+//   getFileMetadata(key)                                       -> {contentType, contentLength, lastModified, etag, metadata}
+//
+// and, for files sent in parts (resumable uploads), multipart uploads modelled on S3's:
+//   createMultipartUpload(originalFilename, mimeType, userId)  -> {key, uploadId}
+//   uploadPart(key, uploadId, partNumber, partBuffer)          -> {etag}
+//   completeMultipartUpload(key, uploadId, parts)              -> {key, etag}
+//   abortMultipartUpload(key, uploadId)                        -> boolean
+//   listMultipartUploads()                                     -> [{key, uploadId, initiated}]
+
+const LocalStorage = require('./local-storage');
+const S3Storage = require('./s3-storage');
+const R2Storage = require('./r2-storage');
+
+const DRIVERS = {
+    local: LocalStorage,
+    s3: S3Storage,
+    r2: R2Storage
+};
+
+/**
+ * Create the storage driver selected by STORAGE_DRIVER
+ * @param {string} [driver] - 'local', 's3' or 'r2'. Defaults to STORAGE_DRIVER,
+ *   then to 'r2' when R2 credentials are configured and 'local' otherwise
+ * @returns {LocalStorage|S3Storage|R2Storage} Storage driver instance
+ */
+function createStorage(driver = process.env.STORAGE_DRIVER) {
+    const name = (driver || (process.env.CLOUDFLARE_R2_ACCOUNT_ID ? 'r2' : 'local')).toLowerCase();
+    const Driver = DRIVERS[name];
+
+    if (!Driver) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    return new Driver();
+}
+
+module.exports = {
+    createStorage,
+    DRIVERS
+};
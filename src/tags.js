@@ -0,0 +1,38 @@
+// Tag names are matched case-insensitively (the tags.name column is COLLATE NOCASE)
+// and keep the casing they were first created with.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_ENTRY = 20;
+
+/**
+ * Clean up a tag name as typed: trims, drops a leading '#', collapses whitespace
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized name ('' if nothing is left)
+ */
+function normalizeTagName(name) {
+    return String(name).trim().replace(/^#+/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a list of tag names, dropping empty ones and case-insensitive duplicates
+ * @param {Array<string>} names - Raw tag names
+ * @returns {Array<string>}
+ */
+function normalizeTags(names) {
+    const seen = new Set();
+    const tags = [];
+    for (const name of names || []) {
+        const tag = normalizeTagName(name);
+        if (!tag || seen.has(tag.toLowerCase())) continue;
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+    }
+    return tags;
+}
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    MAX_TAGS_PER_ENTRY,
+    normalizeTagName,
+    normalizeTags
+};
@@ -0,0 +1,120 @@
+// Word-level diff between two versions of an entry's text.
+//
+// Text is split into words, punctuation marks and the whitespace between them,
+// and compared with Myers' O(ND) algorithm, so small edits to long entries stay
+// cheap. Runs of the same kind are merged, and joining the `equal` and `delete`
+// parts gives back the old text while `equal` and `insert` give the new one.
+
+// Words keep inner apostrophes and hyphens ("don't", "well-known"); other punctuation stands alone
+const TOKEN_PATTERN = /\s+|[\p{L}\p{N}\p{M}_'’-]+|[^\s\p{L}\p{N}\p{M}]/gu;
+
+/**
+ * Split text into word, punctuation and whitespace tokens
+ * @param {string|null} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    return String(text || '').match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string|null} before - Old text
+ * @param {string|null} after - New text
+ * @returns {Array<{type: string, text: string}>} Parts of type 'equal', 'delete' or 'insert'
+ */
+function diffWords(before, after) {
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    // Most edits touch the middle of a text; skip what's shared at either end
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const parts = [];
+    const push = (type, token) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += token;
+        else parts.push({ type, text: token });
+    };
+
+    a.slice(0, start).forEach(token => push('equal', token));
+    for (const op of shortestEdit(a.slice(start, endA), b.slice(start, endB))) {
+        push(op.type, op.token);
+    }
+    a.slice(endA).forEach(token => push('equal', token));
+    return parts;
+}
+
+/**
+ * Myers' shortest edit script between two token lists
+ * @returns {Array<{type: string, token: string}>}
+ */
+function shortestEdit(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0) return b.map(token => ({ type: 'insert', token }));
+    if (m === 0) return a.map(token => ({ type: 'delete', token }));
+
+    // v[k] is the furthest x reached on diagonal k (x - y); trace keeps each round's
+    // frontier (diagonals -d..d only) for walking the path back
+    const max = n + m;
+    const v = new Map([[1, 0]]);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(new Map(v));
+        for (let k = -d; k <= d; k += 2) {
+            const down = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1));
+            let x = down ? v.get(k + 1) : v.get(k - 1) + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v.set(k, x);
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+    return [];
+}
+
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const down = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1));
+        const prevK = down ? k + 1 : k - 1;
+        const prevX = v.get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', token: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: 'insert', token: b[y - 1] });
+            else ops.push({ type: 'delete', token: a[x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+module.exports = {
+    diffWords
+};
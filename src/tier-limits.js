@@ -0,0 +1,43 @@
+// Per-tier limits, configurable through environment variables.
+// A limit of -1 means unlimited.
+
+const { readNumber } = require('./settings');
+
+const TIERS = ['free', 'personal', 'pro'];
+
+// revisions: earlier versions kept per entry
+const DEFAULT_LIMITS = {
+    free: { storageMb: 0, revisions: 10 },
+    personal: { storageMb: 600, revisions: 50 },
+    pro: { storageMb: -1, revisions: -1 }
+};
+
+/**
+ * Get limits for a tier
+ * @param {string} tier - 'free', 'personal' or 'pro'
+ * @returns {{storageMb: number, revisions: number}} Tier limits
+ */
+function getTierLimits(tier) {
+    const name = TIERS.includes(tier) ? tier : 'free';
+    const prefix = name.toUpperCase();
+
+    return {
+        storageMb: readNumber(`${prefix}_TIER_STORAGE_MB`, DEFAULT_LIMITS[name].storageMb),
+        revisions: readNumber(`${prefix}_TIER_REVISIONS`, DEFAULT_LIMITS[name].revisions)
+    };
+}
+
+/**
+ * Whether a limit value means unlimited
+ * @param {number} limit - Limit value
+ * @returns {boolean}
+ */
+function isUnlimited(limit) {
+    return limit < 0;
+}
+
+module.exports = {
+    TIERS,
+    getTierLimits,
+    isUnlimited
+};
@@ -0,0 +1,55 @@
+// Roles on collaborative timelines, from least to most access:
+//   viewer      reads the timeline's entries
+//   contributor adds entries, and edits and deletes the ones they created
+//   editor      adds, edits and deletes any entry
+//   owner       the timeline's creator: also manages its settings and members
+// Everyone who can see an entry can comment on it and react to it.
+// Entries always belong to the timeline's owner (their storage and tags count
+// towards the owner's account); created_by and updated_by record which member
+// wrote them.
+
+const ROLES = ['viewer', 'contributor', 'editor', 'owner'];
+
+// Roles that can be given to members; each timeline has exactly one owner
+const MEMBER_ROLES = ['editor', 'contributor', 'viewer'];
+
+/**
+ * Whether a role grants at least the access of another
+ * @param {string|null} role - The user's role
+ * @param {string} minimum - Role required
+ * @returns {boolean}
+ */
+function hasRole(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum) && ROLES.includes(role);
+}
+
+/**
+ * Whether a user may edit or delete an entry
+ * @param {string} role - The user's role in the entry's timeline
+ * @param {object} entry - Entry row with created_by
+ * @param {number} userId - User ID
+ * @returns {boolean}
+ */
+function canEditEntry(role, entry, userId) {
+    return hasRole(role, 'editor') || (role === 'contributor' && entry.created_by === userId);
+}
+
+/**
+ * Whether a user may moderate the comments of an entry (delete or hide any comment, turn
+ * comments off): the timeline's owner and the member who wrote the entry
+ * @param {string} role - The user's role in the entry's timeline
+ * @param {object} entry - Entry row with created_by
+ * @param {number} userId - User ID
+ * @returns {boolean}
+ */
+function canModerateEntry(role, entry, userId) {
+    return role === 'owner' || entry.created_by === userId;
+}
+
+module.exports = {
+    ROLES,
+    MEMBER_ROLES,
+    hasRole,
+    canEditEntry,
+    canModerateEntry
+};
@@ -0,0 +1,100 @@
+// Deleted entries and media sit in the trash for TRASH_RETENTION_DAYS (30 by default),
+// where users can restore them. The purge job then removes them for good: stored
+// files first, then the rows, giving the storage back to the user's quota.
+
+const { readNumber } = require('./settings');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Days items stay in the trash, from TRASH_RETENTION_DAYS
+ * @returns {number}
+ */
+function getRetentionDays() {
+    return readNumber('TRASH_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, value => value >= 0);
+}
+
+/**
+ * Format a Date like SQLite's CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toSqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+class TrashService {
+    /**
+     * @param {Database} database - Database instance
+     * @param {MediaHandler} media - Deletes stored files and releases quota
+     */
+    constructor(database, media) {
+        this.db = database;
+        this.media = media;
+    }
+
+    /**
+     * When an item deleted at a time will be purged
+     * @param {string} deletedAt - deleted_at column value
+     * @returns {string} Timestamp in the same format
+     */
+    purgeAt(deletedAt) {
+        const deleted = new Date(`${deletedAt.replace(' ', 'T')}Z`);
+        return toSqlTimestamp(new Date(deleted.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Permanently remove everything that has been in the trash longer than the retention period
+     * @param {Date} [now]
+     * @returns {Promise<{entries: number, media: number}>} How much was purged
+     */
+    async purgeExpired(now = new Date()) {
+        const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+        return await this.purge(await this.db.getExpiredTrash(toSqlTimestamp(cutoff)));
+    }
+
+    /**
+     * Permanently remove everything in a user's trash now
+     * @param {number} userId - User ID
+     * @returns {Promise<{entries: number, media: number}>} How much was purged
+     */
+    async emptyTrash(userId) {
+        return await this.purge(await this.db.getExpiredTrash(toSqlTimestamp(new Date()), userId));
+    }
+
+    /**
+     * Purge trash items one by one. An item whose files can't be deleted is skipped
+     * and left in the trash for the next run.
+     */
+    async purge({ entries, media }) {
+        const purged = { entries: 0, media: 0 };
+
+        for (const item of media) {
+            try {
+                await this.media.purgeMedia(item);
+                purged.media++;
+            } catch (error) {
+                console.error(`Trash purge failed for media ${item.id}:`, error);
+            }
+        }
+
+        for (const entry of entries) {
+            try {
+                const attachments = await this.db.getEntryMediaAttachments(entry.id);
+                for (const item of attachments) {
+                    await this.media.purgeMedia(item);
+                    purged.media++;
+                }
+                await this.db.deleteTimelineEntry(entry.id);
+                purged.entries++;
+            } catch (error) {
+                console.error(`Trash purge failed for entry ${entry.id}:`, error);
+            }
+        }
+
+        return purged;
+    }
+}
+
+module.exports = TrashService;
+module.exports.getRetentionDays = getRetentionDays;
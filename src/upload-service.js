@@ -0,0 +1,215 @@
+// Resumable uploads for files too big to send reliably in one request. A client
+// starts a session with the file's name and size, then PUTs it in chunks of
+// UPLOAD_CHUNK_MB (5 by default, the smallest part S3 accepts) at the offset the
+// session is at; each chunk is stored as one part of a multipart upload. Progress is
+// kept in the database, so an upload carries on after a dropped connection or a
+// restart from the last chunk stored. Completing the session joins the parts into
+// the file, which is then processed like any other upload.
+//
+// Storage is reserved when the session starts. Sessions expire
+// UPLOAD_SESSION_HOURS (24 by default) after their last chunk; expired ones are
+// aborted, deleting their parts and releasing their storage.
+
+const { ApiError } = require('./errors');
+const { readPositiveNumber } = require('./settings');
+
+const DEFAULT_CHUNK_MB = 5;
+const MIN_CHUNK_MB = 5;
+const DEFAULT_SESSION_HOURS = 24;
+
+/**
+ * Size of every chunk but the last, from UPLOAD_CHUNK_MB
+ * @returns {number} Bytes
+ */
+function getChunkSize() {
+    return Math.round(Math.max(MIN_CHUNK_MB, readPositiveNumber('UPLOAD_CHUNK_MB', DEFAULT_CHUNK_MB)) * 1024 * 1024);
+}
+
+/**
+ * Hours an upload session is kept after its last chunk, from UPLOAD_SESSION_HOURS
+ * @returns {number}
+ */
+function getSessionHours() {
+    return readPositiveNumber('UPLOAD_SESSION_HOURS', DEFAULT_SESSION_HOURS);
+}
+
+class UploadService {
+    /**
+     * @param {Database} database - Database instance
+     * @param {MediaHandler} media - Checks uploads and reserves their storage
+     */
+    constructor(database, media) {
+        this.db = database;
+        this.media = media;
+        this.storage = media.storage;
+        // IDs of the sessions being completed
+        this.completing = new Set();
+    }
+
+    /**
+     * Start an upload session, reserving the file's storage
+     * @param {object} upload
+     * @param {number} upload.userId - Who uploads
+     * @param {number} upload.ownerId - Whose storage the file counts towards
+     * @param {string} upload.filename - Original filename
+     * @param {number} upload.size - File size in bytes
+     * @param {number} [upload.entryId] - Entry the file is added to
+     * @param {number} [upload.timelineId] - Timeline a new entry is created in otherwise
+     * @param {string} [upload.text] - Text of the new entry
+     * @param {boolean} [upload.includeLocation] - Keep a coarse capture location
+     * @returns {Promise<object>} The session
+     */
+    async createSession({ userId, ownerId, filename, size, entryId = null, timelineId = null, text = null, includeLocation = false }) {
+        const { mediaType, fileSizeMB } = await this.media.reserveUpload(filename, size, ownerId);
+        const mimeType = this.media.getMimeType(filename);
+
+        let multipart = null;
+        try {
+            multipart = await this.storage.createMultipartUpload(filename, mimeType, ownerId);
+            const sessionId = await this.db.createUploadSession({
+                user_id: userId,
+                owner_id: ownerId,
+                entry_id: entryId,
+                timeline_id: timelineId,
+                entry_text: text,
+                include_location: includeLocation,
+                filename,
+                mime_type: mimeType,
+                media_type: mediaType,
+                size_bytes: size,
+                chunk_size: getChunkSize(),
+                storage_key: multipart.key,
+                storage_upload_id: multipart.uploadId,
+                expires_in_hours: getSessionHours()
+            });
+            return await this.db.getUploadSession(sessionId, userId);
+        } catch (error) {
+            if (multipart) {
+                await this.storage.abortMultipartUpload(multipart.key, multipart.uploadId)
+                    .catch(abortError => console.error('Upload abort error:', abortError));
+            }
+            await this.media.quota.release(ownerId, fileSizeMB);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the chunk at the session's offset. Chunks are `chunk_size` bytes, apart from
+     * the last, which is whatever is left.
+     * @param {object} session - Upload session
+     * @param {number} offset - Where the chunk starts; must be the session's offset
+     * @param {Buffer} chunk - Chunk data
+     * @returns {Promise<object>} The session, moved on past the chunk
+     */
+    async writeChunk(session, offset, chunk) {
+        if (offset !== session.offset_bytes) {
+            throw ApiError.conflict(`Upload is at offset ${session.offset_bytes}, not ${offset}`, 'offset_mismatch');
+        }
+        const expected = Math.min(session.chunk_size, session.size_bytes - offset);
+        if (expected === 0) {
+            throw ApiError.conflict('Upload already has all of the file; complete it', 'upload_full');
+        }
+        if (chunk.length !== expected) {
+            throw ApiError.badRequest(`Chunk must be ${expected} bytes, got ${chunk.length}`, 'invalid_chunk_size');
+        }
+
+        const partNumber = offset / session.chunk_size + 1;
+        const { etag } = await this.storage.uploadPart(session.storage_key, session.storage_upload_id, partNumber, chunk);
+        const parts = [...session.parts, { partNumber, etag }];
+
+        // A retried chunk sent twice at once is stored once
+        const recorded = await this.db.recordUploadChunk(session.id, offset, offset + chunk.length, parts, getSessionHours());
+        const updated = await this.db.getUploadSession(session.id, session.user_id);
+        if (!recorded) {
+            throw ApiError.conflict(`Upload is at offset ${updated ? updated.offset_bytes : offset}, not ${offset}`, 'offset_mismatch');
+        }
+        return updated;
+    }
+
+    /**
+     * Join a finished session's chunks into the stored file and hand it to `addFile`, which
+     * records it and deletes the session. If that fails, the session is aborted.
+     * A session is completed once at a time; another request gets 409 upload_completing.
+     * @param {object} session - Upload session with every chunk
+     * @param {function(string): Promise<*>} addFile - Called with the object key of the file
+     * @returns {Promise<*>} What addFile resolves to
+     */
+    async completeSession(session, addFile) {
+        if (session.offset_bytes < session.size_bytes) {
+            throw ApiError.conflict(
+                `Upload has ${session.offset_bytes} of ${session.size_bytes} bytes; send the rest first`,
+                'upload_incomplete'
+            );
+        }
+        if (this.completing.has(session.id)) {
+            throw ApiError.conflict('Upload is already being completed', 'upload_completing');
+        }
+
+        this.completing.add(session.id);
+        try {
+            const { key } = await this.storage.completeMultipartUpload(session.storage_key, session.storage_upload_id, session.parts);
+            try {
+                return await addFile(key);
+            } catch (error) {
+                // Drop the joined file and the reservation, unless the media took them over
+                await this.abortSession(session).catch(abortError => console.error('Upload abort error:', abortError));
+                throw error;
+            }
+        } finally {
+            this.completing.delete(session.id);
+        }
+    }
+
+    /**
+     * Abandon a session: delete its parts (or its file, if it was completed) and release its storage.
+     * The storage is only touched if this removed the session, as a session completed meanwhile
+     * hands its file to the media.
+     * @param {object} session - Upload session
+     * @returns {Promise<boolean>} Whether the session still existed
+     */
+    async abortSession(session) {
+        const deleted = await this.db.transaction(async () => {
+            if (!await this.db.deleteUploadSession(session.id)) return false;
+            await this.media.quota.release(session.owner_id, session.size_bytes / (1024 * 1024));
+            return true;
+        });
+        if (!deleted) return false;
+
+        await this.storage.abortMultipartUpload(session.storage_key, session.storage_upload_id);
+        await this.storage.deleteFile(session.storage_key);
+        return true;
+    }
+
+    /**
+     * Abort expired sessions, and multipart uploads in storage that no session knows
+     * about (left by a crash while a session was being started)
+     * @returns {Promise<number>} Uploads aborted
+     */
+    async cleanupExpired() {
+        let aborted = 0;
+        for (const session of await this.db.getExpiredUploadSessions()) {
+            try {
+                if (await this.abortSession(session)) aborted++;
+            } catch (error) {
+                console.error(`Could not abort expired upload ${session.id}:`, error);
+            }
+        }
+
+        const known = await this.db.getUploadSessionStorageIds();
+        const cutoff = Date.now() - getSessionHours() * 60 * 60 * 1000;
+        for (const upload of await this.storage.listMultipartUploads()) {
+            if (known.has(upload.uploadId) || upload.initiated.getTime() > cutoff) continue;
+            try {
+                await this.storage.abortMultipartUpload(upload.key, upload.uploadId);
+                aborted++;
+            } catch (error) {
+                console.error(`Could not abort orphaned upload ${upload.uploadId}:`, error);
+            }
+        }
+        return aborted;
+    }
+}
+
+module.exports = UploadService;
+module.exports.getChunkSize = getChunkSize;
+module.exports.getSessionHours = getSessionHours;
@@ -0,0 +1,313 @@
+// Dependency-free video metadata reader.
+//
+// Reads width, height, duration and codec straight from container headers:
+// ISO base media (MP4/MOV), Matroska/WebM and RIFF AVI. Only the header boxes
+// are parsed; sample data is skipped over, so this is cheap even for large files.
+
+/**
+ * Probe a video buffer
+ * @param {Buffer} buffer - Complete video file
+ * @returns {{container: string, width: number|null, height: number|null, duration: number|null, codec: string|null}|null}
+ *   Video info, or null if the container is not recognised
+ */
+function probeVideo(buffer) {
+    try {
+        if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+            return probeIsoBmff(buffer);
+        }
+        if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) {
+            return probeMatroska(buffer);
+        }
+        if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'AVI ') {
+            return probeAvi(buffer);
+        }
+        // Older QuickTime files may start straight with moov/mdat/wide boxes
+        if (buffer.length >= 8 && ['moov', 'mdat', 'wide', 'free'].includes(buffer.toString('latin1', 4, 8))) {
+            return probeIsoBmff(buffer);
+        }
+    } catch (error) {
+        console.error('Video probe error:', error.message);
+    }
+    return null;
+}
+
+// ISO BASE MEDIA (MP4 / MOV)
+
+/**
+ * Iterate the boxes between start and end
+ * @param {Buffer} buffer - File data
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Array<{type: string, start: number, end: number}>} Boxes with payload offsets
+ */
+function readBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset; // box runs to the end of its parent
+        }
+
+        if (size < headerSize) break;
+        boxes.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+/**
+ * Find the first child box of a given type
+ */
+function findBox(buffer, parent, type) {
+    return readBoxes(buffer, parent.start, parent.end).find(box => box.type === type) || null;
+}
+
+function probeIsoBmff(buffer) {
+    const root = { start: 0, end: buffer.length };
+    const ftyp = findBox(buffer, root, 'ftyp');
+    const brand = ftyp ? buffer.toString('latin1', ftyp.start, ftyp.start + 4) : null;
+    const info = {
+        container: brand === 'qt  ' ? 'mov' : 'mp4',
+        width: null,
+        height: null,
+        duration: null,
+        codec: null
+    };
+
+    const moov = findBox(buffer, root, 'moov');
+    if (!moov) return info;
+
+    const mvhd = findBox(buffer, moov, 'mvhd');
+    if (mvhd) {
+        const version = buffer[mvhd.start];
+        const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+        const duration = version === 1
+            ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+            : buffer.readUInt32BE(mvhd.start + 16);
+        if (timescale) info.duration = duration / timescale;
+    }
+
+    for (const trak of readBoxes(buffer, moov.start, moov.end).filter(box => box.type === 'trak')) {
+        const mdia = findBox(buffer, trak, 'mdia');
+        const hdlr = mdia && findBox(buffer, mdia, 'hdlr');
+        if (!hdlr || buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'vide') continue;
+
+        const tkhd = findBox(buffer, trak, 'tkhd');
+        if (tkhd) {
+            const version = buffer[tkhd.start];
+            const matrixOffset = tkhd.start + (version === 1 ? 52 : 40);
+            const sizeOffset = matrixOffset + 36;
+            let width = Math.round(buffer.readUInt32BE(sizeOffset) / 65536);
+            let height = Math.round(buffer.readUInt32BE(sizeOffset + 4) / 65536);
+
+            // Phone videos are often stored landscape with a 90° rotation matrix
+            const a = buffer.readInt32BE(matrixOffset);
+            const b = buffer.readInt32BE(matrixOffset + 4);
+            if (a === 0 && Math.abs(b) === 65536) {
+                [width, height] = [height, width];
+            }
+
+            info.width = width || null;
+            info.height = height || null;
+        }
+
+        const minf = findBox(buffer, mdia, 'minf');
+        const stbl = minf && findBox(buffer, minf, 'stbl');
+        const stsd = stbl && findBox(buffer, stbl, 'stsd');
+        if (stsd && stsd.start + 16 <= stsd.end) {
+            // stsd: version/flags(4), entry_count(4), then the first sample entry's size(4) and format(4)
+            info.codec = buffer.toString('latin1', stsd.start + 12, stsd.start + 16).trim();
+
+            // Fall back to the sample entry's coded size if tkhd had none
+            if (!info.width && stsd.start + 44 <= stsd.end) {
+                info.width = buffer.readUInt16BE(stsd.start + 40) || null;
+                info.height = buffer.readUInt16BE(stsd.start + 42) || null;
+            }
+        }
+        break;
+    }
+
+    return info;
+}
+
+// MATROSKA / WEBM
+
+const EBML_IDS = {
+    docType: 0x4282,
+    segment: 0x18538067,
+    info: 0x1549A966,
+    timecodeScale: 0x2AD7B1,
+    duration: 0x4489,
+    tracks: 0x1654AE6B,
+    trackEntry: 0xAE,
+    trackType: 0x83,
+    codecId: 0x86,
+    video: 0xE0,
+    pixelWidth: 0xB0,
+    pixelHeight: 0xBA,
+    cluster: 0x1F43B675
+};
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - File data
+ * @param {number} offset - Offset of the vint
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs do)
+ * @returns {{value: number, length: number, unknown: boolean}|null}
+ */
+function readVint(buffer, offset, keepMarker) {
+    if (offset >= buffer.length) return null;
+
+    const first = buffer[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8 || offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xFF) allOnes = false;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Iterate the EBML elements between start and end
+ * @returns {Array<{id: number, start: number, end: number}>} Elements with payload offsets
+ */
+function readElements(buffer, start, end) {
+    const elements = [];
+    let offset = start;
+
+    while (offset < end) {
+        const id = readVint(buffer, offset, true);
+        if (!id) break;
+        const size = readVint(buffer, offset + id.length, false);
+        if (!size) break;
+
+        const dataStart = offset + id.length + size.length;
+        // Live-streamed files may leave the size unknown; treat it as "to the end of the parent"
+        const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+        elements.push({ id: id.value, start: dataStart, end: dataEnd });
+
+        // Clusters hold the media data; everything we need comes before them
+        if (id.value === EBML_IDS.cluster || size.unknown) break;
+        offset = dataEnd;
+    }
+
+    return elements;
+}
+
+function readUint(buffer, element) {
+    let value = 0;
+    for (let i = element.start; i < element.end; i++) value = value * 256 + buffer[i];
+    return value;
+}
+
+function readFloat(buffer, element) {
+    const size = element.end - element.start;
+    if (size === 4) return buffer.readFloatBE(element.start);
+    if (size === 8) return buffer.readDoubleBE(element.start);
+    return null;
+}
+
+function probeMatroska(buffer) {
+    const topLevel = readElements(buffer, 0, buffer.length);
+    const header = topLevel[0];
+    const docTypeElement = header && readElements(buffer, header.start, header.end).find(el => el.id === EBML_IDS.docType);
+    const docType = docTypeElement ? buffer.toString('latin1', docTypeElement.start, docTypeElement.end).replace(/\0+$/, '') : 'matroska';
+
+    const info = {
+        container: docType === 'webm' ? 'webm' : 'mkv',
+        width: null,
+        height: null,
+        duration: null,
+        codec: null
+    };
+
+    const segment = topLevel.find(el => el.id === EBML_IDS.segment);
+    if (!segment) return info;
+
+    for (const element of readElements(buffer, segment.start, segment.end)) {
+        if (element.id === EBML_IDS.info) {
+            let timecodeScale = 1000000;
+            let duration = null;
+            for (const child of readElements(buffer, element.start, element.end)) {
+                if (child.id === EBML_IDS.timecodeScale) timecodeScale = readUint(buffer, child);
+                if (child.id === EBML_IDS.duration) duration = readFloat(buffer, child);
+            }
+            if (duration !== null) info.duration = (duration * timecodeScale) / 1e9;
+        }
+
+        if (element.id === EBML_IDS.tracks) {
+            for (const entry of readElements(buffer, element.start, element.end)) {
+                if (entry.id !== EBML_IDS.trackEntry) continue;
+
+                const children = readElements(buffer, entry.start, entry.end);
+                const trackType = children.find(el => el.id === EBML_IDS.trackType);
+                if (!trackType || readUint(buffer, trackType) !== 1) continue; // 1 = video
+
+                const codec = children.find(el => el.id === EBML_IDS.codecId);
+                if (codec) info.codec = buffer.toString('latin1', codec.start, codec.end).replace(/\0+$/, '');
+
+                const video = children.find(el => el.id === EBML_IDS.video);
+                if (video) {
+                    for (const child of readElements(buffer, video.start, video.end)) {
+                        if (child.id === EBML_IDS.pixelWidth) info.width = readUint(buffer, child);
+                        if (child.id === EBML_IDS.pixelHeight) info.height = readUint(buffer, child);
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    return info;
+}
+
+// RIFF AVI
+
+function probeAvi(buffer) {
+    const info = { container: 'avi', width: null, height: null, duration: null, codec: null };
+
+    // The main AVI header is the first chunk of the first LIST ('hdrl')
+    const hdrl = buffer.indexOf('hdrl', 12, 'latin1');
+    if (hdrl === -1 || buffer.toString('latin1', hdrl + 4, hdrl + 8) !== 'avih') return info;
+
+    const avih = hdrl + 12;
+    const microSecPerFrame = buffer.readUInt32LE(avih);
+    const totalFrames = buffer.readUInt32LE(avih + 16);
+    info.width = buffer.readUInt32LE(avih + 32) || null;
+    info.height = buffer.readUInt32LE(avih + 36) || null;
+    if (microSecPerFrame && totalFrames) {
+        info.duration = (microSecPerFrame * totalFrames) / 1e6;
+    }
+
+    // Stream headers: 'strh', size(4), fccType(4), fccHandler(4). The video stream has fccType 'vids'
+    let strh = buffer.indexOf('strh', hdrl, 'latin1');
+    while (strh !== -1 && strh + 16 <= buffer.length) {
+        if (buffer.toString('latin1', strh + 8, strh + 12) === 'vids') {
+            info.codec = buffer.toString('latin1', strh + 12, strh + 16).replace(/\0/g, '').trim() || null;
+            break;
+        }
+        strh = buffer.indexOf('strh', strh + 4, 'latin1');
+    }
+
+    return info;
+}
+
+module.exports = {
+    probeVideo
+};
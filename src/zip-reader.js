@@ -0,0 +1,178 @@
+// Reads ZIP archives held in memory, such as uploaded Timal exports. Entries are
+// located through the central directory and inflated on demand; their CRC and
+// sizes are checked, so a damaged or tampered archive fails instead of importing
+// garbage. Archives written by ZipWriter (including ZIP64 ones) are supported,
+// as are most others using the store and deflate methods.
+
+const zlib = require('zlib');
+const { crc32 } = require('./zip-writer');
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+class ZipReader {
+    /**
+     * @param {Buffer} buffer - The whole archive
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.entries = new Map();
+        this.readDirectory();
+    }
+
+    /**
+     * Names of the files in the archive
+     * @returns {Array<string>}
+     */
+    names() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Whether the archive contains a file
+     * @param {string} name - Path inside the archive
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Uncompressed size of a file, as recorded in the archive
+     * @param {string} name - Path inside the archive
+     * @returns {number|null} Bytes, or null if there is no such file
+     */
+    size(name) {
+        const entry = this.entries.get(name);
+        return entry ? entry.size : null;
+    }
+
+    /**
+     * Read and decompress a file
+     * @param {string} name - Path inside the archive
+     * @returns {Buffer}
+     */
+    read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new ZipError(`${name} is not in the archive`);
+        }
+
+        const header = entry.offset;
+        if (header + 30 > this.buffer.length || this.buffer.readUInt32LE(header) !== 0x04034b50) {
+            throw new ZipError(`Bad local header for ${name}`);
+        }
+        const start = header + 30 + this.buffer.readUInt16LE(header + 26) + this.buffer.readUInt16LE(header + 28);
+        const compressed = this.buffer.subarray(start, start + entry.compressedSize);
+        if (compressed.length !== entry.compressedSize) {
+            throw new ZipError(`${name} is truncated`);
+        }
+
+        let data;
+        if (entry.method === 0) {
+            data = compressed;
+        } else if (entry.method === 8) {
+            try {
+                // The declared size caps the output, so a crafted entry can't inflate without limit
+                data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(entry.size, 1) });
+            } catch (error) {
+                throw new ZipError(`${name} could not be decompressed: ${error.message}`);
+            }
+        } else {
+            throw new ZipError(`${name} uses an unsupported compression method (${entry.method})`);
+        }
+
+        if (data.length !== entry.size || crc32(data) !== entry.crc) {
+            throw new ZipError(`${name} is corrupt`);
+        }
+        return data;
+    }
+
+    /**
+     * Parse the end of central directory record and the directory itself
+     */
+    readDirectory() {
+        const buffer = this.buffer;
+
+        // The end record sits in the last 22 bytes plus an optional comment of up to 64KB
+        let end = -1;
+        for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - MAX_16); i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new ZipError('Not a ZIP archive');
+        }
+
+        let count = buffer.readUInt16LE(end + 10);
+        let directoryOffset = buffer.readUInt32LE(end + 16);
+
+        const locator = end - 20;
+        if (locator >= 0 && buffer.readUInt32LE(locator) === 0x07064b50) {
+            const zip64End = Number(buffer.readBigUInt64LE(locator + 8));
+            if (zip64End + 56 > buffer.length || buffer.readUInt32LE(zip64End) !== 0x06064b50) {
+                throw new ZipError('Bad ZIP64 end of central directory record');
+            }
+            count = Number(buffer.readBigUInt64LE(zip64End + 32));
+            directoryOffset = Number(buffer.readBigUInt64LE(zip64End + 48));
+        }
+
+        let position = directoryOffset;
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+                throw new ZipError('Bad central directory');
+            }
+            const nameLength = buffer.readUInt16LE(position + 28);
+            const extraLength = buffer.readUInt16LE(position + 30);
+            const commentLength = buffer.readUInt16LE(position + 32);
+            const entry = {
+                method: buffer.readUInt16LE(position + 10),
+                crc: buffer.readUInt32LE(position + 16),
+                compressedSize: buffer.readUInt32LE(position + 20),
+                size: buffer.readUInt32LE(position + 24),
+                offset: buffer.readUInt32LE(position + 42)
+            };
+            const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+            this.readZip64Extra(entry, buffer.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength));
+
+            if (!name.endsWith('/')) {
+                this.entries.set(name, entry);
+            }
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    /**
+     * Replace 0xffffffff sizes and offset with their values from a ZIP64 extra field
+     */
+    readZip64Extra(entry, extra) {
+        let position = 0;
+        while (position + 4 <= extra.length) {
+            const id = extra.readUInt16LE(position);
+            const length = extra.readUInt16LE(position + 2);
+            if (id === 0x0001) {
+                let field = position + 4;
+                for (const key of ['size', 'compressedSize', 'offset']) {
+                    if (entry[key] === MAX_32 && field + 8 <= position + 4 + length) {
+                        entry[key] = Number(extra.readBigUInt64LE(field));
+                        field += 8;
+                    }
+                }
+                return;
+            }
+            position += 4 + length;
+        }
+    }
+}
+
+module.exports = ZipReader;
+module.exports.ZipError = ZipError;
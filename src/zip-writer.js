@@ -0,0 +1,225 @@
+// Streaming ZIP writer (no dependencies).
+//
+// Files are written one after another straight to the output stream: each gets a
+// local header, its data (deflated or stored as-is) and a data descriptor with the
+// CRC and sizes, which are only known once the data has passed through. The central
+// directory is written by finalize(). Archives may grow past 4GB (ZIP64 records are
+// added when needed), but a single file must stay below 4GB.
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Continue a CRC-32 over another chunk
+ * @param {Buffer} chunk
+ * @param {number} [crc=0] - CRC of the data so far
+ * @returns {number}
+ */
+function crc32(chunk, crc = 0) {
+    let c = crc ^ -1;
+    for (let i = 0; i < chunk.length; i++) {
+        c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ -1) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields (local time, 2 second resolution)
+ */
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+class ZipWriter {
+    /**
+     * @param {stream.Writable} output - Where the archive is written
+     */
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive, using '/' separators
+     * @param {Buffer|string|stream.Readable} source - File contents
+     * @param {object} [options]
+     * @param {boolean} [options.compress=true] - Deflate the data; turn off for already compressed media
+     * @param {Date} [options.date] - Modification time
+     */
+    async addFile(name, source, { compress = true, date = new Date() } = {}) {
+        const fileName = Buffer.from(name, 'utf8');
+        const method = compress ? METHOD_DEFLATE : METHOD_STORE;
+        const { time, date: day } = dosDateTime(date);
+        const entry = { fileName, method, time, date: day, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4); // version needed
+        header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(day, 12);
+        // CRC and sizes (14-25) follow in the data descriptor
+        header.writeUInt16LE(fileName.length, 26);
+        header.writeUInt16LE(0, 28);
+        await this.write(header);
+        await this.write(fileName);
+
+        const input = typeof source === 'string' || Buffer.isBuffer(source)
+            ? Readable.from([Buffer.from(source)])
+            : source;
+        await pipeline(
+            input,
+            async function* (chunks) {
+                for await (const chunk of chunks) {
+                    entry.crc = crc32(chunk, entry.crc);
+                    entry.size += chunk.length;
+                    yield chunk;
+                }
+            },
+            ...(compress ? [zlib.createDeflateRaw()] : []),
+            async (chunks) => {
+                for await (const chunk of chunks) {
+                    entry.compressedSize += chunk.length;
+                    await this.write(chunk);
+                }
+            }
+        );
+
+        if (entry.size > MAX_32 || entry.compressedSize > MAX_32) {
+            throw new Error(`${name} is too large for the archive`);
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.write(descriptor);
+
+        this.entries.push(entry);
+    }
+
+    /**
+     * Write the central directory. The output stream is left open.
+     */
+    async finalize() {
+        const directoryOffset = this.offset;
+
+        for (const entry of this.entries) {
+            const zip64 = entry.offset > MAX_32;
+            const extra = Buffer.alloc(zip64 ? 12 : 0);
+            if (zip64) {
+                extra.writeUInt16LE(0x0001, 0);
+                extra.writeUInt16LE(8, 2);
+                extra.writeBigUInt64LE(BigInt(entry.offset), 4);
+            }
+
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE((3 << 8) | 45, 4); // made by: Unix, spec 4.5
+            record.writeUInt16LE(zip64 ? 45 : 20, 6);
+            record.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+            record.writeUInt16LE(entry.method, 10);
+            record.writeUInt16LE(entry.time, 12);
+            record.writeUInt16LE(entry.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.fileName.length, 28);
+            record.writeUInt16LE(extra.length, 30);
+            // Comment length, disk number and internal attributes (32-37) are zero
+            record.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+            record.writeUInt32LE(zip64 ? MAX_32 : entry.offset, 42);
+            await this.write(Buffer.concat([record, entry.fileName, extra]));
+        }
+
+        const directorySize = this.offset - directoryOffset;
+        const count = this.entries.length;
+        const needsZip64 = count > MAX_16 || directoryOffset > MAX_32 || directorySize > MAX_32;
+
+        if (needsZip64) {
+            const zip64EndOffset = this.offset;
+            const end64 = Buffer.alloc(56);
+            end64.writeUInt32LE(0x06064b50, 0);
+            end64.writeBigUInt64LE(44n, 4); // size of the rest of this record
+            end64.writeUInt16LE((3 << 8) | 45, 12);
+            end64.writeUInt16LE(45, 14);
+            // Disk numbers (16-23) are zero
+            end64.writeBigUInt64LE(BigInt(count), 24);
+            end64.writeBigUInt64LE(BigInt(count), 32);
+            end64.writeBigUInt64LE(BigInt(directorySize), 40);
+            end64.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+            locator.writeUInt32LE(1, 16); // total disks
+            await this.write(Buffer.concat([end64, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Math.min(count, MAX_16), 8);
+        end.writeUInt16LE(Math.min(count, MAX_16), 10);
+        end.writeUInt32LE(Math.min(directorySize, MAX_32), 12);
+        end.writeUInt32LE(Math.min(directoryOffset, MAX_32), 16);
+        await this.write(end);
+    }
+
+    /**
+     * Write to the output, waiting while it is backed up
+     */
+    write(chunk) {
+        if (this.output.destroyed) {
+            return Promise.reject(new Error('Archive output was closed'));
+        }
+
+        this.offset += chunk.length;
+        if (this.output.write(chunk)) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const onDrain = () => {
+                cleanup();
+                resolve();
+            };
+            const onClose = () => {
+                cleanup();
+                reject(new Error('Archive output was closed'));
+            };
+            const cleanup = () => {
+                this.output.off('drain', onDrain);
+                this.output.off('close', onClose);
+                this.output.off('error', onClose);
+            };
+            this.output.on('drain', onDrain);
+            this.output.on('close', onClose);
+            this.output.on('error', onClose);
+        });
+    }
+}
+
+module.exports = ZipWriter;
+module.exports.crc32 = crc32;
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { encodeCursor, decodeCursor } = require('../api/cursor');
+
+const entry = { id: 42, entry_date: '2024-05-01', created_at: '2024-05-01 09:00:00' };
+
+function encodeRaw(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+function assertInvalid(cursor) {
+    assert.throws(() => decodeCursor(cursor), { statusCode: 400, code: 'invalid_cursor' });
+}
+
+describe('decodeCursor', () => {
+    it('reads back an encoded cursor', () => {
+        for (const direction of ['older', 'newer']) {
+            assert.deepEqual(decodeCursor(encodeCursor(entry, direction)), {
+                direction,
+                position: { entry_date: '2024-05-01', created_at: '2024-05-01 09:00:00', id: 42 }
+            });
+        }
+    });
+
+    it('encodes to URL-safe text', () => {
+        assert.match(encodeCursor({ ...entry, created_at: '???>>>' }, 'older'), /^[A-Za-z0-9_-]+$/);
+    });
+
+    it('rejects text that is not a cursor', () => {
+        assertInvalid('');
+        assertInvalid('not a cursor');
+        assertInvalid(encodeRaw('{"direction":'));
+        assertInvalid(encodeRaw('null'));
+        assertInvalid(encodeRaw({ direction: 'older' }));
+    });
+
+    it('rejects cursors with the wrong number of parts', () => {
+        assertInvalid(encodeRaw(['older', '2024-05-01', '2024-05-01 09:00:00']));
+        assertInvalid(encodeRaw(['older', '2024-05-01', '2024-05-01 09:00:00', 42, 'extra']));
+    });
+
+    it('rejects unknown directions', () => {
+        assertInvalid(encodeRaw(['sideways', '2024-05-01', '2024-05-01 09:00:00', 42]));
+        assertInvalid(encodeRaw([null, '2024-05-01', '2024-05-01 09:00:00', 42]));
+    });
+
+    it('rejects positions of the wrong type', () => {
+        assertInvalid(encodeRaw(['older', 20240501, '2024-05-01 09:00:00', 42]));
+        assertInvalid(encodeRaw(['older', '2024-05-01', null, 42]));
+        assertInvalid(encodeRaw(['older', '2024-05-01', '2024-05-01 09:00:00', '42']));
+        assertInvalid(encodeRaw(['older', '2024-05-01', '2024-05-01 09:00:00', 4.2]));
+        assertInvalid(encodeRaw(['older', '2024-05-01', '2024-05-01 09:00:00', 2 ** 53]));
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { buildCalendar, parseCalendar } = require('../src/icalendar');
+
+function calendar(...lines) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n') + '\r\n';
+}
+
+describe('parseCalendar', () => {
+    it('reads events', () => {
+        const events = parseCalendar(calendar(
+            'BEGIN:VEVENT',
+            'UID:first@example.com',
+            'DTSTART;VALUE=DATE:20240501',
+            'SUMMARY:First day',
+            'DESCRIPTION:Sunny\\, then rain.\\nWent home early.',
+            'CATEGORIES:school,family',
+            'CATEGORIES:spring',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART:20240502T230000Z',
+            'END:VEVENT'
+        ));
+
+        assert.deepEqual(events, [
+            {
+                line: 3,
+                uid: 'first@example.com',
+                date: '2024-05-01',
+                summary: 'First day',
+                description: 'Sunny, then rain.\nWent home early.',
+                categories: ['school', 'family', 'spring']
+            },
+            { line: 11, uid: null, date: '2024-05-02', summary: null, description: null, categories: [] }
+        ]);
+    });
+
+    it('unfolds continued lines', () => {
+        const [event] = parseCalendar(calendar('BEGIN:VEVENT', 'DTSTART:20240501', 'SUMMARY:A long', '  day out', '\tside', 'END:VEVENT'));
+        assert.equal(event.summary, 'A long day outside');
+    });
+
+    it('accepts LF line endings, a byte order mark and lowercase names', () => {
+        const text = '\uFEFFbegin:vcalendar\nbegin:vevent\ndtstart:20240501\nsummary:Hello\nend:vevent\nend:vcalendar\n';
+        assert.deepEqual(parseCalendar(text).map(e => [e.date, e.summary]), [['2024-05-01', 'Hello']]);
+    });
+
+    it('keeps the date a local or TZID time is written with', () => {
+        const [local, zoned] = parseCalendar(calendar(
+            'BEGIN:VEVENT', 'DTSTART:20241231T233000', 'END:VEVENT',
+            'BEGIN:VEVENT', 'DTSTART;TZID="America/New_York":20241231T233000', 'END:VEVENT'
+        ));
+        assert.equal(local.date, '2024-12-31');
+        assert.equal(zoned.date, '2024-12-31');
+    });
+
+    it('finds the value after colons in quoted parameters', () => {
+        const [event] = parseCalendar(calendar(
+            'BEGIN:VEVENT',
+            'DTSTART:20240501',
+            'DESCRIPTION;ALTREP="http://example.com/a:b":Time: 9:00',
+            'END:VEVENT'
+        ));
+        assert.equal(event.description, 'Time: 9:00');
+    });
+
+    it('ignores properties of nested components', () => {
+        const [event] = parseCalendar(calendar(
+            'BEGIN:VEVENT',
+            'DTSTART:20240501',
+            'SUMMARY:Dentist',
+            'BEGIN:VALARM',
+            'DESCRIPTION:Reminder',
+            'END:VALARM',
+            'DESCRIPTION:Checkup',
+            'END:VEVENT'
+        ));
+        assert.equal(event.summary, 'Dentist');
+        assert.equal(event.description, 'Checkup');
+    });
+
+    it('skips components other than events and lines without values', () => {
+        const events = parseCalendar(calendar(
+            'BEGIN:VTODO', 'SUMMARY:Not an event', 'END:VTODO',
+            'garbage',
+            'BEGIN:VEVENT', 'DTSTART:not a date', 'SUMMARY:Undated', 'END:VEVENT',
+            'BEGIN:VEVENT', 'SUMMARY:Never ends'
+        ));
+        assert.deepEqual(events.map(e => [e.date, e.summary]), [[null, 'Undated']]);
+    });
+
+    it('splits categories only on unescaped commas', () => {
+        const [event] = parseCalendar(calendar('BEGIN:VEVENT', 'DTSTART:20240501', 'CATEGORIES:a\\,b, c ,,d', 'END:VEVENT'));
+        assert.deepEqual(event.categories, ['a,b', 'c', 'd']);
+    });
+
+    it('rejects text that is not a calendar', () => {
+        for (const text of ['', '\r\n\r\n', 'BEGIN:VEVENT\r\nEND:VEVENT\r\n', 'name,date\nfoo,2024-05-01\n']) {
+            assert.throws(() => parseCalendar(text), /is not an iCalendar file/);
+        }
+    });
+
+    it('reads back a calendar built for a timeline', () => {
+        const text = buildCalendar({ id: 7, title: 'Family' }, [{
+            id: 1,
+            entry_date: '2024-05-01',
+            entry_text: 'First day; school, finally\nAll good. '.repeat(10),
+            created_at: '2024-05-01 09:00:00',
+            updated_at: '2024-05-01 09:00:00',
+            tags: ['school', 'a,b'],
+            media: []
+        }], { host: 'example.com' });
+
+        const [event] = parseCalendar(text);
+        assert.equal(event.date, '2024-05-01');
+        assert.equal(event.description, 'First day; school, finally\nAll good. '.repeat(10));
+        assert.deepEqual(event.categories, ['school', 'a,b']);
+        assert.match(event.uid, /@example\.com$/);
+    });
+});
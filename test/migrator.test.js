@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../db/database');
+const Migrator = require('../db/migrator');
+
+// The schema from the README of the first release, before migrations existed
+const BASELINE_SCHEMA = [
+    `CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        tier TEXT DEFAULT 'free',
+        storage_used_mb INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE timeline_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        entry_date DATE NOT NULL,
+        entry_text TEXT,
+        entry_type TEXT DEFAULT 'text',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+    `CREATE TABLE media_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL,
+        media_type TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        original_filename TEXT NOT NULL,
+        file_size_mb REAL,
+        r2_key TEXT NOT NULL,
+        thumbnail_r2_key TEXT,
+        width INTEGER,
+        height INTEGER,
+        duration INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (entry_id) REFERENCES timeline_entries (id) ON DELETE CASCADE
+    )`
+];
+
+async function appliedVersions(db) {
+    const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+}
+
+async function tableExists(db, table) {
+    return Boolean(await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]));
+}
+
+describe('Migrator', () => {
+    let db;
+    let migrator;
+
+    beforeEach(async () => {
+        process.env.DATABASE_PATH = ':memory:';
+        db = new Database();
+        await db.connect();
+        migrator = new Migrator(db);
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('applies every migration to a new database, then nothing', async () => {
+        const versions = migrator.loadMigrations().map(m => m.version);
+
+        const applied = await migrator.migrate();
+        assert.deepEqual(applied.map(m => m.version), versions);
+        assert.deepEqual(await appliedVersions(db), versions);
+
+        assert.deepEqual(await migrator.migrate(), []);
+        assert((await migrator.status()).every(m => m.applied_at));
+    });
+
+    it('adopts a database created from the original schema, keeping its rows', async () => {
+        for (const sql of BASELINE_SCHEMA) {
+            await db.run(sql);
+        }
+        await db.run("INSERT INTO users (username, email, password_hash) VALUES ('ann', 'ann@example.com', 'x')");
+        await db.run("INSERT INTO timeline_entries (user_id, entry_date, entry_text, created_at) VALUES (1, '2024-05-01', 'First day', '2024-05-01 09:00:00')");
+        await db.run("INSERT INTO media_attachments (entry_id, media_type, filename, original_filename, r2_key) VALUES (1, 'image', 'a.jpg', 'a.jpg', 'media/a.jpg')");
+
+        await migrator.migrate();
+
+        const entry = await db.get('SELECT * FROM timeline_entries WHERE id = 1');
+        assert.equal(entry.entry_text, 'First day');
+        assert.equal(entry.updated_at, entry.created_at);
+        const media = await db.get('SELECT * FROM media_attachments WHERE id = 1');
+        assert.equal(media.upload_status, 'complete');
+
+        // 002 rebuilt the tables with the CHECK constraints they were missing
+        await assert.rejects(db.run("UPDATE users SET tier = 'gold' WHERE id = 1"), /CHECK constraint failed/);
+        await assert.rejects(
+            db.run("INSERT INTO timeline_entries (user_id, entry_date, entry_type) VALUES (1, '2024-05-02', 'audio')"),
+            /CHECK constraint failed/
+        );
+
+        // Running again changes nothing
+        assert.deepEqual(await migrator.migrate(), []);
+        assert.equal((await db.get('SELECT COUNT(*) AS count FROM timeline_entries')).count, 1);
+    });
+
+    it('leaves a database created by 001 alone in 002', async () => {
+        const [initial, legacy] = migrator.loadMigrations();
+        await migrator.ensureTable();
+        await migrator.apply(initial, 'up');
+        const before = await db.all("SELECT name, sql FROM sqlite_master WHERE type = 'table' ORDER BY name");
+
+        await migrator.apply(legacy, 'up');
+        assert.deepEqual(await db.all("SELECT name, sql FROM sqlite_master WHERE type = 'table' ORDER BY name"), before);
+    });
+
+    it('rolls back the latest migration and applies it again', async () => {
+        const migrations = migrator.loadMigrations();
+        const latest = migrations[migrations.length - 1];
+        await migrator.migrate();
+
+        const rolledBack = await migrator.rollback();
+        assert.deepEqual(rolledBack.map(m => m.version), [latest.version]);
+        assert(!(await appliedVersions(db)).includes(latest.version));
+        assert(!(await tableExists(db, 'upload_sessions')));
+
+        assert.deepEqual((await migrator.migrate()).map(m => m.version), [latest.version]);
+        assert(await tableExists(db, 'upload_sessions'));
+    });
+
+    it('rolls back every migration', async () => {
+        await migrator.migrate();
+        await migrator.rollback(migrator.loadMigrations().length);
+
+        assert.deepEqual(await appliedVersions(db), []);
+        const tables = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_migrations', 'sqlite_sequence')");
+        assert.deepEqual(tables, []);
+    });
+
+    it('refuses a database with migrations it does not know', async () => {
+        await migrator.migrate();
+        await db.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+
+        await assert.rejects(migrator.migrate(), /doesn't know about: 999/);
+        await assert.rejects(migrator.rollback(), /doesn't know about: 999/);
+    });
+
+    describe('with migrations that fail', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'timal-migrations-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        function writeMigration(file, source) {
+            fs.writeFileSync(path.join(directory, file), source);
+        }
+
+        it('undoes a migration that throws', async () => {
+            writeMigration('001_parents.js', `module.exports = {
+                async up(db) { await db.run('CREATE TABLE parents (id INTEGER PRIMARY KEY)'); },
+                async down(db) { await db.run('DROP TABLE parents'); }
+            };`);
+            writeMigration('002_broken.js', `module.exports = {
+                async up(db) {
+                    await db.run('CREATE TABLE children (id INTEGER PRIMARY KEY)');
+                    throw new Error('broken');
+                },
+                async down() {}
+            };`);
+            migrator = new Migrator(db, directory);
+
+            await assert.rejects(migrator.migrate(), /broken/);
+            assert.deepEqual(await appliedVersions(db), [1]);
+            assert(await tableExists(db, 'parents'));
+            assert(!(await tableExists(db, 'children')));
+        });
+
+        it('undoes a migration that leaves broken foreign keys', async () => {
+            writeMigration('001_orphans.js', `module.exports = {
+                async up(db) {
+                    await db.run('CREATE TABLE parents (id INTEGER PRIMARY KEY)');
+                    await db.run('CREATE TABLE children (id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES parents (id))');
+                    await db.run('INSERT INTO children (parent_id) VALUES (42)');
+                },
+                async down() {}
+            };`);
+            migrator = new Migrator(db, directory);
+
+            await assert.rejects(migrator.migrate(), /broken foreign keys in: children/);
+            assert.deepEqual(await appliedVersions(db), []);
+            assert(!(await tableExists(db, 'children')));
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const Database = require('../db/database');
+const { buildFtsQuery, formatSnippet } = require('../src/search-query');
+
+describe('buildFtsQuery', () => {
+    it('joins words with AND', () => {
+        assert.equal(buildFtsQuery('beach sunset'), '("beach" AND "sunset")');
+        assert.equal(buildFtsQuery('beach AND sunset'), '("beach" AND "sunset")');
+    });
+
+    it('keeps phrases together', () => {
+        assert.equal(buildFtsQuery('"first day" school'), '("first day" AND "school")');
+    });
+
+    it('supports prefixes', () => {
+        assert.equal(buildFtsQuery('walk*'), '("walk"*)');
+        assert.equal(buildFtsQuery('"new yo"*'), '("new yo"*)');
+    });
+
+    it('supports OR', () => {
+        assert.equal(buildFtsQuery('beach OR lake'), '("beach" OR "lake")');
+        assert.equal(buildFtsQuery('OR beach'), '("beach")');
+    });
+
+    it('excludes terms', () => {
+        assert.equal(buildFtsQuery('beach -rain'), '("beach") NOT "rain"');
+        assert.equal(buildFtsQuery('beach NOT rain NOT "cold day"'), '("beach") NOT "rain" NOT "cold day"');
+        assert.equal(buildFtsQuery('beach -"cold day"'), '("beach") NOT "cold day"');
+    });
+
+    it('needs something to match besides exclusions', () => {
+        assert.equal(buildFtsQuery('-rain'), null);
+        assert.equal(buildFtsQuery(''), null);
+        assert.equal(buildFtsQuery('   '), null);
+        assert.equal(buildFtsQuery(null), null);
+    });
+
+    it('quotes FTS5 syntax in user input', () => {
+        assert.equal(buildFtsQuery('title:beach'), '("title:beach")');
+        assert.equal(buildFtsQuery('NEAR(beach lake)'), '("NEAR(beach" AND "lake)")');
+        assert.equal(buildFtsQuery('a^b {c}'), '("a^b" AND "{c}")');
+        assert.equal(buildFtsQuery('"unclosed phrase'), '("unclosed phrase")');
+    });
+
+    it('doubles quotes inside terms', () => {
+        assert.equal(buildFtsQuery('say"hi"'), '("say""hi""")');
+    });
+
+    it('drops terms with nothing to match', () => {
+        assert.equal(buildFtsQuery('- * "" ??? beach'), '("beach")');
+        assert.equal(buildFtsQuery('*** ()'), null);
+    });
+
+    it('matches letters and digits in any script', () => {
+        assert.equal(buildFtsQuery('café 東京 2024'), '("café" AND "東京" AND "2024")');
+    });
+
+    it('always builds a query FTS5 accepts', async () => {
+        process.env.DATABASE_PATH = ':memory:';
+        const db = new Database();
+        await db.connect();
+        try {
+            await db.run('CREATE VIRTUAL TABLE search USING fts5(entry_text)');
+            await db.run("INSERT INTO search (entry_text) VALUES ('A day at the beach, then sunset')");
+
+            const inputs = ['beach', 'NEAR(beach', ')) OR ((', 'beach OR OR', 'NOT', 'AND beach AND', '"a" "b', 'x:*', '^beach', 'beach - -sunset', '\\"*'];
+            for (const input of inputs) {
+                const query = buildFtsQuery(input);
+                if (query) await db.all('SELECT rowid FROM search WHERE search MATCH ?', [query]);
+            }
+            assert.equal((await db.all('SELECT rowid FROM search WHERE search MATCH ?', [buildFtsQuery('beach -rain')])).length, 1);
+        } finally {
+            await db.close();
+        }
+    });
+});
+
+describe('formatSnippet', () => {
+    it('marks matches and escapes the rest', () => {
+        assert.deepEqual(formatSnippet('a <b> & \u0002beach\u0003'), {
+            text: 'a <b> & beach',
+            html: 'a &lt;b&gt; &amp; <mark>beach</mark>'
+        });
+    });
+
+    it('handles a missing snippet', () => {
+        assert.deepEqual(formatSnippet(null), { text: '', html: '' });
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const ZipWriter = require('../src/zip-writer');
+const ZipReader = require('../src/zip-reader');
+const { ZipError } = ZipReader;
+
+/**
+ * Write an archive into memory
+ * @param {Array<[string, Buffer|string, object?]>} files - Name, contents and addFile options
+ * @returns {Promise<Buffer>}
+ */
+async function buildArchive(files) {
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    const zip = new ZipWriter(output);
+    for (const [name, contents, options] of files) {
+        await zip.addFile(name, contents, options);
+    }
+    await zip.finalize();
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Offsets of the first central directory record and its file's local header
+ */
+function locate(archive) {
+    const directory = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    return { directory, local: archive.readUInt32LE(directory + 42) };
+}
+
+describe('ZipReader', () => {
+    it('reads archives written by ZipWriter', async () => {
+        const photo = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 1, 2, 3]);
+        const archive = await buildArchive([
+            ['timeline.json', JSON.stringify({ entries: [] })],
+            ['media/1/photo.jpg', photo, { compress: false }],
+            ['notes/äöü.txt', 'x'.repeat(10000)],
+            ['empty.txt', '']
+        ]);
+
+        const zip = new ZipReader(archive);
+        assert.deepEqual(zip.names(), ['timeline.json', 'media/1/photo.jpg', 'notes/äöü.txt', 'empty.txt']);
+        assert.deepEqual(JSON.parse(zip.read('timeline.json')), { entries: [] });
+        assert.deepEqual(zip.read('media/1/photo.jpg'), photo);
+        assert.equal(zip.read('notes/äöü.txt').toString(), 'x'.repeat(10000));
+        assert.equal(zip.read('empty.txt').length, 0);
+        assert.equal(zip.size('notes/äöü.txt'), 10000);
+        assert.equal(zip.size('missing.txt'), null);
+        assert(zip.has('empty.txt'));
+        assert(!zip.has('missing.txt'));
+    });
+
+    it('rejects files that are not ZIP archives', () => {
+        for (const buffer of [Buffer.alloc(0), Buffer.from('PK'), Buffer.from('not a zip archive at all, just text')]) {
+            assert.throws(() => new ZipReader(buffer), { name: 'ZipError', message: 'Not a ZIP archive' });
+        }
+    });
+
+    it('rejects a missing file', async () => {
+        const zip = new ZipReader(await buildArchive([['a.txt', 'a']]));
+        assert.throws(() => zip.read('b.txt'), ZipError);
+    });
+
+    it('rejects a truncated archive', async () => {
+        const archive = await buildArchive([['a.txt', 'hello world'.repeat(100)]]);
+        const { directory } = locate(archive);
+        assert.throws(() => new ZipReader(archive.subarray(0, directory + 10)), ZipError);
+    });
+
+    it('rejects a directory pointing outside the archive', async () => {
+        const archive = await buildArchive([['a.txt', 'hello']]);
+        const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+        archive.writeUInt32LE(archive.length + 100, end + 16);
+        assert.throws(() => new ZipReader(archive), { message: 'Bad central directory' });
+    });
+
+    it('rejects a file whose data does not match its CRC', async () => {
+        const archive = await buildArchive([['a.txt', 'hello', { compress: false }]]);
+        const { local } = locate(archive);
+        const data = local + 30 + archive.readUInt16LE(local + 26);
+        archive[data] ^= 0xff;
+        assert.throws(() => new ZipReader(archive).read('a.txt'), { message: 'a.txt is corrupt' });
+    });
+
+    it('rejects a file whose data runs past the archive', async () => {
+        const archive = await buildArchive([['a.txt', 'hello', { compress: false }]]);
+        const { directory } = locate(archive);
+        archive.writeUInt32LE(archive.length, directory + 20);
+        assert.throws(() => new ZipReader(archive).read('a.txt'), { message: 'a.txt is truncated' });
+    });
+
+    it('rejects a bad local header', async () => {
+        const archive = await buildArchive([['a.txt', 'hello']]);
+        const { local } = locate(archive);
+        archive.writeUInt32LE(0, local);
+        assert.throws(() => new ZipReader(archive).read('a.txt'), { message: 'Bad local header for a.txt' });
+    });
+
+    it('rejects unsupported compression methods', async () => {
+        const archive = await buildArchive([['a.txt', 'hello']]);
+        const { directory } = locate(archive);
+        archive.writeUInt16LE(12, directory + 10);
+        assert.throws(() => new ZipReader(archive).read('a.txt'), /unsupported compression method \(12\)/);
+    });
+
+    it('does not inflate past the declared size', async () => {
+        // A small deflated file that expands to far more than its entry claims
+        const bomb = zlib.deflateRawSync(Buffer.alloc(10 * 1024 * 1024));
+        const archive = await buildArchive([['bomb.bin', bomb, { compress: false }]]);
+        const { directory, local } = locate(archive);
+        archive.writeUInt16LE(8, directory + 10);
+        archive.writeUInt32LE(1024, directory + 24);
+        archive.writeUInt16LE(8, local + 8);
+
+        const zip = new ZipReader(archive);
+        assert.equal(zip.size('bomb.bin'), 1024);
+        assert.throws(() => zip.read('bomb.bin'), /bomb\.bin could not be decompressed/);
+    });
+});